@@ -1,14 +1,29 @@
 /**
  * New Tab Page - Moontab Extreme
- * Simplified read-only view with settings access
+ * Board view with settings access and an in-place edit mode
  */
 
 class NewTabApp {
   constructor() {
+    this.storedData = null;
+    this.activeBoardId = null;
     this.data = null;
     this.themeManager = null;
+    this.shineTrackedElements = new WeakSet();
     this.dragScrollInstance = null;
     this.templates = {};
+    this.searchQuery = '';
+    this.searchResults = [];
+    this.searchSelectedIndex = 0;
+    this.webSearch = null;
+    this.webSearchEngineId = null;
+    this.webSearchActive = false;
+    this.focusedLinkId = null;
+    this.commandPalette = null;
+    this.editMode = false;
+    this.arrangeMode = false;
+    this.sortables = [];
+    this.pointerSelection = '';
 
     this.init();
   }
@@ -24,158 +39,1624 @@ class NewTabApp {
       // Load templates
       this.loadTemplates();
 
-      // Load data from storage
-      this.data = await StorageManager.load();
+      // Load data from storage and pick this device's board
+      this.storedData = await StorageManager.load();
+      this.activeBoardId = await BoardManager.getActiveBoardId(this.storedData);
+      this.data = BoardManager.getView(this.storedData, this.activeBoardId);
 
-      // Compute effective background size (handle custom sizes)
-      let effectiveBackgroundSize = this.data.backgroundSize;
-      if (this.data.backgroundSize === 'custom') {
-        const width = (this.data.backgroundWidth && this.data.backgroundWidth.trim()) ? this.data.backgroundWidth.trim() : 'auto';
-        const height = (this.data.backgroundHeight && this.data.backgroundHeight.trim()) ? this.data.backgroundHeight.trim() : 'auto';
-        effectiveBackgroundSize = `${width} ${height}`;
+      // Favicons are served from the local cache
+      await FaviconCache.load();
+      FaviconCache.configure(this.data);
+      UrlPolicy.configure(this.data);
+
+      // Initialize theme manager
+      this.themeManager = await initializeTheming(this.getThemeSettings(this.data));
+
+      // Initialize drag scrolling
+      const boardContainer = document.getElementById('board-container');
+      this.dragScrollInstance = initializeDragScroll(boardContainer);
+
+      // Render the board
+      this.render();
+      this.renderBoardSwitcher();
+      this.renderWebSearch();
+
+      // Setup event listeners
+      this.setupEventListeners();
+
+      // Hide loading state
+      this.hideLoading();
+
+      // Show empty state if no columns
+      if (this.data.columns.length === 0) {
+        this.showEmptyState();
+      }
+
+      // Apply column animations if enabled
+      if (this.data.columnAnimationEnabled) {
+        this.loadAndApplyAnimations();
+      }
+
+      // Initialize shine effect if enabled
+      this.initializeShineEffect();
+
+      // Follow edits made in other tabs (options page, undo, sync)
+      this.setupStorageListener();
+
+      // Take the daily snapshot if one is due (after render, never blocks the board)
+      SnapshotManager.ensureDaily();
+
+      // Pull changes from other devices if sync is enabled
+      SyncManager.init();
+
+      // Merge bookmark changes into bound columns and boards
+      BookmarkBridgeManager.init();
+
+    } catch (error) {
+      console.error('Failed to initialize new tab page:', error);
+      this.showError('Failed to load your boards. Please try refreshing the page.');
+    }
+  }
+
+  /**
+   * Build the theme manager settings for a data object
+   * @param {Object} data - Board data
+   * @returns {Object} Settings for initializeTheming() / ThemeManager.update()
+   */
+  getThemeSettings(data) {
+    // Compute effective background size (handle custom sizes)
+    let effectiveBackgroundSize = data.backgroundSize;
+    if (data.backgroundSize === 'custom') {
+      const width = (data.backgroundWidth && data.backgroundWidth.trim()) ? data.backgroundWidth.trim() : 'auto';
+      const height = (data.backgroundHeight && data.backgroundHeight.trim()) ? data.backgroundHeight.trim() : 'auto';
+      effectiveBackgroundSize = `${width} ${height}`;
+    }
+
+    // Check if we're in empty state (no columns)
+    const isEmptyState = data.columns.length === 0;
+
+    if (isEmptyState) {
+      // Empty state: force browser theme and bypass custom CSS
+      return {
+        themeMode: 'browser',
+        selectedPresetTheme: 'light',
+        customCss: '',
+        // Theme-specific CSS disabled
+        lightCss: '',
+        lightCssEnabled: false,
+        darkCss: '',
+        darkCssEnabled: false,
+        glassLightCss: '',
+        glassLightCssEnabled: false,
+        glassDarkCss: '',
+        glassDarkCssEnabled: false,
+        acrylicLightCss: '',
+        acrylicLightCssEnabled: false,
+        acrylicDarkCss: '',
+        acrylicDarkCssEnabled: false,
+        browserCss: '',
+        browserCssEnabled: false,
+        // Display settings
+        shineEffectEnabled: data.shineEffectEnabled !== undefined ? data.shineEffectEnabled : true,
+        baseFontSize: data.baseFontSize || 16,
+        uiScale: data.uiScale || 1.0,
+        columnWidthBase: data.columnWidthBase || 320,
+        // Background settings
+        backgroundDataUri: data.backgroundDataUri,
+        backgroundSize: effectiveBackgroundSize,
+        backgroundRepeat: data.backgroundRepeat,
+        backgroundPosition: data.backgroundPosition,
+        pageBackgroundColor: data.pageBackgroundColor
+      };
+    }
+
+    // Normal state: use user's theme settings
+    return {
+      themeMode: data.themeMode || 'browser',
+      selectedPresetTheme: data.selectedPresetTheme || 'light',
+      customCss: data.customCss || '',
+      // Theme-specific CSS
+      lightCss: data.lightCss || '',
+      lightCssEnabled: data.lightCssEnabled || false,
+      darkCss: data.darkCss || '',
+      darkCssEnabled: data.darkCssEnabled || false,
+      glassLightCss: data.glassLightCss || '',
+      glassLightCssEnabled: data.glassLightCssEnabled || false,
+      glassDarkCss: data.glassDarkCss || '',
+      glassDarkCssEnabled: data.glassDarkCssEnabled || false,
+      acrylicLightCss: data.acrylicLightCss || '',
+      acrylicLightCssEnabled: data.acrylicLightCssEnabled || false,
+      acrylicDarkCss: data.acrylicDarkCss || '',
+      acrylicDarkCssEnabled: data.acrylicDarkCssEnabled || false,
+      browserCss: data.browserCss || '',
+      browserCssEnabled: data.browserCssEnabled || false,
+      // Display settings
+      revealHighlightEnabled: data.revealHighlightEnabled !== undefined ? data.revealHighlightEnabled : true,
+      baseFontSize: data.baseFontSize || 16,
+      uiScale: data.uiScale || 1.0,
+      columnWidthBase: data.columnWidthBase || 320,
+      // Background settings
+      backgroundDataUri: data.backgroundDataUri,
+      backgroundSize: effectiveBackgroundSize,
+      backgroundRepeat: data.backgroundRepeat,
+      backgroundPosition: data.backgroundPosition,
+      pageBackgroundColor: data.pageBackgroundColor
+    };
+  }
+
+  /**
+   * Load HTML templates
+   */
+  loadTemplates() {
+    this.templates.column = document.getElementById('column-template');
+    this.templates.group = document.getElementById('group-template');
+    this.templates.link = document.getElementById('link-template');
+    this.templates.linkEditor = document.getElementById('link-editor-template');
+    this.templates.linkDelete = document.getElementById('link-delete-template');
+    this.templates.linkBookmarklet = document.getElementById('link-bookmarklet-template');
+    this.templates.linkQuickSearch = document.getElementById('link-quick-search-template');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Settings button
+    document.getElementById('settings-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    // Open settings button (empty state)
+    document.getElementById('open-settings-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    // Board shortcuts: Alt+1 to Alt+9 select the matching board
+    document.addEventListener('keydown', (e) => {
+      if (!e.altKey || e.ctrlKey || e.metaKey || !/^Digit[1-9]$/.test(e.code)) return;
+
+      const board = this.storedData.boards[Number(e.code.slice(5)) - 1];
+      if (board) {
+        e.preventDefault();
+        this.selectBoard(board.id);
+      }
+    });
+
+    // Search box
+    this.setupSearch();
+
+    // Web search bar above the board
+    this.setupWebSearch();
+
+    // Arrow-key navigation between link cards
+    this.setupKeyboardNavigation();
+
+    // Ctrl+K command palette
+    this.commandPalette = new CommandPalette(() => this.getPaletteCommands());
+
+    // Inline editing
+    this.setupEditMode();
+
+    // Drag-and-drop arranging
+    this.setupArrangeMode();
+
+    // Bookmarklet cards open their copy panel instead of a page
+    this.setupBookmarklets();
+
+    // Quick search cards ask for their values before opening
+    this.setupQuickSearch();
+
+    // Clocks and countdowns
+    this.setupWidgets();
+
+    // Handle favicon load errors - scoped to columns container
+    document.querySelector('#columns-container').addEventListener('error', (e) => {
+      if (e.target.tagName === 'IMG' && e.target.classList.contains('link-icon')) {
+        this.handleFaviconError(e.target);
+      }
+    }, true);
+  }
+
+  /**
+   * Render the entire board
+   */
+  render() {
+    const container = document.getElementById('columns-container');
+    container.innerHTML = '';
+
+    const maxColumns = 50;
+    if (this.data.columns.length > maxColumns) {
+      this.showError(`Too many columns (${this.data.columns.length}). Displaying first ${maxColumns}.`);
+      this.data.columns = this.data.columns.slice(0, maxColumns);
+    }
+
+    this.data.columns.forEach(column => {
+      const columnElement = this.createColumnElement(column);
+      container.appendChild(columnElement);
+    });
+
+    // Update visibility classes
+    this.updateVisibilityClasses();
+    this.updateRovingTabStop();
+
+    if (this.arrangeMode) {
+      this.setupSortables();
+    }
+  }
+
+  /**
+   * Render the board switcher (hidden when there is only one board)
+   */
+  renderBoardSwitcher() {
+    const switcher = document.getElementById('board-switcher');
+    const boards = this.storedData.boards;
+
+    switcher.innerHTML = '';
+    switcher.classList.toggle('hidden', boards.length < 2);
+
+    boards.forEach((board, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'board-tab';
+      button.textContent = board.name;
+      if (index < 9) {
+        button.title = `Alt+${index + 1}`;
+      }
+
+      if (board.id === this.activeBoardId) {
+        button.classList.add('active');
+        button.setAttribute('aria-current', 'page');
+      }
+
+      button.addEventListener('click', () => this.selectBoard(board.id));
+      switcher.appendChild(button);
+    });
+  }
+
+  /**
+   * Switch to another board and remember it for new tabs on this device
+   * @param {string} boardId - Board ID
+   * @returns {Promise<void>}
+   */
+  async selectBoard(boardId) {
+    if (boardId === this.activeBoardId) return;
+
+    this.activeBoardId = boardId;
+    this.renderBoardSwitcher();
+    document.getElementById('board-container').scrollLeft = 0;
+
+    BoardManager.setActiveBoardId(boardId).catch(error => {
+      console.error('Failed to save active board:', error);
+    });
+
+    await this.applyView(BoardManager.getView(this.storedData, boardId));
+  }
+
+  /**
+   * Listen for writes to the board made in other tabs
+   */
+  setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+
+      const newData = changes[STORAGE_KEY].newValue;
+      if (!newData) return;
+
+      this.applyDataChange(StorageManager.backfillDefaults(newData)).catch(error => {
+        console.error('Failed to apply data change:', error);
+      });
+    });
+  }
+
+  /**
+   * Bring the page up to date with new stored data without a full reload
+   * @param {Object} newData - Data now in storage
+   * @returns {Promise<void>}
+   */
+  async applyDataChange(newData) {
+    this.storedData = newData;
+
+    // The shown board may have been deleted in another tab
+    this.activeBoardId = BoardManager.resolveBoardId(newData, this.activeBoardId);
+    this.renderBoardSwitcher();
+
+    await this.applyView(BoardManager.getView(newData, this.activeBoardId));
+  }
+
+  /**
+   * Show a board view, rebuilding only the columns, groups and links that changed
+   * @param {Object} newData - Board view from BoardManager.getView()
+   * @returns {Promise<void>}
+   */
+  async applyView(newData) {
+    const previous = this.data;
+    this.data = newData;
+
+    const previousTheme = this.getThemeSettings(previous);
+    const nextTheme = this.getThemeSettings(newData);
+    if (JSON.stringify(previousTheme) !== JSON.stringify(nextTheme)) {
+      await this.themeManager.update(nextTheme);
+    }
+
+    FaviconCache.configure(newData);
+    UrlPolicy.configure(newData);
+    const faviconProvidersChanged =
+      JSON.stringify(FaviconProviders.getOrder(previous)) !== JSON.stringify(FaviconProviders.getOrder(newData)) ||
+      previous.faviconTemplateUrl !== newData.faviconTemplateUrl;
+
+    // Header visibility and favicon providers change how every element is built
+    if (previous.showColumnHeaders !== newData.showColumnHeaders ||
+        previous.showGroupHeaders !== newData.showGroupHeaders ||
+        faviconProvidersChanged) {
+      this.render();
+    } else {
+      this.patchBoard(previous.columns);
+      this.updateVisibilityClasses();
+
+      // Patched columns and groups may be new elements
+      if (this.arrangeMode) {
+        this.setupSortables();
+      }
+    }
+
+    if (newData.columns.length === 0) {
+      this.showEmptyState();
+    } else {
+      this.hideEmptyState();
+    }
+
+    if (JSON.stringify(WebSearch.getSettings(previous)) !== JSON.stringify(WebSearch.getSettings(newData))) {
+      this.renderWebSearch();
+    }
+
+    // Keep an open search applied to the updated cards
+    if (this.searchQuery) {
+      this.filterLinks(this.searchQuery);
+    }
+
+    this.updateRovingTabStop();
+
+    this.initializeShineEffect();
+  }
+
+  /**
+   * Setup the search box
+   * Typing anywhere on the page opens it; "/" opens it without typing.
+   */
+  setupSearch() {
+    const input = document.getElementById('search-input');
+
+    document.addEventListener('keydown', (e) => {
+      if (e.target === input || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      if (e.key === '/') {
+        e.preventDefault();
+        this.openSearch();
+      } else if (e.key.length === 1 && e.key !== ' ') {
+        // Focusing now lets the key land in the search field
+        this.openSearch();
+      }
+    });
+
+    input.addEventListener('input', () => {
+      this.filterLinks(input.value.trim());
+    });
+
+    input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.moveSearchSelection(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.moveSearchSelection(-1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this.openSearchResult(e.ctrlKey || e.metaKey);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.closeSearch();
+          break;
+      }
+    });
+
+    input.addEventListener('blur', () => {
+      if (!input.value.trim()) {
+        this.closeSearch();
+      }
+    });
+  }
+
+  /**
+   * Show the search box and focus it
+   * With the web search bar shown, that takes the search instead.
+   */
+  openSearch() {
+    if (this.webSearch && this.webSearch.enabled) {
+      document.getElementById('web-search-input').focus();
+      return;
+    }
+
+    document.getElementById('search-bar').classList.remove('hidden');
+    document.getElementById('search-input').focus();
+  }
+
+  /**
+   * Setup the web search bar
+   * Its text filters the board like the search box. Enter searches the web
+   * unless a link was picked with the arrow keys; a keyword and a space,
+   * such as "gh ", pick an engine for one search.
+   */
+  setupWebSearch() {
+    const form = document.getElementById('web-search-form');
+    const select = document.getElementById('web-search-engine');
+    const input = document.getElementById('web-search-input');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+    });
+
+    select.addEventListener('change', () => {
+      this.webSearchEngineId = select.value;
+      this.updateWebSearch();
+      input.focus();
+    });
+
+    input.addEventListener('input', () => {
+      this.updateWebSearch();
+    });
+
+    input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.moveSearchSelection(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.moveSearchSelection(-1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          if (this.searchResults[this.searchSelectedIndex]) {
+            this.openSearchResult(e.ctrlKey || e.metaKey);
+          } else {
+            this.submitWebSearch(e.ctrlKey || e.metaKey);
+          }
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.clearWebSearch();
+          break;
+      }
+    });
+  }
+
+  /**
+   * Show or hide the web search bar and list its engines
+   */
+  renderWebSearch() {
+    const settings = WebSearch.getSettings(this.data);
+    const bar = document.getElementById('web-search');
+    const select = document.getElementById('web-search-engine');
+
+    this.webSearch = settings;
+    bar.classList.toggle('hidden', !settings.enabled);
+    bar.dataset.placement = settings.placement;
+    document.body.classList.toggle('show-web-search', settings.enabled);
+
+    select.innerHTML = '';
+    settings.engines.forEach(engine => {
+      const option = document.createElement('option');
+      option.value = engine.id;
+      option.textContent = engine.name;
+      select.appendChild(option);
+    });
+    select.classList.toggle('hidden', settings.engines.length === 0);
+
+    if (!settings.engines.some(engine => engine.id === this.webSearchEngineId)) {
+      this.webSearchEngineId = settings.defaultEngine;
+    }
+
+    if (!settings.enabled) {
+      this.clearWebSearch();
+      return;
+    }
+
+    // The bar takes over from the search box
+    if (!document.getElementById('search-bar').classList.contains('hidden')) {
+      this.closeSearch();
+    }
+    this.updateWebSearch();
+  }
+
+  /**
+   * Work out the engine and terms in the web search bar
+   * @returns {Object} { engine, query, keyword } from WebSearch.parse()
+   */
+  parseWebSearch() {
+    const input = document.getElementById('web-search-input');
+    return WebSearch.parse(input.value, { ...this.webSearch, defaultEngine: this.webSearchEngineId });
+  }
+
+  /**
+   * Follow the web search bar's text: show its engine and filter the board
+   * A keyword is left out of the link filter.
+   */
+  updateWebSearch() {
+    const input = document.getElementById('web-search-input');
+    const { engine, query } = this.parseWebSearch();
+
+    document.getElementById('web-search-engine').value = engine ? engine.id : '';
+    input.placeholder = engine ? `Search ${engine.name} or your links` : 'Search your links';
+
+    const wasActive = this.webSearchActive;
+    this.webSearchActive = input.value.trim() !== '';
+    if (this.webSearchActive || wasActive) {
+      this.filterLinks(query);
+    }
+    if (!this.webSearchActive) {
+      document.getElementById('web-search-count').textContent = '';
+    }
+  }
+
+  /**
+   * Search the web for the web search bar's text
+   * @param {boolean} inNewTab - Open in a new tab instead of this one
+   */
+  submitWebSearch(inNewTab) {
+    const { engine, query } = this.parseWebSearch();
+    if (!engine || !query) return;
+
+    // Engines passed the Link Rules when saved; rules may have changed since
+    const check = UrlPolicy.check(WebSearch.buildUrl(engine, query));
+    if (!check.valid) {
+      document.getElementById('web-search-count').textContent = check.message;
+      return;
+    }
+
+    this.openLink(check.url, inNewTab);
+  }
+
+  /**
+   * Clear the web search bar, its engine choice and the board filter
+   */
+  clearWebSearch() {
+    const input = document.getElementById('web-search-input');
+    const wasActive = this.webSearchActive;
+
+    input.value = '';
+    this.webSearchActive = false;
+    this.webSearchEngineId = this.webSearch ? this.webSearch.defaultEngine : null;
+    document.getElementById('web-search-count').textContent = '';
+    input.blur();
+
+    if (wasActive) {
+      this.filterLinks('');
+    }
+    if (this.webSearch && this.webSearch.enabled) {
+      this.updateWebSearch();
+    }
+  }
+
+  /**
+   * Clear the search and hide the search box
+   */
+  closeSearch() {
+    const input = document.getElementById('search-input');
+    input.value = '';
+    this.filterLinks('');
+    document.getElementById('search-bar').classList.add('hidden');
+    input.blur();
+  }
+
+  /**
+   * Hide cards that don't match a query and rank the ones that do
+   * Groups and columns without a match are hidden too; the rest keep their place.
+   * @param {string} query - Search query (empty shows everything)
+   */
+  filterLinks(query) {
+    this.searchQuery = query;
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const container = document.getElementById('columns-container');
+    const results = [];
+
+    this.data.columns.forEach(column => {
+      const columnEl = container.querySelector(`.column[data-column-id="${CSS.escape(column.id)}"]`);
+      if (!columnEl) return;
+      let columnHasMatch = false;
+
+      (column.groups || []).forEach(group => {
+        const groupEl = columnEl.querySelector(`.group[data-group-id="${CSS.escape(group.id)}"]`);
+        if (!groupEl) return;
+        let groupHasMatch = false;
+
+        (group.links || []).forEach(link => {
+          const linkEl = groupEl.querySelector(`.link-card[data-link-id="${CSS.escape(link.id)}"]`);
+          if (!linkEl) return;
+
+          const score = terms.length > 0 ? this.scoreLink(terms, link, group, column) : 0;
+          linkEl.classList.toggle('search-hidden', score < 0);
+
+          if (score >= 0) {
+            groupHasMatch = true;
+            if (terms.length > 0) {
+              results.push({ element: linkEl, score, order: results.length });
+            }
+          }
+        });
+
+        groupEl.classList.toggle('search-hidden', terms.length > 0 && !groupHasMatch);
+        columnHasMatch = columnHasMatch || groupHasMatch;
+      });
+
+      columnEl.classList.toggle('search-hidden', terms.length > 0 && !columnHasMatch);
+    });
+
+    // Best match first; ties keep board order
+    results.sort((a, b) => b.score - a.score || a.order - b.order);
+    this.searchResults = results.map(result => result.element);
+    // In the web search bar, Enter searches the web until a link is picked
+    this.searchSelectedIndex = this.webSearchActive ? -1 : 0;
+    this.updateSearchSelection();
+    this.updateRovingTabStop();
+  }
+
+  /**
+   * Score a link against search terms
+   * Each term must match the link title, URL, group title or column name.
+   * @param {Array<string>} terms - Lowercased search terms
+   * @param {Object} link - Link data
+   * @param {Object} group - Group containing the link
+   * @param {Object} column - Column containing the group
+   * @returns {number} Total score, or -1 if any term does not match
+   */
+  scoreLink(terms, link, group, column) {
+    const fields = [
+      this.getLinkTitle(link),
+      link.url,
+      group.title,
+      column.name
+    ];
+    let total = 0;
+
+    for (const term of terms) {
+      const best = Math.max(...fields.map(field => fuzzyScore(term, field)));
+      if (best < 0) return -1;
+      total += best;
+    }
+
+    return total;
+  }
+
+  /**
+   * Move the search selection, wrapping around at either end
+   * @param {number} delta - 1 for next result, -1 for previous
+   */
+  moveSearchSelection(delta) {
+    const count = this.searchResults.length;
+    if (count === 0) return;
+
+    if (this.searchSelectedIndex === -1) {
+      this.searchSelectedIndex = delta > 0 ? 0 : count - 1;
+    } else {
+      this.searchSelectedIndex = (this.searchSelectedIndex + delta + count) % count;
+    }
+    this.updateSearchSelection();
+  }
+
+  /**
+   * Highlight the selected search result and update the result count
+   */
+  updateSearchSelection() {
+    document.querySelectorAll('.link-card.search-selected').forEach(el => {
+      el.classList.remove('search-selected');
+    });
+
+    const countEl = document.getElementById(this.webSearchActive ? 'web-search-count' : 'search-count');
+    const selected = this.searchResults[this.searchSelectedIndex];
+    const count = this.searchResults.length;
+
+    if (!this.searchQuery) {
+      countEl.textContent = '';
+    } else if (count === 0) {
+      countEl.textContent = 'No matches';
+    } else if (!selected) {
+      countEl.textContent = `${count} ${count === 1 ? 'link' : 'links'}`;
+    } else {
+      countEl.textContent = `${this.searchSelectedIndex + 1} of ${this.searchResults.length}`;
+      selected.classList.add('search-selected');
+      this.scrollCardIntoView(selected);
+    }
+  }
+
+  /**
+   * Open the selected search result
+   * @param {boolean} inNewTab - Open in a new tab instead of this one
+   */
+  openSearchResult(inNewTab) {
+    const selected = this.searchResults[this.searchSelectedIndex];
+    if (!selected) return;
+
+    this.activateLink(selected, inNewTab);
+  }
+
+  /**
+   * Follow a link card, or show the copy panel for a bookmarklet or the
+   * value prompt for a quick search
+   * @param {Element} card - Link card
+   * @param {boolean} inNewTab - Open in a new tab instead of this one
+   */
+  activateLink(card, inNewTab) {
+    if (card.classList.contains('link-bookmarklet')) {
+      this.showBookmarklet(card);
+    } else if (card.classList.contains('link-quick-search')) {
+      this.showQuickSearch(card, inNewTab);
+    } else {
+      this.openLink(card.querySelector('.link-content').href, inNewTab);
+    }
+  }
+
+  /**
+   * Open a link in this tab or a new one
+   * @param {string} href - Link URL
+   * @param {boolean} inNewTab - Open in a new tab instead of this one
+   */
+  openLink(href, inNewTab) {
+    if (inNewTab) {
+      window.open(href, '_blank');
+    } else {
+      window.location.href = href;
+    }
+  }
+
+  /**
+   * Build the command palette commands for this page
+   * Actions that need the options page open it with a command in the URL.
+   * @returns {Array<Object>} Commands
+   */
+  getPaletteCommands() {
+    return CommandPalette.buildCommands(this.data, {
+      openLink: (url, inNewTab) => this.openLink(this.normalizeUrl(url), inNewTab),
+      showBookmarklet: (link) => {
+        const card = document.querySelector(`#columns-container .link-card[data-link-id="${CSS.escape(link.id)}"]`);
+        if (card) this.showBookmarklet(card);
+      },
+      showQuickSearch: (link, inNewTab) => {
+        const card = document.querySelector(`#columns-container .link-card[data-link-id="${CSS.escape(link.id)}"]`);
+        if (card) this.showQuickSearch(card, inNewTab);
+      },
+      openPanel: (panelId) => {
+        window.location.href = `options.html#${panelId}`;
+      },
+      applySetting: async (update) => {
+        // Written at once; the storage listener updates the page
+        await update();
+        await StorageManager.save.flush();
+      },
+      exportBackup: (type) => {
+        window.location.href = `options.html?command=export-${type}#general`;
+      },
+      addLink: (groupId) => {
+        window.location.href = `options.html?command=add-link&group=${encodeURIComponent(groupId)}#content`;
+      },
+      selectBoard: (boardId) => this.selectBoard(boardId),
+      toggleEditMode: () => this.toggleEditMode(),
+      toggleArrangeMode: () => this.toggleArrangeMode()
+    }, this.storedData.boards);
+  }
+
+  /**
+   * Setup roving-focus keyboard navigation
+   * Only one link card is in the Tab order at a time; arrow keys move
+   * between cards, so Tab leaves the board in one step.
+   */
+  setupKeyboardNavigation() {
+    const container = document.getElementById('columns-container');
+
+    // Clicking or tabbing onto a card makes it the roving tab stop
+    container.addEventListener('focusin', (e) => {
+      const card = e.target.closest('.link-card');
+      if (card) {
+        this.focusedLinkId = card.dataset.linkId;
+        this.updateRovingTabStop();
+      }
+    });
+
+    container.addEventListener('keydown', (e) => {
+      if (!e.target.matches('.link-content') || e.altKey) return;
+      const card = e.target.closest('.link-card');
+
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (this.editMode) {
+          this.startLinkEdit(card);
+        } else {
+          this.activateLink(card, e.ctrlKey || e.metaKey);
+        }
+        return;
+      }
+
+      if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+      const target = this.getNavigationTarget(card, e.key);
+      if (target !== undefined) {
+        e.preventDefault();
+        if (target) this.focusCard(target);
+      }
+    });
+
+    // Arrow keys with nothing focused enter the board at the roving tab stop
+    document.addEventListener('keydown', (e) => {
+      if (e.target !== document.body || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+
+      const anchor = container.querySelector('.link-content[tabindex="0"]');
+      if (anchor) {
+        e.preventDefault();
+        this.focusCard(anchor.closest('.link-card'));
+      }
+    });
+  }
+
+  /**
+   * Setup edit mode: inline link editing, adding and deleting on the board
+   * Changes are written through LinkManager; the storage listener then
+   * patches the board, so the page keeps its theme and scroll position.
+   */
+  setupEditMode() {
+    document.getElementById('edit-mode-btn').addEventListener('click', () => {
+      this.toggleEditMode();
+    });
+
+    document.getElementById('columns-container').addEventListener('click', (e) => {
+      if (!this.editMode) return;
+
+      const card = e.target.closest('.link-card');
+      if (e.target.closest('.link-delete-btn')) {
+        this.confirmDeleteLink(card);
+      } else if (e.target.closest('.link-edit-btn') || e.target.closest('.link-content')) {
+        // Links are edited, not followed, while in edit mode
+        e.preventDefault();
+        this.startLinkEdit(card);
+      } else if (e.target.closest('.group-add-link-btn')) {
+        this.startLinkAdd(e.target.closest('.group'));
+      }
+    });
+
+    // Escape outside an editor leaves edit mode
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.editMode) return;
+      if (e.target.closest && e.target.closest('input, textarea, .link-delete-confirm')) return;
+
+      this.toggleEditMode(false);
+    });
+  }
+
+  /**
+   * Turn edit mode on or off
+   * @param {boolean} [enabled] - New state (toggles when omitted)
+   */
+  toggleEditMode(enabled = !this.editMode) {
+    if (enabled && this.arrangeMode) {
+      this.toggleArrangeMode(false);
+    }
+
+    this.editMode = enabled;
+    document.body.classList.toggle('edit-mode', enabled);
+
+    const button = document.getElementById('edit-mode-btn');
+    button.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    button.title = enabled ? 'Done editing' : 'Edit board';
+
+    if (!enabled) {
+      this.closeEditors();
+    }
+  }
+
+  /**
+   * Setup arrange mode: drag links, groups and columns with Sortable
+   * Sortable runs in fallback mode, as DragScroll blocks native dragstart on
+   * the board; drag handles are buttons, so DragScroll leaves them alone and
+   * still pans the board from empty space. Sortable's auto-scroll moves the
+   * board while a drag is held near its edges.
+   */
+  setupArrangeMode() {
+    document.getElementById('arrange-mode-btn').addEventListener('click', () => {
+      this.toggleArrangeMode();
+    });
+
+    // Links are moved, not followed, while arranging
+    document.getElementById('columns-container').addEventListener('click', (e) => {
+      if (this.arrangeMode && e.target.closest('.link-content')) {
+        e.preventDefault();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.arrangeMode) return;
+      if (e.target.closest && e.target.closest('input, textarea')) return;
+
+      this.toggleArrangeMode(false);
+    });
+  }
+
+  /**
+   * Turn arrange mode on or off
+   * @param {boolean} [enabled] - New state (toggles when omitted)
+   * @returns {Promise<void>}
+   */
+  async toggleArrangeMode(enabled = !this.arrangeMode) {
+    if (enabled && this.editMode) {
+      this.toggleEditMode(false);
+    }
+
+    if (enabled) {
+      try {
+        await this.loadSortable();
+      } catch (error) {
+        console.error('Failed to load Sortable:', error);
+        return;
+      }
+    }
+
+    this.arrangeMode = enabled;
+    document.body.classList.toggle('arrange-mode', enabled);
+
+    const button = document.getElementById('arrange-mode-btn');
+    button.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    button.title = enabled ? 'Done arranging' : 'Arrange board';
+
+    if (enabled) {
+      this.setupSortables();
+    } else {
+      this.destroySortables();
+    }
+  }
+
+  /**
+   * Load the vendored Sortable library on first use
+   * @returns {Promise<void>}
+   */
+  async loadSortable() {
+    if (typeof Sortable !== 'undefined') return;
+
+    const script = document.createElement('script');
+    script.src = 'vendor/sortable/sortable.js';
+    document.head.appendChild(script);
+
+    await new Promise((resolve, reject) => {
+      script.onload = resolve;
+      script.onerror = reject;
+    });
+  }
+
+  /**
+   * Attach Sortable to the columns, each column's groups and each group's links
+   * Rebuilt after every render, as patching can replace containers.
+   */
+  setupSortables() {
+    this.destroySortables();
+
+    const container = document.getElementById('columns-container');
+    const options = {
+      animation: 150,
+      forceFallback: true,
+      fallbackOnBody: true,
+      scroll: true,
+      scrollSensitivity: 80,
+      scrollSpeed: 20,
+      ghostClass: 'sortable-ghost',
+      chosenClass: 'sortable-chosen',
+      dragClass: 'sortable-drag'
+    };
+
+    this.sortables.push(new Sortable(container, {
+      ...options,
+      handle: '.column-drag-handle',
+      draggable: '.column',
+      onEnd: (evt) => {
+        if (evt.oldIndex === evt.newIndex) return;
+
+        const columnIds = Array.from(container.children).map(el => el.dataset.columnId);
+        this.saveArrangement(() => ColumnManager.reorderColumns(columnIds, this.activeBoardId));
+      }
+    }));
+
+    container.querySelectorAll('.column').forEach(columnEl => {
+      const groupsContainer = columnEl.querySelector('.groups-container');
+
+      this.sortables.push(new Sortable(groupsContainer, {
+        ...options,
+        handle: '.group-drag-handle',
+        draggable: '.group',
+        onEnd: (evt) => {
+          if (evt.oldIndex === evt.newIndex) return;
+
+          const groupIds = Array.from(groupsContainer.children).map(el => el.dataset.groupId);
+          this.saveArrangement(() => GroupManager.reorderGroups(columnEl.dataset.columnId, groupIds));
+        }
+      }));
+
+      columnEl.querySelectorAll('.group-links').forEach(linksList => {
+        this.sortables.push(new Sortable(linksList, {
+          ...options,
+          group: 'board-links',
+          draggable: '.link-card',
+          onEnd: (evt) => this.handleLinkDrop(evt)
+        }));
+      });
+    });
+  }
+
+  /**
+   * Remove all Sortable instances
+   */
+  destroySortables() {
+    this.sortables.forEach(sortable => sortable.destroy());
+    this.sortables = [];
+  }
+
+  /**
+   * Persist a dropped link, within its group or into another one
+   * Positions come from the DOM, which includes cards hidden by search.
+   * @param {Object} evt - Sortable onEnd event
+   */
+  handleLinkDrop(evt) {
+    const linkId = evt.item.dataset.linkId;
+    const from = this.getElementLocation(evt.from);
+    const to = this.getElementLocation(evt.to);
+    const children = Array.from(evt.to.children);
+
+    if (from.groupId === to.groupId) {
+      if (evt.oldIndex === evt.newIndex) return;
+
+      const linkIds = children.map(el => el.dataset.linkId);
+      this.saveArrangement(() => LinkManager.reorderLinks(to.columnId, to.groupId, linkIds));
+    } else {
+      const toIndex = children.indexOf(evt.item);
+      this.saveArrangement(() => LinkManager.moveLink(from.columnId, from.groupId, linkId, to.columnId, to.groupId, toIndex));
+    }
+  }
+
+  /**
+   * Write an arrangement change, putting the board back if it fails
+   * @param {Function} write - Async LinkManager/GroupManager/ColumnManager call
+   * @returns {Promise<void>}
+   */
+  async saveArrangement(write) {
+    try {
+      await write();
+      await StorageManager.save.flush();
+    } catch (error) {
+      console.error('Failed to save arrangement:', error);
+      this.showError(`Failed to move item: ${error.message}`);
+      this.render();
+    }
+  }
+
+  /**
+   * Get the column and group a rendered element belongs to
+   * @param {Element} element - Element inside a group
+   * @returns {Object} { columnId, groupId }
+   */
+  getElementLocation(element) {
+    return {
+      columnId: element.closest('.column').dataset.columnId,
+      groupId: element.closest('.group').dataset.groupId
+    };
+  }
+
+  /**
+   * Replace a link card's content with an inline title/URL editor
+   * @param {Element} card - Link card
+   */
+  startLinkEdit(card) {
+    if (card.classList.contains('editing')) return;
+
+    const link = this.findLinkById(card.dataset.linkId);
+    if (!link) return;
+
+    this.closeEditors();
+    const { columnId, groupId } = this.getElementLocation(card);
+
+    const form = this.createLinkEditor(link, async ({ title, url }) => {
+      const updates = { title };
+      if (url !== null) updates.url = url;
+
+      await LinkManager.updateLink(columnId, groupId, link.id, updates);
+      await StorageManager.save.flush();
+    });
+
+    card.classList.add('editing');
+    card.appendChild(form);
+    form.querySelector('.link-editor-title').focus();
+  }
+
+  /**
+   * Show an empty link editor at the end of a group
+   * @param {Element} groupEl - Group element
+   */
+  startLinkAdd(groupEl) {
+    const actions = groupEl.querySelector('.group-edit-actions');
+    if (actions.classList.contains('editing')) return;
+
+    this.closeEditors();
+    const { columnId, groupId } = this.getElementLocation(groupEl);
+
+    const form = this.createLinkEditor(null, async ({ title, url }) => {
+      await LinkManager.addLink(columnId, groupId, { title, url });
+      await StorageManager.save.flush();
+    });
+
+    actions.classList.add('editing');
+    actions.appendChild(form);
+    form.querySelector('.link-editor-url').focus();
+  }
+
+  /**
+   * Build an inline link editor
+   * A javascript: URL saves the link as a bookmarklet when the Link Rules allow them.
+   * @param {Object|null} link - Link being edited, or null for a new link
+   * @param {Function} onSave - async ({ title, url }) => void, url null when unchanged; throws to show an error
+   * @returns {Element} Editor form
+   */
+  createLinkEditor(link, onSave) {
+    const form = this.templates.linkEditor.content.cloneNode(true).querySelector('.link-editor');
+    const titleInput = form.querySelector('.link-editor-title');
+    const urlInput = form.querySelector('.link-editor-url');
+    const saveBtn = form.querySelector('.link-editor-save');
+
+    titleInput.value = link ? link.title || '' : '';
+    urlInput.value = link ? Bookmarklets.getInput(link) : '';
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const title = titleInput.value.trim();
+      const enteredUrl = urlInput.value.trim();
+      const urlChanged = !link || enteredUrl !== Bookmarklets.getInput(link);
+      const check = Bookmarklets.checkInput(enteredUrl);
+
+      if (!enteredUrl) {
+        this.showEditorError(form, 'Enter a URL');
+        return;
+      }
+      // Links saved under older rules can still be renamed
+      if (urlChanged && !check.valid) {
+        this.showEditorError(form, check.message);
+        return;
       }
 
-      // Check if we're in empty state (no columns)
-      const isEmptyState = this.data.columns.length === 0;
+      saveBtn.disabled = true;
+      try {
+        await onSave({ title, url: urlChanged ? enteredUrl : null });
+        this.closeEditors();
+      } catch (error) {
+        console.error('Failed to save link:', error);
+        this.showEditorError(form, error.message || 'Failed to save link');
+        saveBtn.disabled = false;
+      }
+    });
 
-      // Initialize theme manager
-      if (isEmptyState) {
-        // Empty state: force browser theme and bypass custom CSS
-        this.themeManager = await initializeTheming({
-          themeMode: 'browser',
-          selectedPresetTheme: 'light',
-          customCss: '',
-          // Theme-specific CSS disabled
-          lightCss: '',
-          lightCssEnabled: false,
-          darkCss: '',
-          darkCssEnabled: false,
-          glassLightCss: '',
-          glassLightCssEnabled: false,
-          glassDarkCss: '',
-          glassDarkCssEnabled: false,
-          acrylicLightCss: '',
-          acrylicLightCssEnabled: false,
-          acrylicDarkCss: '',
-          acrylicDarkCssEnabled: false,
-          browserCss: '',
-          browserCssEnabled: false,
-          // Display settings
-          shineEffectEnabled: this.data.shineEffectEnabled !== undefined ? this.data.shineEffectEnabled : true,
-          baseFontSize: this.data.baseFontSize || 16,
-          uiScale: this.data.uiScale || 1.0,
-          columnWidthBase: this.data.columnWidthBase || 320,
-          // Background settings
-          backgroundDataUri: this.data.backgroundDataUri,
-          backgroundSize: effectiveBackgroundSize,
-          backgroundRepeat: this.data.backgroundRepeat,
-          backgroundPosition: this.data.backgroundPosition,
-          pageBackgroundColor: this.data.pageBackgroundColor
-        });
-      } else {
-        // Normal state: use user's theme settings
-        this.themeManager = await initializeTheming({
-          themeMode: this.data.themeMode || 'browser',
-          selectedPresetTheme: this.data.selectedPresetTheme || 'light',
-          customCss: this.data.customCss || '',
-          // Theme-specific CSS
-          lightCss: this.data.lightCss || '',
-          lightCssEnabled: this.data.lightCssEnabled || false,
-          darkCss: this.data.darkCss || '',
-          darkCssEnabled: this.data.darkCssEnabled || false,
-          glassLightCss: this.data.glassLightCss || '',
-          glassLightCssEnabled: this.data.glassLightCssEnabled || false,
-          glassDarkCss: this.data.glassDarkCss || '',
-          glassDarkCssEnabled: this.data.glassDarkCssEnabled || false,
-          acrylicLightCss: this.data.acrylicLightCss || '',
-          acrylicLightCssEnabled: this.data.acrylicLightCssEnabled || false,
-          acrylicDarkCss: this.data.acrylicDarkCss || '',
-          acrylicDarkCssEnabled: this.data.acrylicDarkCssEnabled || false,
-          browserCss: this.data.browserCss || '',
-          browserCssEnabled: this.data.browserCssEnabled || false,
-          // Display settings
-          revealHighlightEnabled: this.data.revealHighlightEnabled !== undefined ? this.data.revealHighlightEnabled : true,
-          baseFontSize: this.data.baseFontSize || 16,
-          uiScale: this.data.uiScale || 1.0,
-          columnWidthBase: this.data.columnWidthBase || 320,
-          // Background settings
-          backgroundDataUri: this.data.backgroundDataUri,
-          backgroundSize: effectiveBackgroundSize,
-          backgroundRepeat: this.data.backgroundRepeat,
-          backgroundPosition: this.data.backgroundPosition,
-          pageBackgroundColor: this.data.pageBackgroundColor
-        });
+    form.querySelector('.link-editor-cancel').addEventListener('click', () => {
+      this.closeEditors();
+    });
+
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeEditors();
       }
+    });
 
-      // Initialize drag scrolling
-      const boardContainer = document.getElementById('board-container');
-      this.dragScrollInstance = initializeDragScroll(boardContainer);
+    return form;
+  }
 
-      // Render the board
-      this.render();
+  /**
+   * Ask for confirmation inside a link card before deleting it
+   * @param {Element} card - Link card
+   */
+  confirmDeleteLink(card) {
+    const link = this.findLinkById(card.dataset.linkId);
+    if (!link) return;
 
-      // Setup event listeners
-      this.setupEventListeners();
+    this.closeEditors();
+    const { columnId, groupId } = this.getElementLocation(card);
 
-      // Hide loading state
-      this.hideLoading();
+    const confirmEl = this.templates.linkDelete.content.cloneNode(true).querySelector('.link-delete-confirm');
+    confirmEl.querySelector('.link-delete-message').textContent =
+      `Delete "${this.getLinkTitle(link)}"?`;
 
-      // Show empty state if no columns
-      if (this.data.columns.length === 0) {
-        this.showEmptyState();
+    confirmEl.querySelector('.link-delete-cancel').addEventListener('click', () => {
+      this.closeEditors();
+    });
+
+    confirmEl.querySelector('.link-delete-confirm-btn').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      try {
+        await LinkManager.deleteLink(columnId, groupId, link.id);
+        await StorageManager.save.flush();
+        this.closeEditors();
+      } catch (error) {
+        console.error('Failed to delete link:', error);
+        this.showEditorError(confirmEl, 'Failed to delete link');
+        e.target.disabled = false;
       }
+    });
 
-      // Apply column animations if enabled
-      if (this.data.columnAnimationEnabled) {
-        this.loadAndApplyAnimations();
+    confirmEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeEditors();
       }
+    });
 
-      // Initialize shine effect if enabled
-      this.initializeShineEffect();
+    card.classList.add('editing');
+    card.appendChild(confirmEl);
+    // Default to the safe choice
+    confirmEl.querySelector('.link-delete-cancel').focus();
+  }
 
-    } catch (error) {
-      console.error('Failed to initialize new tab page:', error);
-      this.showError('Failed to load your boards. Please try refreshing the page.');
+  /**
+   * Setup bookmarklet cards
+   * Extension pages can't run javascript: URLs, and this one mustn't, so a
+   * click shows the code with a button that copies it for a browser bookmark.
+   */
+  setupBookmarklets() {
+    document.getElementById('columns-container').addEventListener('click', (e) => {
+      if (this.editMode || this.arrangeMode) return;
+
+      const card = e.target.closest('.link-bookmarklet');
+      if (card && e.target.closest('.link-content')) {
+        e.preventDefault();
+        this.showBookmarklet(card);
+      }
+    });
+  }
+
+  /**
+   * Show a bookmarklet's code inside its card, with a button to copy it
+   * An imported bookmarklet has to be trusted before it can be copied.
+   * @param {Element} card - Bookmarklet card
+   */
+  showBookmarklet(card) {
+    if (card.classList.contains('editing')) return;
+
+    const link = this.findLinkById(card.dataset.linkId);
+    if (!link) return;
+
+    this.closeEditors();
+    const { columnId, groupId } = this.getElementLocation(card);
+
+    const panel = this.templates.linkBookmarklet.content.cloneNode(true).querySelector('.link-bookmarklet-panel');
+    const messageEl = panel.querySelector('.link-bookmarklet-message');
+    const copyBtn = panel.querySelector('.link-bookmarklet-copy');
+    const cancelBtn = panel.querySelector('.link-bookmarklet-cancel');
+    const howTo = 'paste it as the URL of a browser bookmark, then click that bookmark on the page it is for.';
+    const needsTrust = link.reviewed === false;
+
+    panel.querySelector('.link-bookmarklet-code').textContent = Bookmarklets.toUrl(link);
+
+    if (!UrlPolicy.getPolicy().allowBookmarklets) {
+      messageEl.textContent = 'Bookmarklets are turned off (see General › Link Rules).';
+      copyBtn.classList.add('hidden');
+    } else if (needsTrust) {
+      messageEl.textContent = 'This bookmarklet was imported. Read its code and trust it only if you know what it does.';
+      copyBtn.textContent = 'Trust';
+    } else {
+      messageEl.textContent = `Copy it, ${howTo}`;
     }
+
+    cancelBtn.addEventListener('click', () => {
+      this.closeEditors();
+    });
+
+    copyBtn.addEventListener('click', async () => {
+      copyBtn.disabled = true;
+      try {
+        if (needsTrust) {
+          // The card is redrawn without its warning, ready to copy
+          await LinkManager.updateLink(columnId, groupId, link.id, { reviewed: true });
+          await StorageManager.save.flush();
+          return;
+        }
+
+        await Bookmarklets.copy(link);
+        messageEl.textContent = `Copied. Now ${howTo}`;
+        copyBtn.classList.add('hidden');
+        cancelBtn.textContent = 'Close';
+        cancelBtn.focus();
+      } catch (error) {
+        console.error('Failed to use bookmarklet:', error);
+        this.showEditorError(panel, needsTrust ? 'Failed to save link' : 'Could not copy to the clipboard');
+        copyBtn.disabled = false;
+      }
+    });
+
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeEditors();
+      }
+    });
+
+    card.classList.add('editing');
+    card.appendChild(panel);
+    (copyBtn.classList.contains('hidden') ? cancelBtn : copyBtn).focus();
   }
 
   /**
-   * Load HTML templates
+   * Setup quick search cards
+   * The selection is read on pointerdown, before the click clears it, so
+   * {selection} can be filled in with what was selected.
    */
-  loadTemplates() {
-    this.templates.column = document.getElementById('column-template');
-    this.templates.group = document.getElementById('group-template');
-    this.templates.link = document.getElementById('link-template');
+  setupQuickSearch() {
+    const container = document.getElementById('columns-container');
+
+    container.addEventListener('pointerdown', () => {
+      this.pointerSelection = window.getSelection().toString();
+    }, true);
+
+    container.addEventListener('click', (e) => {
+      if (this.editMode || this.arrangeMode) return;
+
+      const card = e.target.closest('.link-quick-search');
+      if (card && e.target.closest('.link-content')) {
+        e.preventDefault();
+        this.showQuickSearch(card, e.ctrlKey || e.metaKey, this.pointerSelection);
+      }
+    });
   }
 
   /**
-   * Setup event listeners
+   * Ask for a quick search link's values inside its card, then open it
+   * A template with nothing to ask for, such as one with only {date}, opens at once.
+   * @param {Element} card - Quick search card
+   * @param {boolean} inNewTab - Open in a new tab instead of this one
+   * @param {string} [selection] - Text to fill {selection} in with; the current selection if left out
    */
-  setupEventListeners() {
-    // Settings button
-    document.getElementById('settings-btn').addEventListener('click', () => {
-      chrome.runtime.openOptionsPage();
+  showQuickSearch(card, inNewTab, selection = window.getSelection().toString()) {
+    if (card.classList.contains('editing')) return;
+
+    const link = this.findLinkById(card.dataset.linkId);
+    if (!link) return;
+
+    this.closeEditors();
+
+    const form = this.templates.linkQuickSearch.content.cloneNode(true).querySelector('.link-quick-search-form');
+    const fieldsEl = form.querySelector('.link-quick-search-fields');
+    const inputs = QuickSearch.getFields(link.url).map(field => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = field.name;
+      input.placeholder = field.label;
+      input.setAttribute('aria-label', field.label);
+      if (field.fromSelection) input.value = selection.trim();
+      fieldsEl.appendChild(input);
+      return input;
     });
 
-    // Open settings button (empty state)
-    document.getElementById('open-settings-btn').addEventListener('click', () => {
-      chrome.runtime.openOptionsPage();
+    // Returns whether the link was opened
+    const open = (newTab) => {
+      const values = {};
+      inputs.forEach(input => {
+        values[input.name] = input.value.trim();
+      });
+
+      const empty = inputs.find(input => !values[input.name]);
+      if (empty) {
+        this.showEditorError(form, `Enter a value for "${empty.placeholder}"`);
+        empty.focus();
+        return false;
+      }
+
+      // The template passed the Link Rules when saved; rules may have changed since
+      const check = UrlPolicy.check(QuickSearch.expand(link.url, values));
+      if (!check.valid) {
+        this.showEditorError(form, check.message);
+        return false;
+      }
+
+      this.closeEditors();
+      this.openLink(check.url, newTab);
+      return true;
+    };
+
+    if (inputs.length === 0 && open(inNewTab)) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      open(inNewTab);
     });
 
-    // Handle favicon load errors - scoped to columns container
-    document.querySelector('#columns-container').addEventListener('error', (e) => {
-      if (e.target.tagName === 'IMG' && e.target.classList.contains('link-icon')) {
-        this.handleFaviconError(e.target);
+    form.addEventListener('keydown', (e) => {
+      // Ctrl+Enter opens in a new tab, like Ctrl+click
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        open(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeEditors();
       }
-    }, true);
+    });
+
+    form.querySelector('.link-editor-cancel').addEventListener('click', () => {
+      this.closeEditors();
+    });
+
+    card.classList.add('editing');
+    card.appendChild(form);
+
+    const first = inputs.find(input => !input.value) || inputs[0];
+    if (first) {
+      first.focus();
+      first.select();
+    } else {
+      form.querySelector('.link-editor-cancel').focus();
+    }
   }
 
   /**
-   * Render the entire board
+   * Show an error message inside an editor
+   * @param {Element} editor - Editor or confirmation element
+   * @param {string} message - Error message
    */
-  render() {
+  showEditorError(editor, message) {
+    const errorEl = editor.querySelector('.link-editor-error');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  }
+
+  /**
+   * Close any open link editor or delete confirmation
+   */
+  closeEditors() {
+    const container = document.getElementById('columns-container');
+
+    container.querySelectorAll('.link-editor, .link-delete-confirm, .link-bookmarklet-panel').forEach(el => el.remove());
+    container.querySelectorAll('.editing').forEach(el => el.classList.remove('editing'));
+  }
+
+  /**
+   * Get the visible link cards, grouped by column in board order
+   * Columns without visible cards are left out.
+   * @returns {Array<Array<Element>>} Cards per column
+   */
+  getNavigableColumns() {
+    const container = document.getElementById('columns-container');
+
+    return Array.from(container.querySelectorAll('.column:not(.search-hidden)'))
+      .map(columnEl => Array.from(columnEl.querySelectorAll('.group:not(.search-hidden) .link-card:not(.search-hidden)')))
+      .filter(cards => cards.length > 0);
+  }
+
+  /**
+   * Work out which card a navigation key moves to
+   * @param {Element} card - Currently focused card
+   * @param {string} key - KeyboardEvent.key
+   * @returns {Element|null|undefined} Card to focus, null if at an edge, undefined if the key is not a navigation key
+   */
+  getNavigationTarget(card, key) {
+    const columns = this.getNavigableColumns();
+    const columnIndex = columns.findIndex(cards => cards.includes(card));
+    if (columnIndex === -1) return undefined;
+
+    const cards = columns[columnIndex];
+    const index = cards.indexOf(card);
+
+    switch (key) {
+      case 'ArrowDown':
+        return cards[index + 1] || null;
+      case 'ArrowUp':
+        return cards[index - 1] || null;
+      case 'Home':
+        return cards[0];
+      case 'End':
+        return cards[cards.length - 1];
+      case 'PageDown':
+        return columns[columnIndex + 1] ? columns[columnIndex + 1][0] : null;
+      case 'PageUp':
+        return columns[columnIndex - 1] ? columns[columnIndex - 1][0] : null;
+      case 'ArrowRight':
+      case 'ArrowLeft': {
+        const nextColumn = columns[columnIndex + (key === 'ArrowRight' ? 1 : -1)];
+        return nextColumn ? this.getNearestCard(nextColumn, card) : null;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Find the card in a column closest in height to a reference card
+   * @param {Array<Element>} cards - Cards in the target column
+   * @param {Element} card - Reference card
+   * @returns {Element} Closest card
+   */
+  getNearestCard(cards, card) {
+    const rect = card.getBoundingClientRect();
+    const center = rect.top + rect.height / 2;
+    let nearest = cards[0];
+    let nearestDistance = Infinity;
+
+    cards.forEach(candidate => {
+      const candidateRect = candidate.getBoundingClientRect();
+      const distance = Math.abs(candidateRect.top + candidateRect.height / 2 - center);
+      if (distance < nearestDistance) {
+        nearest = candidate;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Focus a link card and scroll it into view
+   * @param {Element} card - Link card
+   */
+  focusCard(card) {
+    this.focusedLinkId = card.dataset.linkId;
+    this.updateRovingTabStop();
+    card.querySelector('.link-content').focus({ preventScroll: true });
+    this.scrollCardIntoView(card);
+  }
+
+  /**
+   * Scroll a card into view: vertically within its column, horizontally on the board
+   * @param {Element} card - Link card
+   */
+  scrollCardIntoView(card) {
+    const list = card.closest('.groups-container');
+    if (list) {
+      const cardRect = card.getBoundingClientRect();
+      const listRect = list.getBoundingClientRect();
+
+      if (cardRect.top < listRect.top) {
+        list.scrollTop -= listRect.top - cardRect.top;
+      } else if (cardRect.bottom > listRect.bottom) {
+        list.scrollTop += cardRect.bottom - listRect.bottom;
+      }
+    }
+
+    const columnEl = card.closest('.column');
+    if (columnEl && this.dragScrollInstance) {
+      this.dragScrollInstance.scrollToElement(columnEl);
+    }
+  }
+
+  /**
+   * Make exactly one visible card reachable with Tab
+   * Keeps the last focused card when it is still visible, otherwise the first card.
+   */
+  updateRovingTabStop() {
+    const cards = this.getNavigableColumns().flat();
+    const stop = cards.find(card => card.dataset.linkId === this.focusedLinkId) || cards[0];
+
+    document.querySelectorAll('#columns-container .link-content[tabindex="0"]').forEach(anchor => {
+      anchor.tabIndex = -1;
+    });
+
+    if (stop) {
+      stop.querySelector('.link-content').tabIndex = 0;
+    }
+  }
+
+  /**
+   * Update the rendered board to match this.data, reusing unchanged elements
+   * @param {Array} previousColumns - Columns the board was last rendered from
+   */
+  patchBoard(previousColumns) {
     const container = document.getElementById('columns-container');
-    container.innerHTML = '';
 
     const maxColumns = 50;
     if (this.data.columns.length > maxColumns) {
@@ -183,13 +1664,150 @@ class NewTabApp {
       this.data.columns = this.data.columns.slice(0, maxColumns);
     }
 
-    this.data.columns.forEach(column => {
-      const columnElement = this.createColumnElement(column);
-      container.appendChild(columnElement);
+    this.reconcileElements(container, this.data.columns, previousColumns, 'columnId',
+      column => this.createColumnElement(column),
+      (columnEl, previousColumn, column) => this.patchColumnElement(columnEl, previousColumn, column)
+    );
+  }
+
+  /**
+   * Patch a rendered column
+   * The column shell is rebuilt only when its own fields changed; its groups
+   * are carried over and patched individually.
+   * @param {Element} columnEl - Rendered column element
+   * @param {Object} previousColumn - Column data it was rendered from
+   * @param {Object} column - New column data
+   * @returns {Element} Element to keep in place of columnEl
+   */
+  patchColumnElement(columnEl, previousColumn, column) {
+    const ownFieldsChanged = previousColumn.name !== column.name ||
+      previousColumn.customClasses !== column.customClasses;
+
+    if (ownFieldsChanged) {
+      const shellEl = this.createColumnElement({ ...column, groups: [] });
+      shellEl.querySelector('.groups-container')
+        .append(...columnEl.querySelector('.groups-container').children);
+      columnEl = shellEl;
+    }
+
+    this.reconcileElements(columnEl.querySelector('.groups-container'), column.groups || [], previousColumn.groups || [], 'groupId',
+      group => this.createGroupElement(group),
+      (groupEl, previousGroup, group) => this.patchGroupElement(groupEl, previousGroup, group)
+    );
+
+    const isEmpty = !column.groups || column.groups.length === 0 ||
+                    column.groups.every(group => !Widgets.isWidget(group) && (!group.links || group.links.length === 0));
+    columnEl.classList.toggle('empty-column', isEmpty);
+
+    return columnEl;
+  }
+
+  /**
+   * Patch a rendered group
+   * @param {Element} groupEl - Rendered group element
+   * @param {Object} previousGroup - Group data it was rendered from
+   * @param {Object} group - New group data
+   * @returns {Element} Element to keep in place of groupEl
+   */
+  patchGroupElement(groupEl, previousGroup, group) {
+    if (Widgets.isWidget(group) || Widgets.isWidget(previousGroup)) {
+      return this.patchWidgetElement(groupEl, previousGroup, group);
+    }
+
+    const ownFieldsChanged = previousGroup.title !== group.title ||
+      previousGroup.customClasses !== group.customClasses;
+
+    if (ownFieldsChanged) {
+      const shellEl = this.createGroupElement({ ...group, links: [] });
+      shellEl.querySelector('.group-links')
+        .append(...groupEl.querySelector('.group-links').children);
+      groupEl = shellEl;
+    }
+
+    this.reconcileElements(groupEl.querySelector('.group-links'), group.links || [], previousGroup.links || [], 'linkId',
+      link => this.createLinkElement(link),
+      (linkEl, previousLink, link) => this.getLinkFingerprint(previousLink) === this.getLinkFingerprint(link)
+        ? linkEl
+        : this.createLinkElement(link)
+    );
+
+    return groupEl;
+  }
+
+  /**
+   * Patch a rendered widget group
+   * A changed widget is drawn again; focus inside it, such as the field a
+   * checklist item was just added from, moves to the same control.
+   * @param {Element} groupEl - Rendered group element
+   * @param {Object} previousGroup - Group data it was rendered from
+   * @param {Object} group - New group data
+   * @returns {Element} Element to keep in place of groupEl
+   */
+  patchWidgetElement(groupEl, previousGroup, group) {
+    const { updatedAt: previousUpdatedAt, ...previousFields } = previousGroup;
+    const { updatedAt, ...fields } = group;
+    if (JSON.stringify(previousFields) === JSON.stringify(fields)) return groupEl;
+
+    const focused = groupEl.contains(document.activeElement) ? document.activeElement.dataset.focusKey : null;
+    const nextEl = this.createGroupElement(group);
+
+    if (focused) {
+      // After reconcileElements() has put the new element in place
+      queueMicrotask(() => {
+        const target = nextEl.querySelector(`[data-focus-key="${CSS.escape(focused)}"]`) ||
+          nextEl.querySelector('[data-focus-key="add"]');
+        if (target && !target.disabled) target.focus();
+      });
+    }
+
+    return nextEl;
+  }
+
+  /**
+   * Fingerprint the rendered fields of a link
+   * @param {Object} link - Link data
+   * @returns {string} Fingerprint
+   */
+  getLinkFingerprint(link) {
+    const { updatedAt, ...fields } = link;
+    return JSON.stringify(fields);
+  }
+
+  /**
+   * Make a container's children match a list of items, keyed by ID
+   * Elements for unchanged items stay in the DOM untouched, so open menus,
+   * hover state and loaded favicons survive the update.
+   * @param {Element} container - Parent element
+   * @param {Array<Object>} items - New items in display order
+   * @param {Array<Object>} previousItems - Items the container was rendered from
+   * @param {string} idKey - dataset key holding each element's item ID
+   * @param {Function} create - (item) => Element for items not yet rendered
+   * @param {Function} patch - (element, previousItem, item) => Element to keep
+   */
+  reconcileElements(container, items, previousItems, idKey, create, patch) {
+    const existing = new Map();
+    Array.from(container.children).forEach(el => existing.set(el.dataset[idKey], el));
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+
+    const elements = items.map(item => {
+      const el = existing.get(item.id);
+      const previousItem = previousById.get(item.id);
+      existing.delete(item.id);
+
+      if (!el || !previousItem) return create(item);
+
+      const next = patch(el, previousItem, item);
+      if (next !== el) el.replaceWith(next);
+      return next;
     });
 
-    // Update visibility classes
-    this.updateVisibilityClasses();
+    existing.forEach(el => el.remove());
+
+    elements.forEach((el, index) => {
+      if (container.children[index] !== el) {
+        container.insertBefore(el, container.children[index] || null);
+      }
+    });
   }
 
   /**
@@ -204,9 +1822,9 @@ class NewTabApp {
     // Set column data
     columnEl.dataset.columnId = column.id;
 
-    // Check if column is empty (no groups or all groups are empty)
+    // Check if column is empty (no groups, or only groups without links or a widget)
     const isEmpty = !column.groups || column.groups.length === 0 ||
-                    column.groups.every(group => !group.links || group.links.length === 0);
+                    column.groups.every(group => !Widgets.isWidget(group) && (!group.links || group.links.length === 0));
     if (isEmpty) {
       columnEl.classList.add('empty-column');
     }
@@ -289,6 +1907,11 @@ class NewTabApp {
       headerEl.remove();
     }
 
+    if (Widgets.isWidget(group)) {
+      this.renderWidget(groupEl, group);
+      return groupEl;
+    }
+
     // Render links
     const linksContainer = groupEl.querySelector('.group-links');
     if (group.links && group.links.length > 0) {
@@ -301,6 +1924,58 @@ class NewTabApp {
     return groupEl;
   }
 
+  /**
+   * Show a group's widget in place of its links
+   * The links list and add-link button are removed, so links can't be
+   * dropped or added into a widget.
+   * @param {Element} groupEl - Group element
+   * @param {Object} group - Widget group data
+   */
+  renderWidget(groupEl, group) {
+    const widgetEl = document.createElement('div');
+    widgetEl.className = 'group-widget';
+
+    groupEl.classList.add('widget-group');
+    groupEl.querySelector('.group-links').replaceWith(widgetEl);
+    groupEl.querySelector('.group-edit-actions').remove();
+
+    Widgets.render(widgetEl, group.widget, widget => this.saveWidget(groupEl, widget));
+  }
+
+  /**
+   * Save a widget changed on the board, such as a ticked checklist item
+   * @param {Element} groupEl - Group element
+   * @param {Object} widget - New widget settings
+   * @returns {Promise<void>}
+   */
+  async saveWidget(groupEl, widget) {
+    const { columnId } = this.getElementLocation(groupEl);
+
+    try {
+      await GroupManager.updateGroup(columnId, groupEl.dataset.groupId, { widget });
+      await StorageManager.save.flush();
+    } catch (error) {
+      console.error('Failed to save widget:', error);
+      this.showError(`Failed to save widget: ${error.message}`);
+    }
+  }
+
+  /**
+   * Setup clocks and countdowns, which update every second
+   */
+  setupWidgets() {
+    setInterval(() => {
+      const now = new Date();
+
+      document.querySelectorAll('#columns-container .group-widget[data-widget-live]').forEach(widgetEl => {
+        const group = this.findGroupById(widgetEl.closest('.group').dataset.groupId);
+        if (group && Widgets.isWidget(group)) {
+          Widgets.tick(widgetEl, group.widget, now);
+        }
+      });
+    }, 1000);
+  }
+
   /**
    * Create a link element
    * @param {Object} link - Link data
@@ -331,9 +2006,28 @@ class NewTabApp {
     const linkTitle = linkEl.querySelector('.link-title');
     const linkUrl = linkEl.querySelector('.link-url');
 
-    linkContent.href = this.normalizeUrl(link.url);
-    linkTitle.innerHTML = sanitizeText(link.title || this.extractDomainFromUrl(link.url));
-    linkUrl.textContent = this.formatUrlForDisplay(link.url);
+    linkContent.tabIndex = -1; // Reached with arrow keys; see updateRovingTabStop()
+    linkTitle.innerHTML = sanitizeText(this.getLinkTitle(link));
+
+    if (Bookmarklets.isBookmarklet(link)) {
+      // No href: the code is only ever copied, never run from this page
+      const badge = linkEl.querySelector('.link-badge');
+      linkEl.classList.add('link-bookmarklet');
+      linkEl.classList.toggle('link-bookmarklet-unreviewed', link.reviewed === false);
+      linkContent.removeAttribute('href');
+      linkContent.setAttribute('role', 'button');
+      badge.textContent = link.reviewed === false ? 'Bookmarklet · not reviewed' : 'Bookmarklet';
+      badge.classList.remove('hidden');
+    } else if (QuickSearch.isTemplate(link.url)) {
+      // No href: the URL is only complete once its values are filled in
+      linkEl.classList.add('link-quick-search');
+      linkContent.removeAttribute('href');
+      linkContent.setAttribute('role', 'button');
+      linkUrl.textContent = this.formatUrlForDisplay(link.url);
+    } else {
+      linkContent.href = this.normalizeUrl(link.url);
+      linkUrl.textContent = this.formatUrlForDisplay(link.url);
+    }
 
     // Set icon
     this.setLinkIcon(linkIcon, link);
@@ -342,20 +2036,20 @@ class NewTabApp {
   }
 
   /**
-   * Set link icon (favicon or custom)
+   * Set link icon (custom, or the cached favicon)
    * @param {Element} iconEl - Icon image element
    * @param {Object} link - Link data
    */
   setLinkIcon(iconEl, link) {
     if (link.iconDataUri) {
       iconEl.src = link.iconDataUri;
-    } else if (link.iconUrlOverride) {
-      iconEl.src = link.iconUrlOverride;
+    } else if (Bookmarklets.isBookmarklet(link)) {
+      iconEl.src = Bookmarklets.getIcon();
     } else {
-      iconEl.src = getFaviconUrl(link.url);
+      FaviconCache.applyTo(iconEl, link);
     }
 
-    iconEl.alt = link.title || this.extractDomainFromUrl(link.url);
+    iconEl.alt = this.getLinkTitle(link);
   }
 
   /**
@@ -369,8 +2063,8 @@ class NewTabApp {
     const linkId = linkCard.dataset.linkId;
     const link = this.findLinkById(linkId);
 
-    if (link && !link.iconDataUri && !link.iconUrlOverride) {
-      // Use letter avatar as fallback
+    // Try the link's next favicon provider, ending with its letter avatar
+    if (link && !link.iconDataUri && !FaviconCache.skip(iconEl, link)) {
       iconEl.src = generateLetterAvatar(link.url);
     }
   }
@@ -456,6 +2150,19 @@ class NewTabApp {
     return null;
   }
 
+  /**
+   * Find group by ID
+   * @param {string} groupId - Group ID
+   * @returns {Object|null} Group object or null
+   */
+  findGroupById(groupId) {
+    for (const column of this.data.columns) {
+      const group = (column.groups || []).find(g => g.id === groupId);
+      if (group) return group;
+    }
+    return null;
+  }
+
   /**
    * Sanitize CSS class names for security
    * @param {string} classes - Space-separated CSS class names
@@ -479,20 +2186,17 @@ class NewTabApp {
    * @returns {string} Normalized URL with protocol
    */
   normalizeUrl(url) {
-    if (!url) return url;
-
-    // Handle edge case: starts with :// (missing protocol)
-    if (url.startsWith('://')) {
-      return 'https' + url;
-    }
-
-    // If URL contains ://, assume user specified a protocol
-    if (url.includes('://')) {
-      return url;
-    }
+    return UrlPolicy.normalize(url);
+  }
 
-    // Otherwise, add https://
-    return 'https://' + url;
+  /**
+   * Get the title a link is shown with
+   * @param {Object} link - Link data
+   * @returns {string} Title, or the domain (or "Bookmarklet") when it has none
+   */
+  getLinkTitle(link) {
+    if (link.title) return link.title;
+    return Bookmarklets.isBookmarklet(link) ? 'Bookmarklet' : this.extractDomainFromUrl(link.url);
   }
 
   /**
@@ -628,6 +2332,10 @@ class NewTabApp {
     const elementsToTrack = document.querySelectorAll('.link-card, .shine-surface');
 
     elementsToTrack.forEach(element => {
+      // Already tracked from an earlier render
+      if (this.shineTrackedElements.has(element)) return;
+      this.shineTrackedElements.add(element);
+
       element.addEventListener('mousemove', (e) => {
         const rect = element.getBoundingClientRect();
         const x = e.clientX - rect.left;
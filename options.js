@@ -11,6 +11,7 @@ class OptionsApp {
     this.templates = {};
     this.isDirty = false;
     this.autoSaveTimeout = null;
+    this.isSteppingHistory = false;
 
     // Initialize managers
     this.uiManager = null;
@@ -20,6 +21,7 @@ class OptionsApp {
     this.contentManager = null;
     this.generalManager = null;
     this.helpManager = null;
+    this.commandPalette = null;
 
     this.init();
   }
@@ -34,6 +36,9 @@ class OptionsApp {
 
       // Load data from storage
       this.data = await StorageManager.load();
+      await FaviconCache.load();
+      FaviconCache.configure(this.data);
+      UrlPolicy.configure(this.data);
 
       // Initialize theme manager only for preview functionality
       this.themeManager = getThemeManager();
@@ -44,7 +49,8 @@ class OptionsApp {
       // Setup navigation
       this.setupNavigation();
 
-      // Setup panels through managers
+      // Setup panels through managers, editing the board this device shows
+      this.contentManager.currentBoardId = await BoardManager.getActiveBoardId(this.data);
       this.contentManager.setupContentPanel();
       this.appearanceManager.setupAppearancePanel();
       this.generalManager.setupGeneralPanel();
@@ -53,12 +59,34 @@ class OptionsApp {
       // Setup header actions
       this.setupHeaderActions();
 
+      // Ctrl+K command palette
+      this.commandPalette = new CommandPalette(() => this.getPaletteCommands());
+
       // Update storage info
       this.dataManager.updateStorageInfo();
 
+      // Take the daily snapshot if one is due
+      SnapshotManager.ensureDaily();
+
+      // Pull changes from other devices if sync is enabled
+      SyncManager.init((data) => this.applyRemoteData(data));
+
+      // Merge bookmark changes into bound columns and boards
+      BookmarkBridgeManager.init((data) => this.applyBookmarkData(data));
+
+      // Follow edits made on new tab pages
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[STORAGE_KEY] && changes[STORAGE_KEY].newValue) {
+          this.applyExternalData(changes[STORAGE_KEY].oldValue, changes[STORAGE_KEY].newValue);
+        }
+      });
+
       // Mark as clean
       this.markClean();
 
+      // Run a command handed over from the new tab palette
+      this.runStartupCommand();
+
     } catch (error) {
       console.error('Failed to initialize options page:', error);
       this.uiManager.showError('Failed to load settings. Please refresh the page.');
@@ -72,6 +100,10 @@ class OptionsApp {
     this.templates.columnOptions = document.getElementById('column-options-template');
     this.templates.groupOptions = document.getElementById('group-options-template');
     this.templates.linkOptions = document.getElementById('link-options-template');
+    this.templates.clockEditor = document.getElementById('clock-editor-template');
+    this.templates.noteEditor = document.getElementById('note-editor-template');
+    this.templates.checklistEditor = document.getElementById('checklist-editor-template');
+    this.templates.countdownEditor = document.getElementById('countdown-editor-template');
     this.templates.previewModal = document.getElementById('preview-modal-template');
     this.templates.confirmModal = document.getElementById('confirm-modal-template');
     this.templates.importBackupModal = document.getElementById('import-backup-modal-template');
@@ -100,6 +132,7 @@ class OptionsApp {
       this.templates,
       this.uiManager,
       this.linkProcessor,
+      this.dataManager,
       this.markDirty.bind(this)
     );
 
@@ -200,10 +233,312 @@ class OptionsApp {
       this.openNewTab();
     });
 
+    // Setup undo/redo
+    this.setupHistoryControls();
+
     // Setup auto-save
     this.setupAutoSave();
   }
 
+  /**
+   * Setup undo/redo buttons, keyboard shortcuts and journal change tracking
+   */
+  setupHistoryControls() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    undoBtn.addEventListener('click', () => {
+      this.undo();
+    });
+
+    redoBtn.addEventListener('click', () => {
+      this.redo();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+
+      // Leave text fields and the CSS editor to their native undo
+      const target = e.target;
+      if (target.matches('input, textarea, select, [contenteditable="true"]') ||
+        target.closest('.ace_editor')) {
+        return;
+      }
+
+      e.preventDefault();
+
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
+    // Journal is written after the debounced save, and may change from other tabs
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[HISTORY_KEY]) {
+        this.updateHistoryButtons();
+      }
+    });
+
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Update undo/redo button state and tooltips from the journal
+   */
+  async updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const state = await HistoryManager.getState();
+
+    undoBtn.disabled = !state.canUndo;
+    undoBtn.title = state.canUndo ? `Undo: ${state.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+
+    redoBtn.disabled = !state.canRedo;
+    redoBtn.title = state.canRedo ? `Redo: ${state.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
+  /**
+   * Write any pending auto-save so the journal includes the latest edit
+   * @returns {Promise<void>}
+   */
+  async flushPendingSave() {
+    if (this.isDirty) {
+      clearTimeout(this.autoSaveTimeout);
+      this.autoSaveTimeout = null;
+      StorageManager.save(this.data);
+    }
+
+    await StorageManager.save.flush();
+    this.markClean();
+  }
+
+  /**
+   * Apply content merged in from bound bookmark folders
+   * Without this, the next auto-save would write back stale columns and the
+   * bridge would take the missing links for deletions.
+   * @param {Object} data - Data now in storage
+   */
+  applyBookmarkData(data) {
+    const changedKeys = ['columns', 'boards'].filter(key =>
+      JSON.stringify(data[key]) !== JSON.stringify(this.data[key])
+    );
+
+    if (changedKeys.length === 0) return;
+
+    this.applyStoredData(data, changedKeys);
+    this.uiManager.showInfo('Updated from your bookmarks');
+  }
+
+  /**
+   * Apply a write another page made to the stored data
+   * Without this, the next auto-save would write back this page's stale
+   * copy and revert edits made on the new tab. Fields this page still holds
+   * as they were before the write are taken over; fields it has edited
+   * since keep its own version, and its own writes change nothing.
+   * @param {Object|undefined} oldValue - Data in storage before the write
+   * @param {Object} newValue - Data now in storage
+   */
+  applyExternalData(oldValue, newValue) {
+    const serialize = value => JSON.stringify(value);
+    const keys = new Set([...Object.keys(newValue), ...Object.keys(this.data)]);
+    const changedKeys = [...keys].filter(key =>
+      key !== 'version' &&
+      serialize(newValue[key]) !== serialize(this.data[key]) &&
+      (!oldValue || serialize(oldValue[key]) === serialize(this.data[key]))
+    );
+
+    if (changedKeys.length === 0) return;
+
+    this.applyStoredData(newValue, changedKeys);
+  }
+
+  /**
+   * Copy changed fields from stored data into the page and refresh the panels showing them
+   * @param {Object} data - Data now in storage
+   * @param {Array<string>} changedKeys - Top-level fields that changed
+   */
+  applyStoredData(data, changedKeys) {
+    changedKeys.forEach(key => {
+      this.data[key] = data[key];
+    });
+
+    // Settings panels are redrawn only when a setting they show changed
+    const contentKeys = ['columns', 'boards', 'settingsUpdatedAt', 'showAdvancedOptions'];
+
+    this.contentManager.renderContentPanel();
+    this.contentManager.updateAdvancedOptionsVisibility();
+    if (changedKeys.some(key => !contentKeys.includes(key))) {
+      this.appearanceManager.render();
+      this.generalManager.render();
+    }
+    this.dataManager.updateStorageInfo();
+  }
+
+  /**
+   * Bring in changes merged from another device
+   * @param {Object} data - Merged data now in storage
+   */
+  applyRemoteData(data) {
+    const changedKeys = Object.keys(data).filter(key =>
+      JSON.stringify(data[key]) !== JSON.stringify(this.data[key])
+    );
+
+    if (changedKeys.length === 0) return;
+
+    this.applyStoredData(data, changedKeys);
+    this.uiManager.showInfo('Synced changes from another device');
+  }
+
+  /**
+   * Undo the most recent edit
+   */
+  async undo() {
+    await this.stepHistory('undo');
+  }
+
+  /**
+   * Redo the most recently undone edit
+   */
+  async redo() {
+    await this.stepHistory('redo');
+  }
+
+  /**
+   * Apply one undo or redo step and refresh the page state
+   * @param {string} direction - 'undo' or 'redo'
+   */
+  async stepHistory(direction) {
+    if (this.isSteppingHistory) return;
+    this.isSteppingHistory = true;
+
+    try {
+      await this.flushPendingSave();
+
+      const result = direction === 'undo'
+        ? await HistoryManager.undo()
+        : await HistoryManager.redo();
+
+      if (!result) {
+        this.uiManager.showInfo(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+        return;
+      }
+
+      this.applyStoredData(result.data, result.changedKeys);
+      this.uiManager.showSuccess(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${sanitizeText(result.entry.label)}`);
+    } catch (error) {
+      console.error(`Failed to ${direction}:`, error);
+      this.uiManager.showError(`Failed to ${direction}. Please try again.`);
+    } finally {
+      this.isSteppingHistory = false;
+    }
+  }
+
+  /**
+   * Build the command palette commands for this page
+   * @returns {Array<Object>} Commands
+   */
+  getPaletteCommands() {
+    return CommandPalette.buildCommands(this.data, {
+      openLink: (url) => window.open(url, '_blank'),
+      showBookmarklet: (link) => {
+        this.switchPanel('content');
+        this.contentManager.revealLink(link.id);
+      },
+      // Values are asked for on the new tab page; here the template is shown
+      showQuickSearch: (link) => {
+        this.switchPanel('content');
+        this.contentManager.revealLink(link.id);
+      },
+      openPanel: (panelId) => this.switchPanel(panelId),
+      applySetting: (update) => this.applyPaletteSetting(update),
+      exportBackup: (type) => this.exportBackup(type),
+      addLink: (groupId) => this.addLinkToGroup(groupId),
+      selectBoard: (boardId) => {
+        this.switchPanel('content');
+        this.contentManager.selectBoard(boardId);
+      }
+    }, this.data.boards);
+  }
+
+  /**
+   * Run a SettingsManager update from the palette and show the result
+   * @param {Function} update - Async SettingsManager call
+   */
+  async applyPaletteSetting(update) {
+    try {
+      await this.flushPendingSave();
+      await update();
+      await StorageManager.save.flush();
+
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const data = result[STORAGE_KEY];
+      const changedKeys = Object.keys(data).filter(key =>
+        JSON.stringify(data[key]) !== JSON.stringify(this.data[key])
+      );
+
+      if (changedKeys.length > 0) {
+        this.applyStoredData(data, changedKeys);
+      }
+    } catch (error) {
+      console.error('Failed to apply setting:', error);
+      this.uiManager.showError('Failed to apply setting. Please try again.');
+    }
+  }
+
+  /**
+   * Download an export
+   * @param {string} type - 'complete', 'content' or 'appearance'
+   */
+  async exportBackup(type) {
+    await this.flushPendingSave();
+
+    if (type === 'content') {
+      await this.dataManager.exportContentOnly();
+    } else if (type === 'appearance') {
+      await this.dataManager.exportAppearanceOnly();
+    } else {
+      await this.dataManager.exportCompleteTheme();
+    }
+  }
+
+  /**
+   * Open the Content panel on a group's board and start adding a link to it
+   * @param {string} groupId - Group ID
+   */
+  addLinkToGroup(groupId) {
+    const column = this.data.columns.find(c => (c.groups || []).some(g => g.id === groupId));
+    if (!column) {
+      this.uiManager.showError('Group not found');
+      return;
+    }
+
+    this.switchPanel('content');
+    this.contentManager.selectBoard(column.boardId);
+    this.contentManager.addLinkToGroup(groupId);
+  }
+
+  /**
+   * Run the command passed in the page URL (options.html?command=...)
+   * The new tab palette opens this page for actions that live here.
+   */
+  runStartupCommand() {
+    const params = new URLSearchParams(window.location.search);
+    const command = params.get('command');
+    if (!command) return;
+
+    // Drop the command so a reload doesn't repeat it
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+
+    const exportType = command.replace(/^export-/, '');
+    if (['complete', 'content', 'appearance'].includes(exportType) && command !== exportType) {
+      this.exportBackup(exportType);
+    } else if (command === 'add-link' && params.get('group')) {
+      this.addLinkToGroup(params.get('group'));
+    }
+  }
+
   /**
    * Setup auto-save functionality
    */
@@ -243,8 +578,9 @@ class OptionsApp {
    */
   async saveContent() {
     try {
-      // Only save columns and links data
+      // Only save boards, columns and links data
       const contentData = {
+        boards: this.data.boards,
         columns: this.data.columns,
         version: this.data.version
       };
@@ -34,6 +34,18 @@ class AppearanceManager {
     this.displayScaleManager.setup();
   }
 
+  /**
+   * Show current data in every appearance control
+   * Used after undo, redo or sync change settings outside this panel.
+   */
+  render() {
+    this.themeSelector.render();
+    this.cssEditorManager.render();
+    this.backgroundManager.render();
+    this.animationManager.updateUI();
+    this.displayScaleManager.render();
+  }
+
   /**
    * Handle theme changes
    * @param {string} themeMode - New theme mode (browser/preset/custom)
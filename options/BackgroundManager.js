@@ -42,17 +42,17 @@ class BackgroundManager {
   setup() {
     this.setupPageBackgroundColor();
     this.setupBackgroundImage();
+    this.render();
   }
 
   /**
-   * Setup page background color controls
+   * Show the current background settings
+   * Called at setup and again when data changes outside this panel.
    */
-  setupPageBackgroundColor() {
+  render() {
     const enabledCheckbox = document.getElementById('page-background-enabled');
     const colorInput = document.getElementById('page-background-color');
-    const clearBtn = document.getElementById('clear-page-background-btn');
 
-    // Set initial state
     const hasColor = this.data.pageBackgroundColor !== null;
     enabledCheckbox.checked = hasColor;
     colorInput.disabled = !hasColor;
@@ -63,6 +63,35 @@ class BackgroundManager {
       colorInput.value = '#ffffff'; // Default color when not active
     }
 
+    this.applyPageBackgroundColor();
+
+    const sizeSelect = document.getElementById('background-size');
+
+    this.updateBackgroundPreview();
+
+    sizeSelect.value = this.data.backgroundSize || 'cover';
+    document.getElementById('background-repeat').value = this.data.backgroundRepeat || 'no-repeat';
+    document.getElementById('background-position').value = this.data.backgroundPosition || 'center';
+    document.getElementById('background-width').value = this.data.backgroundWidth || '';
+    document.getElementById('background-height').value = this.data.backgroundHeight || '';
+
+    // Show/hide custom size inputs based on size selection
+    this.updateCustomSizeVisibility();
+
+    // If background size is set to custom, apply the custom size
+    if (sizeSelect.value === 'custom') {
+      this.updateCustomBackgroundSize();
+    }
+  }
+
+  /**
+   * Setup page background color controls
+   */
+  setupPageBackgroundColor() {
+    const enabledCheckbox = document.getElementById('page-background-enabled');
+    const colorInput = document.getElementById('page-background-color');
+    const clearBtn = document.getElementById('clear-page-background-btn');
+
     // Handle checkbox changes
     enabledCheckbox.addEventListener('change', () => {
       const isEnabled = enabledCheckbox.checked;
@@ -97,9 +126,6 @@ class BackgroundManager {
       this.applyPageBackgroundColor();
       this.markDirty();
     });
-
-    // Apply initial color
-    this.applyPageBackgroundColor();
   }
 
   /**
@@ -134,30 +160,6 @@ class BackgroundManager {
     const widthInput = document.getElementById('background-width');
     const heightInput = document.getElementById('background-height');
 
-    // Set initial state
-    this.updateBackgroundPreview();
-
-    // Set initial values for controls
-    sizeSelect.value = this.data.backgroundSize || 'cover';
-    repeatSelect.value = this.data.backgroundRepeat || 'no-repeat';
-    positionSelect.value = this.data.backgroundPosition || 'center';
-
-    // Set custom size values if they exist
-    if (this.data.backgroundWidth) {
-      widthInput.value = this.data.backgroundWidth;
-    }
-    if (this.data.backgroundHeight) {
-      heightInput.value = this.data.backgroundHeight;
-    }
-
-    // Show/hide custom size inputs based on size selection
-    this.updateCustomSizeVisibility();
-
-    // If background size is already set to custom, apply the custom size
-    if (sizeSelect.value === 'custom') {
-      this.updateCustomBackgroundSize();
-    }
-
     // Upload button handler
     uploadBtn.addEventListener('click', () => {
       fileInput.click();
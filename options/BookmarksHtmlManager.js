@@ -0,0 +1,246 @@
+/**
+ * Bookmarks HTML Manager - Moontab Extreme
+ * Reads and writes the Netscape bookmarks file format (bookmarks.html)
+ * used by every major browser for bookmark import and export
+ */
+
+class BookmarksHtmlManager {
+
+  /**
+   * Parse a bookmarks file into columns
+   * Top-level folders become columns and their subfolders become groups;
+   * folders nested deeper are flattened into the group above them. Links
+   * directly inside a top-level folder go into an untitled first group, and
+   * links at the very top go into a "Bookmarks" column.
+   * @param {string} html - Bookmarks file contents
+   * @returns {Object} { columns, linksImported, linksSkipped, iconsImported }
+   * @throws {Error} If the file is not a bookmarks file
+   */
+  parse(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const isNetscape = doc.doctype && doc.doctype.name.toLowerCase() === 'netscape-bookmark-file-1';
+    const rootList = doc.querySelector('dl');
+
+    if (!isNetscape && !rootList) {
+      throw new Error('Not a bookmarks file. Export bookmarks from your browser as HTML and try again.');
+    }
+
+    const stats = { linksImported: 0, linksSkipped: 0, iconsImported: 0 };
+    const entries = rootList ? this.readList(rootList) : [];
+    const columns = [];
+
+    const topLinks = entries.filter(entry => entry.type === 'link');
+    if (topLinks.length > 0) {
+      columns.push(this.createColumn('Bookmarks', [this.createGroup('', topLinks, stats)]));
+    }
+
+    entries.filter(entry => entry.type === 'folder').forEach(folder => {
+      const groups = [];
+
+      const directLinks = folder.children.filter(entry => entry.type === 'link');
+      if (directLinks.length > 0) {
+        groups.push(this.createGroup('', directLinks, stats));
+      }
+
+      folder.children.filter(entry => entry.type === 'folder').forEach(subfolder => {
+        groups.push(this.createGroup(subfolder.title, this.flattenLinks(subfolder), stats));
+      });
+
+      const nonEmpty = groups.filter(group => group.links.length > 0);
+      if (nonEmpty.length === 0) return;
+
+      nonEmpty.slice(MAX_GROUPS_PER_COLUMN).forEach(group => {
+        stats.linksSkipped += group.links.length;
+        stats.linksImported -= group.links.length;
+      });
+      columns.push(this.createColumn(folder.title, nonEmpty.slice(0, MAX_GROUPS_PER_COLUMN)));
+    });
+
+    return { columns, ...stats };
+  }
+
+  /**
+   * Read the folders and links of one bookmark list
+   * @param {Element} list - DL element
+   * @returns {Array<Object>} Entries: { type: 'folder', title, children } or { type: 'link', title, url, icon }
+   */
+  readList(list) {
+    const entries = [];
+
+    // Loosely written files leave DT elements inside unclosed P elements
+    list.querySelectorAll(':scope > dt, :scope > p > dt').forEach(item => {
+      const heading = item.querySelector(':scope > h3');
+      const anchor = item.querySelector(':scope > a');
+
+      if (heading) {
+        const sublist = item.querySelector(':scope > dl');
+        entries.push({
+          type: 'folder',
+          title: heading.textContent.trim(),
+          children: sublist ? this.readList(sublist) : []
+        });
+      } else if (anchor) {
+        entries.push({
+          type: 'link',
+          title: anchor.textContent.trim(),
+          url: (anchor.getAttribute('href') || '').trim(),
+          icon: anchor.getAttribute('icon') || ''
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Collect every link in a folder and its subfolders, in order
+   * @param {Object} folder - Folder entry
+   * @returns {Array<Object>} Link entries
+   */
+  flattenLinks(folder) {
+    return folder.children.flatMap(entry =>
+      entry.type === 'folder' ? this.flattenLinks(entry) : [entry]
+    );
+  }
+
+  /**
+   * Build a column for imported groups
+   * @param {string} name - Column name
+   * @param {Array<Object>} groups - Groups
+   * @returns {Object} Column without a board ID
+   */
+  createColumn(name, groups) {
+    return {
+      id: generateUUID(),
+      name: name || 'Bookmarks',
+      customClasses: '',
+      groups
+    };
+  }
+
+  /**
+   * Build a group from link entries, skipping URLs we can't open
+   * Bookmarklets come in untrusted, and only while the Link Rules allow
+   * them; browser-internal URLs (place:, about:) are skipped.
+   * @param {string} title - Group title
+   * @param {Array<Object>} linkEntries - Link entries
+   * @param {Object} stats - Counters to update
+   * @returns {Object} Group
+   */
+  createGroup(title, linkEntries, stats) {
+    const links = [];
+
+    linkEntries.forEach(entry => {
+      const check = Bookmarklets.checkInput(entry.url, UrlPolicy.getPolicy(), true);
+      if (!check.valid || links.length >= MAX_LINKS_PER_GROUP) {
+        stats.linksSkipped++;
+        return;
+      }
+
+      const iconDataUri = isValidImageDataUri(entry.icon) ? entry.icon : null;
+      if (iconDataUri) stats.iconsImported++;
+      stats.linksImported++;
+
+      links.push({
+        id: generateUUID(),
+        ...check.target,
+        title: entry.title,
+        iconDataUri,
+        iconUrlOverride: null,
+        customClasses: ''
+      });
+    });
+
+    return {
+      id: generateUUID(),
+      title,
+      customClasses: '',
+      links
+    };
+  }
+
+  /**
+   * Write a board as a bookmarks file
+   * Each column becomes a folder; untitled groups put their links straight
+   * into the column's folder and titled groups become subfolders. Widgets
+   * have no bookmarks and are left out.
+   * @param {Object} data - Application data
+   * @param {string} boardId - Board to export
+   * @returns {string} Bookmarks file contents
+   */
+  serialize(data, boardId) {
+    const board = BoardManager.getBoard(data, boardId);
+    const title = this.escape(board ? board.name : 'Bookmarks');
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      `<TITLE>${title}</TITLE>`,
+      `<H1>${title}</H1>`,
+      '<DL><p>'
+    ];
+
+    BoardManager.getColumns(data, boardId).forEach(column => {
+      lines.push(`    <DT><H3>${this.escape(column.name)}</H3>`, '    <DL><p>');
+
+      (column.groups || []).filter(group => !Widgets.isWidget(group)).forEach(group => {
+        if (group.title) {
+          lines.push(`        <DT><H3>${this.escape(group.title)}</H3>`, '        <DL><p>');
+          group.links.forEach(link => lines.push(`            ${this.serializeLink(link)}`));
+          lines.push('        </DL><p>');
+        } else {
+          group.links.forEach(link => lines.push(`        ${this.serializeLink(link)}`));
+        }
+      });
+
+      lines.push('    </DL><p>');
+    });
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write one bookmark entry
+   * @param {Object} link - Link
+   * @returns {string} DT line
+   */
+  serializeLink(link) {
+    const icon = link.iconDataUri && link.iconDataUri.startsWith('data:')
+      ? ` ICON="${this.escape(link.iconDataUri)}"`
+      : '';
+
+    const href = Bookmarklets.getInput(link);
+    return `<DT><A HREF="${this.escape(href)}"${icon}>${this.escape(link.title || href)}</A>`;
+  }
+
+  /**
+   * Escape text for element content and double-quoted attributes
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Generate filename for a bookmarks export
+   * @param {string} boardName - Name of the exported board
+   * @returns {string} Filename
+   */
+  generateFilename(boardName) {
+    const slug = (boardName || 'board').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+    const timestamp = new Date().toISOString()
+      .replace(/:/g, '-')
+      .replace(/\.\d{3}Z$/, '')
+      .replace('T', '_');
+
+    return `moontab-extreme-bookmarks-${slug}-${timestamp}.html`;
+  }
+}
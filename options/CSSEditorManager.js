@@ -128,10 +128,6 @@ class CSSEditorManager {
         return;
       }
 
-      // Set initial state
-      checkbox.checked = this.data[`${theme.key}CssEnabled`] || false;
-      controls.classList.toggle('show', checkbox.checked);
-
       // Handle checkbox changes
       checkbox.addEventListener('change', () => {
         const enabled = checkbox.checked;
@@ -147,11 +143,42 @@ class CSSEditorManager {
         }
       });
 
-      // Initialize editor if already enabled
-      if (checkbox.checked) {
+    });
+
+    this.render();
+  }
+
+  /**
+   * Show the current theme CSS settings
+   * Called at setup and again when data changes outside this panel.
+   */
+  render() {
+    if (!window.THEME_CONFIG) return;
+
+    THEME_CONFIG.getCustomizableThemes().forEach(theme => {
+      const checkbox = document.getElementById(`${theme.id}-css-enabled`);
+      const controls = document.getElementById(`${theme.id}-css-controls`);
+
+      if (!checkbox || !controls) return;
+
+      checkbox.checked = this.data[`${theme.key}CssEnabled`] || false;
+      controls.classList.toggle('show', checkbox.checked);
+
+      // Initialize editor if enabled
+      if (checkbox.checked && !this.editors[theme.key]) {
         setTimeout(() => this.initializeEditor(theme.key, `${theme.id}-css-editor`), 100);
       }
     });
+
+    // Editors that already exist show the stored CSS
+    Object.keys(this.editors).forEach(editorKey => {
+      const dataKey = editorKey === 'custom' ? 'customCss' : `${editorKey}Css`;
+      const css = this.data[dataKey] || '';
+
+      if (this.editors[editorKey] && this.editors[editorKey].getValue() !== css) {
+        this.editors[editorKey].setValue(css, -1);
+      }
+    });
   }
 
   /**
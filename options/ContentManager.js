@@ -5,12 +5,16 @@
  */
 
 class ContentManager {
-  constructor(data, templates, uiManager, linkProcessor, markDirty) {
+  constructor(data, templates, uiManager, linkProcessor, dataManager, markDirty) {
     this.data = data;
     this.templates = templates;
     this.uiManager = uiManager;
     this.linkProcessor = linkProcessor;
+    this.dataManager = dataManager;
     this.markDirty = markDirty;
+    this.currentBoardId = null;
+    this.linkChecker = null;
+    this.linkCheckResults = new Map(); // Link ID -> LinkChecker result from the last check
   }
 
   /**
@@ -28,11 +32,273 @@ class ContentManager {
       this.uiManager.expandAllColumns();
     });
 
+    this.setupBoardControls();
+    this.setupLinkCheck();
     this.renderContentPanel();
     this.setupAddColumnButtons();
     this.setupAdvancedOptionsToggle();
   }
 
+  /**
+   * Get the columns of the board being edited
+   * @returns {Array<Object>} Columns in display order
+   */
+  getBoardColumns() {
+    return BoardManager.getColumns(this.data, this.currentBoardId);
+  }
+
+  /**
+   * Setup board management controls
+   */
+  setupBoardControls() {
+    document.getElementById('add-board-btn').addEventListener('click', () => {
+      this.addBoard();
+    });
+
+    document.getElementById('board-name-input').addEventListener('input', (e) => {
+      BoardManager.renameBoard(this.data, this.currentBoardId, e.target.value);
+      this.renderBoardTabs();
+      this.markDirty();
+    });
+
+    this.populateBoardThemeSelect();
+    document.getElementById('board-theme-select').addEventListener('change', (e) => {
+      this.setBoardTheme(e.target.value);
+    });
+
+    const colorEnabled = document.getElementById('board-color-enabled');
+    const colorInput = document.getElementById('board-color-input');
+    colorEnabled.addEventListener('change', () => {
+      colorInput.disabled = !colorEnabled.checked;
+      BoardManager.setOverride(this.data, this.currentBoardId, 'pageBackgroundColor', colorEnabled.checked ? colorInput.value : null);
+      this.markDirty();
+    });
+    colorInput.addEventListener('input', () => {
+      BoardManager.setOverride(this.data, this.currentBoardId, 'pageBackgroundColor', colorInput.value);
+      this.markDirty();
+    });
+
+    const backgroundUpload = document.getElementById('board-background-upload');
+    document.getElementById('board-background-btn').addEventListener('click', () => {
+      backgroundUpload.click();
+    });
+    backgroundUpload.addEventListener('change', async (e) => {
+      await this.handleBoardBackgroundUpload(e.target.files[0]);
+      e.target.value = '';
+    });
+    document.getElementById('board-background-clear-btn').addEventListener('click', () => {
+      BoardManager.setOverride(this.data, this.currentBoardId, 'backgroundDataUri', null);
+      this.renderBoardSettings();
+      this.markDirty();
+    });
+
+    document.getElementById('delete-board-btn').addEventListener('click', () => {
+      this.confirmDeleteBoard();
+    });
+  }
+
+  /**
+   * Fill the board theme dropdown with "use global", browser and preset themes
+   */
+  populateBoardThemeSelect() {
+    const select = document.getElementById('board-theme-select');
+    select.innerHTML = '';
+
+    const addOption = (parent, value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      parent.appendChild(option);
+    };
+
+    addOption(select, '', 'Use global theme');
+    addOption(select, 'browser', 'Follow browser (light/dark)');
+
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = 'Preset themes';
+    THEME_CONFIG.getPresetThemes().forEach(theme => addOption(optgroup, theme.key, theme.name));
+    select.appendChild(optgroup);
+  }
+
+  /**
+   * Render board tabs and the selected board's settings
+   */
+  renderBoardControls() {
+    this.renderBoardTabs();
+    this.renderBoardSettings();
+  }
+
+  /**
+   * Render one tab per board
+   */
+  renderBoardTabs() {
+    const tabs = document.getElementById('board-tabs');
+    tabs.innerHTML = '';
+
+    this.data.boards.forEach(board => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'board-tab';
+      tab.setAttribute('role', 'tab');
+      tab.textContent = board.name;
+
+      const isSelected = board.id === this.currentBoardId;
+      tab.classList.toggle('active', isSelected);
+      tab.setAttribute('aria-selected', String(isSelected));
+
+      tab.addEventListener('click', () => this.selectBoard(board.id));
+      tabs.appendChild(tab);
+    });
+  }
+
+  /**
+   * Show the selected board's name and overrides in the settings card
+   */
+  renderBoardSettings() {
+    const board = BoardManager.getBoard(this.data, this.currentBoardId);
+    const overrides = board.overrides;
+
+    const nameInput = document.getElementById('board-name-input');
+    if (document.activeElement !== nameInput) {
+      nameInput.value = board.name;
+    }
+
+    let themeValue = '';
+    if (overrides.themeMode === 'browser') {
+      themeValue = 'browser';
+    } else if (overrides.themeMode === 'preset' && overrides.selectedPresetTheme) {
+      themeValue = overrides.selectedPresetTheme;
+    }
+    document.getElementById('board-theme-select').value = themeValue;
+
+    const colorEnabled = document.getElementById('board-color-enabled');
+    const colorInput = document.getElementById('board-color-input');
+    colorEnabled.checked = !!overrides.pageBackgroundColor;
+    colorInput.disabled = !overrides.pageBackgroundColor;
+    if (overrides.pageBackgroundColor) {
+      colorInput.value = overrides.pageBackgroundColor;
+    }
+
+    document.getElementById('board-background-status').textContent = overrides.backgroundDataUri
+      ? 'This board has its own background image'
+      : 'Uses the global background';
+    document.getElementById('board-background-clear-btn').disabled = !overrides.backgroundDataUri;
+
+    document.getElementById('delete-board-btn').disabled = this.data.boards.length <= 1;
+  }
+
+  /**
+   * Switch the board being edited
+   * @param {string} boardId - Board ID
+   */
+  selectBoard(boardId) {
+    if (boardId === this.currentBoardId) return;
+
+    this.currentBoardId = boardId;
+    this.renderContentPanel();
+  }
+
+  /**
+   * Add a board and switch to it
+   */
+  addBoard() {
+    try {
+      const board = BoardManager.addBoard(this.data);
+      this.currentBoardId = board.id;
+      this.renderContentPanel();
+      this.markDirty();
+
+      const nameInput = document.getElementById('board-name-input');
+      nameInput.focus();
+      nameInput.select();
+    } catch (error) {
+      console.error('Failed to add board:', error);
+      this.uiManager.showError(error.message);
+    }
+  }
+
+  /**
+   * Set or clear the theme override of the board being edited
+   * @param {string} value - '' for the global theme, 'browser', or a preset theme key
+   */
+  setBoardTheme(value) {
+    const themeMode = value === '' ? null : (value === 'browser' ? 'browser' : 'preset');
+    const presetTheme = themeMode === 'preset' ? value : null;
+
+    BoardManager.setOverride(this.data, this.currentBoardId, 'themeMode', themeMode);
+    BoardManager.setOverride(this.data, this.currentBoardId, 'selectedPresetTheme', presetTheme);
+    this.markDirty();
+  }
+
+  /**
+   * Handle a background image upload for the board being edited
+   * @param {File} file - Image file
+   */
+  async handleBoardBackgroundUpload(file) {
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      this.uiManager.showError('Please select an image file');
+      return;
+    }
+
+    if (file.size > 5 * 1024 * 1024) { // 5MB limit, same as the global background
+      this.uiManager.showError('Background image must be smaller than 5MB');
+      return;
+    }
+
+    try {
+      const dataUri = await fileToDataUri(file);
+      BoardManager.setOverride(this.data, this.currentBoardId, 'backgroundDataUri', dataUri);
+      this.renderBoardSettings();
+      this.markDirty();
+    } catch (error) {
+      console.error('Failed to upload board background:', error);
+      this.uiManager.showError('Failed to upload background. Please try again.');
+    }
+  }
+
+  /**
+   * Confirm deleting the board being edited
+   */
+  confirmDeleteBoard() {
+    const board = BoardManager.getBoard(this.data, this.currentBoardId);
+    if (!board || this.data.boards.length <= 1) return;
+
+    const columns = this.getBoardColumns();
+    const linkCount = columns.reduce((total, column) =>
+      total + (column.groups || []).reduce((sum, group) => sum + (group.links || []).length, 0), 0);
+
+    const modal = this.uiManager.createModal('confirm', {
+      title: 'Delete Board',
+      message: `Are you sure you want to delete "${board.name}" with ${columns.length} columns and ${linkCount} links? You can undo this from the header.`
+    });
+
+    const confirmBtn = modal.querySelector('.modal-confirm-btn');
+    confirmBtn.addEventListener('click', () => {
+      this.deleteBoard(board.id);
+      modal.remove();
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  /**
+   * Delete a board and its columns
+   * @param {string} boardId - Board ID
+   */
+  deleteBoard(boardId) {
+    try {
+      BoardManager.deleteBoard(this.data, boardId);
+      this.currentBoardId = null;
+      this.renderContentPanel();
+      this.markDirty();
+    } catch (error) {
+      console.error('Failed to delete board:', error);
+      this.uiManager.showError(error.message);
+    }
+  }
+
   /**
    * Setup add column button event listeners
    */
@@ -59,12 +325,16 @@ class ContentManager {
   renderContentPanel() {
     const columnsList = document.getElementById('columns-list');
 
+    // The board being edited may have been removed by undo or sync
+    this.currentBoardId = BoardManager.resolveBoardId(this.data, this.currentBoardId);
+    this.renderBoardControls();
+
     // Clear only the column elements, preserving empty state and add button
     const existingColumns = columnsList.querySelectorAll('.column-item');
     existingColumns.forEach(column => column.remove());
 
     // Render columns
-    this.data.columns.forEach((column, index) => {
+    this.getBoardColumns().forEach((column, index) => {
       const columnElement = this.createColumnOptionsElement(column, index);
       // Insert before the add column section
       const addColumnSection = document.getElementById('add-column-section');
@@ -85,7 +355,7 @@ class ContentManager {
     const emptyPlaceholder = document.getElementById('empty-columns-placeholder');
     const addColumnSection = document.getElementById('add-column-section');
 
-    if (this.data.columns.length === 0) {
+    if (this.getBoardColumns().length === 0) {
       emptyPlaceholder.style.display = 'block';
       addColumnSection.style.display = 'none';
     } else {
@@ -162,6 +432,29 @@ class ContentManager {
       this.confirmDeleteColumn(column.id, column.name);
     });
 
+    // Both the empty state and the add group section offer every widget type
+    columnEl.querySelectorAll('.add-widget-select').forEach(select => {
+      Object.entries(WIDGET_TYPES).forEach(([type, widgetType]) => {
+        select.add(new Option(widgetType.label, type));
+      });
+
+      select.addEventListener('change', () => {
+        const type = select.value;
+        select.value = '';
+        if (type) {
+          this.addGroupToColumn(column.id, type);
+        }
+      });
+    });
+
+    columnEl.querySelector('.export-column-btn').addEventListener('click', () => {
+      this.dataManager.exportColumn(column.id);
+    });
+
+    columnEl.querySelector('.import-into-column-btn').addEventListener('click', () => {
+      this.pickColumnImportFile(column);
+    });
+
     // Render groups and manage empty state
     const groupsList = columnEl.querySelector('.groups-list');
     const emptyPlaceholder = columnEl.querySelector('.empty-groups-placeholder');
@@ -252,7 +545,7 @@ class ContentManager {
 
     titlePreview.textContent = group.title || 'Group';
     const linkNum = group.links ? group.links.length : 0;
-    linkCount.textContent = `(${linkNum} links)`;
+    linkCount.textContent = Widgets.isWidget(group) ? `(${Widgets.getLabel(group.widget)})` : `(${linkNum} links)`;
 
     // Setup accordion toggle
     const headerBar = groupEl.querySelector('.group-header-bar');
@@ -277,6 +570,11 @@ class ContentManager {
     // Setup group action buttons
     this.setupGroupActions(groupEl, group);
 
+    if (Widgets.isWidget(group)) {
+      this.setupWidgetEditor(group, groupEl);
+      return groupEl;
+    }
+
     // Render links within group
     const linksList = groupEl.querySelector('.group-links-list');
     if (group.links && group.links.length > 0) {
@@ -314,7 +612,8 @@ class ContentManager {
     const titlePreview = linkEl.querySelector('.link-title-preview');
 
     this.linkProcessor.setLinkIcon(iconPreview, link);
-    titlePreview.textContent = link.title || this.linkProcessor.extractDomainFromUrl(link.url) || 'New Link';
+    this.linkProcessor.updateLinkTypeBadge(linkEl, link);
+    titlePreview.textContent = this.linkProcessor.getLinkTitle(link) || 'New Link';
 
     // Setup accordion toggle
     const headerBar = linkEl.querySelector('.link-header-bar');
@@ -329,7 +628,7 @@ class ContentManager {
     const titleInput = linkEl.querySelector('.link-title-options-input');
     const iconUrlInput = linkEl.querySelector('.icon-url-input');
 
-    urlInput.value = link.url;
+    urlInput.value = Bookmarklets.getInput(link);
     titleInput.value = link.title || '';
 
     // For domain mode, extract domain from Google URL if present
@@ -347,11 +646,12 @@ class ContentManager {
     iconUrlInput.value = domainValue;
 
     // Initialize URL validation state and status indicator
-    const url = (link.url || '').trim();
+    const url = (Bookmarklets.getInput(link) || '').trim();
     const statusIndicator = linkEl.querySelector('.link-status-indicator');
     const statusText = linkEl.querySelector('.status-text');
 
     this.linkProcessor.updateLinkStatusIndicator(url, urlInput, statusIndicator, statusText);
+    this.linkProcessor.updateQuickSearchPreview(linkEl, url);
 
     // Setup form handlers with debounced saving and title fetching
     this.setupLinkFormHandlers(link, linkEl);
@@ -365,6 +665,9 @@ class ContentManager {
     // Setup link action buttons
     this.setupLinkActions(linkEl, link, titleInput, titlePreview, iconPreview);
 
+    // Show the last link check's verdict
+    this.renderLinkCheckResult(linkEl, link.id);
+
     return linkEl;
   }
 
@@ -390,18 +693,42 @@ class ContentManager {
 
       // Always update validation status immediately to prevent stale states
       this.linkProcessor.updateLinkStatusIndicator(url, urlInput, statusIndicator, statusText);
+      this.linkProcessor.updateQuickSearchPreview(linkEl, url);
+
+      // A check result no longer applies once the URL changes
+      if (this.linkCheckResults.delete(link.id)) {
+        this.renderLinkCheckResult(linkEl, link.id);
+      }
+
+      // Code is never saved as a URL; a javascript: URL becomes a bookmarklet while they are allowed
+      if (UrlPolicy.check(url).reason === 'forbidden') {
+        const check = Bookmarklets.checkInput(url);
+        if (check.valid) {
+          Bookmarklets.setTarget(link, check.target);
+          this.linkProcessor.updateLinkTypeBadge(linkEl, link);
+          this.linkProcessor.setLinkIcon(iconPreview, link);
+          titlePreview.textContent = titleInput.value || this.linkProcessor.getLinkTitle(link);
+          debouncedSave('script', link.script);
+        }
+        return;
+      }
 
       // Update local link object immediately
+      if (Bookmarklets.isBookmarklet(link)) {
+        Bookmarklets.setTarget(link, { type: 'link', url });
+        this.linkProcessor.updateLinkTypeBadge(linkEl, link);
+        this.linkProcessor.setLinkIcon(iconPreview, link);
+      }
       link.url = url;
 
       // Update preview text immediately
       titlePreview.textContent = titleInput.value || this.linkProcessor.extractDomainFromUrl(url) || 'New Link';
 
       // Validate URL and handle domain extraction
-      if (url && this.linkProcessor.isValidUrl(url)) {
+      if (url && UrlPolicy.isAllowed(url)) {
         // Debounce the domain extraction and icon preview (wait 500ms after user stops typing)
         timeouts.domainFetch = setTimeout(async () => {
-          await this.linkProcessor.fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl);
+          await this.linkProcessor.fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl, this.updateLinkProperty.bind(this));
         }, 500);
       }
 
@@ -422,7 +749,7 @@ class ContentManager {
       link.title = title;
 
       // Update preview immediately
-      titlePreview.textContent = title || this.linkProcessor.extractDomainFromUrl(link.url) || 'New Link';
+      titlePreview.textContent = this.linkProcessor.getLinkTitle(link) || 'New Link';
 
       // Debounced save for both temporary and saved links
       debouncedSave('title', title);
@@ -494,6 +821,41 @@ class ContentManager {
     });
   }
 
+  /**
+   * Setup the per-link favicon provider select
+   * The chosen provider is tried first; the global order follows it.
+   * @private
+   */
+  setupFaviconProviderSelectHandler(link, providerSelect, iconPreview, debouncedSave) {
+    if (!providerSelect) return;
+
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      providerSelect.appendChild(option);
+    };
+
+    addOption('', 'Default order');
+    Object.entries(FAVICON_PROVIDERS).forEach(([id, provider]) => {
+      addOption(id, id === 'letter' ? 'Letter avatar only' : `${provider.name} first`);
+    });
+    providerSelect.value = FAVICON_PROVIDERS[link.faviconProvider] ? link.faviconProvider : '';
+
+    providerSelect.addEventListener('change', async () => {
+      const provider = providerSelect.value || null;
+
+      // Ask while the change still counts as a user gesture
+      if (provider && !await FaviconProviders.requestAccess([provider], this.data)) {
+        this.uiManager.showError(`Without site access, ${FAVICON_PROVIDERS[provider].name} is skipped for this link`);
+      }
+
+      link.faviconProvider = provider;
+      this.linkProcessor.setLinkIcon(iconPreview, link);
+      debouncedSave('faviconProvider', provider);
+    });
+  }
+
   /**
    * Setup link form handlers with unified event system for both temporary and saved links
    * This orchestrator method sets up all link input handlers
@@ -503,6 +865,7 @@ class ContentManager {
     const titleInput = linkEl.querySelector('.link-title-options-input');
     const iconUrlInput = linkEl.querySelector('.icon-url-input');
     const customClassesInput = linkEl.querySelector('.link-custom-classes-input');
+    const providerSelect = linkEl.querySelector('.link-favicon-provider-select');
     const titlePreview = linkEl.querySelector('.link-title-preview');
     const iconPreview = linkEl.querySelector('.link-icon-preview');
 
@@ -538,6 +901,7 @@ class ContentManager {
     this.setupTitleInputHandler(link, titleInput, titlePreview, debouncedSave);
     this.setupIconUrlInputHandler(link, linkEl, iconUrlInput, iconPreview, debouncedSave);
     this.setupCustomClassesInputHandler(link, customClassesInput, debouncedSave);
+    this.setupFaviconProviderSelectHandler(link, providerSelect, iconPreview, debouncedSave);
   }
 
   // ===================================================================
@@ -694,17 +1058,232 @@ class ContentManager {
 
     if (refreshBtn) {
       refreshBtn.addEventListener('click', async () => {
-        if (link.url && this.linkProcessor.isValidUrl(link.url)) {
-          await this.linkProcessor.fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl);
+        if (link.url && UrlPolicy.isAllowed(link.url)) {
+          await this.linkProcessor.fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl, this.updateLinkProperty.bind(this), { interactive: true });
         }
       });
     }
 
     if (deleteBtn) {
       deleteBtn.addEventListener('click', () => {
-        this.confirmDeleteLink(link.id, link.title || this.linkProcessor.extractDomainFromUrl(link.url));
+        this.confirmDeleteLink(link.id, this.linkProcessor.getLinkTitle(link));
+      });
+    }
+
+    linkEl.querySelector('.link-trust-btn').addEventListener('click', () => {
+      link.reviewed = true;
+      this.linkProcessor.updateLinkTypeBadge(linkEl, link);
+      this.forceLinkPropertyUpdate(link.id, 'reviewed', true);
+    });
+
+    linkEl.querySelector('.link-check-update-btn').addEventListener('click', () => {
+      this.applyLinkRedirect(link.id);
+    });
+
+    linkEl.querySelector('.link-check-remove-btn').addEventListener('click', () => {
+      this.linkCheckResults.delete(link.id);
+      this.deleteLink(link.id);
+    });
+  }
+
+  /**
+   * Setup link check controls
+   */
+  setupLinkCheck() {
+    document.getElementById('check-links-btn').addEventListener('click', () => {
+      this.checkLinks();
+    });
+
+    document.getElementById('stop-link-check-btn').addEventListener('click', () => {
+      if (this.linkChecker) this.linkChecker.cancel();
+    });
+  }
+
+  /**
+   * Check every saved link on every board and mark the problems in the tree
+   * Columns and groups holding a problem are expanded when the check ends.
+   */
+  async checkLinks() {
+    let granted = false;
+    try {
+      granted = await LinkChecker.requestAccess();
+    } catch (error) {
+      console.error('Failed to request site access:', error);
+    }
+
+    if (!granted) {
+      this.uiManager.showError('Checking links needs access to the sites they point to.');
+      return;
+    }
+
+    LinkChecker.observeRedirects();
+
+    const links = [];
+    this.data.columns.forEach(column => {
+      (column.groups || []).forEach(group => {
+        (group.links || []).forEach(link => {
+          if (link.url && !link.id.startsWith('temp_')) links.push(link);
+        });
       });
+    });
+
+    const checkBtn = document.getElementById('check-links-btn');
+    const stopBtn = document.getElementById('stop-link-check-btn');
+    const checker = new LinkChecker();
+    let checked = 0;
+
+    this.linkChecker = checker;
+    this.linkCheckResults.clear();
+    document.querySelectorAll('.link-item').forEach(linkEl => {
+      this.renderLinkCheckResult(linkEl, linkEl.dataset.linkId);
+    });
+
+    checkBtn.disabled = true;
+    stopBtn.classList.remove('hidden');
+    this.setLinkCheckStatus(`Checking ${links.length} links...`);
+
+    try {
+      await checker.checkAll(links, (link, result) => {
+        checked++;
+        this.linkCheckResults.set(link.id, result);
+
+        const linkEl = document.querySelector(`.link-item[data-link-id="${link.id}"]`);
+        if (linkEl) this.renderLinkCheckResult(linkEl, link.id);
+
+        this.setLinkCheckStatus(`Checked ${checked} of ${links.length} links...`);
+      });
+    } finally {
+      this.linkChecker = null;
+      checkBtn.disabled = false;
+      stopBtn.classList.add('hidden');
     }
+
+    this.setLinkCheckStatus(this.summarizeLinkCheck(checked, links.length, checker.isCancelled()));
+    this.revealLinkProblems();
+  }
+
+  /**
+   * Check whether a link check result needs attention
+   * @param {Object|undefined} result - LinkChecker result
+   * @returns {boolean} Whether the link is dead, moved or unreachable
+   */
+  isLinkProblem(result) {
+    return !!result && result.state !== 'ok' && result.state !== 'skipped';
+  }
+
+  /**
+   * Show a link's check result and the matching fix button
+   * @param {Element} linkEl - Link element
+   * @param {string} linkId - Link ID
+   */
+  renderLinkCheckResult(linkEl, linkId) {
+    const result = this.linkCheckResults.get(linkId);
+    const problem = this.isLinkProblem(result);
+    const badge = linkEl.querySelector('.link-check-badge');
+    const updateBtn = linkEl.querySelector('.link-check-update-btn');
+    const removeBtn = linkEl.querySelector('.link-check-remove-btn');
+
+    linkEl.classList.toggle('has-link-problem', problem);
+    badge.className = `link-check-badge${problem ? ` ${result.state}` : ' hidden'}`;
+    updateBtn.classList.toggle('hidden', !problem || result.state !== 'moved');
+    removeBtn.classList.toggle('hidden', !problem || result.state === 'moved');
+    if (!problem) return;
+
+    const labels = { moved: 'Moved', unreachable: 'Unreachable', timeout: 'Timed out' };
+    badge.textContent = result.state === 'broken' ? `HTTP ${result.code}` : labels[result.state];
+    badge.title = result.message;
+    updateBtn.title = result.target || '';
+  }
+
+  /**
+   * Point a moved link at its redirect target
+   * @param {string} linkId - Link ID
+   */
+  applyLinkRedirect(linkId) {
+    const result = this.linkCheckResults.get(linkId);
+    if (!result || !result.target) return;
+
+    const column = this.data.columns.find(c =>
+      (c.groups || []).some(g => (g.links || []).some(l => l.id === linkId))
+    );
+    if (!column) return;
+
+    this.linkCheckResults.delete(linkId);
+    this.forceLinkPropertyUpdate(linkId, 'url', result.target);
+    this.updateColumnDOM(column);
+  }
+
+  /**
+   * Show a link's editor, switching to its board and expanding what holds it
+   * @param {string} linkId - Link ID
+   */
+  revealLink(linkId) {
+    const column = this.data.columns.find(c =>
+      (c.groups || []).some(g => (g.links || []).some(l => l.id === linkId))
+    );
+    if (!column) return;
+
+    this.selectBoard(column.boardId);
+
+    const linkEl = document.querySelector(`.link-item[data-link-id="${CSS.escape(linkId)}"]`);
+    if (!linkEl) return;
+
+    [linkEl, linkEl.closest('.group-item'), linkEl.closest('.column-item')].forEach(el => {
+      if (el) {
+        el.classList.remove('collapsed');
+        el.classList.add('expanded');
+      }
+    });
+    linkEl.scrollIntoView({ block: 'center' });
+    linkEl.querySelector('.link-url-options-input').focus({ preventScroll: true });
+  }
+
+  /**
+   * Expand the columns and groups that hold problem links
+   */
+  revealLinkProblems() {
+    document.querySelectorAll('.link-item').forEach(linkEl => {
+      if (!this.isLinkProblem(this.linkCheckResults.get(linkEl.dataset.linkId))) return;
+
+      [linkEl.closest('.group-item'), linkEl.closest('.column-item')].forEach(el => {
+        if (el) {
+          el.classList.remove('collapsed');
+          el.classList.add('expanded');
+        }
+      });
+    });
+  }
+
+  /**
+   * Describe a finished or stopped link check
+   * @param {number} checked - Links checked
+   * @param {number} total - Links to check
+   * @param {boolean} stopped - Whether the check was stopped early
+   * @returns {string} Summary
+   */
+  summarizeLinkCheck(checked, total, stopped) {
+    const counts = { broken: 0, moved: 0, unreachable: 0 };
+    this.linkCheckResults.forEach(result => {
+      if (result.state === 'timeout') counts.unreachable++;
+      else if (counts[result.state] !== undefined) counts[result.state]++;
+    });
+
+    const found = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([state, count]) => `${count} ${state}`);
+    const prefix = stopped ? `Stopped after ${checked} of ${total} links` : `Checked ${total} links`;
+
+    return `${prefix}: ${found.length > 0 ? found.join(', ') : 'no problems found'}`;
+  }
+
+  /**
+   * Show link check progress or its summary
+   * @param {string} message - Status text
+   */
+  setLinkCheckStatus(message) {
+    const status = document.getElementById('link-check-status');
+    status.textContent = message;
+    status.classList.remove('hidden');
   }
 
   /**
@@ -715,6 +1294,7 @@ class ContentManager {
       // Create temporary column with unique ID
       const tempColumn = {
         id: `temp_${Date.now()}`,
+        boardId: this.currentBoardId,
         name: 'New Column',
         items: [],
         isTemporary: true
@@ -724,7 +1304,7 @@ class ContentManager {
       this.data.columns.push(tempColumn);
 
       // Create and insert the new column element directly
-      const columnElement = this.createColumnOptionsElement(tempColumn, this.data.columns.length - 1);
+      const columnElement = this.createColumnOptionsElement(tempColumn, this.getBoardColumns().length - 1);
       const addColumnSection = document.getElementById('add-column-section');
       const columnsList = document.getElementById('columns-list');
 
@@ -759,8 +1339,9 @@ class ContentManager {
   /**
    * Add new group to column
    * @param {string} columnId - Column ID
+   * @param {string} [widgetType] - Add a widget of this type instead of a link group
    */
-  async addGroupToColumn(columnId) {
+  async addGroupToColumn(columnId, widgetType) {
     try {
       // Find the column
       const column = this.data.columns.find(c => c.id === columnId);
@@ -780,8 +1361,14 @@ class ContentManager {
         return;
       }
 
-      // Create temporary group with unique ID
-      const tempGroup = {
+      // Create temporary group with unique ID; widgets work untitled, so they are saved straight away
+      const newGroup = widgetType ? {
+        id: generateUUID(),
+        title: '',
+        customClasses: '',
+        links: [],
+        widget: Widgets.create(widgetType)
+      } : {
         id: `temp_${Date.now()}`,
         title: '',
         customClasses: '',
@@ -790,11 +1377,15 @@ class ContentManager {
       };
 
       // Add to local data temporarily
-      column.groups.push(tempGroup);
+      column.groups.push(newGroup);
 
       // Update the column DOM to include the new group
       this.updateColumnDOM(column);
 
+      if (widgetType) {
+        this.markDirty();
+      }
+
       // Expand the column if it's collapsed
       const columnEl = document.querySelector(`[data-column-id="${columnId}"]`);
       if (columnEl && columnEl.classList.contains('collapsed')) {
@@ -802,7 +1393,7 @@ class ContentManager {
       }
 
       // Find the new group element and expand it for editing
-      const newGroupEl = document.querySelector(`[data-group-id="${tempGroup.id}"]`);
+      const newGroupEl = document.querySelector(`[data-group-id="${newGroup.id}"]`);
       if (newGroupEl) {
         // Expand the group for editing
         newGroupEl.classList.remove('collapsed');
@@ -824,6 +1415,207 @@ class ContentManager {
     }
   }
 
+  /**
+   * Show a widget's settings editor in place of a group's links
+   * Changes apply to group.widget at once and are saved after a pause.
+   * @param {Object} group - Widget group
+   * @param {Element} groupEl - Group DOM element
+   */
+  setupWidgetEditor(group, groupEl) {
+    groupEl.classList.add('widget-item');
+    ['.add-link-to-group-btn', '.group-links-list', '.add-link-section'].forEach(selector => {
+      const element = groupEl.querySelector(selector);
+      if (element) element.remove();
+    });
+
+    const template = this.templates[`${group.widget.type}Editor`];
+    if (!template) return;
+
+    const editor = template.content.cloneNode(true).querySelector('.widget-editor');
+    groupEl.querySelector('.group-details').appendChild(editor);
+
+    let saveTimeout = null;
+    const save = (changes) => {
+      group.widget = Widgets.normalize({ ...group.widget, ...changes });
+
+      if (saveTimeout) {
+        clearTimeout(saveTimeout);
+      }
+      saveTimeout = setTimeout(() => {
+        this.forceGroupPropertyUpdate(group.id, 'widget', group.widget);
+      }, 500);
+    };
+
+    const setups = {
+      clock: () => this.setupClockEditor(editor, group, save),
+      note: () => this.setupNoteEditor(editor, group, save),
+      checklist: () => this.setupChecklistEditor(editor, group, save),
+      countdown: () => this.setupCountdownEditor(editor, group, save)
+    };
+    setups[group.widget.type]();
+  }
+
+  /**
+   * Setup the clock editor
+   * @param {Element} editor - Editor element
+   * @param {Object} group - Clock group
+   * @param {Function} save - Saves changed settings
+   */
+  setupClockEditor(editor, group, save) {
+    const switches = {
+      showSeconds: editor.querySelector('.clock-show-seconds-input'),
+      hour12: editor.querySelector('.clock-hour12-input'),
+      showDate: editor.querySelector('.clock-show-date-input')
+    };
+
+    Object.entries(switches).forEach(([field, input]) => {
+      input.checked = group.widget[field];
+      input.addEventListener('change', () => save({ [field]: input.checked }));
+    });
+
+    const zoneSelect = editor.querySelector('.clock-time-zone-select');
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (group.widget.timeZone && !zones.includes(group.widget.timeZone)) {
+      zones.unshift(group.widget.timeZone);
+    }
+
+    zoneSelect.add(new Option('Local time', ''));
+    zones.forEach(zone => zoneSelect.add(new Option(zone.replace(/_/g, ' '), zone)));
+    zoneSelect.value = group.widget.timeZone;
+    zoneSelect.addEventListener('change', () => save({ timeZone: zoneSelect.value }));
+  }
+
+  /**
+   * Setup the note editor
+   * @param {Element} editor - Editor element
+   * @param {Object} group - Note group
+   * @param {Function} save - Saves changed settings
+   */
+  setupNoteEditor(editor, group, save) {
+    const input = editor.querySelector('.note-markdown-input');
+    const length = editor.querySelector('.note-length');
+    const showLength = () => {
+      length.textContent = `${input.value.length} of ${MAX_NOTE_LENGTH} characters`;
+    };
+
+    input.maxLength = MAX_NOTE_LENGTH;
+    input.value = group.widget.markdown;
+    showLength();
+
+    input.addEventListener('input', () => {
+      showLength();
+      save({ markdown: input.value });
+    });
+  }
+
+  /**
+   * Setup the checklist editor
+   * @param {Element} editor - Editor element
+   * @param {Object} group - Checklist group
+   * @param {Function} save - Saves changed settings
+   */
+  setupChecklistEditor(editor, group, save) {
+    const list = editor.querySelector('.checklist-editor-items');
+    const newItemInput = editor.querySelector('.checklist-new-item-input');
+
+    newItemInput.maxLength = MAX_CHECKLIST_ITEM_LENGTH;
+    this.renderChecklistEditorItems(list, group, save);
+
+    const addItem = () => {
+      const text = newItemInput.value.trim();
+      if (!text) return;
+
+      if (group.widget.items.length >= MAX_CHECKLIST_ITEMS) {
+        this.uiManager.showError(`A checklist holds at most ${MAX_CHECKLIST_ITEMS} items`);
+        return;
+      }
+
+      newItemInput.value = '';
+      save({ items: [...group.widget.items, { id: generateUUID(), text, done: false }] });
+      this.renderChecklistEditorItems(list, group, save);
+    };
+
+    editor.querySelector('.checklist-add-item-btn').addEventListener('click', addItem);
+    newItemInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addItem();
+      }
+    });
+  }
+
+  /**
+   * Render a checklist's items in its editor
+   * @param {Element} list - Items container
+   * @param {Object} group - Checklist group
+   * @param {Function} save - Saves changed settings
+   */
+  renderChecklistEditorItems(list, group, save) {
+    const updateItem = (id, changes) => save({
+      items: group.widget.items.map(item => item.id === id ? { ...item, ...changes } : item)
+    });
+
+    list.innerHTML = '';
+
+    group.widget.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'checklist-editor-row';
+
+      const doneInput = document.createElement('input');
+      doneInput.type = 'checkbox';
+      doneInput.checked = item.done;
+      doneInput.setAttribute('aria-label', 'Done');
+      doneInput.addEventListener('change', () => updateItem(item.id, { done: doneInput.checked }));
+
+      const textInput = document.createElement('input');
+      textInput.type = 'text';
+      textInput.value = item.text;
+      textInput.maxLength = MAX_CHECKLIST_ITEM_LENGTH;
+      textInput.setAttribute('aria-label', 'Item');
+      textInput.addEventListener('change', () => {
+        const text = textInput.value.trim();
+        const current = group.widget.items.find(candidate => candidate.id === item.id);
+
+        // An item without text would be dropped; removing is what the × is for
+        if (!text) {
+          textInput.value = current ? current.text : item.text;
+          return;
+        }
+        updateItem(item.id, { text });
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-secondary btn-compact checklist-remove-item-btn';
+      removeBtn.title = 'Remove item';
+      removeBtn.setAttribute('aria-label', 'Remove item');
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => {
+        save({ items: group.widget.items.filter(candidate => candidate.id !== item.id) });
+        this.renderChecklistEditorItems(list, group, save);
+      });
+
+      row.append(doneInput, textInput, removeBtn);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Setup the countdown editor
+   * @param {Element} editor - Editor element
+   * @param {Object} group - Countdown group
+   * @param {Function} save - Saves changed settings
+   */
+  setupCountdownEditor(editor, group, save) {
+    const targetInput = editor.querySelector('.countdown-target-input');
+    const secondsInput = editor.querySelector('.countdown-show-seconds-input');
+
+    targetInput.value = group.widget.target;
+    targetInput.addEventListener('change', () => save({ target: targetInput.value }));
+
+    secondsInput.checked = group.widget.showSeconds;
+    secondsInput.addEventListener('change', () => save({ showSeconds: secondsInput.checked }));
+  }
+
   /**
    * Setup group form handlers with debounced saving
    */
@@ -896,6 +1688,7 @@ class ContentManager {
     const addLinkBtn = groupEl.querySelector('.add-link-to-group-btn');
     const addLinkBottomBtn = groupEl.querySelector('.add-link-bottom-btn');
     const deleteBtn = groupEl.querySelector('.delete-group-options-btn');
+    const exportBtn = groupEl.querySelector('.export-group-btn');
 
     if (addLinkBtn) {
       addLinkBtn.addEventListener('click', () => {
@@ -914,6 +1707,12 @@ class ContentManager {
         this.confirmDeleteGroup(group.id, group.title || 'Untitled Group');
       });
     }
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        this.dataManager.exportGroup(group.id);
+      });
+    }
   }
 
   /**
@@ -969,7 +1768,8 @@ class ContentManager {
     const buttonsToRefresh = [
       '.delete-group-options-btn',
       '.add-link-to-group-btn',
-      '.add-link-bottom-btn'
+      '.add-link-bottom-btn',
+      '.export-group-btn'
     ];
 
     buttonsToRefresh.forEach(selector => {
@@ -1113,6 +1913,11 @@ class ContentManager {
         return;
       }
 
+      if (Widgets.isWidget(group)) {
+        this.uiManager.showError("Widgets can't hold links");
+        return;
+      }
+
       // Ensure group has links array
       if (!group.links) {
         group.links = [];
@@ -1296,6 +2101,29 @@ class ContentManager {
     }
   }
 
+  /**
+   * Ask for a column or group export and append it to a column
+   * @param {Object} column - Column data object
+   */
+  pickColumnImportFile(column) {
+    if (column.isTemporary) {
+      this.uiManager.showError('Save the column before importing into it');
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.zip,.json';
+
+    input.addEventListener('change', async () => {
+      if (input.files[0] && await this.dataManager.importIntoColumn(column.id, input.files[0])) {
+        this.updateColumnDOM(column);
+      }
+    });
+
+    input.click();
+  }
+
   /**
    * Update event listeners for a column element with new permanent ID
    * @param {Element} columnEl - Column DOM element
@@ -1412,17 +2240,8 @@ class ContentManager {
           const newOrder = columnElements.map(el => el.dataset.columnId);
 
 
-          // Reorder the data array to match the new DOM order
-          const newColumns = [];
-          newOrder.forEach(columnId => {
-            const column = this.data.columns.find(c => c.id === columnId);
-            if (column) {
-              newColumns.push(column);
-            }
-          });
-
-          // Update the data with the new order
-          this.data.columns = newColumns;
+          // Reorder the board's columns to match the new DOM order
+          BoardManager.reorderColumns(this.data, this.currentBoardId, newOrder);
 
           // Update indices and mark dirty
           this.updateColumnIndices();
@@ -1991,10 +2810,10 @@ class ContentManager {
   async handleTemporaryLinkSave(tempLink) {
     const url = tempLink.url ? tempLink.url.trim() : '';
 
-    // Check for dangerous URLs that should block saving
-    // Allow empty or invalid URLs (will show warning in UI)
-    if (url && this.linkProcessor.isDangerousUrl(url)) {
-      this.uiManager.showError('URL contains potentially dangerous content and cannot be saved.');
+    // Block URLs that can run code; other URL problems are saved and shown as a warning
+    const urlCheck = UrlPolicy.check(url);
+    if (url && urlCheck.reason === 'forbidden') {
+      this.uiManager.showError(`${urlCheck.message}.`);
       this.removeTemporaryLink(tempLink.id);
       return;
     }
@@ -2079,7 +2898,9 @@ class ContentManager {
     // Remove old event listeners by cloning and replacing buttons
     const buttonsToRefresh = [
       '.delete-link-options-btn',
-      '.refresh-link-btn'
+      '.refresh-link-btn',
+      '.link-check-update-btn',
+      '.link-check-remove-btn'
     ];
 
     buttonsToRefresh.forEach(selector => {
@@ -2104,9 +2925,6 @@ class ContentManager {
     const advancedToggle = document.getElementById('show-advanced-options-setting');
     if (!advancedToggle) return;
 
-    // Set initial state
-    advancedToggle.checked = this.data.showAdvancedOptions || false;
-
     // Handle toggle changes
     advancedToggle.addEventListener('change', async () => {
       this.data.showAdvancedOptions = advancedToggle.checked;
@@ -2116,14 +2934,18 @@ class ContentManager {
       await SettingsManager.updateAdvancedOptionsVisibility(advancedToggle.checked);
     });
 
-    // Apply initial visibility state
     this.updateAdvancedOptionsVisibility();
   }
 
   /**
-   * Update visibility of advanced options based on setting
+   * Update the advanced options toggle and field visibility from the setting
    */
   updateAdvancedOptionsVisibility() {
+    const advancedToggle = document.getElementById('show-advanced-options-setting');
+    if (advancedToggle) {
+      advancedToggle.checked = this.data.showAdvancedOptions || false;
+    }
+
     const isVisible = this.data.showAdvancedOptions;
     const advancedFields = document.querySelectorAll('.advanced-field');
 
@@ -8,6 +8,8 @@ class DataManager {
     this.data = data;
     this.uiManager = uiManager;
     this.zipExportManager = new ZipExportManager();
+    this.bookmarksHtmlManager = new BookmarksHtmlManager();
+    this.importMergeManager = new ImportMergeManager();
   }
 
   /**
@@ -69,6 +71,22 @@ class DataManager {
       }
     });
 
+    // Content merge
+    const mergeContentBtn = document.getElementById('merge-content-btn');
+    const mergeContentFile = document.getElementById('merge-content-file');
+    const mergePolicySelect = document.getElementById('merge-policy-select');
+
+    mergeContentBtn.addEventListener('click', () => {
+      mergeContentFile.click();
+    });
+
+    mergeContentFile.addEventListener('change', async (e) => {
+      if (e.target.files[0]) {
+        await this.mergeContentImport(e.target.files[0], mergePolicySelect.value);
+        e.target.value = ''; // Reset file input
+      }
+    });
+
     // Appearance export/import
     exportAppearanceBtn.addEventListener('click', () => {
       this.exportAppearanceOnly();
@@ -101,10 +119,45 @@ class DataManager {
       }
     });
 
+    // Browser bookmarks export/import
+    const bookmarksBoardSelect = document.getElementById('bookmarks-board-select');
+    const exportBookmarksBtn = document.getElementById('export-bookmarks-btn');
+    const importBookmarksBtn = document.getElementById('import-bookmarks-btn');
+    const importBookmarksFile = document.getElementById('import-bookmarks-file');
+
+    // Boards can be added or renamed in the Content panel at any time
+    this.renderBookmarksBoardSelect();
+    bookmarksBoardSelect.addEventListener('focus', () => {
+      this.renderBookmarksBoardSelect();
+    });
+
+    exportBookmarksBtn.addEventListener('click', () => {
+      this.exportBookmarksHtml(bookmarksBoardSelect.value);
+    });
+
+    importBookmarksBtn.addEventListener('click', () => {
+      importBookmarksFile.click();
+    });
+
+    importBookmarksFile.addEventListener('change', async (e) => {
+      if (e.target.files[0]) {
+        await this.importBookmarksHtml(e.target.files[0]);
+        e.target.value = ''; // Reset file input
+      }
+    });
+
     // Reset all data
     resetBtn.addEventListener('click', () => {
       this.confirmResetAll();
     });
+
+    // Snapshot history
+    this.setupSnapshotHistory();
+
+    // Favicon cache
+    document.getElementById('refresh-favicons-btn').addEventListener('click', () => {
+      this.refreshFavicons();
+    });
   }
 
   /**
@@ -146,6 +199,84 @@ class DataManager {
     }
   }
 
+  /**
+   * Export one column with its groups and custom favicons
+   * Unsaved (temporary) groups and links are left out.
+   * @param {string} columnId - Column ID
+   */
+  async exportColumn(columnId) {
+    const column = this.data.columns.find(c => c.id === columnId);
+    if (!column || column.isTemporary) {
+      this.uiManager.showError('Save the column before exporting it');
+      return;
+    }
+
+    try {
+      const groups = (column.groups || [])
+        .filter(group => !group.isTemporary)
+        .map(group => this.withoutTemporaryLinks(group));
+      const { isTemporary, ...saved } = column;
+
+      const zipBlob = await this.zipExportManager.exportColumn({ ...saved, groups });
+      this.downloadBlob(zipBlob, this.zipExportManager.generateFilename('column', column.name));
+
+    } catch (error) {
+      console.error('Failed to export column:', error);
+      this.uiManager.showError('Failed to export column. Please try again.');
+    }
+  }
+
+  /**
+   * Export one group with its custom favicons
+   * @param {string} groupId - Group ID
+   */
+  async exportGroup(groupId) {
+    const group = this.data.columns
+      .flatMap(column => column.groups || [])
+      .find(g => g.id === groupId);
+
+    if (!group || group.isTemporary) {
+      this.uiManager.showError('Save the group before exporting it');
+      return;
+    }
+
+    try {
+      const zipBlob = await this.zipExportManager.exportGroup(this.withoutTemporaryLinks(group));
+      this.downloadBlob(zipBlob, this.zipExportManager.generateFilename('group', group.title || 'untitled'));
+
+    } catch (error) {
+      console.error('Failed to export group:', error);
+      this.uiManager.showError('Failed to export group. Please try again.');
+    }
+  }
+
+  /**
+   * Copy a group without its unsaved links
+   * @param {Object} group - Group
+   * @returns {Object} Group copy
+   */
+  withoutTemporaryLinks(group) {
+    return { ...group, links: (group.links || []).filter(link => !link.isTemporary) };
+  }
+
+  /**
+   * Start a download of a generated file
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Download filename
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Export appearance only (themes, CSS, backgrounds)
    */
@@ -194,6 +325,97 @@ class DataManager {
     }
   }
 
+  /**
+   * Fill the bookmarks export board picker, keeping the current choice
+   */
+  renderBookmarksBoardSelect() {
+    const select = document.getElementById('bookmarks-board-select');
+    const selected = select.value;
+
+    select.innerHTML = '';
+    this.data.boards.forEach(board => {
+      const option = document.createElement('option');
+      option.value = board.id;
+      option.textContent = board.name;
+      select.appendChild(option);
+    });
+
+    select.value = BoardManager.resolveBoardId(this.data, selected);
+  }
+
+  /**
+   * Export one board as a browser bookmarks file
+   * @param {string} boardId - Board to export
+   */
+  exportBookmarksHtml(boardId) {
+    try {
+      const board = BoardManager.getBoard(this.data, BoardManager.resolveBoardId(this.data, boardId));
+      const html = this.bookmarksHtmlManager.serialize(this.data, board.id);
+      const blob = new Blob([html], { type: 'text/html' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = this.bookmarksHtmlManager.generateFilename(board.name);
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+
+      URL.revokeObjectURL(url);
+
+    } catch (error) {
+      console.error('Failed to export bookmarks:', error);
+      this.uiManager.showError('Failed to export bookmarks. Please try again.');
+    }
+  }
+
+  /**
+   * Import a browser bookmarks file onto a new board
+   * Existing boards are left untouched, so no backup prompt is needed.
+   * @param {File} file - Bookmarks HTML file
+   */
+  async importBookmarksHtml(file) {
+    if (!file) return;
+
+    try {
+      this.uiManager.showStatus('Importing bookmarks...', 'saving');
+
+      const result = this.bookmarksHtmlManager.parse(await file.text());
+      if (result.columns.length === 0) {
+        throw new Error('No bookmarks found in this file');
+      }
+
+      const board = BoardManager.addBoard(this.data, 'Imported bookmarks');
+      result.columns.forEach(column => {
+        this.data.columns.push({ ...column, boardId: board.id });
+      });
+
+      await SnapshotManager.create('Before bookmarks import', 'auto');
+      await StorageManager.saveImmediate(this.data, 'Import bookmarks');
+
+      if (result.linksSkipped > 0) {
+        this.uiManager.showInfo(`${result.linksSkipped} bookmarks were skipped (unsupported URLs or over the per-group limit)`);
+      }
+
+      await this.uiManager.createImportResultModal({
+        columnsImported: result.columns.length,
+        linksImported: result.linksImported,
+        settingsImported: 0,
+        customFaviconsImported: result.iconsImported,
+        backgroundImageImported: false,
+        faviconUrlsKept: 0,
+        faviconUrlsRemoved: 0
+      });
+
+      location.reload();
+
+    } catch (error) {
+      console.error('Failed to import bookmarks:', error);
+      this.uiManager.showError(`Failed to import bookmarks: ${error.message}`);
+      this.uiManager.showStatus('Import failed', 'error');
+    }
+  }
+
   /**
    * Export data as JSON file (legacy function - keeping for compatibility)
    */
@@ -246,6 +468,59 @@ class DataManager {
   }
 
 
+  /**
+   * Check imported data and let the user decide what to do about problems
+   * Content, appearance and settings sections are checked separately. When
+   * every problem is recoverable, the user can import anyway with the
+   * invalid items skipped or cleared.
+   * @param {Object} importData - Import data structure from validateImportFile
+   * @param {Object} [options] - Review options
+   * @param {boolean} [options.withSettings=false] - The file's settings are imported too, so its
+   *   links are checked against its own link rules rather than the current ones
+   * @returns {Promise<Object|null>} Data to import, or null if the import should stop
+   */
+  async reviewImportData(importData, options = {}) {
+    const sections = ['content', 'appearance', 'settings'].filter(key => importData[key]);
+    const reviewed = { ...importData };
+    const reports = {};
+
+    // Settings first, so content can be checked against their repaired link rules
+    [...sections].reverse().forEach(key => {
+      const section = key === 'content' && options.withSettings && reports.settings && reports.settings.repaired.urlPolicy
+        ? { ...importData.content, urlPolicy: reports.settings.repaired.urlPolicy }
+        : importData[key];
+
+      reports[key] = validateImportData(section, { partial: true });
+      reviewed[key] = reports[key].repaired;
+    });
+
+    if (reviewed.content) {
+      delete reviewed.content.urlPolicy;
+    }
+
+    const issues = sections.flatMap(key => reports[key].issues);
+
+    if (issues.length === 0) {
+      return importData;
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const recoverable = errors === 0;
+    console.warn('Import validation found problems:', issues.map(formatImportIssue));
+
+    const confirmed = await this.uiManager.createImportResultModal({}, {
+      title: 'Problems Found',
+      heading: `${issues.length} problem${issues.length !== 1 ? 's' : ''} found in this file`,
+      summary: recoverable
+        ? 'Nothing has been imported yet. You can import anyway: the items listed will be skipped or cleared.'
+        : `This file can't be imported until ${errors === 1 ? 'the error is' : `the ${errors} errors are`} fixed.`,
+      issues,
+      confirmText: recoverable ? 'Import Anyway, Skipping Invalid Items' : null
+    });
+
+    return confirmed ? reviewed : null;
+  }
+
   /**
    * Import content only (links and columns)
    * @param {File} file - ZIP or JSON file
@@ -289,6 +564,13 @@ class DataManager {
         throw new Error(validation.error);
       }
 
+      const reviewedData = await this.reviewImportData(validation.data);
+      if (!reviewedData) {
+        this.uiManager.showStatus('Import cancelled', 'info');
+        return;
+      }
+      validation.data = reviewedData;
+
       // Only show warning for mismatched types, don't block
       if (validation.type !== 'content') {
         console.log(`⚠️ File type mismatch: expected 'content', got '${validation.type}'`);
@@ -311,6 +593,7 @@ class DataManager {
       if (validation.data.content) {
         const processedColumns = this.processImportColumns(validation.data.content.columns);
         this.data.columns = processedColumns.columns;
+        this.importBoards(validation.data.content.boards);
         columnsImported = processedColumns.columns?.length || 0;
         linksImported = processedColumns.linksCount;
         faviconUrlsRemoved = processedColumns.faviconUrlsRemoved;
@@ -334,9 +617,13 @@ class DataManager {
       console.log(`   - Favicon URLs kept: ${faviconUrlsKept}`);
       console.log(`   - Favicon URLs removed: ${faviconUrlsRemoved}`);
 
+      // Place columns from single-board exports on the first board
+      BoardManager.normalize(this.data);
+
       // Use immediate save for imports
       console.log('💾 Saving imported data...');
-      await StorageManager.saveImmediate(this.data);
+      await SnapshotManager.create('Before content import', 'auto');
+      await StorageManager.saveImmediate(this.data, 'Import content');
       console.log('✅ Data saved successfully!');
 
       // Show import result modal
@@ -372,6 +659,140 @@ class DataManager {
     }
   }
 
+  /**
+   * Merge imported content into the current boards
+   * Nothing is saved until the user confirms the preview. A snapshot is
+   * taken first, so no backup prompt is needed.
+   * @param {File} file - ZIP or JSON file
+   * @param {string} policy - What to do when a link differs: 'mine', 'theirs' or 'both'
+   */
+  async mergeContentImport(file, policy) {
+    if (!file) return;
+
+    try {
+      this.uiManager.showStatus('Reading import file...', 'saving');
+
+      const validation = await this.validateImportFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const reviewedData = await this.reviewImportData(validation.data);
+      if (!reviewedData) {
+        this.uiManager.showStatus('Import cancelled', 'info');
+        return;
+      }
+      validation.data = reviewedData;
+
+      const content = validation.data.content || validation.data;
+      if (!Array.isArray(content.columns)) {
+        throw new Error('No columns found in this file');
+      }
+
+      const processedColumns = this.processImportColumns(content.columns);
+      const plan = this.importMergeManager.plan(this.data, processedColumns.columns, content.boards, policy);
+
+      const confirmed = await this.uiManager.createImportResultModal({
+        columnsImported: plan.changes.filter(change => change.type === 'column' && change.action === 'add').length,
+        linksImported: plan.changes.filter(change => change.type === 'link' && change.action !== 'skip').length,
+        settingsImported: 0,
+        customFaviconsImported: 0,
+        backgroundImageImported: false,
+        faviconUrlsKept: processedColumns.faviconUrlsKept,
+        faviconUrlsRemoved: processedColumns.faviconUrlsRemoved
+      }, {
+        summary: `${plan.counts.add} to add, ${plan.counts.update} to update and ${plan.counts.skip} to skip.`,
+        changes: plan.changes,
+        confirmText: 'Merge'
+      });
+
+      if (!confirmed) {
+        this.uiManager.showStatus('Merge cancelled', 'info');
+        return;
+      }
+
+      this.data.boards = plan.boards;
+      this.data.columns = plan.columns;
+
+      await SnapshotManager.create('Before content merge', 'auto');
+      await StorageManager.saveImmediate(this.data, 'Merge content');
+
+      location.reload();
+
+    } catch (error) {
+      console.error('Failed to merge content:', error);
+      this.uiManager.showError(`Failed to merge content: ${error.message}`);
+      this.uiManager.showStatus('Merge failed', 'error');
+    }
+  }
+
+  /**
+   * Append the groups of a column or group export to a column
+   * Accepts packages from Export column and Export group, and content
+   * exports holding a single column. Imported groups and links get new IDs,
+   * so a package can be imported more than once.
+   * @param {string} columnId - Column to append to
+   * @param {File} file - ZIP or JSON file
+   * @returns {Promise<boolean>} Whether anything was imported
+   */
+  async importIntoColumn(columnId, file) {
+    const column = this.data.columns.find(c => c.id === columnId);
+    if (!column || !file) return false;
+
+    try {
+      const validation = await this.validateImportFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const reviewedData = await this.reviewImportData(validation.data);
+      if (!reviewedData) {
+        this.uiManager.showStatus('Import cancelled', 'info');
+        return false;
+      }
+      validation.data = reviewedData;
+
+      const content = validation.data.content || {};
+      let groups;
+
+      if (validation.type === 'group' && Array.isArray(content.groups)) {
+        groups = content.groups;
+      } else if (Array.isArray(content.columns) && content.columns.length === 1) {
+        groups = content.columns[0].groups || [];
+      } else {
+        throw new Error('Choose a file made with Export column or Export group');
+      }
+
+      column.groups = column.groups || [];
+      const room = MAX_GROUPS_PER_COLUMN - column.groups.length;
+      if (groups.length > room) {
+        throw new Error(`This column has room for ${room} more groups; the file has ${groups.length}`);
+      }
+
+      const processed = this.processImportColumns([{ groups }]);
+      const imported = processed.columns[0].groups.map(group => ({
+        id: generateUUID(),
+        title: group.title || '',
+        customClasses: group.customClasses || '',
+        ...(Widgets.isWidget(group) ? { widget: group.widget } : {}),
+        links: (group.links || []).slice(0, MAX_LINKS_PER_GROUP).map(link => ({ ...link, id: generateUUID() }))
+      }));
+
+      await SnapshotManager.create('Before column import', 'auto');
+      column.groups.push(...imported);
+      await StorageManager.saveImmediate(this.data, 'Import into column');
+
+      const linkCount = imported.reduce((total, group) => total + group.links.length, 0);
+      this.uiManager.showSuccess(`Added ${imported.length} group${imported.length !== 1 ? 's' : ''} and ${linkCount} link${linkCount !== 1 ? 's' : ''} to ${column.name}`);
+      return imported.length > 0;
+
+    } catch (error) {
+      console.error('Failed to import into column:', error);
+      this.uiManager.showError(`Failed to import into column: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Import appearance only (themes, CSS, backgrounds)
    * @param {File} file - ZIP or JSON file
@@ -408,6 +829,13 @@ class DataManager {
         throw new Error(validation.error);
       }
 
+      const reviewedData = await this.reviewImportData(validation.data);
+      if (!reviewedData) {
+        this.uiManager.showStatus('Import cancelled', 'info');
+        return;
+      }
+      validation.data = reviewedData;
+
       // Only show warning for mismatched types, don't block
       if (validation.type !== 'appearance') {
         try {
@@ -473,7 +901,8 @@ class DataManager {
 
       // Use immediate save for imports
       console.log('💾 Saving imported appearance data...');
-      await StorageManager.saveImmediate(this.data);
+      await SnapshotManager.create('Before appearance import', 'auto');
+      await StorageManager.saveImmediate(this.data, 'Import appearance');
       console.log('✅ Appearance data saved successfully!');
 
       // Show import result modal
@@ -545,6 +974,13 @@ class DataManager {
         throw new Error(validation.error);
       }
 
+      const reviewedData = await this.reviewImportData(validation.data, { withSettings: true });
+      if (!reviewedData) {
+        this.uiManager.showStatus('Import cancelled', 'info');
+        return;
+      }
+      validation.data = reviewedData;
+
       // Safe UI feedback with fallback
       try {
         this.uiManager.showStatus('Importing complete theme...', 'saving');
@@ -566,6 +1002,7 @@ class DataManager {
       if (validation.data.content) {
         const processedColumns = this.processImportColumns(validation.data.content.columns);
         this.data.columns = processedColumns.columns;
+        this.importBoards(validation.data.content.boards);
         columnsImported = processedColumns.columns?.length || 0;
         linksImported = processedColumns.linksCount;
         faviconUrlsRemoved = processedColumns.faviconUrlsRemoved;
@@ -622,9 +1059,13 @@ class DataManager {
       console.log(`   - Favicon URLs kept: ${faviconUrlsKept}`);
       console.log(`   - Favicon URLs removed: ${faviconUrlsRemoved}`);
 
+      // Place columns from single-board exports on the first board
+      BoardManager.normalize(this.data);
+
       // Use immediate save for imports
       console.log('💾 Saving complete theme data...');
-      await StorageManager.saveImmediate(this.data);
+      await SnapshotManager.create('Before complete import', 'auto');
+      await StorageManager.saveImmediate(this.data, 'Import complete theme');
       console.log('✅ Complete theme data saved successfully!');
 
       // Show import result modal
@@ -708,6 +1149,21 @@ class DataManager {
     }
   }
 
+  /**
+   * Replace boards with the ones from an export, if it has any
+   * Exports made before boards existed leave the current boards in place.
+   * @param {Array|undefined} boards - Exported boards
+   */
+  importBoards(boards) {
+    if (!Array.isArray(boards) || boards.length === 0) return;
+
+    this.data.boards = boards.slice(0, MAX_BOARDS).map(board => ({
+      id: board.id,
+      name: board.name,
+      overrides: { ...board.overrides }
+    }));
+  }
+
   /**
    * Process imported columns to filter out iconUrlOverride
    * @param {Array} columns - Columns to process
@@ -746,7 +1202,7 @@ class DataManager {
                   } catch (e) {
                     // If extraction fails, keep original
                   }
-                  console.log(`✅ Keeping Google favicon URL for: ${processedLink.title || processedLink.url}`);
+                  console.log(`✅ Keeping favicon service URL for: ${processedLink.title || processedLink.url}`);
                   faviconUrlsKept++;
                 } else {
                   console.log(`🚫 Removing custom favicon URL for: ${processedLink.title || processedLink.url}`);
@@ -785,17 +1241,12 @@ class DataManager {
   }
 
   /**
-   * Check if a favicon URL should be kept (Google favicon service URLs only)
+   * Check if a favicon URL should be kept (favicon service URLs only)
    * @param {string} url - Favicon URL to check
    * @returns {boolean} Whether to keep this URL
    */
   shouldKeepFaviconUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-
-    // Keep Google favicon service URLs
-    return url.includes('google.com/s2/favicons') ||
-      url.includes('gstatic.com/faviconV2') ||
-      url.includes('googleapis.com/favicon');
+    return FaviconProviders.isServiceUrl(url);
   }
 
   /**
@@ -804,7 +1255,7 @@ class DataManager {
   confirmResetAll() {
     const modal = this.uiManager.createModal('confirm', {
       title: 'Reset All Data',
-      message: 'Are you sure you want to reset all data to defaults? This will delete all your columns, links, and settings. This action cannot be undone.'
+      message: 'Are you sure you want to reset all data to defaults? This will delete all your columns, links, and settings. A snapshot is saved first and can be restored from History.'
     });
 
     const confirmBtn = modal.querySelector('.modal-confirm-btn');
@@ -830,15 +1281,212 @@ class DataManager {
     }
   }
 
+  /**
+   * Setup snapshot history list and actions
+   */
+  setupSnapshotHistory() {
+    const createSnapshotBtn = document.getElementById('create-snapshot-btn');
+    const snapshotList = document.getElementById('snapshot-list');
+    const limitInputs = {
+      limit: document.getElementById('snapshot-limit'),
+      dailyLimit: document.getElementById('daily-snapshot-limit')
+    };
+
+    SnapshotManager.getSettings().then(settings => {
+      Object.entries(limitInputs).forEach(([key, input]) => {
+        input.value = settings[key];
+      });
+    });
+
+    Object.entries(limitInputs).forEach(([key, input]) => {
+      input.addEventListener('change', () => this.updateSnapshotLimit(key, input));
+    });
+
+    createSnapshotBtn.addEventListener('click', async () => {
+      const snapshot = await SnapshotManager.create('Manual snapshot', 'manual');
+      if (snapshot) {
+        this.uiManager.showSuccess('Snapshot saved');
+      } else {
+        this.uiManager.showInfo('No changes since the last snapshot');
+      }
+      this.renderSnapshotList();
+    });
+
+    snapshotList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-snapshot-id]');
+      if (!button) return;
+
+      if (button.dataset.action === 'compare') {
+        this.compareSnapshot(button);
+      } else if (button.dataset.action === 'restore') {
+        this.restoreSnapshot(button.dataset.snapshotId);
+      } else if (button.dataset.action === 'delete') {
+        this.deleteSnapshot(button.dataset.snapshotId);
+      }
+    });
+
+    this.renderSnapshotList();
+  }
+
+  /**
+   * Change how many snapshots are kept
+   * @param {string} key - Setting to change ('limit' or 'dailyLimit')
+   * @param {HTMLInputElement} input - Number input holding the new value
+   */
+  async updateSnapshotLimit(key, input) {
+    try {
+      const settings = await SnapshotManager.updateSettings({ [key]: Number(input.value) });
+      input.value = settings[key];
+      this.renderSnapshotList();
+
+    } catch (error) {
+      this.uiManager.showError(error.message);
+      input.value = (await SnapshotManager.getSettings())[key];
+    }
+  }
+
+  /**
+   * Render the snapshot list from the index
+   * Snapshot data is only loaded when a row is compared or restored.
+   */
+  async renderSnapshotList() {
+    const snapshotList = document.getElementById('snapshot-list');
+
+    try {
+      const snapshots = await SnapshotManager.list();
+
+      if (snapshots.length === 0) {
+        snapshotList.innerHTML = '<p class="snapshot-empty">No snapshots yet</p>';
+        return;
+      }
+
+      snapshotList.innerHTML = snapshots.map(snapshot => `
+        <div class="snapshot-item">
+          <div class="snapshot-details">
+            <span class="snapshot-title">${sanitizeText(snapshot.reason)}</span>
+            <span class="snapshot-meta">${new Date(snapshot.timestamp).toLocaleString()} · ${this.formatBytes(snapshot.size)} · ${snapshot.columns} columns · ${snapshot.links} links</span>
+            <span class="snapshot-diff" hidden></span>
+          </div>
+          <div class="snapshot-actions">
+            <button class="btn btn-secondary" data-action="compare" data-snapshot-id="${snapshot.id}" title="Show what restoring would change">Compare</button>
+            <button class="btn btn-secondary" data-action="restore" data-snapshot-id="${snapshot.id}">Restore</button>
+            <button class="btn btn-secondary" data-action="delete" data-snapshot-id="${snapshot.id}" title="Delete snapshot">Delete</button>
+          </div>
+        </div>
+      `).join('');
+
+    } catch (error) {
+      console.error('Failed to render snapshot list:', error);
+      snapshotList.innerHTML = '<p class="snapshot-empty">Failed to load snapshots</p>';
+    }
+  }
+
+  /**
+   * Show what restoring a snapshot would change on the current board
+   * @param {HTMLButtonElement} button - The row's Compare button
+   */
+  async compareSnapshot(button) {
+    const diff = button.closest('.snapshot-item').querySelector('.snapshot-diff');
+
+    try {
+      const snapshotData = await SnapshotManager.get(button.dataset.snapshotId);
+      diff.textContent = snapshotData
+        ? this.formatSnapshotDiff(SnapshotManager.diffSummary(snapshotData, this.data))
+        : 'Snapshot data missing';
+      diff.hidden = false;
+
+    } catch (error) {
+      console.error('Failed to compare snapshot:', error);
+      this.uiManager.showError('Failed to load snapshot. Please try again.');
+    }
+  }
+
+  /**
+   * Format a snapshot diff summary for display
+   * @param {Object} summary - Diff summary from SnapshotManager.diffSummary
+   * @returns {string} Human-readable summary of what a restore would change
+   */
+  formatSnapshotDiff(summary) {
+    const parts = [];
+
+    if (summary.columnsAdded) parts.push(`+${summary.columnsAdded} columns`);
+    if (summary.columnsRemoved) parts.push(`−${summary.columnsRemoved} columns`);
+    if (summary.linksAdded) parts.push(`+${summary.linksAdded} links`);
+    if (summary.linksRemoved) parts.push(`−${summary.linksRemoved} links`);
+    if (summary.linksChanged) parts.push(`${summary.linksChanged} links changed`);
+    if (summary.settingsChanged) parts.push(`${summary.settingsChanged} settings changed`);
+
+    return parts.length > 0 ? `Restoring: ${parts.join(', ')}` : 'Same as current board';
+  }
+
+  /**
+   * Restore a snapshot and reload
+   * @param {string} snapshotId - Snapshot ID
+   */
+  async restoreSnapshot(snapshotId) {
+    try {
+      await SnapshotManager.restore(snapshotId);
+      location.reload();
+
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      this.uiManager.showError(`Failed to restore snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot ID
+   */
+  async deleteSnapshot(snapshotId) {
+    try {
+      await SnapshotManager.delete(snapshotId);
+      this.renderSnapshotList();
+
+    } catch (error) {
+      console.error('Failed to delete snapshot:', error);
+      this.uiManager.showError('Failed to delete snapshot. Please try again.');
+    }
+  }
+
+  /**
+   * Fetch every link's favicon into the cache again
+   */
+  async refreshFavicons() {
+    const button = document.getElementById('refresh-favicons-btn');
+    const links = this.data.columns.flatMap(column =>
+      (column.groups || []).flatMap(group => group.links || [])
+    );
+
+    button.disabled = true;
+    try {
+      const { total, found } = await FaviconCache.refreshAll(links, (done, count) => {
+        button.textContent = `Refreshing ${done} of ${count}...`;
+      });
+
+      this.uiManager.showSuccess(`Refreshed ${found} of ${total} icons`);
+      this.updateStorageInfo();
+
+    } catch (error) {
+      console.error('Failed to refresh favicons:', error);
+      this.uiManager.showError('Failed to refresh icons. Please try again.');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Refresh All Icons';
+    }
+  }
+
   /**
    * Update storage information display
    */
   async updateStorageInfo() {
     try {
       const usage = await StorageManager.checkStorageUsage();
-      const metrics = this.calculateStorageMetrics(this.data);
+      const faviconStats = await FaviconCache.getStats();
+      const metrics = this.calculateStorageMetrics(this.data, faviconStats);
+      const migrationLog = await MigrationManager.getLog();
 
-      this.updateStorageDisplay(usage, metrics);
+      this.updateStorageDisplay(usage, metrics, migrationLog);
 
     } catch (error) {
       console.error('Failed to update storage info:', error);
@@ -848,15 +1496,19 @@ class DataManager {
   /**
    * Calculate detailed storage metrics
    * @param {Object} data - Extension data
+   * @param {Object} [faviconStats] - Favicon cache stats from FaviconCache.getStats()
    * @returns {Object} Storage metrics breakdown
    */
-  calculateStorageMetrics(data) {
+  calculateStorageMetrics(data, faviconStats = null) {
     const metrics = {
       totalLinks: 0,
       totalColumns: data.columns ? data.columns.length : 0,
       totalGroups: 0,
       customFavicons: 0,
       customFaviconsSize: 0,
+      cachedFavicons: faviconStats ? faviconStats.count : 0,
+      faviconCacheSize: faviconStats ? faviconStats.size : 0,
+      faviconCacheBudget: faviconStats ? faviconStats.budget : 0,
       backgroundImageSize: 0,
       customCssSize: 0,
       textDataSize: 0
@@ -906,6 +1558,13 @@ class DataManager {
       metrics.backgroundImageSize = new Blob([data.backgroundDataUri]).size;
     }
 
+    // Include per-board background images
+    (data.boards || []).forEach(board => {
+      if (board.overrides && board.overrides.backgroundDataUri) {
+        metrics.backgroundImageSize += new Blob([board.overrides.backgroundDataUri]).size;
+      }
+    });
+
     // Calculate custom CSS size (including theme-specific CSS)
     let totalCssSize = 0;
     if (data.customCss) {
@@ -953,8 +1612,9 @@ class DataManager {
    * Update storage display with detailed metrics
    * @param {Object} usage - Storage usage info
    * @param {Object} metrics - Storage metrics breakdown
+   * @param {Array<Object>} [migrationLog=[]] - Migration log entries, oldest first
    */
-  updateStorageDisplay(usage, metrics) {
+  updateStorageDisplay(usage, metrics, migrationLog = []) {
     const storageInfo = document.querySelector('.storage-info');
 
     // Build new storage info HTML
@@ -994,6 +1654,10 @@ class DataManager {
               <span class="metric-label">Custom favicons:</span>
               <span class="metric-value">${metrics.customFavicons} (${this.formatBytes(metrics.customFaviconsSize)})</span>
             </div>
+            <div class="metric-item">
+              <span class="metric-label">Favicon cache:</span>
+              <span class="metric-value">${metrics.cachedFavicons} (${this.formatBytes(metrics.faviconCacheSize)} of ${this.formatBytes(metrics.faviconCacheBudget)})</span>
+            </div>
             <div class="metric-item">
               <span class="metric-label">Background image:</span>
               <span class="metric-value">${metrics.backgroundImageSize > 0 ? this.formatBytes(metrics.backgroundImageSize) : 'None'}</span>
@@ -1011,16 +1675,45 @@ class DataManager {
         <ul>
           ${metrics.backgroundImageSize > 500 * 1024 ? '<li>Consider compressing your background image to reduce storage usage</li>' : ''}
           ${metrics.customFaviconsSize > 100 * 1024 ? '<li>Custom favicons are using significant space - consider removing unused ones</li>' : ''}
+          ${metrics.faviconCacheSize > metrics.faviconCacheBudget * 0.9 ? '<li>The favicon cache is nearly full - the icons fetched longest ago are dropped first and fetched again when needed</li>' : ''}
           ${metrics.customCssSize > 50 * 1024 ? '<li>Custom CSS is quite large - consider optimizing for better performance</li>' : ''}
           ${metrics.totalLinks > 500 ? '<li>Large number of links may slow down the extension</li>' : ''}
           ${!metrics.backgroundImageSize && !metrics.customFavicons && !metrics.customCssSize ? '<li>Your storage usage is primarily text data, which is very efficient</li>' : ''}
         </ul>
       </div>
+
+      <div class="storage-tips migration-log">
+        <h5>Data Migrations</h5>
+        ${this.renderMigrationLog(migrationLog)}
+      </div>
     `;
 
     storageInfo.innerHTML = storageHtml;
   }
 
+  /**
+   * Render the migration log as a list, newest first
+   * @param {Array<Object>} migrationLog - Migration log entries, oldest first
+   * @returns {string} HTML string
+   */
+  renderMigrationLog(migrationLog) {
+    if (migrationLog.length === 0) {
+      return `<p class="migration-log-empty">No migrations needed - your data is on schema version ${STORAGE_VERSION}</p>`;
+    }
+
+    const items = migrationLog.slice().reverse().map(entry => {
+      const when = new Date(entry.timestamp).toLocaleString();
+      const step = `v${entry.from} → v${entry.to}: ${sanitizeText(entry.name)}`;
+      const outcome = entry.status === 'failed'
+        ? `<span class="migration-failed">failed on ${sanitizeText(entry.context)}, data left unchanged (${sanitizeText(entry.error)})</span>`
+        : `applied on ${sanitizeText(entry.context)}`;
+
+      return `<li>${step} - ${outcome} <span class="migration-time">${when}</span></li>`;
+    });
+
+    return `<ul>${items.join('')}</ul>`;
+  }
+
   /**
    * Format bytes to human readable format
    * @param {number} bytes - Size in bytes
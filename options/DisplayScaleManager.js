@@ -53,6 +53,38 @@ class DisplayScaleManager {
     this.setupBaseFontSize();
     this.setupUIScale();
     this.setupColumnWidth();
+    this.render();
+  }
+
+  /**
+   * Show the current display scale settings
+   * Called at setup and again when data changes outside this panel.
+   */
+  render() {
+    const fontSizeInput = document.getElementById('base-font-size');
+    if (fontSizeInput) {
+      fontSizeInput.value = this.data.baseFontSize || 16;
+    }
+
+    const scaleSlider = document.getElementById('ui-scale');
+    const scaleValue = document.getElementById('ui-scale-value');
+    if (scaleSlider) {
+      const scale = this.data.uiScale || 1.0;
+      scaleSlider.value = scale;
+      if (scaleValue) {
+        scaleValue.textContent = `${Math.round(scale * 100)}%`;
+      }
+    }
+
+    const widthSlider = document.getElementById('column-width');
+    const widthValue = document.getElementById('column-width-value');
+    if (widthSlider) {
+      const width = this.data.columnWidthBase || 320;
+      widthSlider.value = width;
+      if (widthValue) {
+        widthValue.textContent = `${width}px`;
+      }
+    }
   }
 
   /**
@@ -64,9 +96,6 @@ class DisplayScaleManager {
 
     if (!input) return;
 
-    // Set initial value
-    input.value = this.data.baseFontSize || 16;
-
     // Handle input changes
     input.addEventListener('input', () => {
       const size = parseInt(input.value, 10);
@@ -96,13 +125,6 @@ class DisplayScaleManager {
 
     if (!slider) return;
 
-    // Set initial value
-    const initialValue = this.data.uiScale || 1.0;
-    slider.value = initialValue;
-    if (valueDisplay) {
-      valueDisplay.textContent = `${Math.round(initialValue * 100)}%`;
-    }
-
     // Handle slider changes
     slider.addEventListener('input', () => {
       const scale = parseFloat(slider.value);
@@ -140,13 +162,6 @@ class DisplayScaleManager {
 
     if (!slider) return;
 
-    // Set initial value
-    const initialValue = this.data.columnWidthBase || 320;
-    slider.value = initialValue;
-    if (valueDisplay) {
-      valueDisplay.textContent = `${initialValue}px`;
-    }
-
     // Handle slider changes
     slider.addEventListener('input', () => {
       const width = parseInt(slider.value, 10);
@@ -15,55 +15,789 @@ class GeneralManager {
    */
   setupGeneralPanel() {
     this.setupDisplaySettings();
+    this.setupWebSearch();
+    this.setupFaviconProviders();
+    this.setupUrlPolicy();
+    this.setupSyncSettings();
+    this.setupBookmarkBridge();
     this.dataManager.setupDataManagement();
     this.dataManager.updateStorageInfo();
   }
 
+  /**
+   * Show current data in every general setting
+   * Used after undo, redo or sync change settings outside this panel. Sync
+   * and bookmark folders are kept per device, so they don't change here.
+   */
+  render() {
+    this.renderDisplaySettings();
+    this.renderWebSearch();
+    document.getElementById('favicon-template-input').value = this.data.faviconTemplateUrl || '';
+    this.renderFaviconProviders();
+    this.renderUrlPolicy();
+  }
+
   /**
    * Setup display settings (icons, URLs, column headers)
    */
   setupDisplaySettings() {
+    this.renderDisplaySettings();
+
     // Icon visibility setting
     const showIconsToggle = document.getElementById('show-icons-setting');
-    showIconsToggle.checked = this.data.showIcons !== undefined ? this.data.showIcons : true;
-
     showIconsToggle.addEventListener('change', () => {
       this.updateIconVisibility(showIconsToggle.checked);
     });
 
     // URL visibility setting
     const showUrlsToggle = document.getElementById('show-urls-setting');
-    showUrlsToggle.checked = this.data.showUrls !== undefined ? this.data.showUrls : true;
-
     showUrlsToggle.addEventListener('change', () => {
       this.updateUrlVisibility(showUrlsToggle.checked);
     });
 
     // Column headers visibility setting
     const showColumnHeadersToggle = document.getElementById('show-column-headers-setting');
-    showColumnHeadersToggle.checked = this.data.showColumnHeaders !== undefined ? this.data.showColumnHeaders : true;
-
     showColumnHeadersToggle.addEventListener('change', () => {
       this.updateColumnHeaderVisibility(showColumnHeadersToggle.checked);
     });
 
     // Group headers visibility setting
     const showGroupHeadersToggle = document.getElementById('show-group-headers-setting');
-    showGroupHeadersToggle.checked = this.data.showGroupHeaders !== undefined ? this.data.showGroupHeaders : true;
-
     showGroupHeadersToggle.addEventListener('change', () => {
       this.updateGroupHeaderVisibility(showGroupHeadersToggle.checked);
     });
 
     // Shine effect setting
     const shineEffectToggle = document.getElementById('shine-effect-setting');
-    shineEffectToggle.checked = this.data.shineEffectEnabled !== undefined ? this.data.shineEffectEnabled : true;
-
     shineEffectToggle.addEventListener('change', () => {
       this.updateShineEffectEnabled(shineEffectToggle.checked);
     });
   }
 
+  /**
+   * Show the current display settings
+   */
+  renderDisplaySettings() {
+    const toggles = {
+      'show-icons-setting': 'showIcons',
+      'show-urls-setting': 'showUrls',
+      'show-column-headers-setting': 'showColumnHeaders',
+      'show-group-headers-setting': 'showGroupHeaders',
+      'shine-effect-setting': 'shineEffectEnabled'
+    };
+
+    Object.entries(toggles).forEach(([id, key]) => {
+      document.getElementById(id).checked = this.data[key] !== undefined ? this.data[key] : true;
+    });
+  }
+
+  /**
+   * Setup the search bar: visibility, placement and search engines
+   */
+  setupWebSearch() {
+    const enabledToggle = document.getElementById('web-search-enabled-setting');
+    const placementSelect = document.getElementById('web-search-placement-setting');
+    const defaultSelect = document.getElementById('web-search-default-engine');
+    const engineList = document.getElementById('web-search-engine-list');
+
+    placementSelect.innerHTML = Object.entries(WEB_SEARCH_PLACEMENTS)
+      .map(([placement, label]) => `<option value="${placement}">${label}</option>`)
+      .join('');
+    this.renderWebSearch();
+
+    enabledToggle.addEventListener('change', () => {
+      this.updateWebSearch({ enabled: enabledToggle.checked });
+    });
+
+    placementSelect.addEventListener('change', () => {
+      this.updateWebSearch({ placement: placementSelect.value });
+    });
+
+    defaultSelect.addEventListener('change', () => {
+      this.updateWebSearch({ defaultEngine: defaultSelect.value });
+    });
+
+    // Rows aren't redrawn while editing, so Tab moves on between fields
+    engineList.addEventListener('change', (e) => {
+      const item = e.target.closest('.search-engine-item');
+      if (item) this.editSearchEngine(item);
+    });
+
+    engineList.addEventListener('click', (e) => {
+      const button = e.target.closest('.search-engine-remove');
+      if (button) this.removeSearchEngine(button.closest('.search-engine-item').dataset.engine);
+    });
+
+    document.getElementById('web-search-add-engine-btn').addEventListener('click', () => this.addSearchEngine());
+  }
+
+  /**
+   * Show the current search bar settings
+   */
+  renderWebSearch() {
+    const settings = WebSearch.getSettings(this.data);
+
+    document.getElementById('web-search-enabled-setting').checked = settings.enabled;
+    document.getElementById('web-search-placement-setting').value = settings.placement;
+    this.renderSearchEngines();
+  }
+
+  /**
+   * Render the search engines and the default engine choice
+   */
+  renderSearchEngines() {
+    const settings = WebSearch.getSettings(this.data);
+    const list = document.getElementById('web-search-engine-list');
+
+    list.innerHTML = '';
+    settings.engines.forEach(engine => {
+      const item = document.createElement('div');
+      item.className = 'search-engine-item';
+      item.dataset.engine = engine.id;
+
+      [['name', 'Name'], ['url', 'URL'], ['keyword', 'Keyword']].forEach(([field, label]) => {
+        const input = document.createElement('input');
+        input.type = field === 'url' ? 'url' : 'text';
+        input.className = `search-engine-${field}`;
+        input.dataset.field = field;
+        input.value = engine[field];
+        input.placeholder = label;
+        input.setAttribute('aria-label', `${engine.name} ${label.toLowerCase()}`);
+        item.appendChild(input);
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn btn-secondary btn-compact search-engine-remove';
+      removeBtn.title = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove ${engine.name}`);
+      removeBtn.textContent = '×';
+      item.appendChild(removeBtn);
+
+      list.appendChild(item);
+    });
+
+    this.renderDefaultSearchEngine();
+  }
+
+  /**
+   * Render the default engine choice
+   */
+  renderDefaultSearchEngine() {
+    const settings = WebSearch.getSettings(this.data);
+    const select = document.getElementById('web-search-default-engine');
+
+    select.innerHTML = '';
+    settings.engines.forEach(engine => {
+      const option = document.createElement('option');
+      option.value = engine.id;
+      option.textContent = engine.name;
+      select.appendChild(option);
+    });
+    select.value = settings.defaultEngine || '';
+    select.disabled = settings.engines.length === 0;
+  }
+
+  /**
+   * Save an edited engine row if it is valid
+   * @param {Element} item - Engine row
+   */
+  editSearchEngine(item) {
+    const settings = WebSearch.getSettings(this.data);
+    const field = name => item.querySelector(`[data-field="${name}"]`);
+    const check = WebSearch.checkEngine({
+      id: item.dataset.engine,
+      name: field('name').value,
+      url: field('url').value,
+      keyword: field('keyword').value
+    }, settings.engines, UrlPolicy.getPolicy(this.data));
+
+    item.querySelectorAll('input').forEach(input => input.classList.toggle('invalid', !check.valid));
+    if (!check.valid) {
+      this.setWebSearchStatus(check.message, true);
+      return;
+    }
+
+    this.updateWebSearch({
+      engines: settings.engines.map(engine => engine.id === check.engine.id ? check.engine : engine)
+    });
+    this.renderDefaultSearchEngine();
+  }
+
+  /**
+   * Add the engine entered below the list
+   */
+  addSearchEngine() {
+    const settings = WebSearch.getSettings(this.data);
+    const inputs = {
+      name: document.getElementById('web-search-new-name'),
+      url: document.getElementById('web-search-new-url'),
+      keyword: document.getElementById('web-search-new-keyword')
+    };
+    const check = WebSearch.checkEngine({
+      id: generateUUID(),
+      name: inputs.name.value,
+      url: inputs.url.value,
+      keyword: inputs.keyword.value
+    }, settings.engines, UrlPolicy.getPolicy(this.data));
+
+    if (!check.valid) {
+      this.setWebSearchStatus(check.message, true);
+      return;
+    }
+
+    this.updateWebSearch({ engines: [...settings.engines, check.engine] });
+    Object.values(inputs).forEach(input => {
+      input.value = '';
+    });
+    this.renderSearchEngines();
+  }
+
+  /**
+   * Remove a search engine
+   * @param {string} id - Engine ID
+   */
+  removeSearchEngine(id) {
+    const settings = WebSearch.getSettings(this.data);
+
+    this.updateWebSearch({ engines: settings.engines.filter(engine => engine.id !== id) });
+    this.renderSearchEngines();
+  }
+
+  /**
+   * Change part of the search bar settings
+   * @param {Object} changes - Settings fields to replace
+   */
+  updateWebSearch(changes) {
+    this.data.webSearch = { ...WebSearch.getSettings(this.data), ...changes };
+    this.setWebSearchStatus('');
+    this.markDirty();
+  }
+
+  /**
+   * Show a message below the search engines
+   * @param {string} message - Message, or '' to clear it
+   * @param {boolean} [isError=false] - Whether it reports a problem
+   */
+  setWebSearchStatus(message, isError = false) {
+    const status = document.getElementById('web-search-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Setup the favicon source list and self-hosted service URL
+   */
+  setupFaviconProviders() {
+    const list = document.getElementById('favicon-provider-list');
+    const templateInput = document.getElementById('favicon-template-input');
+
+    templateInput.value = this.data.faviconTemplateUrl || '';
+    this.renderFaviconProviders();
+
+    list.addEventListener('change', (e) => {
+      const item = e.target.closest('.favicon-provider-item');
+      if (item && e.target.type === 'checkbox') {
+        this.toggleFaviconProvider(item.dataset.provider, e.target);
+      }
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-move]');
+      if (button) {
+        this.moveFaviconProvider(button.closest('.favicon-provider-item').dataset.provider, Number(button.dataset.move));
+      }
+    });
+
+    templateInput.addEventListener('change', () => this.updateFaviconTemplate(templateInput));
+  }
+
+  /**
+   * Render the favicon sources: those in use in order, then the rest, then letter avatars
+   */
+  renderFaviconProviders() {
+    const order = FaviconProviders.getOrder(this.data);
+    const unused = Object.keys(FAVICON_PROVIDERS).filter(id => id !== 'letter' && !order.includes(id));
+
+    document.getElementById('favicon-provider-list').innerHTML = [...order, ...unused, 'letter'].map(id => {
+      const provider = FAVICON_PROVIDERS[id];
+      const position = order.indexOf(id);
+      const enabled = id === 'letter' || position !== -1;
+      const moveButtons = position === -1 ? '' : `
+        <div class="favicon-provider-actions">
+          <button class="btn btn-secondary btn-compact" data-move="-1" title="Move up" aria-label="Move ${provider.name} up" ${position === 0 ? 'disabled' : ''}>↑</button>
+          <button class="btn btn-secondary btn-compact" data-move="1" title="Move down" aria-label="Move ${provider.name} down" ${position === order.length - 1 ? 'disabled' : ''}>↓</button>
+        </div>
+      `;
+
+      return `
+        <div class="favicon-provider-item ${enabled ? '' : 'disabled'}" data-provider="${id}">
+          <label class="setting-label">
+            <input type="checkbox" ${enabled ? 'checked' : ''} ${id === 'letter' ? 'disabled' : ''}>
+            <div class="setting-content">
+              <span class="setting-title">${sanitizeText(provider.name)}</span>
+              <span class="setting-description">${sanitizeText(provider.description)}</span>
+            </div>
+          </label>
+          ${moveButtons}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Turn a favicon source on or off
+   * Turning one on asks for the site access it needs.
+   * @param {string} id - Provider ID
+   * @param {Element} checkbox - The source's checkbox
+   */
+  async toggleFaviconProvider(id, checkbox) {
+    const order = FaviconProviders.getOrder(this.data);
+    const name = FAVICON_PROVIDERS[id].name;
+
+    if (!checkbox.checked) {
+      this.data.faviconProviderOrder = order.filter(provider => provider !== id);
+      this.setFaviconProviderStatus('');
+    } else if (id === 'custom' && !FaviconProviders.isValidTemplate(this.data.faviconTemplateUrl)) {
+      checkbox.checked = false;
+      this.setFaviconProviderStatus('Enter your service\'s URL below first', true);
+      return;
+    } else if (!await FaviconProviders.requestAccess([id], this.data)) {
+      checkbox.checked = false;
+      this.setFaviconProviderStatus(`${name} needs site access to fetch icons`, true);
+      return;
+    } else {
+      this.data.faviconProviderOrder = [...order, id];
+      this.setFaviconProviderStatus('');
+    }
+
+    this.markDirty();
+    this.renderFaviconProviders();
+  }
+
+  /**
+   * Move a favicon source up or down the order
+   * @param {string} id - Provider ID
+   * @param {number} offset - -1 for up, 1 for down
+   */
+  moveFaviconProvider(id, offset) {
+    const order = FaviconProviders.getOrder(this.data);
+    const from = order.indexOf(id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= order.length) return;
+
+    [order[from], order[to]] = [order[to], order[from]];
+    this.data.faviconProviderOrder = order;
+    this.markDirty();
+    this.renderFaviconProviders();
+  }
+
+  /**
+   * Save the self-hosted service URL
+   * @param {Element} input - Template URL input
+   */
+  async updateFaviconTemplate(input) {
+    const template = input.value.trim();
+    const valid = !template || FaviconProviders.isValidTemplate(template);
+
+    input.classList.toggle('invalid', !valid);
+    if (!valid) {
+      this.setFaviconProviderStatus('The URL must start with http:// or https:// and contain {domain}', true);
+      return;
+    }
+
+    this.data.faviconTemplateUrl = template;
+    this.setFaviconProviderStatus('');
+    this.markDirty();
+
+    const order = FaviconProviders.getOrder(this.data);
+    if (template && order.includes('custom') && !await FaviconProviders.requestAccess(['custom'], this.data)) {
+      this.setFaviconProviderStatus('Your service needs site access to fetch icons', true);
+    }
+  }
+
+  /**
+   * Show a message below the favicon sources
+   * @param {string} message - Message, or '' to clear it
+   * @param {boolean} [isError=false] - Whether it reports a problem
+   */
+  setFaviconProviderStatus(message, isError = false) {
+    const status = document.getElementById('favicon-provider-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Setup the link rules: optional schemes, private network addresses, bookmarklets and blocked sites
+   */
+  setupUrlPolicy() {
+    const schemeList = document.getElementById('url-policy-schemes');
+    const privateToggle = document.getElementById('url-policy-private-setting');
+    const bookmarkletToggle = document.getElementById('url-policy-bookmarklets-setting');
+    const schemesInput = document.getElementById('url-policy-schemes-input');
+    const blocklistInput = document.getElementById('url-policy-blocklist-input');
+
+    this.renderUrlPolicy();
+
+    schemeList.addEventListener('change', () => {
+      const enabled = [...schemeList.querySelectorAll('input[data-scheme]:checked')].map(input => input.dataset.scheme);
+      const others = UrlPolicy.getPolicy(this.data).schemes.filter(scheme => !OPTIONAL_URL_SCHEMES[scheme]);
+      this.updateUrlPolicy({ schemes: [...enabled, ...others] });
+    });
+
+    privateToggle.addEventListener('change', () => {
+      this.updateUrlPolicy({ allowPrivateNetwork: privateToggle.checked });
+    });
+
+    bookmarkletToggle.addEventListener('change', () => {
+      const confirmed = !bookmarkletToggle.checked || confirm(
+        'Bookmarklets run their code on whatever page you use them on, with access to everything on it. ' +
+        'Only save bookmarklets you wrote or trust.\n\nTurn bookmarklets on?'
+      );
+
+      if (!confirmed) {
+        bookmarkletToggle.checked = false;
+        return;
+      }
+      this.updateUrlPolicy({ allowBookmarklets: bookmarkletToggle.checked });
+    });
+
+    schemesInput.addEventListener('change', () => {
+      const entries = schemesInput.value.split(/[\s,]+/).filter(Boolean);
+      const invalid = entries.filter(entry => !UrlPolicy.normalizeScheme(entry));
+
+      schemesInput.classList.toggle('invalid', invalid.length > 0);
+      if (invalid.length > 0) {
+        this.setUrlPolicyStatus(`Not an allowable scheme: ${invalid.join(', ')}`, true);
+        return;
+      }
+
+      const enabled = UrlPolicy.getPolicy(this.data).schemes.filter(scheme => OPTIONAL_URL_SCHEMES[scheme]);
+      this.updateUrlPolicy({ schemes: [...enabled, ...entries.map(entry => UrlPolicy.normalizeScheme(entry))] });
+      this.renderUrlPolicy();
+    });
+
+    blocklistInput.addEventListener('change', () => {
+      const entries = blocklistInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+      const invalid = entries.filter(entry => !UrlPolicy.normalizeHost(entry));
+
+      blocklistInput.classList.toggle('invalid', invalid.length > 0);
+      if (invalid.length > 0) {
+        this.setUrlPolicyStatus(`Not a site: ${invalid.join(', ')}`, true);
+        return;
+      }
+
+      this.updateUrlPolicy({ blockedHosts: entries.map(entry => UrlPolicy.normalizeHost(entry)) });
+      this.renderUrlPolicy();
+    });
+  }
+
+  /**
+   * Show the current link rules
+   */
+  renderUrlPolicy() {
+    const policy = UrlPolicy.getPolicy(this.data);
+
+    document.getElementById('url-policy-schemes').innerHTML = Object.entries(OPTIONAL_URL_SCHEMES).map(([scheme, description]) => `
+      <div class="setting-group">
+        <label class="setting-label">
+          <input type="checkbox" data-scheme="${scheme}" ${policy.schemes.includes(scheme) ? 'checked' : ''}>
+          <div class="setting-content">
+            <span class="setting-title">${scheme}</span>
+            <span class="setting-description">${sanitizeText(description)}</span>
+          </div>
+        </label>
+      </div>
+    `).join('');
+
+    document.getElementById('url-policy-private-setting').checked = policy.allowPrivateNetwork;
+    document.getElementById('url-policy-bookmarklets-setting').checked = policy.allowBookmarklets;
+    document.getElementById('url-policy-schemes-input').value = policy.schemes.filter(scheme => !OPTIONAL_URL_SCHEMES[scheme]).join(', ');
+    document.getElementById('url-policy-blocklist-input').value = policy.blockedHosts.join('\n');
+  }
+
+  /**
+   * Change part of the link rules
+   * @param {Object} changes - Policy fields to replace
+   */
+  updateUrlPolicy(changes) {
+    this.data.urlPolicy = { ...UrlPolicy.getPolicy(this.data), ...changes };
+    this.setUrlPolicyStatus('Applies to links added or edited from now on; existing links are kept');
+    this.markDirty();
+  }
+
+  /**
+   * Show a message below the link rules
+   * @param {string} message - Message, or '' to clear it
+   * @param {boolean} [isError=false] - Whether it reports a problem
+   */
+  setUrlPolicyStatus(message, isError = false) {
+    const status = document.getElementById('url-policy-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Setup sync toggle, manual sync button and status line
+   * Sync is a per-device choice, so it lives in sync state rather than in this.data.
+   */
+  async setupSyncSettings() {
+    const syncToggle = document.getElementById('sync-enabled-setting');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+
+    const state = await SyncManager.getState();
+    syncToggle.checked = state.enabled;
+    this.renderSyncStatus(state);
+
+    syncToggle.addEventListener('change', async () => {
+      syncToggle.disabled = true;
+      await SyncManager.setEnabled(syncToggle.checked);
+      syncToggle.disabled = false;
+    });
+
+    syncNowBtn.addEventListener('click', async () => {
+      syncNowBtn.disabled = true;
+      await SyncManager.syncNow();
+      syncNowBtn.disabled = false;
+    });
+
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName === 'local' && changes[SYNC_STATE_KEY]) {
+        this.renderSyncStatus(await SyncManager.getState());
+      }
+    });
+  }
+
+  /**
+   * Render the sync status line
+   * @param {Object} state - Sync state
+   */
+  renderSyncStatus(state) {
+    const syncStatus = document.getElementById('sync-status');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+
+    syncNowBtn.disabled = !state.enabled;
+    syncStatus.classList.toggle('error', !!(state.enabled && state.lastError));
+
+    if (!state.enabled) {
+      syncStatus.textContent = 'Sync is off';
+    } else if (state.lastError) {
+      syncStatus.textContent = `Sync failed: ${state.lastError}`;
+    } else if (state.lastSyncedAt) {
+      const usage = `${formatBytes(state.bytesInUse)} of ${formatBytes(chrome.storage.sync.QUOTA_BYTES)} used`;
+      syncStatus.textContent = `Last synced ${new Date(state.lastSyncedAt).toLocaleString()} · ${usage}`;
+    } else {
+      syncStatus.textContent = 'Waiting for first sync…';
+    }
+  }
+
+  /**
+   * Setup bookmarks folder bindings, conflicts and status line
+   * Bindings are per device, so they live in bridge state rather than in this.data.
+   */
+  setupBookmarkBridge() {
+    const allowBtn = document.getElementById('bookmark-bridge-allow-btn');
+    const bindBtn = document.getElementById('bookmark-bridge-bind-btn');
+    const syncBtn = document.getElementById('bookmark-bridge-sync-btn');
+    const bindingList = document.getElementById('bookmark-bridge-bindings');
+    const conflictList = document.getElementById('bookmark-bridge-conflicts');
+
+    allowBtn.addEventListener('click', async () => {
+      if (await BookmarkBridgeManager.requestPermission()) {
+        this.renderBookmarkBridge();
+      }
+    });
+
+    // Boards and folders may have changed since the lists were built
+    document.getElementById('bookmark-bridge-target').addEventListener('focus', () => {
+      this.renderBookmarkBridgeTargets();
+    });
+    document.getElementById('bookmark-bridge-folder').addEventListener('focus', () => {
+      this.renderBookmarkBridgeFolders();
+    });
+
+    bindBtn.addEventListener('click', async () => {
+      const [type, targetId] = document.getElementById('bookmark-bridge-target').value.split(':');
+      const folderId = document.getElementById('bookmark-bridge-folder').value;
+      if (!targetId || !folderId) return;
+
+      bindBtn.disabled = true;
+      try {
+        await BookmarkBridgeManager.bind(type, targetId, folderId);
+      } catch (error) {
+        this.dataManager.uiManager.showError(`Could not bind folder: ${error.message}`);
+      }
+      bindBtn.disabled = false;
+    });
+
+    syncBtn.addEventListener('click', async () => {
+      syncBtn.disabled = true;
+      await BookmarkBridgeManager.syncNow();
+      syncBtn.disabled = false;
+    });
+
+    bindingList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-binding-id]');
+      if (button) {
+        BookmarkBridgeManager.unbind(button.dataset.bindingId);
+      }
+    });
+
+    conflictList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-conflict-id]');
+      if (button) {
+        BookmarkBridgeManager.resolveConflict(button.dataset.conflictId, button.dataset.keep);
+      }
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[BOOKMARK_BRIDGE_STATE_KEY]) {
+        this.renderBookmarkBridge();
+      }
+    });
+
+    this.renderBookmarkBridge();
+  }
+
+  /**
+   * Render the bookmarks folders section from the current bridge state
+   */
+  async renderBookmarkBridge() {
+    const available = BookmarkBridgeManager.isAvailable();
+    document.getElementById('bookmark-bridge-access').classList.toggle('hidden', available);
+    document.getElementById('bookmark-bridge-controls').classList.toggle('hidden', !available);
+    if (!available) return;
+
+    const state = await BookmarkBridgeManager.getState();
+    const folders = await this.renderBookmarkBridgeFolders();
+    const folderPaths = new Map(folders.map(folder => [folder.id, folder.path]));
+
+    this.renderBookmarkBridgeTargets();
+
+    const bindingList = document.getElementById('bookmark-bridge-bindings');
+    bindingList.innerHTML = state.bindings.map(binding => `
+      <div class="snapshot-item">
+        <div class="snapshot-details">
+          <span class="snapshot-title">${sanitizeText(this.getBookmarkBridgeTargetLabel(binding))}</span>
+          <span class="snapshot-meta">${sanitizeText(folderPaths.get(binding.folderId) || 'Folder not found')}</span>
+          ${binding.lastError ? `<span class="bookmark-bridge-error">${sanitizeText(binding.lastError)}</span>` : ''}
+        </div>
+        <div class="snapshot-actions">
+          <button class="btn btn-secondary" data-binding-id="${binding.id}">Unbind</button>
+        </div>
+      </div>
+    `).join('');
+
+    const choices = {
+      'edited': ['Changed on both sides', 'Use link', 'Use bookmark'],
+      'bookmark-deleted': ['Bookmark deleted, link changed', 'Keep link', 'Delete link'],
+      'link-deleted': ['Link deleted, bookmark changed', 'Delete bookmark', 'Keep bookmark']
+    };
+
+    const conflictList = document.getElementById('bookmark-bridge-conflicts');
+    conflictList.innerHTML = state.conflicts.map(conflict => {
+      const [description, keepLink, keepBookmark] = choices[conflict.kind];
+      const describe = (side, item) => item
+        ? `${side}: ${sanitizeText(item.title || item.url)} · ${sanitizeText(item.url)}`
+        : `${side}: deleted`;
+
+      return `
+        <div class="snapshot-item bookmark-bridge-conflict">
+          <div class="snapshot-details">
+            <span class="snapshot-title">${description}</span>
+            <span class="snapshot-meta">${describe('Link', conflict.link)}</span>
+            <span class="snapshot-meta">${describe('Bookmark', conflict.bookmark)}</span>
+          </div>
+          <div class="snapshot-actions">
+            <button class="btn btn-secondary" data-conflict-id="${conflict.id}" data-keep="link">${keepLink}</button>
+            <button class="btn btn-secondary" data-conflict-id="${conflict.id}" data-keep="bookmark">${keepBookmark}</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    const status = document.getElementById('bookmark-bridge-status');
+    const syncBtn = document.getElementById('bookmark-bridge-sync-btn');
+    const hasBindings = state.bindings.length > 0;
+
+    syncBtn.disabled = !hasBindings;
+    status.classList.toggle('error', !!(hasBindings && state.lastError));
+
+    if (!hasBindings) {
+      status.textContent = 'No folders bound';
+    } else if (state.lastError) {
+      status.textContent = `Sync failed: ${state.lastError}`;
+    } else if (state.lastSyncedAt) {
+      status.textContent = `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}`;
+    } else {
+      status.textContent = 'Waiting for first sync…';
+    }
+  }
+
+  /**
+   * Fill the target select with every board and column, keeping the selection
+   */
+  renderBookmarkBridgeTargets() {
+    const select = document.getElementById('bookmark-bridge-target');
+    const selected = select.value;
+
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    };
+
+    select.innerHTML = '';
+    this.data.boards.forEach(board => {
+      addOption(`board:${board.id}`, `Board: ${board.name}`);
+      BoardManager.getColumns(this.data, board.id).forEach(column => {
+        addOption(`column:${column.id}`, `${board.name} › ${column.name}`);
+      });
+    });
+
+    if (selected) select.value = selected;
+  }
+
+  /**
+   * Fill the folder select with bookmark folders, keeping the selection
+   * @returns {Promise<Array<Object>>} Folders: { id, path }
+   */
+  async renderBookmarkBridgeFolders() {
+    const select = document.getElementById('bookmark-bridge-folder');
+    const selected = select.value;
+    const folders = await BookmarkBridgeManager.listFolders();
+
+    select.innerHTML = '';
+    folders.forEach(folder => {
+      const option = document.createElement('option');
+      option.value = folder.id;
+      option.textContent = folder.path;
+      select.appendChild(option);
+    });
+
+    if (selected) select.value = selected;
+    return folders;
+  }
+
+  /**
+   * Describe what a binding is bound to
+   * @param {Object} binding - Binding
+   * @returns {string} Board or "Board › Column" label
+   */
+  getBookmarkBridgeTargetLabel(binding) {
+    if (binding.type === 'board') {
+      const board = BoardManager.getBoard(this.data, binding.targetId);
+      return board ? `Board: ${board.name}` : 'Deleted board';
+    }
+
+    const column = this.data.columns.find(c => c.id === binding.targetId);
+    if (!column) return 'Deleted column';
+
+    const board = BoardManager.getBoard(this.data, column.boardId);
+    return board ? `${board.name} › ${column.name}` : column.name;
+  }
+
   /**
    * Update icon visibility setting
    * @param {boolean} showIcons - Whether to show icons
@@ -117,6 +851,7 @@ class GeneralManager {
     if (panelId === 'general') {
       // Update storage info when switching to general panel
       this.dataManager.updateStorageInfo();
+      this.dataManager.renderSnapshotList();
     }
   }
 }
@@ -0,0 +1,260 @@
+/**
+ * Import Merge Manager - Moontab Extreme Options
+ * Plans merging imported columns into the current board instead of replacing them
+ */
+
+const MERGE_POLICIES = ['mine', 'theirs', 'both'];
+
+class ImportMergeManager {
+
+  /**
+   * Plan a merge of imported boards and columns into the current data
+   * Boards and columns match by ID, then by name; groups by ID, then by
+   * title within the matched column. Links match by ID anywhere, then by URL
+   * within the matched group. A matched link whose fields differ is a
+   * conflict, settled by the policy: 'mine' keeps the current link, 'theirs'
+   * takes the imported one and 'both' adds the imported link alongside.
+   * The current data is not modified.
+   * @param {Object} data - Current application data
+   * @param {Array} columns - Imported columns, already processed for import
+   * @param {Array|undefined} boards - Imported boards, if the export has any
+   * @param {string} policy - 'mine', 'theirs' or 'both'
+   * @returns {Object} { boards, columns, changes, counts }
+   */
+  plan(data, columns, boards, policy) {
+    if (!MERGE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown merge policy: ${policy}`);
+    }
+
+    const ctx = {
+      policy,
+      boards: JSON.parse(JSON.stringify(data.boards)),
+      columns: JSON.parse(JSON.stringify(data.columns)),
+      changes: [],
+      linkIndex: new Map()
+    };
+
+    ctx.columns.forEach(column => {
+      (column.groups || []).forEach(group => {
+        (group.links || []).forEach(link => ctx.linkIndex.set(link.id, link));
+      });
+    });
+
+    const boardIdMap = this.mergeBoards(boards, ctx);
+
+    (columns || []).forEach(column => {
+      const boardId = BoardManager.resolveBoardId(ctx, boardIdMap.get(column.boardId) || column.boardId);
+      this.mergeColumn(column, boardId, ctx);
+    });
+
+    const counts = { add: 0, update: 0, skip: 0 };
+    ctx.changes.forEach(change => counts[change.action]++);
+
+    return { boards: ctx.boards, columns: ctx.columns, changes: ctx.changes, counts };
+  }
+
+  /**
+   * Match imported boards with current ones, adding those that are new
+   * @param {Array|undefined} boards - Imported boards
+   * @param {Object} ctx - Merge context
+   * @returns {Map<string, string>} Imported board ID to current board ID
+   */
+  mergeBoards(boards, ctx) {
+    const boardIdMap = new Map();
+
+    (Array.isArray(boards) ? boards : []).forEach(board => {
+      const match = ctx.boards.find(b => b.id === board.id) ||
+        ctx.boards.find(b => this.sameName(b.name, board.name));
+
+      if (match) {
+        boardIdMap.set(board.id, match.id);
+      } else if (ctx.boards.length < MAX_BOARDS) {
+        ctx.boards.push({ id: board.id, name: board.name, overrides: { ...board.overrides } });
+        boardIdMap.set(board.id, board.id);
+        this.addChange(ctx, 'board', 'add', board.name);
+      } else {
+        this.addChange(ctx, 'board', 'skip', board.name, '', `board limit of ${MAX_BOARDS} reached; its columns go to the first board`);
+      }
+    });
+
+    return boardIdMap;
+  }
+
+  /**
+   * Merge one imported column into a board
+   * @param {Object} column - Imported column
+   * @param {string} boardId - Board it belongs on
+   * @param {Object} ctx - Merge context
+   */
+  mergeColumn(column, boardId, ctx) {
+    const boardColumns = ctx.columns.filter(c => c.boardId === boardId);
+    let target = boardColumns.find(c => c.id === column.id) ||
+      boardColumns.find(c => this.sameName(c.name, column.name));
+
+    if (!target) {
+      // A column ID already used on another board can't be reused
+      const id = ctx.columns.some(c => c.id === column.id) ? generateUUID() : column.id;
+      target = { id, boardId, name: column.name, groups: [], customClasses: column.customClasses || '' };
+      ctx.columns.push(target);
+      this.addChange(ctx, 'column', 'add', column.name);
+    } else if (ctx.policy === 'theirs' && (!this.sameName(target.name, column.name) || (target.customClasses || '') !== (column.customClasses || ''))) {
+      target.name = column.name;
+      target.customClasses = column.customClasses || '';
+      this.addChange(ctx, 'column', 'update', column.name);
+    }
+
+    (column.groups || []).forEach(group => this.mergeGroup(group, target, ctx));
+  }
+
+  /**
+   * Merge one imported group into a column
+   * @param {Object} group - Imported group
+   * @param {Object} column - Column in the merged data
+   * @param {Object} ctx - Merge context
+   */
+  mergeGroup(group, column, ctx) {
+    const path = column.name;
+    const isWidget = Widgets.isWidget(group);
+    // A widget only ever pairs with a widget, and a link group with a link group
+    const candidates = column.groups.filter(g => Widgets.isWidget(g) === isWidget);
+    let target = candidates.find(g => g.id === group.id) ||
+      candidates.find(g => this.sameName(g.title, group.title));
+
+    if (!target) {
+      if (column.groups.length >= MAX_GROUPS_PER_COLUMN) {
+        this.addChange(ctx, 'group', 'skip', group.title, path, `column is full (${MAX_GROUPS_PER_COLUMN} groups)`);
+        return;
+      }
+
+      const groupTaken = ctx.columns.some(c => (c.groups || []).some(g => g.id === group.id));
+      target = { id: groupTaken ? generateUUID() : group.id, title: group.title || '', customClasses: group.customClasses || '', links: [] };
+      if (isWidget) target.widget = { ...group.widget };
+      column.groups.push(target);
+      this.addChange(ctx, 'group', 'add', group.title, path);
+    } else if (ctx.policy === 'theirs' && (!this.sameName(target.title, group.title) ||
+      (target.customClasses || '') !== (group.customClasses || '') ||
+      (isWidget && JSON.stringify(target.widget) !== JSON.stringify(group.widget)))) {
+      target.title = group.title || '';
+      target.customClasses = group.customClasses || '';
+      if (isWidget) target.widget = { ...group.widget };
+      this.addChange(ctx, 'group', 'update', group.title, path);
+    }
+
+    (group.links || []).forEach(link => this.mergeLink(link, target, `${path} › ${target.title || 'Untitled group'}`, ctx));
+  }
+
+  /**
+   * Merge one imported link into a group
+   * @param {Object} link - Imported link
+   * @param {Object} group - Group in the merged data
+   * @param {string} path - Column and group, for the change list
+   * @param {Object} ctx - Merge context
+   */
+  mergeLink(link, group, path, ctx) {
+    const title = link.title || Bookmarklets.getInput(link);
+    const match = ctx.linkIndex.get(link.id) ||
+      group.links.find(l => this.normalizeUrl(Bookmarklets.getInput(l)) === this.normalizeUrl(Bookmarklets.getInput(link)));
+
+    if (match && this.sameLink(match, link)) {
+      this.addChange(ctx, 'link', 'skip', title, path, 'already on your board');
+      return;
+    }
+
+    if (match && ctx.policy === 'mine') {
+      this.addChange(ctx, 'link', 'skip', title, path, 'differs from yours; keeping yours');
+      return;
+    }
+
+    if (match && ctx.policy === 'theirs') {
+      Object.assign(match, this.copyLink(link, match.id));
+      this.addChange(ctx, 'link', 'update', title, path);
+      return;
+    }
+
+    if (group.links.length >= MAX_LINKS_PER_GROUP) {
+      this.addChange(ctx, 'link', 'skip', title, path, `group is full (${MAX_LINKS_PER_GROUP} links)`);
+      return;
+    }
+
+    // With 'both', a matched link is added again as a copy with its own ID
+    const copy = this.copyLink(link, match || ctx.linkIndex.has(link.id) ? generateUUID() : link.id);
+    group.links.push(copy);
+    ctx.linkIndex.set(copy.id, copy);
+    this.addChange(ctx, 'link', 'add', title, path, match ? 'kept alongside yours' : '');
+  }
+
+  /**
+   * Copy the fields a link is made of
+   * @param {Object} link - Imported link
+   * @param {string} id - ID to give the copy
+   * @returns {Object} Link
+   */
+  copyLink(link, id) {
+    const target = Bookmarklets.isBookmarklet(link)
+      ? { type: 'bookmarklet', script: link.script, reviewed: link.reviewed === true, url: '' }
+      : { url: link.url };
+
+    return {
+      id,
+      ...target,
+      title: link.title || '',
+      iconDataUri: link.iconDataUri || null,
+      iconUrlOverride: link.iconUrlOverride || null,
+      faviconProvider: link.faviconProvider || null,
+      customClasses: link.customClasses || ''
+    };
+  }
+
+  /**
+   * Check whether two links have the same content
+   * @param {Object} a - Link
+   * @param {Object} b - Link
+   * @returns {boolean} Whether URL or bookmarklet, title, icons, favicon provider and classes all match
+   */
+  sameLink(a, b) {
+    return this.normalizeUrl(Bookmarklets.getInput(a)) === this.normalizeUrl(Bookmarklets.getInput(b)) &&
+      (a.title || '') === (b.title || '') &&
+      (a.iconDataUri || null) === (b.iconDataUri || null) &&
+      (a.iconUrlOverride || null) === (b.iconUrlOverride || null) &&
+      (a.faviconProvider || null) === (b.faviconProvider || null) &&
+      (a.customClasses || '') === (b.customClasses || '');
+  }
+
+  /**
+   * Compare names ignoring case and surrounding whitespace
+   * @param {string} a - Name
+   * @param {string} b - Name
+   * @returns {boolean} Whether the names match
+   */
+  sameName(a, b) {
+    return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+  }
+
+  /**
+   * Normalize a URL for duplicate detection
+   * Ignores letter case in the host and a trailing slash.
+   * @param {string} url - URL
+   * @returns {string} Comparable URL
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.href.replace(/\/$/, '');
+    } catch (error) {
+      return (url || '').trim();
+    }
+  }
+
+  /**
+   * Record a planned change
+   * @param {Object} ctx - Merge context
+   * @param {string} type - 'board', 'column', 'group' or 'link'
+   * @param {string} action - 'add', 'update' or 'skip'
+   * @param {string} name - Item name or title
+   * @param {string} [path] - Where the item is
+   * @param {string} [reason] - Why, for skips and copies
+   */
+  addChange(ctx, type, action, name, path = '', reason = '') {
+    ctx.changes.push({ type, action, name: name || `Untitled ${type}`, path, reason });
+  }
+}
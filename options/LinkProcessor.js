@@ -1,14 +1,11 @@
 /**
  * Link Processor - Moontab Extreme Options
- * Handles URL processing, validation, title/icon fetching, and link status indicators
+ * Handles URL processing, title/icon fetching, and link status indicators
  */
 
-/**
- * Edge cases for testing validation:
- * - Valid: "www.example.com", "example.com/path?query=1", "https://sub.example.com"
- * - Invalid: "com", ".com", "https://.", "invalid"
- * - Protocols: "file:///path" (valid), "javascript:alert(1)" (invalid via isDangerousUrl)
- */
+const PAGE_DETAILS_TIMEOUT = 8000; // For the page, its manifest and icon together
+const PAGE_DETAILS_MAX_LENGTH = 512 * 1024; // Characters of HTML to parse
+const MAX_ICON_BYTES = 1024 * 1024;
 
 class LinkProcessor {
   constructor(uiManager) {
@@ -33,84 +30,19 @@ class LinkProcessor {
   }
 
   /**
-   * Validate URL format
-   */
-  isValidUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-
-    let testUrl = url.trim();
-    if (!testUrl.match(/^[a-zA-Z]+:\/\//)) { // No protocol
-      testUrl = 'https://' + testUrl;
-    }
-
-    try {
-      const urlObj = new URL(testUrl);
-      const protocol = urlObj.protocol;
-
-      const allowedProtocols = [
-        'https:',
-        'http:',
-        'chrome:',
-        'chrome-extension:',
-        'moz-extension:',
-        'about:',
-        'file:',
-        'ftp:',
-        'ftps:'
-      ];
-
-      // Check if protocol is allowed
-      if (!allowedProtocols.includes(protocol)) {
-        return false;
-      }
-
-      // Special handling for localhost and local development
-      const hostname = urlObj.hostname.toLowerCase();
-      if (hostname === 'localhost' ||
-        hostname === '127.0.0.1' ||
-        hostname === '::1' ||
-        hostname.match(/^127\./) ||
-        hostname.match(/^192\.168\./) ||
-        hostname.match(/^10\./) ||
-        hostname.match(/^172\.(1[6-9]|2[0-9]|3[01])\./) ||
-        hostname.match(/^[a-zA-Z0-9-]+\.local$/)) {
-        // Allow localhost and local network addresses
-        return true;
-      }
-
-      // Check hostname validity - require at least second-level domain for public URLs
-      const hostnameParts = urlObj.hostname.split('.');
-      if (hostnameParts.length < 2 || hostnameParts[hostnameParts.length - 1].length < 2) {
-        return false;
-      }
-
-      return true;
-    } catch {
-      return false;
-    }
-  }
-
-  /**
-   * Check for dangerous URLs that should block saving
+   * Get the title a link is shown with
+   * @param {Object} link - Link data
+   * @returns {string} Title, or the domain (or "Bookmarklet") when it has none
    */
-  isDangerousUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-
-    const lowerUrl = url.toLowerCase();
-
-    // Disallow dangerous protocols
-    const dangerousProtocols = [
-      'javascript:',
-      'data:text/html',
-      'vbscript:',
-      'view-source:'
-    ];
-
-    return dangerousProtocols.some(banned => lowerUrl.startsWith(banned));
+  getLinkTitle(link) {
+    if (link.title) return link.title;
+    return Bookmarklets.isBookmarklet(link) ? 'Bookmarklet' : this.extractDomainFromUrl(link.url);
   }
 
   /**
-   * Update link status indicator based on URL validity
+   * Update link status indicator based on the URL policy
+   * A javascript: URL is checked as a bookmarklet, and a URL with
+   * placeholders as a quick search template.
    * @param {string} url - URL to validate
    * @param {Element} urlInput - URL input element
    * @param {Element} statusIndicator - Status indicator element
@@ -131,12 +63,12 @@ class LinkProcessor {
       urlInput.classList.add('empty-warning');
       statusIndicator.classList.remove('hidden');
       statusText.textContent = 'empty URL';
-    } else if (!this.isValidUrl(url)) {
-      // Invalid URL - show error
+    } else if (!Bookmarklets.checkInput(url).valid) {
+      // Invalid or refused URL - show why
       urlInput.classList.add('invalid');
       urlInput.classList.remove('empty-warning');
       statusIndicator.classList.remove('hidden');
-      statusText.textContent = 'invalid URL';
+      statusText.textContent = Bookmarklets.checkInput(url).message;
     } else {
       // Valid URL - hide indicator
       urlInput.classList.remove('invalid', 'empty-warning');
@@ -145,41 +77,76 @@ class LinkProcessor {
     }
   }
 
+  /**
+   * Show what a quick search template opens and which values it asks for
+   * @param {Element} linkEl - Link element
+   * @param {string} url - URL as entered
+   */
+  updateQuickSearchPreview(linkEl, url) {
+    const previewEl = linkEl.querySelector('.link-quick-search-preview');
+    // Braces in bookmarklet code are not placeholders
+    const isTemplate = Bookmarklets.parse(url) === null && QuickSearch.isTemplate(url);
+    const check = isTemplate ? QuickSearch.check(url) : null;
+
+    previewEl.classList.toggle('hidden', !check || !check.valid);
+    if (!check || !check.valid) return;
+
+    previewEl.querySelector('.link-quick-search-url').textContent = QuickSearch.preview(check.url);
+    previewEl.querySelector('.link-quick-search-asks').textContent = check.fields.length > 0
+      ? `Asks for: ${check.fields.map(field => field.label).join(', ')}`
+      : 'Opens without asking';
+  }
+
   /**
    * Set link icon
+   * An icon that fails to load moves on to the next favicon provider.
    * @param {Element} iconEl - Icon element
    * @param {Object} link - Link data
    */
   setLinkIcon(iconEl, link) {
     if (link.iconDataUri) {
       iconEl.src = link.iconDataUri;
-    } else if (link.iconUrlOverride) {
-      iconEl.src = link.iconUrlOverride;
+    } else if (Bookmarklets.isBookmarklet(link)) {
+      iconEl.src = Bookmarklets.getIcon();
     } else {
-      iconEl.src = getFaviconUrl(link.url);
+      FaviconCache.applyTo(iconEl, link);
     }
 
     iconEl.onerror = () => {
-      iconEl.src = generateLetterAvatar(link.url);
+      if (link.iconDataUri || !FaviconCache.skip(iconEl, link)) {
+        iconEl.src = generateLetterAvatar(link.url);
+      }
     };
   }
 
   /**
-   * Set domain as default title and update icon preview
-   * Note: We extract the domain name as the default title instead of fetching
-   * from the page to avoid CORS errors and respect user privacy.
+   * Fill in the domain as a default title, then offer the page's own title
+   * and icon as suggestions
+   * The page is only fetched when its site may be requested; a failed or
+   * slow fetch leaves the domain title and favicon preview in place.
+   * @param {Object} link - Link data
+   * @param {Element} titleInput - Title input
+   * @param {Element} titlePreview - Title preview in the header bar
+   * @param {Element} iconPreview - Icon preview in the header bar
+   * @param {Element} linkEl - Link element
+   * @param {Function} updateLinkProperty - Callback to update link property
+   * @param {Object} [options]
+   * @param {boolean} [options.interactive] - Started by a click: may ask for site access and opens the link to show suggestions
    */
-  async fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl) {
-    if (!link.url || !this.isValidUrl(link.url)) {
+  async fetchPageTitleAndIcon(link, titleInput, titlePreview, iconPreview, linkEl, updateLinkProperty, options = {}) {
+    const urlCheck = UrlPolicy.check(link.url);
+    if (!urlCheck.valid) {
       return;
     }
 
-    let fetchUrl = link.url;
-    if (!fetchUrl.match(/^[a-zA-Z]+:\/\//) && this.isValidUrl(fetchUrl)) {
-      fetchUrl = 'https://' + fetchUrl;
-    }
+    const requestedUrl = link.url;
+    // A quick search template's own page only exists once filled in
+    const fetchUrl = QuickSearch.isTemplate(urlCheck.url) ? `${new URL(urlCheck.url).origin}/` : urlCheck.url;
+
+    // Ask before anything else: the permission prompt needs the click
+    const canFetch = await this.ensureSiteAccess(fetchUrl, options.interactive);
 
-    // Show loading spinner briefly
+    // Show loading spinner
     const spinner = linkEl.querySelector('.link-loading-spinner');
     if (spinner) {
       spinner.classList.remove('hidden');
@@ -196,9 +163,18 @@ class LinkProcessor {
         titlePreview.textContent = domain;
       }
 
-      // Set icon preview (Google API will be used by frontend automatically)
+      // Preview the icon the new tab will show
       if (!link.iconDataUri && !link.iconUrlOverride) {
-        this.setGoogleFaviconPreview({ ...link, url: fetchUrl }, iconPreview);
+        this.setLinkIcon(iconPreview, { ...link, url: fetchUrl });
+      }
+
+      if (canFetch) {
+        const details = await this.discoverPageDetails(fetchUrl);
+
+        // The URL may have been edited while the page loaded
+        if (details && link.url === requestedUrl) {
+          this.showPageSuggestions(link, linkEl, details, titleInput, iconPreview, updateLinkProperty, options.interactive);
+        }
       }
 
     } finally {
@@ -207,6 +183,203 @@ class LinkProcessor {
     }
   }
 
+  /**
+   * Check, or ask for, permission to request a link's site
+   * @param {string} url - Link URL with protocol
+   * @param {boolean} ask - Whether to ask (needs a user gesture)
+   * @returns {Promise<boolean>} Whether the site may be requested
+   */
+  async ensureSiteAccess(url, ask) {
+    let origins;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+      origins = [`${parsed.protocol}//${parsed.hostname}/*`];
+    } catch (error) {
+      return false;
+    }
+
+    if (typeof chrome === 'undefined' || !chrome.permissions) return false;
+
+    try {
+      return ask
+        ? await chrome.permissions.request({ origins })
+        : await chrome.permissions.contains({ origins });
+    } catch (error) {
+      console.warn('Could not check site access:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch a page and find its title and best icon
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} { title, iconDataUri, iconSize }, or null if the page couldn't be read
+   */
+  async discoverPageDetails(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PAGE_DETAILS_TIMEOUT);
+    const init = { signal: controller.signal, credentials: 'include' };
+
+    try {
+      const response = await fetch(url, init);
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !contentType.includes('html')) return null;
+
+      const html = (await response.text()).slice(0, PAGE_DETAILS_MAX_LENGTH);
+      const page = this.parsePageHead(html, response.url || url);
+
+      let candidates = page.icons;
+      const best = FaviconProviders.rankIcons(candidates)[0];
+      if (page.manifestUrl && (!best || best.size < PREFERRED_FAVICON_SIZE)) {
+        candidates = candidates.concat(await this.fetchManifestIcons(page.manifestUrl, init));
+      }
+
+      // Browsers fall back to /favicon.ico, and so do we
+      const fallbackIcon = new URL('/favicon.ico', response.url || url).href;
+      if (!candidates.some(icon => icon.url === fallbackIcon)) {
+        candidates.push({ url: fallbackIcon, size: 16 });
+      }
+
+      const icon = await this.fetchIconCandidate(FaviconProviders.rankIcons(candidates), init);
+      return { title: page.title, iconDataUri: icon ? icon.dataUri : null, iconSize: icon ? icon.size : 0 };
+    } catch (error) {
+      console.warn(`Could not read page details for ${url}:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Read the title, icons and manifest link from a page
+   * Prefers <title>, falling back to og:title. Icons are found the same way
+   * as for the declared icon favicon provider.
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL, for resolving relative links
+   * @returns {Object} { title, icons: [{ url, size }], manifestUrl }
+   */
+  parsePageHead(html, pageUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const baseEl = doc.querySelector('base[href]');
+    const base = FaviconProviders.resolveUrl(baseEl ? baseEl.getAttribute('href') : '', pageUrl) || pageUrl;
+
+    const titleEl = doc.querySelector('title');
+    const ogTitleEl = doc.querySelector('meta[property="og:title"], meta[name="og:title"]');
+    const title = [titleEl && titleEl.textContent, ogTitleEl && ogTitleEl.getAttribute('content')]
+      .map(text => (text || '').replace(/\s+/g, ' ').trim())
+      .find(Boolean) || '';
+
+    const icons = FaviconProviders.findDeclaredIcons(doc, base);
+
+    const manifestEl = doc.querySelector('link[rel="manifest"][href]');
+    const manifestUrl = manifestEl ? FaviconProviders.resolveUrl(manifestEl.getAttribute('href'), base) : null;
+
+    return { title, icons, manifestUrl };
+  }
+
+  /**
+   * Read the icons listed in a web app manifest
+   * Icons meant only for masking or monochrome use are left out.
+   * @param {string} manifestUrl - Manifest URL
+   * @param {Object} init - Fetch options, including the abort signal
+   * @returns {Promise<Array<Object>>} Icons: { url, size }
+   */
+  async fetchManifestIcons(manifestUrl, init) {
+    try {
+      const response = await fetch(manifestUrl, init);
+      if (!response.ok) return [];
+
+      const manifest = await response.json();
+      return (Array.isArray(manifest.icons) ? manifest.icons : [])
+        .filter(icon => icon && typeof icon.src === 'string')
+        .filter(icon => !icon.purpose || icon.purpose.split(/\s+/).includes('any'))
+        .map(icon => ({
+          url: FaviconProviders.resolveUrl(icon.src, response.url || manifestUrl),
+          size: FaviconProviders.parseIconSize(icon.sizes) || (icon.type === 'image/svg+xml' ? Infinity : 0)
+        }))
+        .filter(icon => icon.url);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Download the first icon that loads and turn it into a stored icon
+   * @param {Array<Object>} icons - Ranked icons: { url, size }
+   * @param {Object} init - Fetch options, including the abort signal
+   * @returns {Promise<Object|null>} { dataUri, size }, or null if none loaded
+   */
+  async fetchIconCandidate(icons, init) {
+    for (const icon of icons.slice(0, 4)) {
+      try {
+        const response = await fetch(icon.url, init);
+        if (!response.ok) continue;
+
+        const blob = await response.blob();
+        const looksLikeIcon = blob.type.startsWith('image/') || /\.ico(\?|$)/i.test(icon.url);
+        if (!looksLikeIcon || blob.size === 0 || blob.size > MAX_ICON_BYTES) continue;
+
+        const dataUri = await this.processIconImage(blob);
+        return { dataUri, size: Math.round(dataUri.length * 0.75) };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Offer a page's title and icon where they differ from the link's
+   * @param {Object} link - Link data
+   * @param {Element} linkEl - Link element
+   * @param {Object} details - { title, iconDataUri, iconSize } from discoverPageDetails
+   * @param {Element} titleInput - Title input
+   * @param {Element} iconPreview - Icon preview in the header bar
+   * @param {Function} updateLinkProperty - Callback to update link property
+   * @param {boolean} reveal - Whether to open the link so the suggestions show
+   */
+  showPageSuggestions(link, linkEl, details, titleInput, iconPreview, updateLinkProperty, reveal) {
+    const container = linkEl.querySelector('.link-suggestions');
+    const titleBtn = container.querySelector('.use-suggested-title-btn');
+    const iconBtn = container.querySelector('.use-suggested-icon-btn');
+
+    const offerTitle = !!details.title && details.title !== titleInput.value.trim();
+    const offerIcon = !!details.iconDataUri && details.iconDataUri !== link.iconDataUri;
+
+    const update = () => {
+      const empty = titleBtn.classList.contains('hidden') && iconBtn.classList.contains('hidden');
+      container.classList.toggle('hidden', empty);
+    };
+
+    titleBtn.classList.toggle('hidden', !offerTitle);
+    titleBtn.textContent = `Use "${details.title}"`;
+    titleBtn.onclick = () => {
+      // The title input's own handler updates the preview and saves
+      titleInput.value = titleInput.maxLength > 0 ? details.title.slice(0, titleInput.maxLength) : details.title;
+      titleInput.dispatchEvent(new Event('input', { bubbles: true }));
+      titleBtn.classList.add('hidden');
+      update();
+    };
+
+    iconBtn.classList.toggle('hidden', !offerIcon);
+    iconBtn.querySelector('.suggested-icon-preview').src = details.iconDataUri || '';
+    iconBtn.onclick = () => {
+      this.applyIconDataUri(link.id, details.iconDataUri, iconPreview, updateLinkProperty);
+      this.updateFaviconModeUI(linkEl, { ...link, iconDataUri: details.iconDataUri, iconSize: details.iconSize });
+      iconBtn.classList.add('hidden');
+      update();
+    };
+
+    update();
+
+    if (reveal && (offerTitle || offerIcon) && !linkEl.classList.contains('expanded')) {
+      this.uiManager.toggleLink(linkEl);
+    }
+  }
+
   /**
    * Validate and construct Google favicon URL from custom domain/URL
    * Accepts domains, domain+path, or full URLs
@@ -250,25 +423,6 @@ class LinkProcessor {
     }
   }
 
-  /**
-   * Set icon preview to use Google's favicon service
-   */
-  setGoogleFaviconPreview(link, iconPreview) {
-    try {
-      const url = new URL(link.url);
-      const domain = url.hostname;
-
-      // Use Google's favicon service for preview (32px for better quality in options)
-      const googleFaviconUrl = `https://www.google.com/s2/favicons?domain=${domain}&sz=32`;
-      iconPreview.src = googleFaviconUrl;
-
-      // Don't save this as iconUrlOverride since frontend defaults to Google API anyway
-
-    } catch (error) {
-      // Ignore error, let default icon handling work
-    }
-  }
-
   /**
    * Process icon image - resize if needed and convert to data URI
    * @param {File} file - Icon file
@@ -332,19 +486,7 @@ class LinkProcessor {
     try {
       // Validate and potentially resize image
       const processedDataUri = await this.processIconImage(file);
-      updateLinkProperty(linkId, 'iconDataUri', processedDataUri);
-
-      // Store the size of the processed image
-      const processedSize = Math.round(processedDataUri.length * 0.75); // Approximate size of base64
-      updateLinkProperty(linkId, 'iconSize', processedSize);
-
-      previewEl.src = processedDataUri;
-
-      // Clear URL override when uploading custom icon
-      updateLinkProperty(linkId, 'iconUrlOverride', '');
-      const linkEl = previewEl.closest('.link-item');
-      const iconUrlInput = linkEl.querySelector('.icon-url-input');
-      iconUrlInput.value = '';
+      this.applyIconDataUri(linkId, processedDataUri, previewEl, updateLinkProperty);
 
     } catch (error) {
       console.error('Failed to upload icon:', error);
@@ -352,6 +494,29 @@ class LinkProcessor {
     }
   }
 
+  /**
+   * Store a processed icon on a link
+   * @param {string} linkId - Link ID
+   * @param {string} dataUri - Icon from processIconImage
+   * @param {Element} previewEl - Preview element
+   * @param {Function} updateLinkProperty - Callback to update link property
+   */
+  applyIconDataUri(linkId, dataUri, previewEl, updateLinkProperty) {
+    updateLinkProperty(linkId, 'iconDataUri', dataUri);
+
+    // Store the size of the processed image
+    const processedSize = Math.round(dataUri.length * 0.75); // Approximate size of base64
+    updateLinkProperty(linkId, 'iconSize', processedSize);
+
+    previewEl.src = dataUri;
+
+    // Clear URL override when using a custom icon
+    updateLinkProperty(linkId, 'iconUrlOverride', '');
+    const linkEl = previewEl.closest('.link-item');
+    const iconUrlInput = linkEl.querySelector('.icon-url-input');
+    iconUrlInput.value = '';
+  }
+
   /**
    * Remove favicon from link
    * @param {string} linkId - Link ID
@@ -378,6 +543,23 @@ class LinkProcessor {
     }
   }
 
+  /**
+   * Show whether a link is a bookmarklet, and offer to trust an imported one
+   * @param {Element} linkEl - Link element
+   * @param {Object} link - Link data
+   */
+  updateLinkTypeBadge(linkEl, link) {
+    const badge = linkEl.querySelector('.link-type-badge');
+    const trustBtn = linkEl.querySelector('.link-trust-btn');
+    const isBookmarklet = Bookmarklets.isBookmarklet(link);
+    const needsTrust = isBookmarklet && link.reviewed === false;
+
+    badge.textContent = needsTrust ? 'Bookmarklet · not reviewed' : 'Bookmarklet';
+    badge.classList.toggle('hidden', !isBookmarklet);
+    badge.classList.toggle('unreviewed', needsTrust);
+    trustBtn.classList.toggle('hidden', !needsTrust);
+  }
+
   /**
    * Update favicon mode UI based on current state
    * @param {Element} linkEl - Link element
@@ -19,11 +19,6 @@ class ThemeSelector {
     // Setup theme mode radio buttons
     const themeModeInputs = document.querySelectorAll('input[name="themeMode"]');
 
-    // Set current theme mode
-    themeModeInputs.forEach(input => {
-      input.checked = input.value === this.data.themeMode;
-    });
-
     // Handle theme mode changes
     themeModeInputs.forEach(input => {
       input.addEventListener('change', () => {
@@ -39,13 +34,28 @@ class ThemeSelector {
     // Setup preset theme dropdown
     const presetThemeSelect = document.getElementById('preset-theme-select');
     if (presetThemeSelect) {
-      presetThemeSelect.value = this.data.selectedPresetTheme || 'light';
-
       presetThemeSelect.addEventListener('change', () => {
         this.updatePresetTheme(presetThemeSelect.value);
       });
     }
 
+    this.render();
+  }
+
+  /**
+   * Show the current theme settings
+   * Called at setup and again when data changes outside this panel.
+   */
+  render() {
+    document.querySelectorAll('input[name="themeMode"]').forEach(input => {
+      input.checked = input.value === this.data.themeMode;
+    });
+
+    const presetThemeSelect = document.getElementById('preset-theme-select');
+    if (presetThemeSelect) {
+      presetThemeSelect.value = this.data.selectedPresetTheme || 'light';
+    }
+
     // Update browser theme current indicator
     this.updateBrowserThemeCurrent();
 
@@ -160,10 +160,13 @@ class UIManager {
 
   /**
    * Create import result modal
+   * Given a preview, the modal lists the planned changes and nothing is
+   * saved until the user confirms.
    * @param {Object} importStats - Import statistics
-   * @returns {Promise} Promise that resolves when user clicks OK
+   * @param {Object} [preview] - Merge preview or validation report: { summary, changes or issues, confirmText }
+   * @returns {Promise} Promise that resolves when user clicks OK; for a preview, with whether the user confirmed
    */
-  createImportResultModal(importStats) {
+  createImportResultModal(importStats, preview = null) {
     return new Promise((resolve) => {
       const template = this.templates.importResultModal;
       const modal = template.content.cloneNode(true);
@@ -219,19 +222,24 @@ class UIManager {
         }
       }
 
-      // Setup OK button
-      const okBtn = modal.querySelector('.modal-ok-btn');
-      okBtn.addEventListener('click', () => {
+      if (preview) {
+        this.renderImportPreview(modal, preview);
+      }
+
+      const close = (confirmed) => {
         modalEl.remove();
-        resolve();
-      });
+        document.removeEventListener('keydown', handleEscape);
+        resolve(preview ? confirmed : undefined);
+      };
 
-      // Escape key closes modal
+      // Setup OK and Cancel buttons
+      modal.querySelector('.modal-ok-btn').addEventListener('click', () => close(true));
+      modal.querySelector('.modal-cancel-btn').addEventListener('click', () => close(false));
+
+      // Escape key closes modal (and cancels a preview)
       const handleEscape = (e) => {
         if (e.key === 'Escape') {
-          modalEl.remove();
-          resolve();
-          document.removeEventListener('keydown', handleEscape);
+          close(false);
         }
       };
       document.addEventListener('keydown', handleEscape);
@@ -240,6 +248,82 @@ class UIManager {
     });
   }
 
+  /**
+   * Turn the import result modal into a preview of planned changes or a
+   * validation report
+   * @param {DocumentFragment} modal - Cloned import result modal
+   * @param {Object} preview - { summary, changes or issues, confirmText, title?, heading? }
+   */
+  renderImportPreview(modal, preview) {
+    const actionLabels = { add: 'Add', update: 'Update', skip: 'Skip' };
+    const severityLabels = { error: 'Error', warning: 'Warning' };
+    const okBtn = modal.querySelector('.modal-ok-btn');
+    const cancelBtn = modal.querySelector('.modal-cancel-btn');
+
+    modal.querySelector('.modal-title').textContent = preview.title || 'Review Import';
+    modal.querySelector('.success-message h4').textContent = preview.heading || 'Nothing has changed yet';
+    modal.querySelector('.import-summary').textContent = preview.summary;
+    cancelBtn.style.display = '';
+
+    // A report with errors can only be closed
+    if (preview.confirmText === null) {
+      okBtn.style.display = 'none';
+      cancelBtn.textContent = 'Close';
+    } else {
+      okBtn.textContent = preview.confirmText || 'Import';
+    }
+
+    let items;
+    if (preview.issues) {
+      modal.querySelector('.success-icon').style.display = 'none';
+      modal.querySelector('.import-stats').style.display = 'none';
+      modal.querySelector('.import-changes h5').textContent = 'Problems:';
+
+      items = preview.issues.map(issue => ({
+        label: severityLabels[issue.severity],
+        kind: issue.severity,
+        text: formatImportIssue(issue)
+      }));
+    } else {
+      items = preview.changes.map(change => ({
+        label: actionLabels[change.action],
+        kind: change.action,
+        text: [
+          `${change.type[0].toUpperCase()}${change.type.slice(1)} "${change.name}"`,
+          change.path && `in ${change.path}`,
+          change.reason && `(${change.reason})`
+        ].filter(Boolean).join(' ')
+      }));
+    }
+
+    const changesEl = modal.querySelector('.import-changes');
+    const listEl = modal.querySelector('.import-change-list');
+    changesEl.style.display = 'block';
+
+    items.forEach(({ label, kind, text }) => {
+      const item = document.createElement('li');
+      item.className = 'import-change-item';
+
+      const action = document.createElement('span');
+      action.className = `import-change-action ${kind}`;
+      action.textContent = label;
+
+      const textEl = document.createElement('span');
+      textEl.className = 'import-change-text';
+      textEl.textContent = text;
+
+      item.append(action, textEl);
+      listEl.appendChild(item);
+    });
+
+    if (items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'import-change-item';
+      empty.textContent = 'The file has nothing to import.';
+      listEl.appendChild(empty);
+    }
+  }
+
   /**
    * Generate import summary text
    * @param {Object} importStats - Import statistics
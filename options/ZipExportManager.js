@@ -49,8 +49,11 @@ class ZipExportManager {
     const zip = new JSZip();
     const images = {};
 
-    // Process custom favicons from links
-    const processedColumns = this.processCustomFavicons(data.columns, images);
+    // Process custom favicons from links, and notes into files of their own
+    const processedColumns = this.processWidgetNotes(this.processCustomFavicons(data.columns, images), zip);
+
+    // Process per-board background images
+    const processedBoards = this.processBoardBackgrounds(data.boards, images);
 
     // Create export data structure
     const exportData = {
@@ -61,6 +64,7 @@ class ZipExportManager {
         generator: 'Moontab Extreme'
       },
       content: {
+        boards: processedBoards,
         columns: processedColumns
       }
     };
@@ -74,6 +78,59 @@ class ZipExportManager {
     return await zip.generateAsync({ type: 'blob' });
   }
 
+  /**
+   * Export a single column, with its groups and custom favicons, as ZIP
+   * @param {Object} column - Column to export
+   * @returns {Promise<Blob>} ZIP file blob
+   */
+  async exportColumn(column) {
+    return this.exportSelection('column', { columns: [column] });
+  }
+
+  /**
+   * Export a single group, with its custom favicons, as ZIP
+   * @param {Object} group - Group to export
+   * @returns {Promise<Blob>} ZIP file blob
+   */
+  async exportGroup(group) {
+    return this.exportSelection('group', { groups: [group] });
+  }
+
+  /**
+   * Package selected columns or groups in the content export layout
+   * @param {string} exportType - 'column' or 'group'
+   * @param {Object} selection - { columns } or { groups }
+   * @returns {Promise<Blob>} ZIP file blob
+   */
+  async exportSelection(exportType, selection) {
+    this.checkJSZip();
+    const zip = new JSZip();
+    const images = {};
+    const content = {};
+
+    if (selection.columns) {
+      content.columns = this.processWidgetNotes(this.processCustomFavicons(selection.columns, images), zip);
+    }
+    if (selection.groups) {
+      content.groups = this.processWidgetNotes(this.processCustomFavicons([{ groups: selection.groups }], images), zip)[0].groups;
+    }
+
+    const exportData = {
+      metadata: {
+        exportType,
+        version: this.version,
+        timestamp: new Date().toISOString(),
+        generator: 'Moontab Extreme'
+      },
+      content
+    };
+
+    zip.file('data.json', JSON.stringify(exportData, null, 2));
+    await this.addImagesToZip(zip, images);
+
+    return await zip.generateAsync({ type: 'blob' });
+  }
+
   /**
    * Export appearance data (theme, CSS, backgrounds) as ZIP
    * @param {Object} data - The application data
@@ -147,6 +204,10 @@ class ZipExportManager {
         showUrls: data.showUrls,
         showColumnHeaders: data.showColumnHeaders,
         showGroupHeaders: data.showGroupHeaders,
+        faviconProviderOrder: data.faviconProviderOrder,
+        faviconTemplateUrl: data.faviconTemplateUrl,
+        urlPolicy: data.urlPolicy,
+        webSearch: data.webSearch,
         // Display scale and layout settings
         baseFontSize: data.baseFontSize,
         uiScale: data.uiScale,
@@ -181,8 +242,11 @@ class ZipExportManager {
     const zip = new JSZip();
     const images = {};
 
-    // Process custom favicons from links
-    const processedColumns = this.processCustomFavicons(data.columns, images);
+    // Process custom favicons from links, and notes into files of their own
+    const processedColumns = this.processWidgetNotes(this.processCustomFavicons(data.columns, images), zip);
+
+    // Process per-board background images
+    const processedBoards = this.processBoardBackgrounds(data.boards, images);
 
     // Process appearance data
     const appearanceData = {
@@ -240,6 +304,7 @@ class ZipExportManager {
         generator: 'Moontab Extreme'
       },
       content: {
+        boards: processedBoards,
         columns: processedColumns
       },
       appearance: appearanceData,
@@ -248,6 +313,10 @@ class ZipExportManager {
         showUrls: data.showUrls,
         showColumnHeaders: data.showColumnHeaders,
         showGroupHeaders: data.showGroupHeaders,
+        faviconProviderOrder: data.faviconProviderOrder,
+        faviconTemplateUrl: data.faviconTemplateUrl,
+        urlPolicy: data.urlPolicy,
+        webSearch: data.webSearch,
         // Display scale and layout settings
         baseFontSize: data.baseFontSize,
         uiScale: data.uiScale,
@@ -300,6 +369,9 @@ class ZipExportManager {
       // Convert image references back to base64
       await this.processImageReferences(importData, zipContent);
 
+      // Put note widgets' Markdown back in place
+      await this.processNoteReferences(importData, zipContent);
+
       // Process custom CSS file if referenced
       await this.processCSSReference(importData, zipContent);
 
@@ -378,6 +450,51 @@ class ZipExportManager {
     });
   }
 
+  /**
+   * Move note widgets' Markdown into files of their own
+   * Notes are kept as notes/note_<group ID>.md, so they can be read and
+   * edited outside the extension.
+   * @param {Array} columns - Processed columns (their groups are replaced, not modified)
+   * @param {JSZip} zip - ZIP to add the notes to
+   * @returns {Array} Columns whose notes refer to their files
+   */
+  processWidgetNotes(columns, zip) {
+    return columns.map(column => ({
+      ...column,
+      groups: (column.groups || []).map(group => {
+        if (!Widgets.isWidget(group) || group.widget.type !== 'note') return group;
+
+        const { markdown, ...widget } = group.widget;
+        const notePath = `notes/note_${group.id.replace(/[^a-zA-Z0-9_-]/g, '_')}.md`;
+        zip.file(notePath, markdown || '');
+        return { ...group, widget: { ...widget, markdownFile: notePath } };
+      })
+    }));
+  }
+
+  /**
+   * Process per-board background images and extract them
+   * @param {Array} boards - Boards data
+   * @param {Object} images - Images object to populate
+   * @returns {Array} Processed boards with image references
+   */
+  processBoardBackgrounds(boards, images) {
+    if (!boards) return [];
+
+    return boards.map(board => {
+      const overrides = { ...board.overrides };
+
+      if (overrides.backgroundDataUri && overrides.backgroundDataUri.startsWith('data:')) {
+        const imageInfo = this.extractImageInfo(overrides.backgroundDataUri);
+        const imagePath = `images/board_background_${board.id}.${imageInfo.extension}`;
+        images[imagePath] = imageInfo.binary;
+        overrides.backgroundDataUri = imagePath;
+      }
+
+      return { ...board, overrides };
+    });
+  }
+
   /**
    * Extract image information from base64 data URL
    * @param {string} dataUrl - Base64 data URL
@@ -442,9 +559,10 @@ class ZipExportManager {
    * @param {JSZip} zipContent - ZIP content
    */
   async processImageReferences(importData, zipContent) {
-    // Process content images (custom favicons)
-    if (importData.content && importData.content.columns) {
-      for (const column of importData.content.columns) {
+    // Process content images (custom favicons); group exports carry groups without a column
+    if (importData.content && (importData.content.columns || importData.content.groups)) {
+      const columns = [...(importData.content.columns || []), { groups: importData.content.groups }];
+      for (const column of columns) {
         // Process groups array (v2 format)
         if (column.groups) {
           for (const group of column.groups) {
@@ -462,7 +580,7 @@ class ZipExportManager {
                 if (link.iconUrlOverride) {
                   const shouldKeep = this.shouldKeepFaviconUrl(link.iconUrlOverride);
                   if (shouldKeep) {
-                    console.log(`✅ Keeping Google favicon URL during import for: ${link.title || link.url}`);
+                    console.log(`✅ Keeping favicon service URL during import for: ${link.title || link.url}`);
                   } else {
                     console.log(`🚫 Removing custom favicon URL during import for: ${link.title || link.url}`);
                     delete link.iconUrlOverride;
@@ -475,6 +593,22 @@ class ZipExportManager {
       }
     }
 
+    // Process per-board background images
+    if (importData.content && Array.isArray(importData.content.boards)) {
+      for (const board of importData.content.boards) {
+        const overrides = board.overrides || {};
+        if (overrides.backgroundDataUri && overrides.backgroundDataUri.startsWith('images/')) {
+          const imageFile = zipContent.file(overrides.backgroundDataUri);
+          if (imageFile) {
+            const binary = await imageFile.async('uint8array');
+            overrides.backgroundDataUri = await this.binaryToDataUrl(binary, overrides.backgroundDataUri);
+          } else {
+            delete overrides.backgroundDataUri;
+          }
+        }
+      }
+    }
+
     // Process appearance images (background)
     if (importData.appearance) {
       // Handle both field names for compatibility
@@ -499,6 +633,34 @@ class ZipExportManager {
     }
   }
 
+  /**
+   * Load note widgets' Markdown from the files they refer to
+   * @param {Object} importData - Import data structure
+   * @param {JSZip} zipContent - ZIP content
+   */
+  async processNoteReferences(importData, zipContent) {
+    const content = importData.content;
+    if (!content) return;
+
+    const groups = [
+      ...(Array.isArray(content.columns) ? content.columns : []).flatMap(column => (column && Array.isArray(column.groups)) ? column.groups : []),
+      ...(Array.isArray(content.groups) ? content.groups : [])
+    ];
+
+    for (const group of groups) {
+      const widget = group && group.widget;
+      if (!widget || typeof widget.markdownFile !== 'string') continue;
+
+      const noteFile = zipContent.file(widget.markdownFile);
+      if (noteFile) {
+        widget.markdown = await noteFile.async('string');
+      } else {
+        console.warn('Note file referenced but not found in ZIP:', widget.markdownFile);
+      }
+      delete widget.markdownFile;
+    }
+  }
+
   /**
    * Process CSS file reference and load content
    * @param {Object} importData - Import data structure
@@ -657,30 +819,27 @@ class ZipExportManager {
   }
 
   /**
-   * Check if a favicon URL should be kept (Google favicon service URLs only)
+   * Check if a favicon URL should be kept (favicon service URLs only)
    * @param {string} url - Favicon URL to check
    * @returns {boolean} Whether to keep this URL
    */
   shouldKeepFaviconUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-
-    // Keep Google favicon service URLs
-    return url.includes('google.com/s2/favicons') ||
-      url.includes('gstatic.com/faviconV2') ||
-      url.includes('googleapis.com/favicon');
+    return FaviconProviders.isServiceUrl(url);
   }
 
   /**
    * Generate filename for export
-   * @param {string} exportType - Export type (content, appearance, complete)
+   * @param {string} exportType - Export type (content, appearance, complete, column, group)
+   * @param {string} [name] - Name of the exported column or group
    * @returns {string} Filename
    */
-  generateFilename(exportType) {
+  generateFilename(exportType, name) {
     const timestamp = new Date().toISOString()
       .replace(/:/g, '-')
       .replace(/\.\d{3}Z$/, '')
       .replace('T', '_');
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 
-    return `moontab-extreme-${exportType}-${timestamp}.zip`;
+    return `moontab-extreme-${exportType}${slug ? `-${slug}` : ''}-${timestamp}.zip`;
   }
 }
\ No newline at end of file
@@ -0,0 +1,984 @@
+/**
+ * Bookmarks bridge for Moontab Extreme
+ * Keeps columns or whole boards in two-way sync with chrome.bookmarks folders
+ */
+
+const BOOKMARK_BRIDGE_STATE_KEY = 'moontabExtremeBookmarkBridge';
+const BOOKMARK_BRIDGE_LOCK_NAME = 'moontabExtremeBookmarkBridge';
+const BOOKMARK_BRIDGE_DELAY = 1000; // Coalesce bursts of bookmark events and edits
+// Page loads only sync this long after the last pass; open pages follow bookmark events
+const BOOKMARK_BRIDGE_LOAD_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Bookmarks bridge operations
+ *
+ * A binding ties a column to a bookmarks folder, or a board to a folder whose
+ * subfolders are its columns. Inside a column's folder, bookmarks belong to
+ * the column's first untitled group and each subfolder is a group; folders
+ * nested deeper are flattened into their group.
+ *
+ * Device-local state pairs every bridged column, group and link with its
+ * bookmark node and remembers both sides as of the last sync, so each pass is
+ * a three-way merge: whichever side changed since then wins. A link changed on
+ * both sides, or changed on one and deleted on the other, is recorded as a
+ * conflict and left alone until it is resolved on the options page.
+ */
+class BookmarkBridgeManager {
+
+  /**
+   * Check whether the optional bookmarks permission has been granted
+   * @returns {boolean} Whether chrome.bookmarks can be used
+   */
+  static isAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.bookmarks;
+  }
+
+  /**
+   * Ask for the optional bookmarks permission (needs a user gesture)
+   * @returns {Promise<boolean>} Whether it was granted
+   */
+  static async requestPermission() {
+    return chrome.permissions.request({ permissions: ['bookmarks'] });
+  }
+
+  /**
+   * Load device-local bridge state
+   * @returns {Promise<Object>} Bridge state
+   */
+  static async getState() {
+    const defaults = {
+      bindings: [],
+      columnFolders: {},
+      groupFolders: {},
+      links: {},
+      conflicts: [],
+      lastSyncedAt: null,
+      lastAppliedAt: null,
+      lastError: null
+    };
+
+    try {
+      const result = await chrome.storage.local.get(BOOKMARK_BRIDGE_STATE_KEY);
+      return { ...defaults, ...result[BOOKMARK_BRIDGE_STATE_KEY] };
+    } catch (error) {
+      console.error('Failed to load bookmarks bridge state:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Update device-local bridge state
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated state
+   */
+  static async updateState(updates) {
+    const state = { ...(await this.getState()), ...updates };
+    await chrome.storage.local.set({ [BOOKMARK_BRIDGE_STATE_KEY]: state });
+    return state;
+  }
+
+  /**
+   * Follow bookmark changes and sync on page load
+   * Bookmarks edited while no Moontab page was open are picked up here,
+   * unless a pass ran in the last few minutes; a page that was open then
+   * heard about any bookmark change since.
+   * @param {Function} [onApplied] - Called with the new local data after bookmark changes are merged in, by any page
+   * @returns {Promise<void>}
+   */
+  static async init(onApplied) {
+    this.onApplied = onApplied || null;
+    if (!this.isAvailable()) return;
+
+    this.listen();
+
+    const state = await this.getState();
+    if (Date.now() - (state.lastSyncedAt || 0) >= BOOKMARK_BRIDGE_LOAD_INTERVAL) {
+      await this.syncIfBound();
+    }
+  }
+
+  /**
+   * Listen for bookmark changes (once per page)
+   */
+  static listen() {
+    if (this.isListening || !this.isAvailable()) return;
+    this.isListening = true;
+
+    ['onCreated', 'onRemoved', 'onChanged', 'onMoved', 'onImportEnded'].forEach(event => {
+      chrome.bookmarks[event].addListener(() => this.scheduleSync());
+    });
+
+    // Whichever page ran the merge, every page learns that the board changed
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      const change = changes[BOOKMARK_BRIDGE_STATE_KEY];
+      if (areaName !== 'local' || !change || !this.onApplied) return;
+      if ((change.newValue || {}).lastAppliedAt === (change.oldValue || {}).lastAppliedAt) return;
+
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      if (result[STORAGE_KEY]) {
+        this.onApplied(result[STORAGE_KEY]);
+      }
+    });
+  }
+
+  /**
+   * Run a sync if anything is bound
+   * @returns {Promise<Object|null>} Sync result or null if nothing is bound
+   */
+  static async syncIfBound() {
+    const state = await this.getState();
+    return state.bindings.length > 0 ? this.syncNow() : null;
+  }
+
+  /**
+   * Schedule a sync after a local write
+   * @returns {Promise<void>}
+   */
+  static async onLocalWrite() {
+    try {
+      if (!this.isAvailable()) return;
+
+      const state = await this.getState();
+      if (state.bindings.length > 0) {
+        this.scheduleSync();
+      }
+    } catch (error) {
+      // Bridge bookkeeping must never block the save itself
+      console.error('Failed to schedule bookmarks sync:', error);
+    }
+  }
+
+  /**
+   * Sync after a short delay (debounced)
+   */
+  static scheduleSync = debounce(() => {
+    BookmarkBridgeManager.syncNow();
+  }, BOOKMARK_BRIDGE_DELAY);
+
+  /**
+   * Run a task while holding the bridge lock
+   * Pages open side by side would otherwise create the same bookmarks twice.
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  static async withLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(BOOKMARK_BRIDGE_LOCK_NAME, task);
+    }
+    return task();
+  }
+
+  /**
+   * Bind a column or board to a bookmarks folder and sync straight away
+   * @param {string} type - 'column' or 'board'
+   * @param {string} targetId - Column or board ID
+   * @param {string} folderId - Bookmarks folder ID
+   * @returns {Promise<Object>} Result of the first sync
+   * @throws {Error} If the target or folder is already bound or can't be used
+   */
+  static async bind(type, targetId, folderId) {
+    if (!this.isAvailable()) {
+      throw new Error('Allow access to bookmarks first');
+    }
+
+    await this.withLock(async () => {
+      const state = await this.getState();
+      const data = await StorageManager.load();
+
+      if (type === 'column') {
+        const column = data.columns.find(c => c.id === targetId);
+        if (!column) throw new Error('Column not found');
+        if (state.bindings.some(b => b.type === 'board' && b.targetId === column.boardId)) {
+          throw new Error('This column\'s board is already bound to a folder');
+        }
+      } else {
+        if (!BoardManager.getBoard(data, targetId)) throw new Error('Board not found');
+        const boardColumnIds = new Set(BoardManager.getColumns(data, targetId).map(c => c.id));
+        if (state.bindings.some(b => b.type === 'column' && boardColumnIds.has(b.targetId))) {
+          throw new Error('Unbind this board\'s columns first');
+        }
+      }
+
+      if (state.bindings.some(b => b.targetId === targetId)) {
+        throw new Error('Already bound to a folder');
+      }
+
+      const path = await this.getFolderPath(folderId);
+      if (path.length < 3) {
+        throw new Error('Choose a folder inside one of the top-level bookmark folders');
+      }
+
+      for (const binding of state.bindings) {
+        if (path.includes(binding.folderId)) {
+          throw new Error('This folder is inside a folder that is already bound');
+        }
+        if ((await this.getFolderPath(binding.folderId)).includes(folderId)) {
+          throw new Error('This folder contains a folder that is already bound');
+        }
+      }
+
+      state.bindings.push({ id: generateUUID(), type, targetId, folderId, lastError: null });
+      await this.updateState({ bindings: state.bindings });
+    });
+
+    this.listen();
+    return this.syncNow();
+  }
+
+  /**
+   * Remove a binding
+   * Both sides keep their current contents; only the pairing is forgotten.
+   * @param {string} bindingId - Binding ID
+   * @returns {Promise<void>}
+   */
+  static async unbind(bindingId) {
+    await this.withLock(async () => {
+      const state = await this.getState();
+      const keep = ([, pair]) => pair.bindingId !== bindingId;
+
+      await this.updateState({
+        bindings: state.bindings.filter(b => b.id !== bindingId),
+        columnFolders: Object.fromEntries(Object.entries(state.columnFolders).filter(keep)),
+        groupFolders: Object.fromEntries(Object.entries(state.groupFolders).filter(keep)),
+        links: Object.fromEntries(Object.entries(state.links).filter(keep)),
+        conflicts: state.conflicts.filter(c => c.bindingId !== bindingId)
+      });
+    });
+  }
+
+  /**
+   * Resolve a conflict in favour of one side and sync
+   * The losing side is recorded as unchanged since the last sync, so the
+   * next pass applies the kept side. When the kept side is the deleted one,
+   * the pairing is dropped and the survivor is copied across as new.
+   * @param {string} conflictId - Conflict ID
+   * @param {string} keep - 'link' or 'bookmark'
+   * @returns {Promise<Object>} Sync result
+   */
+  static async resolveConflict(conflictId, keep) {
+    await this.withLock(async () => {
+      const state = await this.getState();
+      const conflict = state.conflicts.find(c => c.id === conflictId);
+      if (!conflict) return;
+
+      const pair = state.links[conflict.linkId];
+      const loser = keep === 'link' ? conflict.bookmark : conflict.link;
+
+      if (pair && loser) {
+        pair.url = loser.url;
+        pair.title = loser.title;
+      } else if (pair) {
+        delete state.links[conflict.linkId];
+      }
+
+      await this.updateState({
+        links: state.links,
+        conflicts: state.conflicts.filter(c => c.id !== conflictId)
+      });
+    });
+
+    return this.syncNow();
+  }
+
+  /**
+   * Sync every binding in one pass
+   * Concurrent calls are folded into a single follow-up run.
+   * @returns {Promise<Object>} { localChanged } or { error }
+   */
+  static async syncNow() {
+    if (!this.isAvailable()) {
+      return { localChanged: false };
+    }
+
+    if (this.isSyncing) {
+      this.syncQueued = true;
+      return { localChanged: false, queued: true };
+    }
+
+    this.isSyncing = true;
+
+    try {
+      return await this.withLock(() => this.reconcile());
+    } catch (error) {
+      console.error('Bookmarks sync failed:', error);
+      await this.updateState({ lastError: error.message });
+      return { error };
+    } finally {
+      this.isSyncing = false;
+
+      if (this.syncQueued) {
+        this.syncQueued = false;
+        this.syncNow();
+      }
+    }
+  }
+
+  /**
+   * Merge every binding and save whatever changed on the Moontab side
+   * The bookmarks are read and written while the board copy read here may
+   * go stale, so only the column changes the pass made are applied, on top
+   * of the data stored by then. The merge is written below the undo
+   * history: it is not the user's edit.
+   * @returns {Promise<Object>} { localChanged }
+   */
+  static async reconcile() {
+    const state = await this.getState();
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    const data = result[STORAGE_KEY];
+    if (state.bindings.length === 0 || !data) return { localChanged: false };
+
+    const baseColumns = JSON.parse(JSON.stringify(data.columns));
+    const before = JSON.stringify(baseColumns);
+
+    for (const binding of state.bindings) {
+      try {
+        await this.reconcileBinding(binding, data, state);
+        binding.lastError = null;
+      } catch (error) {
+        console.error('Bookmarks sync failed for a binding:', error);
+        binding.lastError = error.message;
+      }
+    }
+
+    let localChanged = JSON.stringify(data.columns) !== before;
+    if (localChanged) {
+      localChanged = await StorageManager.withWriteLock(async () => {
+        const current = (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY];
+        const columns = this.rebaseList(baseColumns, data.columns, current.columns, ['groups', 'links']);
+        if (JSON.stringify(columns) === JSON.stringify(current.columns)) return false;
+
+        await StorageManager.writeData(current, { ...current, columns, version: STORAGE_VERSION });
+        return true;
+      });
+    }
+
+    const now = Date.now();
+    await this.updateState({
+      ...state,
+      lastSyncedAt: now,
+      lastAppliedAt: localChanged ? now : state.lastAppliedAt,
+      lastError: null
+    });
+    return { localChanged };
+  }
+
+  /**
+   * Apply the changes a pass made to a list on top of the stored list
+   * Items the pass left alone keep their stored version, and items added
+   * or edited since it read the data are kept. An item the pass changed
+   * that was also edited meanwhile gets the pass's own field changes, with
+   * its children merged the same way.
+   * @param {Array<Object>} base - Items as the pass read them
+   * @param {Array<Object>} merged - Items after the pass
+   * @param {Array<Object>} current - Items as stored now
+   * @param {Array<string>} childKeys - Child list at each level below, e.g. ['groups', 'links']
+   * @returns {Array<Object>} Items to save
+   */
+  static rebaseList(base, merged, current, childKeys) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    if (same(base, current)) return merged;
+
+    const baseById = new Map(base.map(item => [item.id, item]));
+    const mergedById = new Map(merged.map(item => [item.id, item]));
+    const [childKey, ...grandchildKeys] = childKeys;
+    const items = [];
+
+    current.forEach(item => {
+      const before = baseById.get(item.id);
+      const after = mergedById.get(item.id);
+
+      if (!before || (after && same(after, before))) {
+        // Added since the pass read the data, or left alone by the pass
+        items.push(item);
+      } else if (!after) {
+        // Removed by the pass; kept if it was edited meanwhile
+        if (!same(item, before)) items.push(item);
+      } else if (same(item, before)) {
+        items.push(after);
+      } else {
+        const rebased = { ...item };
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+          if (key === childKey || same(after[key], before[key])) return;
+          if (after[key] === undefined) {
+            delete rebased[key];
+          } else {
+            rebased[key] = after[key];
+          }
+        });
+        if (childKey) {
+          rebased[childKey] = this.rebaseList(before[childKey] || [], after[childKey] || [], item[childKey] || [], grandchildKeys);
+        }
+        items.push(rebased);
+      }
+    });
+
+    // Items the pass added go after the item they followed in its list
+    merged.forEach((item, index) => {
+      if (baseById.has(item.id)) return;
+
+      const previous = index > 0 ? items.findIndex(other => other.id === merged[index - 1].id) : -1;
+      if (index > 0 && previous === -1) {
+        items.push(item);
+      } else {
+        items.splice(previous + 1, 0, item);
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Merge one binding: columns, then groups, then links, then leftovers
+   * @param {Object} binding - Binding
+   * @param {Object} data - Local data (modified in place)
+   * @param {Object} state - Bridge state (modified in place)
+   * @returns {Promise<void>}
+   * @throws {Error} If the folder or target no longer exists
+   */
+  static async reconcileBinding(binding, data, state) {
+    let tree = null;
+    try {
+      [tree] = await chrome.bookmarks.getSubTree(binding.folderId);
+    } catch (error) {
+      tree = null;
+    }
+    if (!tree) throw new Error('The bookmarks folder no longer exists');
+
+    const ctx = {
+      binding,
+      data,
+      state,
+      folders: this.indexFolders(tree),
+      orphanFolders: [],
+      orphanGroups: [],
+      orphanColumns: []
+    };
+
+    let columns;
+    if (binding.type === 'column') {
+      const column = data.columns.find(c => c.id === binding.targetId);
+      if (!column) throw new Error('The bound column no longer exists');
+      columns = [{ column, folder: tree }];
+    } else {
+      if (!BoardManager.getBoard(data, binding.targetId)) throw new Error('The bound board no longer exists');
+      columns = await this.reconcileColumns(tree, ctx);
+    }
+
+    const targets = await this.reconcileGroups(columns, ctx);
+    await this.reconcileLinks(targets, ctx);
+    await this.cleanUpOrphans(ctx);
+  }
+
+  /**
+   * Index every folder in a bookmarks subtree by ID
+   * @param {Object} tree - Bookmark tree node
+   * @returns {Map<string, Object>} Folder nodes
+   */
+  static indexFolders(tree) {
+    const folders = new Map();
+    const visit = (node) => {
+      if (node.url) return;
+      folders.set(node.id, node);
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+    return folders;
+  }
+
+  /**
+   * Pair a bound board's columns with the subfolders of its folder
+   * @param {Object} tree - The board's bookmarks folder
+   * @param {Object} ctx - Reconcile context
+   * @returns {Promise<Array<Object>>} Live pairs: { column, folder }
+   */
+  static async reconcileColumns(tree, ctx) {
+    const { binding, data, state } = ctx;
+    const boardColumns = BoardManager.getColumns(data, binding.targetId);
+    const subfolders = tree.children.filter(node => !node.url);
+    const pairedColumns = new Set();
+    const pairedFolders = new Set();
+    const columns = [];
+
+    for (const [columnId, pair] of Object.entries(state.columnFolders)) {
+      if (pair.bindingId !== binding.id) continue;
+
+      const column = boardColumns.find(c => c.id === columnId);
+      const folder = subfolders.find(f => f.id === pair.folderId);
+
+      if (column && folder) {
+        pair.title = await this.syncTitle(column, 'name', folder, pair.title);
+        columns.push({ column, folder });
+      } else if (folder) {
+        ctx.orphanFolders.push({ folder, map: state.columnFolders, key: columnId, direct: false });
+      } else if (column) {
+        ctx.orphanColumns.push({ column, key: columnId });
+      } else {
+        delete state.columnFolders[columnId];
+        continue;
+      }
+
+      if (column) pairedColumns.add(column.id);
+      if (folder) pairedFolders.add(folder.id);
+    }
+
+    for (const folder of subfolders) {
+      if (pairedFolders.has(folder.id)) continue;
+
+      let column = boardColumns.find(c => !pairedColumns.has(c.id) && c.name === folder.title);
+      if (!column) {
+        column = { id: generateUUID(), boardId: binding.targetId, name: folder.title, groups: [], customClasses: '' };
+        data.columns.push(column);
+      }
+
+      state.columnFolders[column.id] = { bindingId: binding.id, folderId: folder.id, title: column.name };
+      pairedColumns.add(column.id);
+      columns.push({ column, folder });
+    }
+
+    for (const column of boardColumns) {
+      if (pairedColumns.has(column.id)) continue;
+
+      const folder = await chrome.bookmarks.create({ parentId: tree.id, title: column.name });
+      folder.children = [];
+      ctx.folders.set(folder.id, folder);
+
+      state.columnFolders[column.id] = { bindingId: binding.id, folderId: folder.id, title: column.name };
+      columns.push({ column, folder });
+    }
+
+    return columns;
+  }
+
+  /**
+   * Pair each bound column's groups with its folder and subfolders
+   * @param {Array<Object>} columns - Live column pairs: { column, folder }
+   * @param {Object} ctx - Reconcile context
+   * @returns {Promise<Array<Object>>} Targets: { column, group, folder, folderId, direct, orphan }
+   */
+  static async reconcileGroups(columns, ctx) {
+    const { binding, state } = ctx;
+    const liveColumnIds = new Set(columns.map(c => c.column.id));
+    const groupIndex = new Map();
+    const pairedGroups = new Set();
+    const pairedFolders = new Set();
+    const targets = [];
+
+    // Widgets have no bookmarks, so they get no folder and never pair
+    const isLinkGroup = group => !Widgets.isWidget(group);
+
+    [...columns.map(c => c.column), ...ctx.orphanColumns.map(o => o.column)].forEach(column => {
+      column.groups.filter(isLinkGroup).forEach(group => groupIndex.set(group.id, { column, group }));
+    });
+
+    for (const [groupId, pair] of Object.entries(state.groupFolders)) {
+      if (pair.bindingId !== binding.id) continue;
+
+      const entry = groupIndex.get(groupId);
+      const folder = ctx.folders.get(pair.folderId);
+
+      if (entry && folder && liveColumnIds.has(entry.column.id)) {
+        // A column folder's own name belongs to the column, not to its untitled group
+        if (!pair.direct) {
+          pair.title = await this.syncTitle(entry.group, 'title', folder, pair.title);
+        }
+        targets.push({ ...entry, folder, folderId: folder.id, direct: !!pair.direct, orphan: false });
+        pairedGroups.add(groupId);
+        pairedFolders.add(folder.id);
+      } else if (folder) {
+        ctx.orphanFolders.push({ folder, map: state.groupFolders, key: groupId, direct: !!pair.direct });
+        pairedFolders.add(folder.id);
+      } else if (entry) {
+        const target = { ...entry, folder: null, folderId: pair.folderId, direct: !!pair.direct, orphan: true };
+        targets.push(target);
+        ctx.orphanGroups.push({ ...entry, key: groupId });
+        pairedGroups.add(groupId);
+      } else {
+        delete state.groupFolders[groupId];
+      }
+    }
+
+    const pairGroup = (column, group, folder, direct) => {
+      state.groupFolders[group.id] = { bindingId: binding.id, folderId: folder.id, title: group.title, direct };
+      targets.push({ column, group, folder, folderId: folder.id, direct, orphan: false });
+      pairedGroups.add(group.id);
+      pairedFolders.add(folder.id);
+    };
+
+    for (const { column, folder } of columns) {
+      // Subfolders become groups, matching existing groups by title
+      for (const subfolder of folder.children.filter(node => !node.url && !pairedFolders.has(node.id))) {
+        let group = column.groups.find(g => isLinkGroup(g) && !pairedGroups.has(g.id) && g.title && g.title === subfolder.title);
+        if (!group) {
+          if (column.groups.length >= MAX_GROUPS_PER_COLUMN) continue;
+          group = { id: generateUUID(), title: subfolder.title, customClasses: '', links: [] };
+          column.groups.push(group);
+        }
+        pairGroup(column, group, subfolder, false);
+      }
+
+      // Bookmarks directly in the folder belong to the first untitled group
+      if (!pairedFolders.has(folder.id)) {
+        let group = column.groups.find(g => isLinkGroup(g) && !pairedGroups.has(g.id) && !g.title);
+        if (!group && (folder.children.some(node => node.url) || column.groups.length === 0)) {
+          group = { id: generateUUID(), title: '', customClasses: '', links: [] };
+          column.groups.unshift(group);
+        }
+        if (group) {
+          pairGroup(column, group, folder, true);
+        }
+      }
+
+      // Remaining groups get subfolders of their own
+      for (const group of column.groups.filter(isLinkGroup)) {
+        if (pairedGroups.has(group.id)) continue;
+
+        const subfolder = await chrome.bookmarks.create({ parentId: folder.id, title: group.title });
+        subfolder.children = [];
+        ctx.folders.set(subfolder.id, subfolder);
+        pairGroup(column, group, subfolder, false);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Merge paired links, then copy new links and bookmarks across
+   * @param {Array<Object>} targets - Group targets from reconcileGroups()
+   * @param {Object} ctx - Reconcile context
+   * @returns {Promise<void>}
+   */
+  static async reconcileLinks(targets, ctx) {
+    const { binding, state } = ctx;
+    const bookmarks = new Map();
+    const links = new Map();
+
+    const collect = (folder, target, recursive) => {
+      (folder.children || []).forEach(node => {
+        if (node.url) {
+          bookmarks.set(node.id, { node, target });
+        } else if (recursive) {
+          collect(node, target, true);
+        }
+      });
+    };
+
+    targets.forEach(target => {
+      // A column folder's subfolders are groups of their own
+      if (target.folder) collect(target.folder, target, !target.direct);
+      // Bookmarklets stay on the board; mirrored bookmarks could run them unreviewed
+      target.group.links
+        .filter(link => !Bookmarklets.isBookmarklet(link))
+        .forEach(link => links.set(link.id, { link, target }));
+    });
+
+    // Bookmarks left in folders whose group was deleted can still be paired
+    ctx.orphanFolders.forEach(({ folder, direct }) => {
+      collect(folder, { column: null, group: null, folder, folderId: folder.id, direct, orphan: true }, !direct);
+    });
+
+    for (const [linkId, pair] of Object.entries(state.links)) {
+      if (pair.bindingId !== binding.id) continue;
+
+      const local = links.get(linkId);
+      const remote = bookmarks.get(pair.bookmarkId);
+      links.delete(linkId);
+      bookmarks.delete(pair.bookmarkId);
+
+      await this.reconcileLinkPair(linkId, pair, local, remote, ctx);
+    }
+
+    // Whatever is left on either side is new since the last sync
+    for (const target of targets) {
+      if (target.orphan) continue;
+
+      const newLinks = target.group.links.filter(link => links.has(link.id));
+      const newBookmarks = [...bookmarks.values()]
+        .filter(entry => entry.target === target && UrlPolicy.isAllowed(entry.node.url))
+        .map(entry => entry.node);
+
+      for (const link of newLinks) {
+        // Binding a folder that already holds the same URLs pairs them up
+        const matchIndex = newBookmarks.findIndex(node => node.url === link.url);
+        let node;
+
+        if (matchIndex !== -1) {
+          [node] = newBookmarks.splice(matchIndex, 1);
+          if (node.title !== link.title) {
+            await chrome.bookmarks.update(node.id, { title: link.title });
+          }
+        } else {
+          try {
+            node = await chrome.bookmarks.create({ parentId: target.folderId, title: link.title, url: link.url });
+          } catch (error) {
+            console.warn(`Could not create a bookmark for ${link.url}:`, error);
+            continue;
+          }
+        }
+
+        state.links[link.id] = { bindingId: binding.id, bookmarkId: node.id, url: link.url, title: link.title, folderId: target.folderId };
+      }
+
+      for (const node of newBookmarks) {
+        if (target.group.links.length >= MAX_LINKS_PER_GROUP) break;
+
+        const link = {
+          id: generateUUID(),
+          url: node.url,
+          title: node.title,
+          iconDataUri: null,
+          iconUrlOverride: null,
+          customClasses: ''
+        };
+
+        target.group.links.push(link);
+        state.links[link.id] = { bindingId: binding.id, bookmarkId: node.id, url: link.url, title: link.title, folderId: target.folderId };
+      }
+    }
+  }
+
+  /**
+   * Three-way merge of one link with its bookmark
+   * @param {string} linkId - Link ID
+   * @param {Object} pair - Pair state as of the last sync (modified in place)
+   * @param {Object|undefined} local - { link, target } if the link still exists
+   * @param {Object|undefined} remote - { node, target } if the bookmark still exists
+   * @param {Object} ctx - Reconcile context
+   * @returns {Promise<void>}
+   */
+  static async reconcileLinkPair(linkId, pair, local, remote, ctx) {
+    const { state } = ctx;
+    const conflict = state.conflicts.find(c => c.linkId === linkId);
+
+    if (!local && !remote) {
+      delete state.links[linkId];
+      state.conflicts = state.conflicts.filter(c => c !== conflict);
+      return;
+    }
+
+    const linkChanged = !!local && (local.link.url !== pair.url || local.link.title !== pair.title);
+    const bookmarkChanged = !!remote && (remote.node.url !== pair.url || remote.node.title !== pair.title);
+
+    // Keep an open conflict showing the latest values from both sides
+    if (conflict) {
+      conflict.link = local ? { title: local.link.title, url: local.link.url } : null;
+      conflict.bookmark = remote ? { title: remote.node.title, url: remote.node.url } : null;
+    }
+
+    if (local && remote) {
+      const same = local.link.url === remote.node.url && local.link.title === remote.node.title;
+
+      if (same) {
+        state.conflicts = state.conflicts.filter(c => c !== conflict);
+      } else if (conflict) {
+        return;
+      } else if (linkChanged && bookmarkChanged) {
+        this.addConflict(state, 'edited', linkId, pair, local.link, remote.node);
+        return;
+      } else if (linkChanged) {
+        try {
+          await chrome.bookmarks.update(remote.node.id, { title: local.link.title, url: local.link.url });
+        } catch (error) {
+          console.warn(`Could not update the bookmark for ${local.link.url}:`, error);
+          return;
+        }
+      } else if (bookmarkChanged) {
+        local.link.title = remote.node.title;
+        // A bookmark changed to a javascript: URL, or one the link rules refuse, keeps the link's URL
+        if (UrlPolicy.isAllowed(remote.node.url)) {
+          local.link.url = remote.node.url;
+        }
+      }
+
+      pair.url = local.link.url;
+      pair.title = local.link.title;
+      await this.reconcileLocation(pair, local, remote);
+    } else if (local) {
+      if (conflict) return;
+      if (linkChanged) {
+        this.addConflict(state, 'bookmark-deleted', linkId, pair, local.link, null);
+        return;
+      }
+
+      local.target.group.links = local.target.group.links.filter(link => link.id !== linkId);
+      delete state.links[linkId];
+    } else {
+      if (conflict) return;
+      if (bookmarkChanged) {
+        this.addConflict(state, 'link-deleted', linkId, pair, null, remote.node);
+        return;
+      }
+
+      await chrome.bookmarks.remove(remote.node.id);
+      delete state.links[linkId];
+    }
+  }
+
+  /**
+   * Follow a link or bookmark that moved to another group since the last sync
+   * The link's position wins when both moved.
+   * @param {Object} pair - Pair state (modified in place)
+   * @param {Object} local - { link, target }
+   * @param {Object} remote - { node, target }
+   * @returns {Promise<void>}
+   */
+  static async reconcileLocation(pair, local, remote) {
+    const linkFolderId = local.target.folderId;
+    const bookmarkFolderId = remote.target.folderId;
+
+    if (linkFolderId !== pair.folderId && !local.target.orphan) {
+      if (bookmarkFolderId !== linkFolderId || remote.node.parentId !== linkFolderId) {
+        await chrome.bookmarks.move(remote.node.id, { parentId: linkFolderId });
+      }
+      pair.folderId = linkFolderId;
+    } else if (bookmarkFolderId !== pair.folderId && !remote.target.orphan) {
+      const toGroup = remote.target.group;
+      if (toGroup.links.length >= MAX_LINKS_PER_GROUP) return;
+
+      local.target.group.links = local.target.group.links.filter(link => link !== local.link);
+      toGroup.links.push(local.link);
+      pair.folderId = bookmarkFolderId;
+    }
+  }
+
+  /**
+   * Record a conflict for the options page
+   * @param {Object} state - Bridge state (modified in place)
+   * @param {string} kind - 'edited', 'bookmark-deleted' or 'link-deleted'
+   * @param {string} linkId - Link ID
+   * @param {Object} pair - Pair state
+   * @param {Object|null} link - Link, if it still exists
+   * @param {Object|null} node - Bookmark node, if it still exists
+   */
+  static addConflict(state, kind, linkId, pair, link, node) {
+    state.conflicts.push({
+      id: generateUUID(),
+      kind,
+      linkId,
+      bookmarkId: pair.bookmarkId,
+      bindingId: pair.bindingId,
+      link: link ? { title: link.title, url: link.url } : null,
+      bookmark: node ? { title: node.title, url: node.url } : null,
+      detectedAt: Date.now()
+    });
+  }
+
+  /**
+   * Three-way merge of a column name or group title with its folder's title
+   * The Moontab side wins when both changed.
+   * @param {Object} entity - Column or group (modified in place)
+   * @param {string} field - 'name' or 'title'
+   * @param {Object} folder - Folder node
+   * @param {string} baseTitle - Title as of the last sync
+   * @returns {Promise<string>} Title now on both sides
+   */
+  static async syncTitle(entity, field, folder, baseTitle) {
+    if (entity[field] === baseTitle && folder.title !== baseTitle) {
+      entity[field] = folder.title;
+    } else if (folder.title !== entity[field]) {
+      await chrome.bookmarks.update(folder.id, { title: entity[field] });
+      folder.title = entity[field];
+    }
+    return entity[field];
+  }
+
+  /**
+   * Drop pairs for deleted groups and columns, tidying up what they left empty
+   * Folders and groups that still hold items changed since the last sync are
+   * kept; the next pass copies them across as new.
+   * @param {Object} ctx - Reconcile context
+   * @returns {Promise<void>}
+   */
+  static async cleanUpOrphans(ctx) {
+    const { binding, data, state } = ctx;
+
+    // Reversed so group folders empty out before their column folders; only
+    // folders with no bookmarks left anywhere inside are removed
+    for (const { folder, map, key } of ctx.orphanFolders.slice().reverse()) {
+      delete map[key];
+      if (folder.id === binding.folderId) continue;
+
+      try {
+        const [subtree] = await chrome.bookmarks.getSubTree(folder.id);
+        if (this.indexFolders(subtree).size === this.countNodes(subtree)) {
+          await chrome.bookmarks.removeTree(folder.id);
+        }
+      } catch (error) {
+        // Already removed along with its parent
+      }
+    }
+
+    ctx.orphanGroups.forEach(({ column, group, key }) => {
+      delete state.groupFolders[key];
+      if (group.links.length === 0 && column.groups.length > 1) {
+        column.groups = column.groups.filter(g => g !== group);
+      }
+    });
+
+    ctx.orphanColumns.forEach(({ column, key }) => {
+      delete state.columnFolders[key];
+      if (column.groups.every(group => !Widgets.isWidget(group) && group.links.length === 0)) {
+        data.columns = data.columns.filter(c => c !== column);
+      }
+    });
+  }
+
+  /**
+   * Count the nodes in a bookmarks subtree
+   * A subtree with as many folders as nodes holds no bookmarks at all.
+   * @param {Object} node - Bookmark tree node
+   * @returns {number} Node count
+   */
+  static countNodes(node) {
+    return 1 + (node.children || []).reduce((sum, child) => sum + this.countNodes(child), 0);
+  }
+
+  /**
+   * List bookmark folders that can be bound, with their full paths
+   * @returns {Promise<Array<Object>>} Folders: { id, path }
+   */
+  static async listFolders() {
+    const [root] = await chrome.bookmarks.getTree();
+    const folders = [];
+
+    const visit = (node, parentPath, depth) => {
+      if (node.url) return;
+
+      const path = parentPath ? `${parentPath} › ${node.title}` : node.title;
+      // Top-level folders (Bookmarks bar, Other bookmarks) can't be bound themselves
+      if (depth >= 2) {
+        folders.push({ id: node.id, path });
+      }
+      (node.children || []).forEach(child => visit(child, depth >= 1 ? path : '', depth + 1));
+    };
+
+    visit(root, '', 0);
+    return folders;
+  }
+
+  /**
+   * Get a folder's ID followed by the IDs of its ancestors
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Array<string>>} IDs from the folder up to the root
+   */
+  static async getFolderPath(folderId) {
+    const path = [];
+    let id = folderId;
+
+    while (id) {
+      const [node] = await chrome.bookmarks.get(id);
+      path.push(node.id);
+      id = node.parentId;
+    }
+
+    return path;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BookmarkBridgeManager,
+    BOOKMARK_BRIDGE_STATE_KEY
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Bookmarklets for Moontab Extreme
+ * Links that hold a javascript: program instead of an address
+ */
+
+const BOOKMARKLET_SCHEME = 'javascript:';
+const MAX_BOOKMARKLET_LENGTH = 32 * 1024; // Characters of code
+
+/**
+ * Bookmarklet operations
+ *
+ * A bookmarklet link is { type: 'bookmarklet', script, reviewed, url: '' }
+ * plus the usual title, icon and class fields. script is the code without
+ * its javascript: prefix and url stays empty, so nothing that opens, checks,
+ * fetches or mirrors URLs ever sees the code. Extension pages never run it:
+ * the new tab copies it for a browser bookmark instead. reviewed is false
+ * for bookmarklets that came from an import, until the user has read the
+ * code and trusted it. New bookmarklets need urlPolicy.allowBookmarklets,
+ * which only the Link Rules switch turns on.
+ *
+ * A target is the part of a link its URL field edits: { type: 'link', url }
+ * or { type: 'bookmarklet', script, reviewed, url: '' }.
+ */
+class Bookmarklets {
+
+  /**
+   * Check whether a link is a bookmarklet
+   * @param {Object} link - Link data
+   * @returns {boolean} Whether it holds code instead of a URL
+   */
+  static isBookmarklet(link) {
+    return !!link && link.type === 'bookmarklet';
+  }
+
+  /**
+   * Get the code from a javascript: URL
+   * @param {string} input - URL as entered
+   * @returns {string|null} Code, or null if it isn't a javascript: URL
+   */
+  static parse(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const trimmed = input.trim();
+    if (trimmed.slice(0, BOOKMARKLET_SCHEME.length).toLowerCase() !== BOOKMARKLET_SCHEME) return null;
+    return trimmed.slice(BOOKMARKLET_SCHEME.length).trim();
+  }
+
+  /**
+   * Check bookmarklet code against a policy
+   * @param {string} script - Code without its javascript: prefix
+   * @param {Object} [policy] - URL policy; the configured one if left out
+   * @param {boolean} [imported=false] - Came from an import, so it must be trusted before it is copied
+   * @returns {Object} { valid, target, message }
+   */
+  static check(script, policy = UrlPolicy.getPolicy(), imported = false) {
+    const fail = message => ({ valid: false, target: null, message });
+
+    if (!policy.allowBookmarklets) {
+      return fail('Bookmarklets are turned off (see General › Link Rules)');
+    }
+    if (!script || typeof script !== 'string' || !script.trim()) {
+      return fail('The bookmarklet has no code');
+    }
+    if (script.length > MAX_BOOKMARKLET_LENGTH) {
+      return fail(`The bookmarklet is longer than ${MAX_BOOKMARKLET_LENGTH} characters`);
+    }
+
+    return {
+      valid: true,
+      target: { type: 'bookmarklet', script: script.trim(), reviewed: !imported, url: '' },
+      message: ''
+    };
+  }
+
+  /**
+   * Check what was entered in a link's URL field
+   * A javascript: URL makes the link a bookmarklet; anything else is
+   * checked against the URL policy, as a quick search template if it has
+   * placeholders.
+   * @param {string} input - URL as entered
+   * @param {Object} [policy] - URL policy; the configured one if left out
+   * @param {boolean} [imported=false] - Came from an import
+   * @returns {Object} { valid, target, message }
+   */
+  static checkInput(input, policy = UrlPolicy.getPolicy(), imported = false) {
+    const script = this.parse(input);
+    if (script !== null) return this.check(script, policy, imported);
+
+    const urlCheck = QuickSearch.isTemplate(input) ? QuickSearch.check(input, policy) : UrlPolicy.check(input, policy);
+    return {
+      valid: urlCheck.valid,
+      target: urlCheck.valid ? { type: 'link', url: urlCheck.url } : null,
+      message: urlCheck.message
+    };
+  }
+
+  /**
+   * Point a link at a checked target, turning it into or out of a bookmarklet
+   * @param {Object} link - Link (modified in place)
+   * @param {Object} target - Target from check() or checkInput()
+   */
+  static setTarget(link, target) {
+    delete link.script;
+    delete link.reviewed;
+    Object.assign(link, target);
+  }
+
+  /**
+   * Get what a link's URL field shows
+   * @param {Object} link - Link data
+   * @returns {string} URL, or the bookmarklet as a javascript: URL
+   */
+  static getInput(link) {
+    return this.isBookmarklet(link) ? this.toUrl(link) : link.url;
+  }
+
+  /**
+   * Get a bookmarklet as the javascript: URL a browser bookmark runs
+   * @param {Object} link - Bookmarklet link
+   * @returns {string} javascript: URL
+   */
+  static toUrl(link) {
+    return BOOKMARKLET_SCHEME + (link.script || '');
+  }
+
+  /**
+   * Copy a bookmarklet to the clipboard (needs a user gesture)
+   * @param {Object} link - Bookmarklet link
+   * @returns {Promise<void>}
+   */
+  static async copy(link) {
+    await navigator.clipboard.writeText(this.toUrl(link));
+  }
+
+  /**
+   * Get the icon shown for bookmarklets without a custom icon
+   * @returns {string} SVG data URI
+   */
+  static getIcon() {
+    const svg = `
+      <svg width="16" height="16" xmlns="http://www.w3.org/2000/svg">
+        <rect width="16" height="16" fill="#5c5c66" rx="2"/>
+        <text x="8" y="11.5" text-anchor="middle" fill="white" font-family="Arial, sans-serif" font-size="7.5" font-weight="bold">JS</text>
+      </svg>
+    `;
+    return `data:image/svg+xml;base64,${btoa(svg)}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Bookmarklets,
+    BOOKMARKLET_SCHEME,
+    MAX_BOOKMARKLET_LENGTH
+  };
+}
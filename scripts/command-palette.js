@@ -0,0 +1,415 @@
+/**
+ * Command palette for Moontab Extreme
+ * Ctrl+K launcher for links and actions, shared by the new tab and options pages
+ */
+
+const MAX_PALETTE_RESULTS = 50;
+
+/**
+ * Command palette controller
+ *
+ * Commands are rebuilt from the page's current data each time the palette
+ * opens, so they always reflect the latest boards, groups and settings.
+ * Each command is { id, section, title, subtitle?, keywords?, run(options) }.
+ */
+class CommandPalette {
+  /**
+   * @param {Function} getCommands - () => Array of commands for the current page state
+   */
+  constructor(getCommands) {
+    this.getCommands = getCommands;
+    this.commands = [];
+    this.results = [];
+    this.selectedIndex = 0;
+
+    this.overlay = document.getElementById('command-palette');
+    this.input = document.getElementById('command-palette-input');
+    this.list = document.getElementById('command-palette-results');
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup the Ctrl+K shortcut and palette controls
+   */
+  setupEventListeners() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey || e.key.toLowerCase() !== 'k') return;
+
+      e.preventDefault();
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    this.input.addEventListener('input', () => {
+      this.filter(this.input.value.trim());
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.move(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.move(-1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this.runSelected(e.ctrlKey || e.metaKey);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+      }
+    });
+
+    // Clicking the backdrop closes the palette
+    this.overlay.addEventListener('mousedown', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.command-palette-item');
+      if (!item) return;
+
+      this.selectedIndex = Number(item.dataset.index);
+      this.runSelected(e.ctrlKey || e.metaKey);
+    });
+  }
+
+  /**
+   * Check whether the palette is showing
+   * @returns {boolean} Whether the palette is open
+   */
+  isOpen() {
+    return !this.overlay.classList.contains('hidden');
+  }
+
+  /**
+   * Open the palette with a fresh command list
+   */
+  open() {
+    this.previousFocus = document.activeElement;
+    this.commands = this.getCommands();
+    this.input.value = '';
+    this.overlay.classList.remove('hidden');
+    this.input.focus();
+    this.filter('');
+  }
+
+  /**
+   * Close the palette and return focus to where it was
+   */
+  close() {
+    this.overlay.classList.add('hidden');
+    this.list.innerHTML = '';
+
+    if (this.previousFocus && this.previousFocus.isConnected) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Rank commands against a query and show the best ones
+   * With no query, commands are shown in the order they were built.
+   * @param {string} query - Search query
+   */
+  filter(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+      this.results = this.commands.slice(0, MAX_PALETTE_RESULTS);
+    } else {
+      this.results = this.commands
+        .map((command, order) => ({ command, order, score: this.scoreCommand(terms, command) }))
+        .filter(result => result.score >= 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, MAX_PALETTE_RESULTS)
+        .map(result => result.command);
+    }
+
+    this.selectedIndex = 0;
+    this.render();
+  }
+
+  /**
+   * Score a command against search terms
+   * Each term must match the title, subtitle, section or keywords.
+   * @param {Array<string>} terms - Lowercased search terms
+   * @param {Object} command - Command
+   * @returns {number} Total score, or -1 if any term does not match
+   */
+  scoreCommand(terms, command) {
+    const fields = [command.title, command.subtitle, command.section, command.keywords];
+    let total = 0;
+
+    for (const term of terms) {
+      const best = Math.max(...fields.map(field => fuzzyScore(term, field)));
+      if (best < 0) return -1;
+      total += best;
+    }
+
+    return total;
+  }
+
+  /**
+   * Render the result list
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'command-palette-empty';
+      empty.textContent = 'No matching links or commands';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.results.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.className = 'command-palette-item';
+      item.id = `command-palette-item-${index}`;
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+
+      const section = document.createElement('span');
+      section.className = 'command-palette-section';
+      section.textContent = command.section;
+
+      const title = document.createElement('span');
+      title.className = 'command-palette-title';
+      title.textContent = command.title;
+
+      item.append(section, title);
+
+      if (command.subtitle) {
+        const subtitle = document.createElement('span');
+        subtitle.className = 'command-palette-subtitle';
+        subtitle.textContent = command.subtitle;
+        item.appendChild(subtitle);
+      }
+
+      this.list.appendChild(item);
+    });
+
+    this.updateSelection();
+  }
+
+  /**
+   * Move the selection, wrapping around at either end
+   * @param {number} delta - 1 for next result, -1 for previous
+   */
+  move(delta) {
+    const count = this.results.length;
+    if (count === 0) return;
+
+    this.selectedIndex = (this.selectedIndex + delta + count) % count;
+    this.updateSelection();
+  }
+
+  /**
+   * Highlight the selected result
+   */
+  updateSelection() {
+    this.list.querySelectorAll('.command-palette-item').forEach((item, index) => {
+      const selected = index === this.selectedIndex;
+      item.classList.toggle('selected', selected);
+      item.setAttribute('aria-selected', selected ? 'true' : 'false');
+      if (selected) {
+        item.scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', item.id);
+      }
+    });
+  }
+
+  /**
+   * Close the palette and run the selected command
+   * @param {boolean} inNewTab - Whether a modifier asked for a new tab
+   */
+  async runSelected(inNewTab) {
+    const command = this.results[this.selectedIndex];
+    if (!command) return;
+
+    // Focus stays where the command leaves it
+    this.previousFocus = null;
+    this.close();
+
+    try {
+      await command.run({ inNewTab });
+    } catch (error) {
+      console.error(`Command "${command.title}" failed:`, error);
+    }
+  }
+
+  /**
+   * Build the commands both pages offer
+   * Settings changes go through SettingsManager; everything page-specific
+   * (opening links, exports, adding links) goes through the handlers.
+   * @param {Object} data - Current data (a board view on the new tab page)
+   * @param {Object} handlers - Page callbacks
+   * @param {Function} handlers.openLink - (url, inNewTab) => void
+   * @param {Function} handlers.showBookmarklet - (link) => void; offers a bookmarklet for copying
+   * @param {Function} handlers.showQuickSearch - (link, inNewTab) => void; asks for a quick search link's values
+   * @param {Function} handlers.openPanel - (panelId) => void
+   * @param {Function} handlers.applySetting - (update) => Promise; runs a SettingsManager update
+   * @param {Function} handlers.exportBackup - (type) => void; type is 'complete', 'content' or 'appearance'
+   * @param {Function} handlers.addLink - (groupId) => void
+   * @param {Function} handlers.selectBoard - (boardId) => void
+   * @param {Function} [handlers.toggleEditMode] - () => void; only where the board can be edited in place
+   * @param {Function} [handlers.toggleArrangeMode] - () => void; only where the board can be rearranged in place
+   * @param {Array} boards - Boards to offer switching between
+   * @returns {Array<Object>} Commands
+   */
+  static buildCommands(data, handlers, boards) {
+    const commands = [];
+
+    // Boards
+    if (boards.length > 1) {
+      boards.forEach(board => {
+        commands.push({
+          id: `board:${board.id}`,
+          section: 'Board',
+          title: `Switch to board ${board.name}`,
+          run: () => handlers.selectBoard(board.id)
+        });
+      });
+    }
+
+    if (handlers.toggleEditMode) {
+      commands.push({
+        id: 'edit-mode',
+        section: 'Board',
+        title: 'Toggle edit mode',
+        keywords: 'edit rename delete add links',
+        run: () => handlers.toggleEditMode()
+      });
+    }
+
+    if (handlers.toggleArrangeMode) {
+      commands.push({
+        id: 'arrange-mode',
+        section: 'Board',
+        title: 'Toggle arrange mode',
+        keywords: 'drag move reorder',
+        run: () => handlers.toggleArrangeMode()
+      });
+    }
+
+    // Options panels
+    [['content', 'Content'], ['appearance', 'Appearance'], ['general', 'General'], ['help', 'Help']].forEach(([panelId, name]) => {
+      commands.push({
+        id: `panel:${panelId}`,
+        section: 'Options',
+        title: `Open options > ${name}`,
+        keywords: 'settings preferences',
+        run: () => handlers.openPanel(panelId)
+      });
+    });
+
+    // Display toggles
+    const toggles = [
+      ['showUrls', 'URLs', 'updateUrlVisibility'],
+      ['showIcons', 'icons', 'updateIconVisibility'],
+      ['showColumnHeaders', 'column headers', 'updateColumnHeaderVisibility'],
+      ['showGroupHeaders', 'group headers', 'updateGroupHeaderVisibility']
+    ];
+    toggles.forEach(([key, label, method]) => {
+      const shown = data[key] !== false;
+      commands.push({
+        id: `toggle:${key}`,
+        section: 'Display',
+        title: `Toggle ${label}`,
+        subtitle: shown ? `Hide ${label}` : `Show ${label}`,
+        run: () => handlers.applySetting(() => SettingsManager[method](!shown))
+      });
+    });
+
+    // Themes
+    commands.push({
+      id: 'theme:browser',
+      section: 'Theme',
+      title: 'Switch theme to Browser',
+      subtitle: 'Follow the system light or dark preference',
+      run: () => handlers.applySetting(() => SettingsManager.updateActiveBoardTheme('browser'))
+    });
+    Object.entries(PRESET_THEMES).forEach(([key, theme]) => {
+      commands.push({
+        id: `theme:${key}`,
+        section: 'Theme',
+        title: `Switch theme to ${theme.name}`,
+        subtitle: theme.description,
+        run: () => handlers.applySetting(() => SettingsManager.updateActiveBoardTheme('preset', key))
+      });
+    });
+
+    // Exports
+    [['complete', 'Export complete backup'], ['content', 'Export content only'], ['appearance', 'Export appearance only']].forEach(([type, title]) => {
+      commands.push({
+        id: `export:${type}`,
+        section: 'Data',
+        title,
+        keywords: 'download zip save',
+        run: () => handlers.exportBackup(type)
+      });
+    });
+
+    // Adding links
+    data.columns.forEach(column => {
+      (column.groups || []).filter(group => !Widgets.isWidget(group)).forEach(group => {
+        commands.push({
+          id: `add-link:${group.id}`,
+          section: 'Add',
+          title: `Add link to ${group.title || 'untitled group'}`,
+          subtitle: column.name,
+          keywords: 'new bookmark',
+          run: () => handlers.addLink(group.id)
+        });
+      });
+    });
+
+    // Links
+    data.columns.forEach(column => {
+      (column.groups || []).forEach(group => {
+        (group.links || []).forEach(link => {
+          const isBookmarklet = Bookmarklets.isBookmarklet(link);
+          commands.push({
+            id: `link:${link.id}`,
+            section: 'Link',
+            title: link.title || (isBookmarklet ? 'Bookmarklet' : link.url),
+            subtitle: isBookmarklet ? 'Bookmarklet' : link.url,
+            keywords: [group.title, column.name].filter(Boolean).join(' '),
+            run: ({ inNewTab }) => {
+              if (isBookmarklet) {
+                handlers.showBookmarklet(link);
+              } else if (QuickSearch.isTemplate(link.url)) {
+                handlers.showQuickSearch(link, inNewTab);
+              } else {
+                handlers.openLink(link.url, inNewTab);
+              }
+            }
+          });
+        });
+      });
+    });
+
+    return commands;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CommandPalette,
+    MAX_PALETTE_RESULTS
+  };
+}
@@ -264,6 +264,37 @@ class DragScroll {
     this.momentum = 0;
   }
 
+  /**
+   * Scroll horizontally just enough to bring an element fully into view
+   * Used to keep keyboard focus visible; cancels any momentum in progress.
+   * @param {Element} element - Element inside the container
+   * @param {number} [margin=16] - Space to leave between the element and the container edge
+   */
+  scrollToElement(element, margin = 16) {
+    this.stopMomentum();
+
+    const containerRect = this.container.getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    const overflowLeft = containerRect.left + margin - rect.left;
+    const overflowRight = rect.right - (containerRect.right - margin);
+
+    let delta = 0;
+    if (overflowLeft > 0) {
+      delta = -overflowLeft;
+    } else if (overflowRight > 0) {
+      // Elements wider than the container are aligned to their left edge
+      delta = Math.min(overflowRight, -overflowLeft);
+    }
+
+    if (delta !== 0) {
+      const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      this.container.scrollBy({
+        left: delta,
+        behavior: prefersReducedMotion ? 'auto' : 'smooth'
+      });
+    }
+  }
+
   /**
    * Check if element is interactive and should not trigger drag
    * @param {Element} element - Element to check
@@ -276,7 +307,9 @@ class DragScroll {
       'textarea',
       'select',
       'a',
-      '.settings-btn'
+      '.settings-btn',
+      // Notes keep text selection and checklists their labels
+      '.group-widget'
     ];
 
     // Check if element itself matches
@@ -0,0 +1,371 @@
+/**
+ * Favicon cache for Moontab Extreme
+ * Keeps each link's favicon as a small data URI so new tabs don't request icons
+ */
+
+const FAVICON_CACHE_KEY = 'moontabExtremeFavicons';
+const FAVICON_CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const FAVICON_CACHE_MISS_TTL = 24 * 60 * 60 * 1000; // Sources without an icon are retried after a day
+const FAVICON_CACHE_BUDGET = 2 * 1024 * 1024; // 2 MB of data URIs
+const MAX_CACHED_ICON_BYTES = 64 * 1024;
+const FAVICON_CACHE_CONCURRENCY = 4;
+const FAVICON_CACHE_SAVE_DELAY = 1000; // Coalesce icons fetched for one page
+const DECLARED_ICON_PAGE_LENGTH = 256 * 1024; // Characters of HTML searched for icon links
+
+/**
+ * Favicon cache operations
+ *
+ * Entries are keyed by candidate (see FaviconProviders) and hold
+ * { dataUri, fetchedAt }; dataUri is null when the source had no icon.
+ * Pages load the cache once, show icons from memory and fetch missing or
+ * expired ones in the background. A link shows the first candidate in its
+ * chain that has an icon; candidates known to have none, or that couldn't
+ * be reached from this page, are passed over. An expired icon is shown
+ * until its replacement arrives, so icons keep working offline. Over the
+ * size budget, the icons fetched longest ago are dropped first.
+ */
+class FaviconCache {
+
+  /**
+   * Load the cache and follow changes made by other pages
+   * @returns {Promise<void>}
+   */
+  static async load() {
+    if (this.loaded) return;
+
+    try {
+      const result = await chrome.storage.local.get(FAVICON_CACHE_KEY);
+      this.entries = { ...(result[FAVICON_CACHE_KEY] || {}).entries };
+    } catch (error) {
+      console.error('Failed to load favicon cache:', error);
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[FAVICON_CACHE_KEY]) return;
+      this.entries = { ...(changes[FAVICON_CACHE_KEY].newValue || {}).entries };
+    });
+
+    this.loaded = true;
+  }
+
+  /**
+   * Use the provider order and template from the application data
+   * @param {Object} settings - Application data
+   */
+  static configure(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Check whether an entry is still within its TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} Whether the entry is fresh
+   */
+  static isFresh(entry) {
+    const ttl = entry.dataUri ? FAVICON_CACHE_TTL : FAVICON_CACHE_MISS_TTL;
+    return Date.now() - entry.fetchedAt < ttl;
+  }
+
+  /**
+   * Show a link's cached favicon, fetching it in the background if needed
+   * Until an icon is cached, the letter avatar stands in for it.
+   * @param {Element} iconEl - Icon image element
+   * @param {Object} link - Link data without an uploaded icon
+   */
+  static applyTo(iconEl, link) {
+    const candidates = FaviconProviders.getCandidates(link, this.settings);
+    const chain = candidates.map(candidate => candidate.key).join(' ');
+    iconEl.dataset.faviconChain = chain;
+
+    for (const candidate of candidates) {
+      const entry = this.entries[candidate.key];
+
+      if (entry && entry.dataUri) {
+        this.show(iconEl, candidate.key, entry.dataUri);
+        if (!this.isFresh(entry)) {
+          this.fetch(candidate).then(dataUri => {
+            // The element may show another link by now
+            if (dataUri && iconEl.dataset.faviconKey === candidate.key) {
+              iconEl.src = dataUri;
+            }
+          });
+        }
+        return;
+      }
+
+      if (this.failed.has(candidate.key) || (entry && this.isFresh(entry))) continue;
+
+      this.show(iconEl, '', generateLetterAvatar(link.url));
+      this.fetch(candidate).then(() => {
+        if (iconEl.dataset.faviconChain === chain) this.applyTo(iconEl, link);
+      });
+      return;
+    }
+
+    this.show(iconEl, '', generateLetterAvatar(link.url));
+  }
+
+  /**
+   * Show an icon, remembering which candidate it came from
+   * @param {Element} iconEl - Icon image element
+   * @param {string} key - Candidate key, or '' for the letter avatar
+   * @param {string} src - Image to show
+   */
+  static show(iconEl, key, src) {
+    iconEl.dataset.faviconKey = key;
+    iconEl.src = src;
+  }
+
+  /**
+   * Move a link on to its next candidate after its icon failed to load
+   * The failed candidate is recorded as having no icon.
+   * @param {Element} iconEl - Icon image element
+   * @param {Object} link - Link data without an uploaded icon
+   * @returns {boolean} Whether there was a candidate to move on from
+   */
+  static skip(iconEl, link) {
+    const key = iconEl.dataset.faviconKey;
+    if (!key) return false;
+
+    this.entries[key] = { dataUri: null, fetchedAt: Date.now() };
+    this.scheduleSave();
+    this.applyTo(iconEl, link);
+    return true;
+  }
+
+  /**
+   * Fetch an icon into the cache, sharing requests already in flight
+   * @param {Object} candidate - { provider, key, url }
+   * @returns {Promise<string|null>} Data URI, or null if there is no icon
+   */
+  static fetch(candidate) {
+    if (!this.pending.has(candidate.key)) {
+      const request = this.download(candidate).finally(() => this.pending.delete(candidate.key));
+      this.pending.set(candidate.key, request);
+    }
+    return this.pending.get(candidate.key);
+  }
+
+  /**
+   * Download an icon and store it
+   * A failed request (offline, blocked, no host access) keeps the entry as
+   * it was and passes the candidate over until the page is reloaded.
+   * @param {Object} candidate - { provider, key, url }
+   * @returns {Promise<string|null>} Data URI, or null if there is no icon
+   */
+  static async download(candidate) {
+    try {
+      if (!await FaviconProviders.canRequest(candidate.url)) {
+        throw new Error(`No access to ${candidate.url}`);
+      }
+
+      const dataUri = candidate.provider === 'declared'
+        ? await this.downloadDeclared(candidate.url)
+        : await this.downloadIcon(candidate.url);
+
+      this.entries[candidate.key] = { dataUri, fetchedAt: Date.now() };
+      this.failed.delete(candidate.key);
+      this.scheduleSave();
+      return dataUri;
+    } catch (error) {
+      this.failed.add(candidate.key);
+      const entry = this.entries[candidate.key];
+      return entry ? entry.dataUri : null;
+    }
+  }
+
+  /**
+   * Download one image as a data URI
+   * @param {string} url - Image URL
+   * @returns {Promise<string|null>} Data URI, or null if it isn't a usable icon
+   */
+  static async downloadIcon(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    const blob = response.ok ? await response.blob() : null;
+    const looksLikeIcon = blob && (blob.type.startsWith('image/') || /\.ico(\?|$)/i.test(url));
+    const usable = looksLikeIcon && blob.size > 0 && blob.size <= MAX_CACHED_ICON_BYTES;
+    return usable ? fileToDataUri(blob) : null;
+  }
+
+  /**
+   * Download the best icon a page declares
+   * @param {string} pageUrl - Page to read
+   * @returns {Promise<string|null>} Data URI, or null if the page names no usable icon
+   */
+  static async downloadDeclared(pageUrl) {
+    const response = await fetch(pageUrl, { credentials: 'omit' });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('html')) return null;
+
+    const html = (await response.text()).slice(0, DECLARED_ICON_PAGE_LENGTH);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const baseEl = doc.querySelector('base[href]');
+    const pageBase = response.url || pageUrl;
+    const base = FaviconProviders.resolveUrl(baseEl ? baseEl.getAttribute('href') : '', pageBase) || pageBase;
+
+    const icons = FaviconProviders.rankIcons(FaviconProviders.findDeclaredIcons(doc, base));
+    for (const icon of icons.slice(0, 3)) {
+      try {
+        const dataUri = await this.downloadIcon(icon.url);
+        if (dataUri) return dataUri;
+      } catch (error) {
+        // Try the next icon
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Save the cache shortly, once a burst of downloads is over
+   */
+  static scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), FAVICON_CACHE_SAVE_DELAY);
+  }
+
+  /**
+   * Write the cache, keeping icons other pages fetched in the meantime
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Write this page's entries as they are
+   * @returns {Promise<void>}
+   */
+  static async save(options = {}) {
+    clearTimeout(this.saveTimer);
+
+    try {
+      if (!options.replace) {
+        const result = await chrome.storage.local.get(FAVICON_CACHE_KEY);
+        const stored = (result[FAVICON_CACHE_KEY] || {}).entries || {};
+
+        Object.entries(stored).forEach(([source, entry]) => {
+          const mine = this.entries[source];
+          if (!mine || mine.fetchedAt < entry.fetchedAt) {
+            this.entries[source] = entry;
+          }
+        });
+      }
+
+      this.enforceBudget();
+      await chrome.storage.local.set({ [FAVICON_CACHE_KEY]: { entries: this.entries } });
+    } catch (error) {
+      console.error('Failed to save favicon cache:', error);
+    }
+  }
+
+  /**
+   * Drop the icons fetched longest ago until the cache fits its budget
+   */
+  static enforceBudget() {
+    const sources = Object.keys(this.entries)
+      .sort((a, b) => this.entries[a].fetchedAt - this.entries[b].fetchedAt);
+    let size = this.measure(this.entries);
+
+    while (size > FAVICON_CACHE_BUDGET && sources.length > 0) {
+      const source = sources.shift();
+      size -= (this.entries[source].dataUri || '').length;
+      delete this.entries[source];
+    }
+  }
+
+  /**
+   * Measure the icons in a set of entries
+   * @param {Object} entries - Cache entries
+   * @returns {number} Total data URI length in bytes
+   */
+  static measure(entries) {
+    return Object.values(entries).reduce((total, entry) => total + (entry.dataUri || '').length, 0);
+  }
+
+  /**
+   * Describe the stored cache for the storage display
+   * @returns {Promise<Object>} { count, size, budget }
+   */
+  static async getStats() {
+    try {
+      const result = await chrome.storage.local.get(FAVICON_CACHE_KEY);
+      const entries = (result[FAVICON_CACHE_KEY] || {}).entries || {};
+      return {
+        count: Object.values(entries).filter(entry => entry.dataUri).length,
+        size: this.measure(entries),
+        budget: FAVICON_CACHE_BUDGET
+      };
+    } catch (error) {
+      console.error('Failed to read favicon cache:', error);
+      return { count: 0, size: 0, budget: FAVICON_CACHE_BUDGET };
+    }
+  }
+
+  /**
+   * Fetch every link's icon again and drop icons no link uses
+   * Each link's candidates are tried in order until one has an icon.
+   * @param {Array<Object>} links - All links, on every board
+   * @param {Function} [onProgress] - (done, total) => void
+   * @returns {Promise<Object>} { total, found }
+   */
+  static async refreshAll(links, onProgress) {
+    await this.load();
+
+    // Links on the same site share a chain
+    const chains = new Map();
+    links.filter(link => !link.iconDataUri).forEach(link => {
+      const candidates = FaviconProviders.getCandidates(link, this.settings);
+      if (candidates.length > 0) {
+        chains.set(candidates.map(candidate => candidate.key).join(' '), candidates);
+      }
+    });
+
+    const keys = new Set([...chains.values()].flat().map(candidate => candidate.key));
+    Object.keys(this.entries).forEach(key => {
+      if (!keys.has(key)) delete this.entries[key];
+    });
+    this.failed.clear();
+
+    // Chains can share candidates; each is downloaded once
+    const downloads = new Map();
+    const downloadOnce = candidate => {
+      if (!downloads.has(candidate.key)) downloads.set(candidate.key, this.download(candidate));
+      return downloads.get(candidate.key);
+    };
+
+    const queue = [...chains.values()];
+    const total = queue.length;
+    let done = 0;
+    let found = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        for (const candidate of queue.shift()) {
+          if (await downloadOnce(candidate)) {
+            found++;
+            break;
+          }
+        }
+        done++;
+        if (onProgress) onProgress(done, total);
+      }
+    };
+
+    await Promise.all(Array.from({ length: FAVICON_CACHE_CONCURRENCY }, worker));
+    await this.save({ replace: true });
+
+    return { total, found };
+  }
+}
+
+FaviconCache.entries = {};
+FaviconCache.pending = new Map();
+FaviconCache.failed = new Set();
+FaviconCache.settings = null;
+FaviconCache.loaded = false;
+FaviconCache.saveTimer = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FaviconCache,
+    FAVICON_CACHE_KEY,
+    FAVICON_CACHE_TTL,
+    FAVICON_CACHE_BUDGET
+  };
+}
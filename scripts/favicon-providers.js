@@ -0,0 +1,362 @@
+/**
+ * Favicon providers for Moontab Extreme
+ * Where a link's favicon can come from, and the order they are tried in
+ */
+
+const FAVICON_PROVIDERS = {
+  google: {
+    name: 'Google',
+    description: "Google's favicon service. Knows most public sites."
+  },
+  duckduckgo: {
+    name: 'DuckDuckGo',
+    description: "DuckDuckGo's icon service, for sites Google doesn't know."
+  },
+  direct: {
+    name: 'Site favicon.ico',
+    description: '/favicon.ico on the link\'s own site. Works for internal hosts.'
+  },
+  declared: {
+    name: 'Declared icon',
+    description: 'The icon the site\'s home page names in its <link rel="icon">.'
+  },
+  custom: {
+    name: 'Self-hosted service',
+    description: 'Your own favicon service. {domain} is replaced by the link\'s host.'
+  },
+  letter: {
+    name: 'Letter avatar',
+    description: 'A colored square with the first letter of the host. Always the last resort.'
+  }
+};
+
+const DEFAULT_FAVICON_PROVIDER_ORDER = ['google'];
+const FAVICON_SITE_ORIGINS = ['http://*/*', 'https://*/*'];
+const DUCKDUCKGO_ICON_ORIGIN = 'https://icons.duckduckgo.com/*';
+const PREFERRED_FAVICON_SIZE = 32;
+
+/**
+ * Favicon provider operations
+ *
+ * The global order (settings.faviconProviderOrder) lists the providers to
+ * try, best first; a link's faviconProvider moves one provider to the front
+ * of its own chain, and 'letter' skips the others entirely. An icon URL
+ * override is always tried before the chain, and the letter avatar is
+ * always the end of it. A candidate is { provider, key, url }: key is what
+ * the favicon cache stores it under, url is what gets requested (the page
+ * to read, for declared icons).
+ */
+class FaviconProviders {
+
+  /**
+   * Get the global provider order, without unknown or repeated providers
+   * @param {Object} settings - Application data
+   * @returns {Array<string>} Provider IDs, letter avatar excluded
+   */
+  static getOrder(settings) {
+    const order = settings && Array.isArray(settings.faviconProviderOrder)
+      ? settings.faviconProviderOrder
+      : DEFAULT_FAVICON_PROVIDER_ORDER;
+
+    return [...new Set(order)].filter(id => id !== 'letter' && FAVICON_PROVIDERS[id]);
+  }
+
+  /**
+   * Get the providers to try for a link, in order
+   * @param {Object} link - Link data
+   * @param {Object} settings - Application data
+   * @returns {Array<string>} Provider IDs, letter avatar excluded
+   */
+  static getChain(link, settings) {
+    const preferred = link.faviconProvider;
+    if (preferred === 'letter') return [];
+
+    const order = this.getOrder(settings);
+    if (!preferred || !FAVICON_PROVIDERS[preferred]) return order;
+
+    return [preferred, ...order.filter(id => id !== preferred)];
+  }
+
+  /**
+   * Get the icons to try for a link, in order
+   * @param {Object} link - Link data
+   * @param {Object} settings - Application data
+   * @returns {Array<Object>} Candidates: { provider, key, url }
+   */
+  static getCandidates(link, settings) {
+    const candidates = link.iconUrlOverride
+      ? [{ provider: 'override', key: link.iconUrlOverride, url: link.iconUrlOverride }]
+      : [];
+
+    this.getChain(link, settings).forEach(provider => {
+      const candidate = this.getCandidate(provider, link.url, settings);
+      if (candidate) candidates.push(candidate);
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Get one provider's icon for a page
+   * @param {string} provider - Provider ID
+   * @param {string} pageUrl - Link URL, with or without protocol
+   * @param {Object} settings - Application data
+   * @returns {Object|null} { provider, key, url }, or null if the provider can't serve this link
+   */
+  static getCandidate(provider, pageUrl, settings) {
+    const site = this.parseSite(pageUrl);
+    if (!site) return null;
+
+    let url;
+    switch (provider) {
+      case 'google':
+        url = getFaviconUrl(site.origin);
+        break;
+      case 'duckduckgo':
+        url = `https://icons.duckduckgo.com/ip3/${site.hostname}.ico`;
+        break;
+      case 'direct':
+        url = `${site.origin}/favicon.ico`;
+        break;
+      case 'declared':
+        // One lookup per site: the home page names the site's icon
+        return { provider, key: `declared:${site.origin}`, url: `${site.origin}/` };
+      case 'custom':
+        url = this.fillTemplate(settings && settings.faviconTemplateUrl, site.hostname);
+        break;
+      default:
+        url = null;
+    }
+
+    return url ? { provider, key: url, url } : null;
+  }
+
+  /**
+   * Get a link's site
+   * @param {string} pageUrl - Link URL, with or without protocol
+   * @returns {Object|null} { origin, hostname }, or null if it isn't a web address
+   */
+  static parseSite(pageUrl) {
+    if (!pageUrl || typeof pageUrl !== 'string') return null;
+
+    try {
+      const withProtocol = /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(pageUrl) ? pageUrl : `https://${pageUrl}`;
+      const parsed = new URL(withProtocol);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+      return { origin: parsed.origin, hostname: parsed.hostname };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a self-hosted service template
+   * @param {string} template - URL with a {domain} placeholder
+   * @returns {boolean} Whether it makes http(s) URLs
+   */
+  static isValidTemplate(template) {
+    if (!template || typeof template !== 'string' || !template.includes('{domain}')) return false;
+
+    try {
+      const parsed = new URL(template.replace(/\{domain\}/g, 'example.com'));
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fill a self-hosted service template in for a host
+   * @param {string} template - URL with a {domain} placeholder
+   * @param {string} hostname - Link host
+   * @returns {string|null} Icon URL, or null if the template isn't valid
+   */
+  static fillTemplate(template, hostname) {
+    if (!this.isValidTemplate(template)) return null;
+    return template.replace(/\{domain\}/g, encodeURIComponent(hostname));
+  }
+
+  /**
+   * Check whether a URL belongs to a known favicon service
+   * Such URLs only name a domain, so they are safe to keep in imports.
+   * @param {string} url - Icon URL
+   * @returns {boolean} Whether it is a Google or DuckDuckGo favicon URL
+   */
+  static isServiceUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+
+    return url.includes('google.com/s2/favicons') ||
+      url.includes('gstatic.com/faviconV2') ||
+      url.includes('googleapis.com/favicon') ||
+      url.startsWith('https://icons.duckduckgo.com/ip3/');
+  }
+
+  /**
+   * Get the host access a set of providers needs
+   * Google is covered by the manifest; the others are optional permissions.
+   * @param {Array<string>} providers - Provider IDs
+   * @param {Object} settings - Application data
+   * @returns {Array<string>} Origin patterns
+   */
+  static getAccessOrigins(providers, settings) {
+    const origins = new Set();
+
+    providers.forEach(provider => {
+      if (provider === 'duckduckgo') {
+        origins.add(DUCKDUCKGO_ICON_ORIGIN);
+      } else if (provider === 'direct' || provider === 'declared') {
+        FAVICON_SITE_ORIGINS.forEach(origin => origins.add(origin));
+      } else if (provider === 'custom' && this.isValidTemplate(settings && settings.faviconTemplateUrl)) {
+        const parsed = new URL(settings.faviconTemplateUrl.replace(/\{domain\}/g, 'example.com'));
+        origins.add(`${parsed.protocol}//${parsed.hostname}/*`);
+      }
+    });
+
+    return [...origins];
+  }
+
+  /**
+   * Ask for the host access a set of providers needs (needs a user gesture)
+   * @param {Array<string>} providers - Provider IDs
+   * @param {Object} settings - Application data
+   * @returns {Promise<boolean>} Whether everything needed was granted
+   */
+  static async requestAccess(providers, settings) {
+    const origins = this.getAccessOrigins(providers, settings);
+    if (origins.length === 0) return true;
+
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.warn('Could not request favicon access:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether an icon URL may be requested
+   * Answers are remembered per origin until permissions change.
+   * @param {string} url - URL to request
+   * @returns {Promise<boolean>} Whether the extension has access to its host
+   */
+  static async canRequest(url) {
+    let origin;
+    try {
+      const parsed = new URL(url);
+      origin = `${parsed.protocol}//${parsed.hostname}/*`;
+    } catch (error) {
+      return false;
+    }
+
+    if (typeof chrome === 'undefined' || !chrome.permissions) return false;
+
+    if (!this.accessByOrigin.has(origin)) {
+      this.watchPermissions();
+      this.accessByOrigin.set(origin, chrome.permissions.contains({ origins: [origin] }).catch(() => false));
+    }
+    return this.accessByOrigin.get(origin);
+  }
+
+  /**
+   * Forget remembered access when permissions are granted or removed
+   */
+  static watchPermissions() {
+    if (this.watching || !chrome.permissions.onAdded) return;
+
+    const forget = () => this.accessByOrigin.clear();
+    chrome.permissions.onAdded.addListener(forget);
+    chrome.permissions.onRemoved.addListener(forget);
+    this.watching = true;
+  }
+
+  /**
+   * Find the icons a page declares
+   * Icons come from rel="icon", "shortcut icon" and "apple-touch-icon" links.
+   * @param {Document} doc - Parsed page
+   * @param {string} base - URL to resolve relative links against
+   * @returns {Array<Object>} Icons: { url, size }
+   */
+  static findDeclaredIcons(doc, base) {
+    const icons = [];
+
+    doc.querySelectorAll('link[rel][href]').forEach(linkEl => {
+      const rels = linkEl.getAttribute('rel').toLowerCase().split(/\s+/);
+      const isTouchIcon = rels.includes('apple-touch-icon') || rels.includes('apple-touch-icon-precomposed');
+      if (!rels.includes('icon') && !isTouchIcon) return;
+
+      const url = this.resolveUrl(linkEl.getAttribute('href'), base);
+      if (!url) return;
+
+      const isSvg = linkEl.getAttribute('type') === 'image/svg+xml' || /\.svg(\?|$)/i.test(url);
+      const size = this.parseIconSize(linkEl.getAttribute('sizes')) ||
+        (isSvg ? Infinity : isTouchIcon ? 180 : 16);
+      icons.push({ url, size });
+    });
+
+    return icons;
+  }
+
+  /**
+   * Parse a sizes attribute such as "16x16 32x32" or "any"
+   * @param {string} sizes - Sizes value
+   * @returns {number} Largest width, Infinity for "any", or 0 if unknown
+   */
+  static parseIconSize(sizes) {
+    if (!sizes || typeof sizes !== 'string') return 0;
+    if (sizes.trim().toLowerCase() === 'any') return Infinity;
+
+    const widths = sizes.toLowerCase().split(/\s+/)
+      .map(size => parseInt(size.split('x')[0], 10))
+      .filter(width => width > 0);
+    return widths.length > 0 ? Math.max(...widths) : 0;
+  }
+
+  /**
+   * Order icons from best to worst fit for a 32px icon
+   * The smallest icon at least that large comes first, then scalable
+   * icons, then the rest from largest to smallest.
+   * @param {Array<Object>} icons - Icons: { url, size }
+   * @returns {Array<Object>} Sorted copy
+   */
+  static rankIcons(icons) {
+    const rank = icon => {
+      if (icon.size === Infinity) return 1;
+      return icon.size >= PREFERRED_FAVICON_SIZE ? 0 : 2;
+    };
+
+    return [...icons].sort((a, b) => {
+      const byRank = rank(a) - rank(b);
+      if (byRank !== 0) return byRank;
+      return rank(a) === 0 ? a.size - b.size : b.size - a.size;
+    });
+  }
+
+  /**
+   * Resolve a possibly relative URL to an http(s) URL
+   * @param {string} href - URL as written
+   * @param {string} base - URL to resolve against
+   * @returns {string|null} Absolute URL, or null if it isn't http(s)
+   */
+  static resolveUrl(href, base) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href, base);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+FaviconProviders.accessByOrigin = new Map();
+FaviconProviders.watching = false;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FaviconProviders,
+    FAVICON_PROVIDERS,
+    DEFAULT_FAVICON_PROVIDER_ORDER
+  };
+}
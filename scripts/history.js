@@ -0,0 +1,491 @@
+/**
+ * Edit history for Moontab Extreme
+ * Keeps a persistent undo/redo journal of every write to the main data key
+ */
+
+const HISTORY_KEY = 'moontabExtremeHistory';
+const MAX_HISTORY_ENTRIES = 50;
+const HISTORY_MAX_BYTES = 8 * 1024 * 1024; // 8MB
+
+// Lists journaled item by item, with the child list at each level below
+const HISTORY_ITEM_LISTS = {
+  columns: ['groups', 'links'],
+  boards: []
+};
+
+/**
+ * Undo/redo journal operations
+ *
+ * An entry holds `settings`, the other top-level fields that changed, as
+ * { before, after }, and `changes` to the lists in HISTORY_ITEM_LISTS.
+ * A change is either one item, { type: 'item', field, depth, id, before,
+ * after }, where each side is { parentId, fields, unset } with only the
+ * fields that changed (or null where the item doesn't exist), or the order
+ * of one list, { type: 'order', field, depth, parentId, before, after }
+ * with the item IDs. A link rename costs a copy of its title, not of the
+ * board and its icons, and undo leaves items changed since then (say, by
+ * sync) alone.
+ */
+class HistoryManager {
+
+  /**
+   * Load the journal from Chrome storage
+   * @returns {Promise<Object>} Journal with undo and redo stacks
+   */
+  static async load() {
+    try {
+      const result = await chrome.storage.local.get(HISTORY_KEY);
+      const journal = result[HISTORY_KEY];
+
+      if (!journal || !Array.isArray(journal.undo) || !Array.isArray(journal.redo)) {
+        return { undo: [], redo: [] };
+      }
+
+      return journal;
+    } catch (error) {
+      console.error('Failed to load edit history:', error);
+      return { undo: [], redo: [] };
+    }
+  }
+
+  /**
+   * Persist the journal, dropping the oldest undo entries when over budget
+   * @param {Object} journal - Journal with undo and redo stacks
+   * @returns {Promise<void>}
+   */
+  static async persist(journal) {
+    if (journal.undo.length > MAX_HISTORY_ENTRIES) {
+      journal.undo = journal.undo.slice(-MAX_HISTORY_ENTRIES);
+    }
+
+    // Measured once; each dropped entry takes its own size off
+    let bytes = this.measure(journal);
+    while (journal.undo.length > 1 && bytes > HISTORY_MAX_BYTES) {
+      bytes -= this.measure(journal.undo.shift());
+    }
+
+    await chrome.storage.local.set({ [HISTORY_KEY]: journal });
+  }
+
+  /**
+   * Measure the stored size of a value
+   * @param {*} value - Journal or entry
+   * @returns {number} Bytes as JSON
+   */
+  static measure(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Compute what differs between two data objects
+   * @param {Object} before - Previous data
+   * @param {Object} after - New data
+   * @returns {Object|null} { settings, changes }, or null if unchanged
+   */
+  static diff(before, after) {
+    const settings = { before: {}, after: {} };
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+      if (key === 'version') return;
+
+      if (HISTORY_ITEM_LISTS[key] && Array.isArray(before[key]) && Array.isArray(after[key])) {
+        changes.push(...this.diffItems(key, before[key], after[key]));
+      } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        // Missing fields are stored as null so they survive JSON round-trips
+        settings.before[key] = before[key] === undefined ? null : before[key];
+        settings.after[key] = after[key] === undefined ? null : after[key];
+      }
+    });
+
+    return changes.length > 0 || Object.keys(settings.after).length > 0 ? { settings, changes } : null;
+  }
+
+  /**
+   * Compute the item and order changes between two versions of a list
+   * @param {string} field - Top-level field, such as 'columns'
+   * @param {Array<Object>} before - Previous list
+   * @param {Array<Object>} after - New list
+   * @returns {Array<Object>} Changes, parents before their children
+   */
+  static diffItems(field, before, after) {
+    const childKeys = HISTORY_ITEM_LISTS[field];
+    const beforeIndex = this.indexItems(before, childKeys);
+    const afterIndex = this.indexItems(after, childKeys);
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    new Set([...beforeIndex.keys(), ...afterIndex.keys()]).forEach(id => {
+      const old = beforeIndex.get(id);
+      const now = afterIndex.get(id);
+      const side = (entry, keys) => {
+        const fields = {};
+        const unset = [];
+        keys.forEach(key => {
+          if (entry.fields[key] === undefined) {
+            unset.push(key);
+          } else {
+            fields[key] = entry.fields[key];
+          }
+        });
+        return { parentId: entry.parentId, fields, unset };
+      };
+
+      if (!old || !now) {
+        const entry = old || now;
+        const full = side(entry, Object.keys(entry.fields));
+        changes.push({ type: 'item', field, depth: entry.depth, id, before: old ? full : null, after: now ? full : null });
+        return;
+      }
+
+      // Edits restamp updatedAt, so it alone is not a change
+      const keys = [...new Set([...Object.keys(old.fields), ...Object.keys(now.fields)])]
+        .filter(key => key !== 'updatedAt' && !same(old.fields[key], now.fields[key]));
+
+      if (keys.length > 0 || old.parentId !== now.parentId) {
+        changes.push({ type: 'item', field, depth: old.depth, id, before: side(old, keys), after: side(now, keys) });
+      }
+    });
+
+    // The order of every list that exists on both sides and was rearranged
+    const orders = (index, list) => {
+      const result = new Map([[null, list.map(item => item.id)]]);
+      index.forEach((entry, id) => {
+        if (entry.childIds) result.set(id, entry.childIds);
+      });
+      return result;
+    };
+    const beforeOrders = orders(beforeIndex, before);
+    const afterOrders = orders(afterIndex, after);
+
+    afterOrders.forEach((ids, parentId) => {
+      const old = beforeOrders.get(parentId);
+      if (old && !same(old, ids)) {
+        const depth = parentId === null ? 0 : afterIndex.get(parentId).depth + 1;
+        changes.push({ type: 'order', field, depth, parentId, before: old, after: ids });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Index the items of a list and the lists inside them
+   * @param {Array<Object>} items - List
+   * @param {Array<string>} childKeys - Child list at each level below
+   * @param {string|null} [parentId=null] - ID of the item holding the list
+   * @param {number} [depth=0] - Nesting level of the list
+   * @param {Map} [index] - Index to add to
+   * @returns {Map<string, Object>} { depth, parentId, fields, childIds } by ID; fields leave out the child list
+   */
+  static indexItems(items, childKeys, parentId = null, depth = 0, index = new Map()) {
+    const [childKey, ...grandchildKeys] = childKeys;
+
+    (items || []).forEach(item => {
+      const fields = { ...item };
+      let childIds = null;
+
+      if (childKey) {
+        delete fields[childKey];
+        childIds = (item[childKey] || []).map(child => child.id);
+      }
+
+      index.set(item.id, { depth, parentId, fields, childIds });
+
+      if (childKey) {
+        this.indexItems(item[childKey], grandchildKeys, item.id, depth + 1, index);
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Apply one side of an entry to data
+   * @param {Object} data - Data currently in storage
+   * @param {Object} entry - Journal entry
+   * @param {string} side - Side to apply ('before' or 'after')
+   * @returns {Object} New data; the input is left untouched
+   */
+  static apply(data, entry, side) {
+    const result = { ...data, ...entry.settings[side] };
+    const fields = new Set(entry.changes.map(change => change.field));
+
+    fields.forEach(field => {
+      const changes = entry.changes.filter(change => change.field === field);
+      result[field] = this.applyItems(result[field], field, changes, side);
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply one side of a list's changes
+   * Items removed since the entry was recorded stay removed, and items
+   * added since then keep their place after the ones the entry orders.
+   * @param {Array<Object>} items - Current list
+   * @param {string} field - Top-level field
+   * @param {Array<Object>} changes - Changes to this field
+   * @param {string} side - Side to apply ('before' or 'after')
+   * @returns {Array<Object>} New list
+   */
+  static applyItems(items, field, changes, side) {
+    const childKeys = HISTORY_ITEM_LISTS[field];
+    const other = side === 'before' ? 'after' : 'before';
+    const list = JSON.parse(JSON.stringify(items || []));
+    const found = new Map();
+
+    const walk = (children, keys, parent) => {
+      children.forEach(item => {
+        found.set(item.id, { item, parent });
+        if (keys[0]) walk(item[keys[0]] || [], keys.slice(1), item);
+      });
+    };
+    walk(list, childKeys, null);
+
+    // The list an item with this parent belongs in, or null if the parent is gone
+    const listOf = (parentId, depth) => {
+      if (parentId === null) return list;
+      const parent = found.get(parentId);
+      if (!parent) return null;
+      const key = childKeys[depth - 1];
+      parent.item[key] = parent.item[key] || [];
+      return parent.item[key];
+    };
+    const detach = (id, depth) => {
+      const siblings = listOf(found.get(id).parent ? found.get(id).parent.id : null, depth);
+      const index = siblings ? siblings.findIndex(item => item.id === id) : -1;
+      if (index >= 0) siblings.splice(index, 1);
+    };
+    const assign = (item, target) => {
+      Object.assign(item, target.fields);
+      (target.unset || []).forEach(key => delete item[key]);
+    };
+
+    const itemChanges = changes.filter(change => change.type === 'item');
+
+    // Removals deepest first, then additions and edits parents first
+    itemChanges
+      .filter(change => !change[side])
+      .sort((a, b) => b.depth - a.depth)
+      .forEach(change => {
+        if (found.has(change.id)) {
+          detach(change.id, change.depth);
+          found.delete(change.id);
+        }
+      });
+
+    itemChanges
+      .filter(change => change[side])
+      .sort((a, b) => a.depth - b.depth)
+      .forEach(change => {
+        const target = change[side];
+        const existing = found.get(change.id);
+
+        if (!existing) {
+          // Only recreate items the entry removed, not ones removed later
+          if (change[other]) return;
+          const siblings = listOf(target.parentId, change.depth);
+          if (!siblings) return;
+          const item = { ...target.fields };
+          if (childKeys[change.depth]) item[childKeys[change.depth]] = [];
+          siblings.push(item);
+          found.set(change.id, { item, parent: target.parentId === null ? null : found.get(target.parentId).item });
+          return;
+        }
+
+        assign(existing.item, target);
+
+        const parentId = existing.parent ? existing.parent.id : null;
+        if (target.parentId !== parentId) {
+          const siblings = listOf(target.parentId, change.depth);
+          if (!siblings) return;
+          detach(change.id, change.depth);
+          siblings.push(existing.item);
+          existing.parent = target.parentId === null ? null : found.get(target.parentId).item;
+        }
+      });
+
+    changes
+      .filter(change => change.type === 'order')
+      .forEach(change => {
+        const siblings = listOf(change.parentId, change.depth);
+        if (!siblings) return;
+        const rank = new Map(change[side].map((id, index) => [id, index]));
+        const ordered = siblings
+          .map((item, index) => ({ item, index }))
+          .sort((a, b) => {
+            const rankA = rank.has(a.item.id) ? rank.get(a.item.id) : Infinity;
+            const rankB = rank.has(b.item.id) ? rank.get(b.item.id) : Infinity;
+            return rankA === rankB ? a.index - b.index : rankA - rankB;
+          });
+        siblings.splice(0, siblings.length, ...ordered.map(entry => entry.item));
+      });
+
+    return list;
+  }
+
+  /**
+   * Count columns, groups and links in a columns array
+   * @param {Array} columns - Columns array
+   * @returns {Object} Counts
+   */
+  static countItems(columns) {
+    const counts = { columns: 0, groups: 0, links: 0 };
+
+    (columns || []).forEach(column => {
+      counts.columns++;
+      (column.groups || []).forEach(group => {
+        counts.groups++;
+        counts.links += (group.links || []).length;
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Build a human-readable label for a change that was not labelled by its caller
+   * @param {Object} patch - Changes from diff()
+   * @returns {string} Label
+   */
+  static describe(patch) {
+    const columnChanges = patch.changes.filter(change => change.field === 'columns');
+
+    if (columnChanges.length === 0) {
+      return 'Change settings';
+    }
+
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const nouns = ['column', 'group', 'link'];
+
+    for (let depth = 0; depth < nouns.length; depth++) {
+      const delta = columnChanges.reduce((sum, change) => {
+        if (change.type !== 'item' || change.depth !== depth) return sum;
+        return sum + (change.after ? 0 : -1) + (change.before ? 0 : 1);
+      }, 0);
+      const noun = nouns[depth];
+      if (delta < 0) return `Remove ${plural(-delta, noun)}`;
+      if (delta > 0) return `Add ${plural(delta, noun)}`;
+    }
+
+    return 'Edit board';
+  }
+
+  /**
+   * Record a write in the journal
+   * Clears the redo stack, as any new edit branches history.
+   * @param {Object|undefined} before - Data currently in storage
+   * @param {Object} after - Data being written
+   * @param {string} [label] - Description of the operation
+   * @returns {Promise<void>}
+   */
+  static async record(before, after, label) {
+    // Nothing to undo back to on first run
+    if (!before) return;
+
+    try {
+      const patch = this.diff(before, after);
+      if (!patch) return;
+
+      const journal = await this.load();
+      journal.undo.push({
+        id: generateUUID(),
+        label: label || this.describe(patch),
+        timestamp: Date.now(),
+        settings: patch.settings,
+        changes: patch.changes
+      });
+      journal.redo = [];
+
+      await this.persist(journal);
+    } catch (error) {
+      // A journal failure must never block the save itself
+      console.error('Failed to record edit history:', error);
+    }
+  }
+
+  /**
+   * Undo the most recent entry
+   * @returns {Promise<Object|null>} { entry, data, changedKeys } or null if nothing to undo
+   */
+  static async undo() {
+    return this.step('undo', 'redo', 'before');
+  }
+
+  /**
+   * Redo the most recently undone entry
+   * @returns {Promise<Object|null>} { entry, data, changedKeys } or null if nothing to redo
+   */
+  static async redo() {
+    return this.step('redo', 'undo', 'after');
+  }
+
+  /**
+   * Move one entry between stacks and apply the matching side of it
+   * Writes below the journal so the step itself is not recorded, and under
+   * the storage write lock so a sync landing meanwhile isn't overwritten.
+   * @param {string} from - Stack to pop from
+   * @param {string} to - Stack to push onto
+   * @param {string} side - Side to apply ('before' or 'after')
+   * @returns {Promise<Object|null>} { entry, data, changedKeys } or null if stack is empty
+   */
+  static async step(from, to, side) {
+    return StorageManager.withWriteLock(async () => {
+      const journal = await this.load();
+      const entry = journal[from].pop();
+
+      if (!entry) return null;
+
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const previous = result[STORAGE_KEY];
+      const data = this.apply(previous, entry, side);
+      data.version = STORAGE_VERSION;
+
+      await StorageManager.writeData(previous, data);
+
+      journal[to].push(entry);
+      await this.persist(journal);
+
+      const changedKeys = Object.keys(data)
+        .filter(key => JSON.stringify(data[key]) !== JSON.stringify(previous[key]));
+
+      return { entry, data, changedKeys };
+    });
+  }
+
+  /**
+   * Get a summary of what can be undone and redone
+   * @returns {Promise<Object>} State with flags and next labels
+   */
+  static async getState() {
+    const journal = await this.load();
+    const nextUndo = journal.undo[journal.undo.length - 1];
+    const nextRedo = journal.redo[journal.redo.length - 1];
+
+    return {
+      canUndo: !!nextUndo,
+      canRedo: !!nextRedo,
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null
+    };
+  }
+
+  /**
+   * Clear the journal
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await chrome.storage.local.remove(HISTORY_KEY);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HistoryManager,
+    HISTORY_KEY,
+    MAX_HISTORY_ENTRIES
+  };
+}
@@ -0,0 +1,344 @@
+/**
+ * Link checker for Moontab Extreme
+ * Finds dead links and permanent redirects by requesting every link's URL
+ */
+
+const LINK_CHECK_CONCURRENCY = 4;
+const LINK_CHECK_TIMEOUT = 10000; // Per request
+const LINK_CHECK_MAX_REDIRECTS = 10;
+const LINK_CHECK_ORIGINS = ['http://*/*', 'https://*/*'];
+const PERMANENT_REDIRECT_CODES = [301, 308];
+
+/**
+ * Link checker
+ *
+ * Each URL is requested with HEAD, and again with GET when HEAD gets an
+ * error status, since many servers answer HEAD wrongly. Redirects are
+ * followed one hop at a time so a chain only counts as moved when every hop
+ * is permanent (301 or 308). A result is { state, code?, target?, message }:
+ * - ok: reachable, directly or through a temporary redirect
+ * - moved: permanently redirected; target is where the chain ends
+ * - broken: the server answered 4xx or 5xx; code is the status
+ * - unreachable: DNS failure, refused connection or a redirect loop
+ * - timeout: no answer in time
+ * - skipped: not a web address, or a quick search template
+ *
+ * Requests go through a transport, (url, { method, signal }) => Promise of
+ * { status, location }, that must not follow redirects itself. The default
+ * uses fetch, which in Node reaches a local stand-in server directly (see
+ * tests/link-checker.test.js).
+ */
+class LinkChecker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.request] - Transport; defaults to LinkChecker.fetchHop
+   * @param {number} [options.concurrency] - Requests in flight at once
+   * @param {number} [options.timeout] - Milliseconds before a request gives up
+   * @param {Function} [options.isTemplate] - (url) => boolean for quick search templates; defaults to QuickSearch.isTemplate where loaded
+   */
+  constructor(options = {}) {
+    this.request = options.request || LinkChecker.fetchHop;
+    this.isTemplate = options.isTemplate ||
+      (typeof QuickSearch !== 'undefined' ? url => QuickSearch.isTemplate(url) : () => false);
+    this.concurrency = options.concurrency || LINK_CHECK_CONCURRENCY;
+    this.timeout = options.timeout || LINK_CHECK_TIMEOUT;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Check links, sharing one request between links with the same URL
+   * @param {Array<Object>} links - Links with id and url
+   * @param {Function} [onResult] - (link, result) => void, as each link is checked
+   * @returns {Promise<Map<string, Object>>} Results by link ID; links not reached before cancel() are missing
+   */
+  async checkAll(links, onResult) {
+    const results = new Map();
+    const byUrl = new Map();
+
+    links.forEach(link => {
+      const url = (link.url || '').trim();
+      if (!byUrl.has(url)) byUrl.set(url, []);
+      byUrl.get(url).push(link);
+    });
+
+    const queue = [...byUrl.keys()];
+    const worker = async () => {
+      while (queue.length > 0 && !this.isCancelled()) {
+        const url = queue.shift();
+        const result = await this.checkUrl(url);
+        if (this.isCancelled()) return;
+
+        byUrl.get(url).forEach(link => {
+          results.set(link.id, result);
+          if (onResult) onResult(link, result);
+        });
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Stop checking; requests in flight are aborted
+   */
+  cancel() {
+    this.controller.abort();
+  }
+
+  /**
+   * Check whether cancel() was called
+   * @returns {boolean} Whether the check was stopped
+   */
+  isCancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  /**
+   * Check one URL, following its redirects
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} Result
+   */
+  async checkUrl(url) {
+    if (!/^https?:\/\//i.test(url)) {
+      return { state: 'skipped', message: 'Only web addresses can be checked' };
+    }
+    if (this.isTemplate(url)) {
+      return { state: 'skipped', message: 'Quick search links are only complete once filled in' };
+    }
+
+    const visited = new Set([url]);
+    let current = url;
+    let permanent = true;
+    let firstCode = null;
+
+    for (let hop = 0; hop <= LINK_CHECK_MAX_REDIRECTS; hop++) {
+      let response;
+      try {
+        response = await this.requestWithFallback(current);
+      } catch (error) {
+        return this.describeFailure(error);
+      }
+
+      const isRedirect = response.status >= 300 && response.status < 400 && response.location;
+      if (!isRedirect) {
+        if (response.status >= 400) {
+          return { state: 'broken', code: response.status, message: `HTTP ${response.status}${hop > 0 ? ` after redirecting to ${current}` : ''}` };
+        }
+        if (hop > 0 && permanent) {
+          return { state: 'moved', code: firstCode, target: current, message: `Moved permanently to ${current}` };
+        }
+        return { state: 'ok', code: response.status, message: hop > 0 ? `Redirects to ${current}` : 'OK' };
+      }
+
+      let next;
+      try {
+        next = new URL(response.location, current).href;
+      } catch (error) {
+        return { state: 'unreachable', code: response.status, message: `Redirects to an invalid address: ${response.location}` };
+      }
+
+      if (visited.has(next)) {
+        return { state: 'unreachable', code: response.status, message: 'Redirect loop' };
+      }
+
+      if (firstCode === null) firstCode = response.status;
+      if (!PERMANENT_REDIRECT_CODES.includes(response.status)) permanent = false;
+      visited.add(next);
+      current = next;
+    }
+
+    return { state: 'unreachable', code: firstCode, message: `More than ${LINK_CHECK_MAX_REDIRECTS} redirects` };
+  }
+
+  /**
+   * Request a URL with HEAD, retrying with GET when HEAD gets an error status
+   * @param {string} url - URL
+   * @returns {Promise<Object>} { status, location }
+   */
+  async requestWithFallback(url) {
+    const response = await this.requestWithTimeout(url, 'HEAD');
+    if (response.status < 400) return response;
+    return this.requestWithTimeout(url, 'GET');
+  }
+
+  /**
+   * Make one request, aborting it on timeout or cancel
+   * @param {string} url - URL
+   * @param {string} method - 'HEAD' or 'GET'
+   * @returns {Promise<Object>} { status, location }
+   * @throws {Error} With name 'TimeoutError' when the time runs out
+   */
+  async requestWithTimeout(url, method) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    this.controller.signal.addEventListener('abort', abort);
+
+    try {
+      return await this.request(url, { method, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`No answer after ${this.timeout / 1000} s`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.controller.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Turn a request failure into a result
+   * @param {Error} error - Failure from the transport
+   * @returns {Object} Result
+   */
+  describeFailure(error) {
+    if (error.name === 'TimeoutError') {
+      return { state: 'timeout', message: error.message };
+    }
+
+    // Node reports the cause; browsers only say the fetch failed
+    const code = error.cause && error.cause.code;
+    if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+      return { state: 'unreachable', message: 'DNS lookup failed' };
+    }
+    if (code === 'ECONNREFUSED') {
+      return { state: 'unreachable', message: 'Connection refused' };
+    }
+
+    return { state: 'unreachable', message: 'Could not connect (DNS failure, refused connection or blocked request)' };
+  }
+
+  /**
+   * Default transport: one fetch that doesn't follow redirects
+   * Extension pages only see redirects as opaque responses, so their status
+   * and Location come from the webRequest observer (see observeRedirects).
+   * When the observer missed it, the redirect is followed by the browser and
+   * treated as temporary.
+   * @param {string} url - URL
+   * @param {Object} options - { method, signal }
+   * @returns {Promise<Object>} { status, location }
+   */
+  static async fetchHop(url, { method, signal }) {
+    const init = { method, signal, cache: 'no-store', credentials: 'include' };
+    const response = await fetch(url, { ...init, redirect: 'manual' });
+    LinkChecker.discardBody(response);
+
+    if (response.type !== 'opaqueredirect') {
+      return { status: response.status, location: response.headers.get('location') };
+    }
+
+    const observed = await LinkChecker.takeObservedRedirect(url);
+    if (observed) return observed;
+
+    const followed = await fetch(url, { ...init, redirect: 'follow' });
+    LinkChecker.discardBody(followed);
+    return followed.url && followed.url !== url
+      ? { status: 302, location: followed.url }
+      : { status: followed.status, location: null };
+  }
+
+  /**
+   * Take the redirect the webRequest observer saw for a URL
+   * The event can arrive just after the response, so wait for it briefly.
+   * @param {string} url - Requested URL
+   * @returns {Promise<Object|null>} { status, location }, or null if none was seen
+   */
+  static async takeObservedRedirect(url) {
+    const key = LinkChecker.redirectKey(url);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const observed = LinkChecker.observedRedirects.get(key);
+      if (observed) {
+        LinkChecker.observedRedirects.delete(key);
+        return observed;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a URL the way webRequest reports it
+   * @param {string} url - URL
+   * @returns {string} URL without its fragment
+   */
+  static redirectKey(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Stop downloading a response body nobody reads
+   * @param {Response} response - Fetch response
+   */
+  static discardBody(response) {
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Record redirect responses to this page's requests
+   * Needs the optional webRequest permission; without it, redirects are
+   * still followed but can't be told apart from temporary ones.
+   */
+  static observeRedirects() {
+    if (LinkChecker.observing || typeof chrome === 'undefined' || !chrome.webRequest) return;
+
+    chrome.webRequest.onHeadersReceived.addListener((details) => {
+      if (details.statusCode < 300 || details.statusCode >= 400) return;
+
+      const header = (details.responseHeaders || []).find(h => h.name.toLowerCase() === 'location');
+      if (header) {
+        LinkChecker.observedRedirects.set(LinkChecker.redirectKey(details.url), { status: details.statusCode, location: header.value });
+      }
+    }, { urls: LINK_CHECK_ORIGINS, tabId: -1 }, ['responseHeaders']);
+
+    LinkChecker.observing = true;
+  }
+
+  /**
+   * Check whether the checker may request any site
+   * @returns {Promise<boolean>} Whether host and webRequest access are granted
+   */
+  static async hasAccess() {
+    return chrome.permissions.contains({ permissions: ['webRequest'], origins: LINK_CHECK_ORIGINS });
+  }
+
+  /**
+   * Ask for access to every site (needs a user gesture)
+   * @returns {Promise<boolean>} Whether it was granted
+   */
+  static async requestAccess() {
+    return chrome.permissions.request({ permissions: ['webRequest'], origins: LINK_CHECK_ORIGINS });
+  }
+}
+
+LinkChecker.observedRedirects = new Map();
+LinkChecker.observing = false;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LinkChecker,
+    LINK_CHECK_CONCURRENCY,
+    LINK_CHECK_TIMEOUT,
+    LINK_CHECK_MAX_REDIRECTS
+  };
+}
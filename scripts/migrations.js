@@ -0,0 +1,217 @@
+/**
+ * Schema migrations for Moontab Extreme
+ * Ordered, versioned upgrade steps applied to stored and imported data
+ */
+
+const MIGRATION_LOG_KEY = 'moontabExtremeMigrationLog';
+const MAX_MIGRATION_LOG_ENTRIES = 50;
+
+/**
+ * Error thrown when a migration step fails or its validation rejects the result
+ */
+class MigrationError extends Error {
+  /**
+   * @param {Object} migration - The step that failed
+   * @param {Error} cause - Underlying error
+   */
+  constructor(migration, cause) {
+    super(`Migration ${migration.from} → ${migration.to} (${migration.name}) failed: ${cause.message}`);
+    this.name = 'MigrationError';
+    this.migration = migration;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Migration registry and runner
+ *
+ * Each step upgrades data from exactly one version to the next and must
+ * provide a validate() check. Steps run on a copy, so a failure anywhere in
+ * the chain leaves the caller's data exactly as it was.
+ */
+class MigrationManager {
+  static migrations = [];
+
+  /**
+   * Register a migration step
+   * @param {Object} migration - Migration definition
+   * @param {number} migration.from - Version the step upgrades from
+   * @param {number} migration.to - Version the step upgrades to (from + 1)
+   * @param {string} migration.name - Short description shown in the migration log
+   * @param {Function} migration.migrate - (data) => data; may mutate its argument
+   * @param {Function} migration.validate - (data) => boolean; checks the result
+   */
+  static register(migration) {
+    if (migration.to !== migration.from + 1) {
+      throw new Error(`Migration "${migration.name}" must upgrade by exactly one version`);
+    }
+    if (typeof migration.migrate !== 'function' || typeof migration.validate !== 'function') {
+      throw new Error(`Migration "${migration.name}" needs migrate() and validate() functions`);
+    }
+    if (this.migrations.some(m => m.from === migration.from)) {
+      throw new Error(`A migration from version ${migration.from} is already registered`);
+    }
+
+    this.migrations.push(migration);
+    this.migrations.sort((a, b) => a.from - b.from);
+  }
+
+  /**
+   * Determine the schema version of a data object
+   * Data saved before versioning has no version field; its shape tells us.
+   * Unversioned data with groups is treated as version 2 (before boards).
+   * @param {Object} data - Data object
+   * @returns {number} Schema version
+   */
+  static getVersion(data) {
+    if (typeof data.version === 'number') return data.version;
+
+    const isLegacy = Array.isArray(data.columns) &&
+      data.columns.some(column => Array.isArray(column.links) && !Array.isArray(column.groups));
+
+    return isLegacy ? 1 : 2;
+  }
+
+  /**
+   * Run every pending migration up to the target version
+   * @param {Object} data - Data to migrate (not modified; nested objects are shared when already current)
+   * @param {number} [targetVersion=STORAGE_VERSION] - Version to upgrade to
+   * @returns {Object} { data, applied } where applied lists the steps run
+   * @throws {MigrationError|Error} If a step fails, fails validation or is missing
+   */
+  static run(data, targetVersion = STORAGE_VERSION) {
+    let version = this.getVersion(data);
+
+    if (version > targetVersion) {
+      throw new Error(`Data is from a newer version (${version}) of Moontab Extreme than this one supports (${targetVersion})`);
+    }
+
+    if (version === targetVersion) {
+      return { data: { ...data, version }, applied: [] };
+    }
+
+    let working = JSON.parse(JSON.stringify(data));
+    const applied = [];
+
+    while (version < targetVersion) {
+      const migration = this.migrations.find(m => m.from === version);
+      if (!migration) {
+        throw new Error(`No migration registered from version ${version}`);
+      }
+
+      try {
+        working = migration.migrate(working) || working;
+        working.version = migration.to;
+
+        if (!migration.validate(working)) {
+          throw new Error('Validation failed');
+        }
+      } catch (error) {
+        throw new MigrationError(migration, error);
+      }
+
+      applied.push({ from: migration.from, to: migration.to, name: migration.name });
+      version = migration.to;
+    }
+
+    working.version = targetVersion;
+    return { data: working, applied };
+  }
+
+  /**
+   * Append entries to the migration log
+   * @param {Array<Object>} entries - Log entries
+   * @returns {Promise<void>}
+   */
+  static async log(entries) {
+    try {
+      const log = await this.getLog();
+      log.push(...entries.map(entry => ({ timestamp: Date.now(), ...entry })));
+
+      await chrome.storage.local.set({
+        [MIGRATION_LOG_KEY]: log.slice(-MAX_MIGRATION_LOG_ENTRIES)
+      });
+    } catch (error) {
+      console.error('Failed to write migration log:', error);
+    }
+  }
+
+  /**
+   * Get the migration log, oldest first
+   * @returns {Promise<Array<Object>>} Log entries
+   */
+  static async getLog() {
+    try {
+      const result = await chrome.storage.local.get(MIGRATION_LOG_KEY);
+      return Array.isArray(result[MIGRATION_LOG_KEY]) ? result[MIGRATION_LOG_KEY] : [];
+    } catch (error) {
+      console.error('Failed to load migration log:', error);
+      return [];
+    }
+  }
+}
+
+// ============================================================================
+// REGISTERED MIGRATIONS
+// Add new steps here when bumping STORAGE_VERSION in scripts/storage.js
+// ============================================================================
+
+MigrationManager.register({
+  from: 1,
+  to: 2,
+  name: 'Move column links into groups',
+  migrate(data) {
+    data.columns = (data.columns || []).map(column => {
+      if (Array.isArray(column.groups)) return column;
+
+      const { links, ...columnFields } = column;
+      return {
+        ...columnFields,
+        customClasses: columnFields.customClasses || '',
+        groups: [
+          {
+            id: generateUUID(),
+            title: '',
+            customClasses: '',
+            links: Array.isArray(links) ? links : []
+          }
+        ]
+      };
+    });
+    return data;
+  },
+  validate(data) {
+    return Array.isArray(data.columns) && data.columns.every(column =>
+      Array.isArray(column.groups) &&
+      !('links' in column) &&
+      column.groups.every(group => Array.isArray(group.links))
+    );
+  }
+});
+
+MigrationManager.register({
+  from: 2,
+  to: 3,
+  name: 'Add boards',
+  migrate(data) {
+    const board = { id: generateUUID(), name: 'Main', overrides: {} };
+
+    data.boards = [board];
+    data.columns = (data.columns || []).map(column => ({ ...column, boardId: board.id }));
+    return data;
+  },
+  validate(data) {
+    if (!Array.isArray(data.boards) || data.boards.length === 0) return false;
+
+    const boardIds = new Set(data.boards.map(board => board.id));
+    return Array.isArray(data.columns) && data.columns.every(column => boardIds.has(column.boardId));
+  }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MigrationManager,
+    MigrationError
+  };
+}
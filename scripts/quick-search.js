@@ -0,0 +1,155 @@
+/**
+ * Quick search links for Moontab Extreme
+ * Link URLs with placeholders that are filled in when the link is opened
+ */
+
+// {name} or {name:option}; other braces in a URL are left alone
+const QUICK_SEARCH_PLACEHOLDER = /\{([a-zA-Z][a-zA-Z0-9_-]*)(?::([^{}]*))?\}/g;
+const QUICK_SEARCH_DATE_TOKENS = /YYYY|YY|MM|DD|HH|mm|ss/g;
+const DEFAULT_QUICK_SEARCH_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Quick search operations
+ *
+ * A quick search link is a regular link whose URL contains placeholders:
+ * - {query}: asked for when the link is opened
+ * - {selection}: asked for too, filled in with the text selected on the page
+ * - {date} or {date:FORMAT}: today's date, e.g. {date:YYYY-MM-DD}; FORMAT
+ *   may use YYYY, YY, MM, DD, HH, mm and ss
+ * - {name} or {name:Label}: any other name is asked for, with its label
+ * Placeholders can only appear after the host (see UrlPolicy.check), and
+ * typed values are URL-encoded, so they can't change the site a link opens
+ * or add to its path or query. A field is { name, label, fromSelection }; a placeholder
+ * used more than once is asked for once.
+ */
+class QuickSearch {
+
+  /**
+   * Check whether a URL has placeholders
+   * @param {string} url - Link URL
+   * @returns {boolean} Whether it is a quick search template
+   */
+  static isTemplate(url) {
+    if (!url || typeof url !== 'string') return false;
+    return new RegExp(QUICK_SEARCH_PLACEHOLDER.source).test(url);
+  }
+
+  /**
+   * Get the values a template asks for, in the order they appear
+   * @param {string} template - Link URL
+   * @returns {Array<Object>} Fields: { name, label, fromSelection }
+   */
+  static getFields(template) {
+    const fields = new Map();
+
+    for (const [, name, option] of (template || '').matchAll(QUICK_SEARCH_PLACEHOLDER)) {
+      const key = name.toLowerCase();
+      if (key === 'date' || fields.has(key)) continue;
+
+      fields.set(key, {
+        name: key,
+        label: this.getLabel(key, option),
+        fromSelection: key === 'selection'
+      });
+    }
+
+    return [...fields.values()];
+  }
+
+  /**
+   * Get the label shown for a field
+   * @param {string} name - Lowercase placeholder name
+   * @param {string} [option] - Text after the colon
+   * @returns {string} Label
+   */
+  static getLabel(name, option) {
+    if (option && option.trim()) return option.trim();
+    if (name === 'query') return 'Search';
+    if (name === 'selection') return 'Selected text';
+    return name.charAt(0).toUpperCase() + name.slice(1).replace(/[_-]+/g, ' ');
+  }
+
+  /**
+   * Check a template against a policy
+   * The URL policy decides on the template itself; date formats must
+   * contain at least one token, or they would never change.
+   * @param {string} template - Link URL as entered
+   * @param {Object} [policy] - URL policy; the configured one if left out
+   * @returns {Object} { valid, url, fields, message }
+   */
+  static check(template, policy = UrlPolicy.getPolicy()) {
+    const urlCheck = UrlPolicy.check(template, policy);
+    if (!urlCheck.valid) {
+      return { valid: false, url: urlCheck.url, fields: [], message: urlCheck.message };
+    }
+
+    for (const [match, name, option] of urlCheck.url.matchAll(QUICK_SEARCH_PLACEHOLDER)) {
+      if (name.toLowerCase() === 'date' && option && option.trim() && !new RegExp(QUICK_SEARCH_DATE_TOKENS.source).test(option)) {
+        return { valid: false, url: urlCheck.url, fields: [], message: `${match} has no date in it; use YYYY, YY, MM, DD, HH, mm or ss` };
+      }
+    }
+
+    return { valid: true, url: urlCheck.url, fields: this.getFields(urlCheck.url), message: '' };
+  }
+
+  /**
+   * Fill a template in
+   * @param {string} template - Link URL
+   * @param {Object} values - Values by lowercase field name; missing ones are left empty
+   * @param {Date} [now] - Date for {date}
+   * @returns {string} URL
+   */
+  static expand(template, values, now = new Date()) {
+    return template.replace(QUICK_SEARCH_PLACEHOLDER, (match, name, option) => {
+      const key = name.toLowerCase();
+      if (key === 'date') {
+        // The format comes from the template, so a "/" in it stays a path separator
+        return encodeURI(this.formatDate(now, option && option.trim() ? option : DEFAULT_QUICK_SEARCH_DATE_FORMAT));
+      }
+      return encodeURIComponent(values[key] || '');
+    });
+  }
+
+  /**
+   * Fill a template in with its labels, to show what it will open
+   * @param {string} template - Link URL
+   * @param {Date} [now] - Date for {date}
+   * @returns {string} URL, e.g. https://example.com/search?q=Search
+   */
+  static preview(template, now = new Date()) {
+    const values = {};
+    this.getFields(template).forEach(field => {
+      values[field.name] = field.label;
+    });
+    return this.expand(template, values, now);
+  }
+
+  /**
+   * Format a date
+   * @param {Date} date - Date
+   * @param {string} format - Format such as "YYYY-MM-DD"; other text is kept
+   * @returns {string} Formatted date
+   */
+  static formatDate(date, format) {
+    const pad = number => String(number).padStart(2, '0');
+    const parts = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+
+    return format.replace(QUICK_SEARCH_DATE_TOKENS, token => parts[token]);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QuickSearch,
+    DEFAULT_QUICK_SEARCH_DATE_FORMAT
+  };
+}
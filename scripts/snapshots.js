@@ -0,0 +1,288 @@
+/**
+ * Snapshots for Moontab Extreme
+ * Keeps rolling point-in-time copies of the full dataset for restore
+ */
+
+const SNAPSHOT_INDEX_KEY = 'moontabExtremeSnapshots';
+const SNAPSHOT_DATA_KEY_PREFIX = 'moontabExtremeSnapshot_';
+const SNAPSHOT_SETTINGS_KEY = 'moontabExtremeSnapshotSettings';
+const DEFAULT_SNAPSHOT_LIMIT = 10;
+const DEFAULT_DAILY_SNAPSHOT_LIMIT = 7;
+const MAX_SNAPSHOT_LIMIT = 50;
+const DAILY_SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Snapshot operations
+ *
+ * The index key holds lightweight metadata for listing; each snapshot's
+ * data lives under its own key so listing never loads background images.
+ * Daily snapshots are kept apart from manual and pre-import ones, so a
+ * run of imports can't push out last week's daily copies. How many of each
+ * are kept is set per device.
+ */
+class SnapshotManager {
+
+  /**
+   * Get snapshot metadata, newest first
+   * @returns {Promise<Array<Object>>} Snapshot metadata list
+   */
+  static async list() {
+    try {
+      const result = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+      const index = result[SNAPSHOT_INDEX_KEY];
+      return Array.isArray(index) ? index : [];
+    } catch (error) {
+      console.error('Failed to load snapshot list:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get how many snapshots this device keeps
+   * @returns {Promise<Object>} { limit, dailyLimit }
+   */
+  static async getSettings() {
+    try {
+      const result = await chrome.storage.local.get(SNAPSHOT_SETTINGS_KEY);
+      return {
+        limit: DEFAULT_SNAPSHOT_LIMIT,
+        dailyLimit: DEFAULT_DAILY_SNAPSHOT_LIMIT,
+        ...result[SNAPSHOT_SETTINGS_KEY]
+      };
+    } catch (error) {
+      console.error('Failed to load snapshot settings:', error);
+      return { limit: DEFAULT_SNAPSHOT_LIMIT, dailyLimit: DEFAULT_DAILY_SNAPSHOT_LIMIT };
+    }
+  }
+
+  /**
+   * Change how many snapshots are kept, deleting any now over the limit
+   * @param {Object} updates - Fields to change ({ limit, dailyLimit })
+   * @returns {Promise<Object>} New settings
+   * @throws {Error} If a limit is not a whole number from 1 to MAX_SNAPSHOT_LIMIT
+   */
+  static async updateSettings(updates) {
+    Object.values(updates).forEach(value => {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_SNAPSHOT_LIMIT) {
+        throw new Error(`Keep between 1 and ${MAX_SNAPSHOT_LIMIT} snapshots`);
+      }
+    });
+
+    const settings = { ...(await this.getSettings()), ...updates };
+    await chrome.storage.local.set({ [SNAPSHOT_SETTINGS_KEY]: settings });
+
+    const { kept, removed } = this.prune(await this.list(), settings);
+    if (removed.length > 0) {
+      await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: kept });
+      await chrome.storage.local.remove(removed.map(s => SNAPSHOT_DATA_KEY_PREFIX + s.id));
+    }
+
+    return settings;
+  }
+
+  /**
+   * Split an index into the snapshots within the limits and those over them
+   * @param {Array<Object>} index - Snapshot metadata, newest first
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} { kept, removed }
+   */
+  static prune(index, settings) {
+    const counts = { daily: 0, other: 0 };
+    const kept = [];
+    const removed = [];
+
+    index.forEach(snapshot => {
+      const pool = snapshot.type === 'daily' ? 'daily' : 'other';
+      const limit = pool === 'daily' ? settings.dailyLimit : settings.limit;
+
+      counts[pool]++;
+      (counts[pool] <= limit ? kept : removed).push(snapshot);
+    });
+
+    return { kept, removed };
+  }
+
+  /**
+   * Get a snapshot's stored data
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} Snapshot data or null if missing
+   */
+  static async get(snapshotId) {
+    const key = SNAPSHOT_DATA_KEY_PREFIX + snapshotId;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Create a snapshot of the data currently in storage
+   * Skipped when the data is identical to the newest snapshot.
+   * @param {string} reason - Why the snapshot was taken (shown in the History list)
+   * @param {string} [type='manual'] - Snapshot type ('auto', 'daily' or 'manual')
+   * @returns {Promise<Object|null>} New snapshot metadata, or null if skipped
+   */
+  static async create(reason, type = 'manual') {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const data = result[STORAGE_KEY];
+      if (!data) return null;
+
+      const index = await this.list();
+      const serialized = JSON.stringify(data);
+
+      if (index.length > 0) {
+        const latest = await this.get(index[0].id);
+        if (latest && JSON.stringify(latest) === serialized) {
+          return null;
+        }
+      }
+
+      const counts = HistoryManager.countItems(data.columns);
+      const snapshot = {
+        id: generateUUID(),
+        timestamp: Date.now(),
+        reason,
+        type,
+        size: new TextEncoder().encode(serialized).length,
+        columns: counts.columns,
+        groups: counts.groups,
+        links: counts.links
+      };
+
+      index.unshift(snapshot);
+      const { kept, removed } = this.prune(index, await this.getSettings());
+
+      await chrome.storage.local.set({
+        [SNAPSHOT_DATA_KEY_PREFIX + snapshot.id]: data,
+        [SNAPSHOT_INDEX_KEY]: kept
+      });
+
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed.map(s => SNAPSHOT_DATA_KEY_PREFIX + s.id));
+      }
+
+      return snapshot;
+    } catch (error) {
+      // A failed snapshot must never block the operation it protects
+      console.error('Failed to create snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take the daily snapshot if the last one is older than a day
+   * @returns {Promise<Object|null>} New snapshot metadata, or null if not due
+   */
+  static async ensureDaily() {
+    const index = await this.list();
+    const lastDaily = index.find(s => s.type === 'daily');
+
+    if (lastDaily && Date.now() - lastDaily.timestamp < DAILY_SNAPSHOT_INTERVAL) {
+      return null;
+    }
+
+    return this.create('Daily snapshot', 'daily');
+  }
+
+  /**
+   * Restore a snapshot, snapshotting the current data first
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object>} Restored data
+   */
+  static async restore(snapshotId) {
+    const data = await this.get(snapshotId);
+    if (!data) throw new Error('Snapshot not found');
+
+    await this.create('Before snapshot restore', 'auto');
+
+    const restoredData = StorageManager.migrate(data, 'restore');
+    await StorageManager.saveImmediate(restoredData, 'Restore snapshot');
+
+    return restoredData;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  static async delete(snapshotId) {
+    const index = await this.list();
+    await chrome.storage.local.set({
+      [SNAPSHOT_INDEX_KEY]: index.filter(s => s.id !== snapshotId)
+    });
+    await chrome.storage.local.remove(SNAPSHOT_DATA_KEY_PREFIX + snapshotId);
+  }
+
+  /**
+   * Summarize what restoring a snapshot would change on the current board
+   * @param {Object} snapshotData - Snapshot data
+   * @param {Object} currentData - Current data
+   * @returns {Object} Diff summary
+   */
+  static diffSummary(snapshotData, currentData) {
+    const collect = (data) => {
+      const columns = new Map();
+      const links = new Map();
+
+      (data.columns || []).forEach(column => {
+        columns.set(column.id, column);
+        (column.groups || []).forEach(group => {
+          (group.links || []).forEach(link => links.set(link.id, link));
+        });
+      });
+
+      return { columns, links };
+    };
+
+    const snapshot = collect(snapshotData);
+    const current = collect(currentData);
+    const summary = {
+      columnsAdded: 0,
+      columnsRemoved: 0,
+      linksAdded: 0,
+      linksRemoved: 0,
+      linksChanged: 0,
+      settingsChanged: 0
+    };
+
+    // "Added" and "removed" describe what a restore would do to the current board
+    snapshot.columns.forEach((column, id) => {
+      if (!current.columns.has(id)) summary.columnsAdded++;
+    });
+    current.columns.forEach((column, id) => {
+      if (!snapshot.columns.has(id)) summary.columnsRemoved++;
+    });
+
+    snapshot.links.forEach((link, id) => {
+      const currentLink = current.links.get(id);
+      if (!currentLink) {
+        summary.linksAdded++;
+      } else if (currentLink.url !== link.url || currentLink.script !== link.script || currentLink.title !== link.title) {
+        summary.linksChanged++;
+      }
+    });
+    current.links.forEach((link, id) => {
+      if (!snapshot.links.has(id)) summary.linksRemoved++;
+    });
+
+    const settingKeys = new Set([...Object.keys(snapshotData), ...Object.keys(currentData)]);
+    settingKeys.forEach(key => {
+      if (key === 'columns' || key === 'version') return;
+      if (JSON.stringify(snapshotData[key]) !== JSON.stringify(currentData[key])) {
+        summary.settingsChanged++;
+      }
+    });
+
+    return summary;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SnapshotManager,
+    DEFAULT_SNAPSHOT_LIMIT,
+    DEFAULT_DAILY_SNAPSHOT_LIMIT,
+    MAX_SNAPSHOT_LIMIT
+  };
+}
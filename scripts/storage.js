@@ -3,11 +3,16 @@
  * Handles versioned data schema and Chrome storage operations
  */
 
-const STORAGE_VERSION = 2;
+const STORAGE_VERSION = 3;
 const STORAGE_KEY = 'moontabExtremeData';
+const ACTIVE_BOARD_KEY = 'moontabExtremeActiveBoard';
+const STORAGE_WRITE_LOCK_NAME = 'moontabExtremeStorageWrite';
 const STORAGE_WARNING_THRESHOLD = 4 * 1024 * 1024; // 4MB
 const MAX_GROUPS_PER_COLUMN = 50;
 const MAX_LINKS_PER_GROUP = 200;
+const MAX_BOARDS = 20;
+// Global settings a board may override; anything else is shared by all boards
+const BOARD_OVERRIDE_FIELDS = ['themeMode', 'selectedPresetTheme', 'backgroundDataUri', 'pageBackgroundColor'];
 
 /**
  * Generate theme-specific storage fields dynamically
@@ -45,14 +50,103 @@ function getThemeStorageFields() {
   return fields;
 }
 
+/**
+ * Index every column, group and link by ID with a content fingerprint
+ * Fingerprints exclude `updatedAt` but include the parent ID and child order,
+ * so moves and reorders count as changes to the entity that owns them.
+ * @param {Object} data - Data object
+ * @returns {Map<string, Object>} Map of ID to { kind, entity, parentId, fingerprint }
+ */
+function indexEntities(data) {
+  const entities = new Map();
+
+  (data && data.columns || []).forEach(column => {
+    const { updatedAt, groups, ...columnFields } = column;
+    entities.set(column.id, {
+      kind: 'column',
+      entity: column,
+      parentId: null,
+      fingerprint: JSON.stringify({ ...columnFields, groupIds: (groups || []).map(g => g.id) })
+    });
+
+    (groups || []).forEach(group => {
+      const { updatedAt, links, ...groupFields } = group;
+      entities.set(group.id, {
+        kind: 'group',
+        entity: group,
+        parentId: column.id,
+        fingerprint: JSON.stringify({ ...groupFields, parentId: column.id, linkIds: (links || []).map(l => l.id) })
+      });
+
+      (links || []).forEach(link => {
+        const { updatedAt, ...linkFields } = link;
+        entities.set(link.id, {
+          kind: 'link',
+          entity: link,
+          parentId: group.id,
+          fingerprint: JSON.stringify({ ...linkFields, parentId: group.id })
+        });
+      });
+    });
+  });
+
+  return entities;
+}
+
+/**
+ * Fingerprint the top-level settings, including column order
+ * @param {Object} data - Data object
+ * @returns {string} Settings fingerprint
+ */
+function getSettingsFingerprint(data) {
+  const { columns, version, settingsUpdatedAt, ...settings } = data || {};
+  return JSON.stringify({ ...settings, columnIds: (columns || []).map(c => c.id) });
+}
+
+/**
+ * Stamp `updatedAt` on every entity that changed since the previous data
+ * Used by sync to merge per entity rather than overwrite the whole board.
+ * @param {Object|undefined} previous - Data currently in storage
+ * @param {Object} data - Data about to be written (modified in place)
+ * @param {boolean} [preserveTimestamps=false] - Keep existing stamps (for data merged from sync)
+ */
+function stampUpdatedAt(previous, data, preserveTimestamps = false) {
+  const now = Date.now();
+  const previousEntities = indexEntities(previous);
+
+  indexEntities(data).forEach((current, id) => {
+    const before = previousEntities.get(id);
+    const changed = !before || before.fingerprint !== current.fingerprint;
+
+    if (!current.entity.updatedAt || (changed && !preserveTimestamps)) {
+      current.entity.updatedAt = now;
+    }
+  });
+
+  const settingsChanged = !previous || getSettingsFingerprint(previous) !== getSettingsFingerprint(data);
+  if (!data.settingsUpdatedAt || (settingsChanged && !preserveTimestamps)) {
+    data.settingsUpdatedAt = now;
+  }
+}
+
+const DEFAULT_BOARD_ID = generateUUID();
+
 /**
  * Default data structure
  */
 const DEFAULT_DATA = {
   version: STORAGE_VERSION,
+  boards: [
+    {
+      id: DEFAULT_BOARD_ID,
+      name: 'Main',
+      overrides: {}
+    }
+  ],
   columns: [
     {
       id: generateUUID(),
+      boardId: DEFAULT_BOARD_ID,
       name: 'Example Column 1',
       groups: [
         {
@@ -98,6 +192,7 @@ const DEFAULT_DATA = {
     },
     {
       id: generateUUID(),
+      boardId: DEFAULT_BOARD_ID,
       name: 'Example Column 2',
       groups: [
         {
@@ -188,6 +283,18 @@ const DEFAULT_DATA = {
   showColumnHeaders: true,
   showGroupHeaders: true,
   showAdvancedOptions: false,
+  // Link rules: extra URL schemes, private network addresses and blocked sites
+  urlPolicy: {
+    schemes: [],
+    allowPrivateNetwork: true,
+    blockedHosts: [],
+    allowBookmarklets: false
+  },
+  // Favicon providers, tried in order before the letter avatar
+  faviconProviderOrder: ['google'],
+  faviconTemplateUrl: '',
+  // Web search bar above the board
+  webSearch: WebSearch.getDefaults(),
   // Column animations settings
   columnAnimationEnabled: false,
   columnAnimationStyle: 'fadeIn',
@@ -219,7 +326,26 @@ class StorageManager {
       }
 
       // Handle version migrations
-      return this.migrate(data);
+      const storedVersion = MigrationManager.getVersion(data);
+      let migratedData;
+
+      try {
+        migratedData = this.migrate(data, 'load');
+      } catch (error) {
+        // Roll back: keep working with the data exactly as stored
+        console.error('Data migration failed, keeping stored data unchanged:', error);
+        return this.backfillDefaults(data);
+      }
+
+      if (migratedData.version !== storedVersion) {
+        // Persist the upgrade so it only runs once
+        if (typeof SnapshotManager !== 'undefined') {
+          await SnapshotManager.create('Before data upgrade', 'auto');
+        }
+        await this.saveImmediate(migratedData, 'Upgrade data format');
+      }
+
+      return migratedData;
     } catch (error) {
       console.error('Failed to load data:', error);
       return { ...DEFAULT_DATA };
@@ -228,15 +354,17 @@ class StorageManager {
 
   /**
    * Save data to Chrome storage (debounced)
+   * Calls made within the debounce window are journaled as a single edit.
    * @param {Object} data - Data to save
+   * @param {string} [label] - Description of the edit for the undo history
    * @returns {Promise<void>}
    */
-  static save = debounce(async function (data) {
+  static save = debounce(async function (data, label) {
     try {
       // Ensure version is set
       data.version = STORAGE_VERSION;
 
-      await chrome.storage.local.set({ [STORAGE_KEY]: data });
+      await StorageManager.writeWithHistory(data, label);
 
       // Check storage usage
       await StorageManager.checkStorageUsage();
@@ -250,16 +378,19 @@ class StorageManager {
    * Save data to Chrome storage immediately (no debouncing)
    * Used for critical operations like imports where we need guaranteed save
    * @param {Object} data - Data to save
+   * @param {string} [label] - Description of the edit for the undo history
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.preserveTimestamps=false] - Keep entity `updatedAt` stamps as given
    * @returns {Promise<void>}
    */
-  static async saveImmediate(data) {
+  static async saveImmediate(data, label, options = {}) {
     try {
       console.log('🔍 StorageManager: Immediate save starting...');
 
       // Ensure version is set
       data.version = STORAGE_VERSION;
 
-      await chrome.storage.local.set({ [STORAGE_KEY]: data });
+      await StorageManager.writeWithHistory(data, label, options);
       console.log('✅ StorageManager: Immediate save completed');
 
       // Check storage usage
@@ -271,16 +402,104 @@ class StorageManager {
   }
 
   /**
-   * Migrate data from older versions (for future use)
+   * Write data and record the change in the undo history
+   * The history script is optional so pages that don't load it still save.
+   * @param {Object} data - Data to write
+   * @param {string} [label] - Description of the edit
+   * @param {Object} [options] - Write options passed to writeData()
+   * @returns {Promise<void>}
+   */
+  static async writeWithHistory(data, label, options = {}) {
+    await StorageManager.withWriteLock(async () => {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const previous = result[STORAGE_KEY];
+
+      await StorageManager.writeData(previous, data, options);
+
+      if (typeof HistoryManager !== 'undefined') {
+        await HistoryManager.record(previous, data, label);
+      }
+    });
+  }
+
+  /**
+   * Run a task while holding the storage write lock
+   * Anything that reads the stored data, waits, and writes it back takes
+   * this lock for the read and the write, so pages and background merges
+   * never write over each other's changes.
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  static async withWriteLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(STORAGE_WRITE_LOCK_NAME, task);
+    }
+    return task();
+  }
+
+  /**
+   * Write data to storage, stamping changed entities and notifying sync
+   * The sync and bookmarks bridge scripts are optional so pages that don't
+   * load them still save.
+   * @param {Object|undefined} previous - Data currently in storage
+   * @param {Object} data - Data to write
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.preserveTimestamps=false] - Keep entity `updatedAt` stamps as given
+   * @returns {Promise<void>}
+   */
+  static async writeData(previous, data, options = {}) {
+    stampUpdatedAt(previous, data, options.preserveTimestamps);
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: data });
+
+    if (typeof SyncManager !== 'undefined') {
+      await SyncManager.onLocalWrite(previous, data);
+    }
+
+    if (typeof BookmarkBridgeManager !== 'undefined') {
+      await BookmarkBridgeManager.onLocalWrite();
+    }
+  }
+
+  /**
+   * Migrate data from older versions
+   * Runs the registered migration chain on a copy, logs the outcome and
+   * backfills missing fields. On failure the input is left untouched.
    * @param {Object} data - Data to migrate
+   * @param {string} [context='load'] - Where the data came from ('load', 'import', 'restore')
    * @returns {Object} Migrated data
+   * @throws {MigrationError|Error} If a migration step fails
    */
-  static migrate(data) {
-    // Ensure version is set
-    if (!data.version) {
-      data.version = STORAGE_VERSION;
+  static migrate(data, context = 'load') {
+    let result;
+
+    try {
+      result = MigrationManager.run(data);
+    } catch (error) {
+      MigrationManager.log([{
+        context,
+        status: 'failed',
+        from: error.migration ? error.migration.from : MigrationManager.getVersion(data),
+        to: error.migration ? error.migration.to : STORAGE_VERSION,
+        name: error.migration ? error.migration.name : 'Version check',
+        error: error.message
+      }]);
+      throw error;
+    }
+
+    if (result.applied.length > 0) {
+      MigrationManager.log(result.applied.map(step => ({ ...step, context, status: 'applied' })));
     }
 
+    return this.backfillDefaults(result.data);
+  }
+
+  /**
+   * Ensure all required top-level fields exist
+   * @param {Object} data - Data object (modified in place)
+   * @returns {Object} Data with defaults filled in
+   */
+  static backfillDefaults(data) {
     // Ensure all required fields exist
     const requiredFields = {
       showColumnHeaders: true,
@@ -288,6 +507,10 @@ class StorageManager {
       showAdvancedOptions: false,
       showIcons: true,
       showUrls: true,
+      urlPolicy: UrlPolicy.deriveFromLinks(data),
+      faviconProviderOrder: ['google'],
+      faviconTemplateUrl: '',
+      webSearch: WebSearch.getDefaults(),
       // Theme system
       themeMode: 'browser',
       selectedPresetTheme: 'light',
@@ -315,12 +538,7 @@ class StorageManager {
       }
     });
 
-    // Future version migrations would go here
-    // if (data.version === 2) {
-    //   data = this.migrateV2ToV3(data);
-    // }
-
-    return data;
+    return BoardManager.normalize(data);
   }
 
   /**
@@ -353,8 +571,12 @@ class StorageManager {
    */
   static async reset() {
     try {
-      await chrome.storage.local.remove(STORAGE_KEY);
-      await this.save({ ...DEFAULT_DATA });
+      if (typeof SnapshotManager !== 'undefined') {
+        await SnapshotManager.create('Before reset', 'auto');
+      }
+
+      // Overwrite rather than remove so the reset can be undone
+      await this.saveImmediate({ ...DEFAULT_DATA }, 'Reset all data');
     } catch (error) {
       console.error('Failed to reset data:', error);
       throw error;
@@ -395,21 +617,31 @@ class StorageManager {
         throw new Error('Import would exceed storage limit');
       }
 
-      const data = JSON.parse(jsonString);
+      const parsedData = JSON.parse(jsonString);
       console.log('🔍 Import Debug: Parsed data structure:', {
-        hasColumns: !!data.columns,
-        columnsCount: data.columns?.length || 0,
-        hasTheme: !!data.theme,
-        theme: data.theme,
-        hasCustomCss: !!data.customCss,
-        dataKeys: Object.keys(data)
+        hasColumns: !!parsedData.columns,
+        columnsCount: parsedData.columns?.length || 0,
+        hasTheme: !!parsedData.theme,
+        theme: parsedData.theme,
+        hasCustomCss: !!parsedData.customCss,
+        dataKeys: Object.keys(parsedData)
       });
 
-      console.log('🔍 Import Debug: Starting validation...');
-      if (!validateImportData(data)) {
-        console.error('🔍 Import Debug: Validation failed');
+      if (!parsedData || typeof parsedData !== 'object' || Array.isArray(parsedData)) {
         throw new Error('Invalid data format');
       }
+
+      // Upgrade older exports before validating against the current schema
+      const data = StorageManager.migrate(parsedData, 'import');
+
+      console.log('🔍 Import Debug: Starting validation...');
+      const report = validateImportData(data);
+      if (!report.valid) {
+        console.error('🔍 Import Debug: Validation failed:', report.issues);
+        const shown = report.issues.slice(0, 3).map(formatImportIssue).join('; ');
+        const more = report.issues.length > 3 ? ` (and ${report.issues.length - 3} more)` : '';
+        throw new Error(`Invalid data format: ${shown}${more}`);
+      }
       console.log('🔍 Import Debug: Validation passed');
 
       // Validate theme mode
@@ -440,18 +672,17 @@ class StorageManager {
       }
 
       // Complete field preservation - start with defaults and override with imported data
-      const importedData = {
+      const migratedData = {
         ...DEFAULT_DATA,  // Start with defaults
-        ...data,  // Override with imported values (if present)
+        ...data,  // Override with imported (and migrated) values
         version: STORAGE_VERSION  // Always set current version
       };
 
-      // Apply migration to imported data
-      console.log('🔍 Import Debug: Applying migration to imported data');
-      const migratedData = StorageManager.migrate(importedData);
-      console.log('🔍 Import Debug: Migration completed, saving data');
+      if (typeof SnapshotManager !== 'undefined') {
+        await SnapshotManager.create('Before import', 'auto');
+      }
 
-      await StorageManager.save(migratedData);
+      await StorageManager.save(migratedData, 'Import data');
       console.log('🔍 Import Debug: Data saved successfully! Import completed.');
     } catch (error) {
       console.error('🔍 Import Debug: Import failed with error:', error);
@@ -461,6 +692,234 @@ class StorageManager {
   }
 }
 
+/**
+ * Board operations
+ *
+ * Boards sit above columns: `data.boards` lists them in display order and
+ * every column carries the `boardId` it belongs to, so column, group and link
+ * operations keep working by ID across boards. These helpers modify a data
+ * object in place so the options page can apply them to its working copy.
+ * The board shown on the new tab is per-device state kept outside the data.
+ */
+class BoardManager {
+
+  /**
+   * Ensure at least one board exists and every column belongs to one
+   * Columns pointing at a missing board are moved to the first board.
+   * @param {Object} data - Data object (modified in place)
+   * @returns {Object} Normalized data
+   */
+  static normalize(data) {
+    if (!Array.isArray(data.boards) || data.boards.length === 0) {
+      data.boards = [{ id: generateUUID(), name: 'Main', overrides: {} }];
+    }
+
+    data.boards.forEach(board => {
+      if (!board.overrides || typeof board.overrides !== 'object') {
+        board.overrides = {};
+      }
+    });
+
+    const boardIds = new Set(data.boards.map(board => board.id));
+    (data.columns || []).forEach(column => {
+      if (!boardIds.has(column.boardId)) {
+        column.boardId = data.boards[0].id;
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Get a board by ID
+   * @param {Object} data - Data object
+   * @param {string} boardId - Board ID
+   * @returns {Object|null} Board or null
+   */
+  static getBoard(data, boardId) {
+    return (data.boards || []).find(board => board.id === boardId) || null;
+  }
+
+  /**
+   * Return the board ID if it still exists, otherwise the first board's ID
+   * @param {Object} data - Data object
+   * @param {string|null} boardId - Requested board ID
+   * @returns {string} Existing board ID
+   */
+  static resolveBoardId(data, boardId) {
+    return this.getBoard(data, boardId) ? boardId : data.boards[0].id;
+  }
+
+  /**
+   * Get a board's columns in display order
+   * @param {Object} data - Data object
+   * @param {string} boardId - Board ID
+   * @returns {Array<Object>} Columns
+   */
+  static getColumns(data, boardId) {
+    return data.columns.filter(column => column.boardId === boardId);
+  }
+
+  /**
+   * Build the data a page renders for one board
+   * Board overrides replace the matching global settings and only the
+   * board's columns are included.
+   * @param {Object} data - Data object
+   * @param {string} boardId - Board ID
+   * @returns {Object} Board view of the data
+   */
+  static getView(data, boardId) {
+    const board = this.getBoard(data, this.resolveBoardId(data, boardId));
+    const overrides = {};
+
+    BOARD_OVERRIDE_FIELDS.forEach(field => {
+      if (board.overrides[field] !== undefined && board.overrides[field] !== null) {
+        overrides[field] = board.overrides[field];
+      }
+    });
+
+    return {
+      ...data,
+      ...overrides,
+      columns: this.getColumns(data, board.id)
+    };
+  }
+
+  /**
+   * Add a board
+   * @param {Object} data - Data object (modified in place)
+   * @param {string} [name] - Board name
+   * @returns {Object} New board
+   */
+  static addBoard(data, name) {
+    if (data.boards.length >= MAX_BOARDS) {
+      throw new Error(`Maximum ${MAX_BOARDS} boards`);
+    }
+
+    const board = {
+      id: generateUUID(),
+      name: name || `Board ${data.boards.length + 1}`,
+      overrides: {}
+    };
+
+    data.boards.push(board);
+    return board;
+  }
+
+  /**
+   * Rename a board
+   * @param {Object} data - Data object (modified in place)
+   * @param {string} boardId - Board ID
+   * @param {string} name - New name
+   */
+  static renameBoard(data, boardId, name) {
+    const board = this.getBoard(data, boardId);
+    if (board) {
+      board.name = name.trim() || board.name;
+    }
+  }
+
+  /**
+   * Delete a board and all of its columns
+   * @param {Object} data - Data object (modified in place)
+   * @param {string} boardId - Board ID
+   * @throws {Error} If it is the last board
+   */
+  static deleteBoard(data, boardId) {
+    if (data.boards.length <= 1) {
+      throw new Error('At least one board is required');
+    }
+
+    data.boards = data.boards.filter(board => board.id !== boardId);
+    data.columns = data.columns.filter(column => column.boardId !== boardId);
+  }
+
+  /**
+   * Reorder boards
+   * @param {Object} data - Data object (modified in place)
+   * @param {Array<string>} boardIds - Board IDs in new order
+   */
+  static reorderBoards(data, boardIds) {
+    const boards = boardIds.map(id => this.getBoard(data, id)).filter(Boolean);
+
+    // Keep any board missing from the list rather than dropping it
+    data.boards.forEach(board => {
+      if (!boards.includes(board)) boards.push(board);
+    });
+
+    data.boards = boards;
+  }
+
+  /**
+   * Set or clear a board override
+   * @param {Object} data - Data object (modified in place)
+   * @param {string} boardId - Board ID
+   * @param {string} field - One of BOARD_OVERRIDE_FIELDS
+   * @param {*} value - Override value, or null to use the global setting
+   */
+  static setOverride(data, boardId, field, value) {
+    if (!BOARD_OVERRIDE_FIELDS.includes(field)) {
+      throw new Error(`Boards cannot override "${field}"`);
+    }
+
+    const board = this.getBoard(data, boardId);
+    if (!board) return;
+
+    if (value === null || value === undefined) {
+      delete board.overrides[field];
+    } else {
+      board.overrides[field] = value;
+    }
+  }
+
+  /**
+   * Reorder one board's columns, leaving other boards' columns in place
+   * @param {Object} data - Data object (modified in place)
+   * @param {string} boardId - Board ID
+   * @param {Array<string>} columnIds - The board's column IDs in new order
+   */
+  static reorderColumns(data, boardId, columnIds) {
+    const reordered = columnIds
+      .map(id => data.columns.find(column => column.id === id && column.boardId === boardId))
+      .filter(Boolean);
+
+    // Keep any column missing from the list rather than dropping it
+    this.getColumns(data, boardId).forEach(column => {
+      if (!reordered.includes(column)) reordered.push(column);
+    });
+
+    // Refill the slots this board's columns occupy in the flat list
+    let next = 0;
+    data.columns = data.columns.map(column =>
+      column.boardId === boardId ? reordered[next++] : column
+    );
+  }
+
+  /**
+   * Get the board this device shows on the new tab page
+   * @param {Object} data - Data object
+   * @returns {Promise<string>} Existing board ID
+   */
+  static async getActiveBoardId(data) {
+    try {
+      const result = await chrome.storage.local.get(ACTIVE_BOARD_KEY);
+      return this.resolveBoardId(data, result[ACTIVE_BOARD_KEY]);
+    } catch (error) {
+      console.error('Failed to load active board:', error);
+      return this.resolveBoardId(data, null);
+    }
+  }
+
+  /**
+   * Remember the board this device shows on the new tab page
+   * @param {string} boardId - Board ID
+   * @returns {Promise<void>}
+   */
+  static async setActiveBoardId(boardId) {
+    await chrome.storage.local.set({ [ACTIVE_BOARD_KEY]: boardId });
+  }
+}
+
 /**
  * Column operations
  */
@@ -469,12 +928,14 @@ class ColumnManager {
   /**
    * Add a new column
    * @param {string} name - Column name
+   * @param {string} [boardId] - Board to add it to (defaults to the first board)
    * @returns {Promise<Object>} New column object
    */
-  static async addColumn(name) {
+  static async addColumn(name, boardId) {
     const data = await StorageManager.load();
     const newColumn = {
       id: generateUUID(),
+      boardId: BoardManager.resolveBoardId(data, boardId),
       name: name || 'New Column',
       groups: [
         {
@@ -488,7 +949,7 @@ class ColumnManager {
     };
 
     data.columns.push(newColumn);
-    await StorageManager.save(data);
+    await StorageManager.save(data, 'Add column');
 
     return newColumn;
   }
@@ -510,7 +971,7 @@ class ColumnManager {
       } else {
         Object.assign(column, updates);
       }
-      await StorageManager.save(data);
+      await StorageManager.save(data, 'Edit column');
     }
   }
 
@@ -522,26 +983,19 @@ class ColumnManager {
   static async deleteColumn(columnId) {
     const data = await StorageManager.load();
     data.columns = data.columns.filter(c => c.id !== columnId);
-    await StorageManager.save(data);
+    await StorageManager.save(data, 'Delete column');
   }
 
   /**
-   * Reorder columns
+   * Reorder columns within a board
    * @param {Array<string>} columnIds - Array of column IDs in new order
+   * @param {string} [boardId] - Board the columns belong to (defaults to the first board)
    * @returns {Promise<void>}
    */
-  static async reorderColumns(columnIds) {
+  static async reorderColumns(columnIds, boardId) {
     const data = await StorageManager.load();
-    const newColumns = [];
-
-    // Reorder based on provided IDs
-    columnIds.forEach(id => {
-      const column = data.columns.find(c => c.id === id);
-      if (column) newColumns.push(column);
-    });
-
-    data.columns = newColumns;
-    await StorageManager.save(data);
+    BoardManager.reorderColumns(data, BoardManager.resolveBoardId(data, boardId), columnIds);
+    await StorageManager.save(data, 'Reorder columns');
   }
 }
 
@@ -553,7 +1007,7 @@ class GroupManager {
   /**
    * Add a new group to a column
    * @param {string} columnId - Column ID
-   * @param {Object} groupData - Group data (optional)
+   * @param {Object} groupData - Group data (optional); a widget makes it a widget group
    * @returns {Promise<Object>} New group object
    */
   static async addGroup(columnId, groupData = {}) {
@@ -574,8 +1028,13 @@ class GroupManager {
       links: []
     };
 
+    if (groupData.widget) {
+      newGroup.widget = Widgets.normalize(groupData.widget);
+      if (!newGroup.widget) throw new Error('Unknown widget type');
+    }
+
     column.groups.push(newGroup);
-    await StorageManager.save(data);
+    await StorageManager.save(data, 'Add group');
 
     return newGroup;
   }
@@ -595,7 +1054,7 @@ class GroupManager {
       const group = column.groups.find(g => g.id === groupId);
       if (group) {
         Object.assign(group, updates);
-        await StorageManager.save(data);
+        await StorageManager.save(data, 'Edit group');
       }
     }
   }
@@ -623,7 +1082,7 @@ class GroupManager {
         });
       }
 
-      await StorageManager.save(data);
+      await StorageManager.save(data, 'Delete group');
     }
   }
 
@@ -645,7 +1104,7 @@ class GroupManager {
       });
 
       column.groups = newGroups;
-      await StorageManager.save(data);
+      await StorageManager.save(data, 'Reorder groups');
     }
   }
 }
@@ -670,19 +1129,21 @@ class LinkManager {
 
     const group = column.groups.find(g => g.id === groupId);
     if (!group) throw new Error('Group not found');
+    if (Widgets.isWidget(group)) throw new Error('Widgets can\'t hold links');
 
     // Check links per group limit
     if (group.links.length >= MAX_LINKS_PER_GROUP) {
       throw new Error(`Maximum ${MAX_LINKS_PER_GROUP} links per group`);
     }
 
-    // Validate link data
-    if (!isValidUrl(linkData.url)) throw new Error('Invalid URL');
+    // Validate link data; a javascript: URL becomes a bookmarklet
+    const check = Bookmarklets.checkInput(linkData.url, UrlPolicy.getPolicy(data));
+    if (!check.valid) throw new Error(check.message);
     if (linkData.iconDataUri && !isValidImageDataUri(linkData.iconDataUri)) throw new Error('Invalid icon');
 
     const newLink = {
       id: generateUUID(),
-      url: linkData.url,
+      ...check.target,
       title: linkData.title || '',
       iconDataUri: linkData.iconDataUri || null,
       iconUrlOverride: linkData.iconUrlOverride || null,
@@ -690,7 +1151,7 @@ class LinkManager {
     };
 
     group.links.push(newLink);
-    await StorageManager.save(data);
+    await StorageManager.save(data, 'Add link');
 
     return newLink;
   }
@@ -700,8 +1161,9 @@ class LinkManager {
    * @param {string} columnId - Column ID
    * @param {string} groupId - Group ID
    * @param {string} linkId - Link ID
-   * @param {Object} updates - Fields to update
+   * @param {Object} updates - Fields to update; url may be a javascript: URL for a bookmarklet
    * @returns {Promise<void>}
+   * @throws {Error} If a changed URL or bookmarklet isn't allowed
    */
   static async updateLink(columnId, groupId, linkId, updates) {
     const data = await StorageManager.load();
@@ -712,8 +1174,16 @@ class LinkManager {
       if (group) {
         const link = group.links.find(l => l.id === linkId);
         if (link) {
-          Object.assign(link, updates);
-          await StorageManager.save(data);
+          // Only a changed URL is checked, so links saved under older rules can still be renamed
+          const { url, ...fields } = updates;
+          if (url !== undefined && url !== Bookmarklets.getInput(link)) {
+            const check = Bookmarklets.checkInput(url, UrlPolicy.getPolicy(data));
+            if (!check.valid) throw new Error(check.message);
+            Bookmarklets.setTarget(link, check.target);
+          }
+
+          Object.assign(link, fields);
+          await StorageManager.save(data, 'Edit link');
         }
       }
     }
@@ -734,7 +1204,7 @@ class LinkManager {
       const group = column.groups.find(g => g.id === groupId);
       if (group) {
         group.links = group.links.filter(l => l.id !== linkId);
-        await StorageManager.save(data);
+        await StorageManager.save(data, 'Delete link');
       }
     }
   }
@@ -760,7 +1230,7 @@ class LinkManager {
         });
 
         group.links = newLinks;
-        await StorageManager.save(data);
+        await StorageManager.save(data, 'Reorder links');
       }
     }
   }
@@ -772,9 +1242,10 @@ class LinkManager {
    * @param {string} linkId - Link ID to move
    * @param {string} toColumnId - Destination column ID
    * @param {string} toGroupId - Destination group ID
+   * @param {number} [toIndex] - Position in the destination group (defaults to the end)
    * @returns {Promise<void>}
    */
-  static async moveLink(fromColumnId, fromGroupId, linkId, toColumnId, toGroupId) {
+  static async moveLink(fromColumnId, fromGroupId, linkId, toColumnId, toGroupId, toIndex) {
     const data = await StorageManager.load();
 
     const fromColumn = data.columns.find(c => c.id === fromColumnId);
@@ -786,6 +1257,7 @@ class LinkManager {
     const toGroup = toColumn.groups.find(g => g.id === toGroupId);
 
     if (!fromGroup || !toGroup) throw new Error('Group not found');
+    if (Widgets.isWidget(toGroup)) throw new Error('Widgets can\'t hold links');
 
     const linkIndex = fromGroup.links.findIndex(l => l.id === linkId);
     if (linkIndex === -1) throw new Error('Link not found');
@@ -797,9 +1269,13 @@ class LinkManager {
 
     // Move the link
     const [link] = fromGroup.links.splice(linkIndex, 1);
-    toGroup.links.push(link);
+    if (toIndex === undefined) {
+      toGroup.links.push(link);
+    } else {
+      toGroup.links.splice(Math.max(0, Math.min(toIndex, toGroup.links.length)), 0, link);
+    }
 
-    await StorageManager.save(data);
+    await StorageManager.save(data, 'Move link');
   }
 }
 
@@ -830,6 +1306,50 @@ class SettingsManager {
     await StorageManager.save(data);
   }
 
+  /**
+   * Switch to a preset theme
+   * Sets the theme mode and the preset in one save.
+   * @param {string} presetTheme - Preset theme name
+   * @returns {Promise<void>}
+   */
+  static async updatePresetTheme(presetTheme) {
+    const data = await StorageManager.load();
+    data.themeMode = 'preset';
+    data.selectedPresetTheme = presetTheme;
+    await StorageManager.save(data);
+  }
+
+  /**
+   * Switch the theme of the board this device shows
+   * A board with its own theme gets the new one as its override, so the
+   * change is visible there; otherwise the global theme changes.
+   * @param {string} themeMode - Theme mode ('browser', 'preset', 'custom')
+   * @param {string} [presetTheme] - Preset theme name, for preset mode
+   * @returns {Promise<void>}
+   */
+  static async updateActiveBoardTheme(themeMode, presetTheme) {
+    const data = await StorageManager.load();
+    const boardId = await BoardManager.getActiveBoardId(data);
+    const overrides = BoardManager.getBoard(data, boardId).overrides;
+    const hasOwnTheme = ['themeMode', 'selectedPresetTheme'].some(field =>
+      overrides[field] !== undefined && overrides[field] !== null
+    );
+
+    if (hasOwnTheme) {
+      BoardManager.setOverride(data, boardId, 'themeMode', themeMode);
+      if (presetTheme) {
+        BoardManager.setOverride(data, boardId, 'selectedPresetTheme', presetTheme);
+      }
+    } else {
+      data.themeMode = themeMode;
+      if (presetTheme) {
+        data.selectedPresetTheme = presetTheme;
+      }
+    }
+
+    await StorageManager.save(data);
+  }
+
   /**
    * Update custom CSS
    * @param {string} css - Custom CSS string
@@ -1041,12 +1561,17 @@ class SettingsManager {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     StorageManager,
+    BoardManager,
     ColumnManager,
     GroupManager,
     LinkManager,
     SettingsManager,
     DEFAULT_DATA,
     MAX_GROUPS_PER_COLUMN,
-    MAX_LINKS_PER_GROUP
+    MAX_LINKS_PER_GROUP,
+    MAX_BOARDS,
+    BOARD_OVERRIDE_FIELDS,
+    indexEntities,
+    stampUpdatedAt
   };
 }
\ No newline at end of file
@@ -0,0 +1,535 @@
+/**
+ * Cross-device sync for Moontab Extreme
+ * Mirrors the board to chrome.storage.sync in chunks and merges per entity
+ */
+
+const SYNC_STATE_KEY = 'moontabExtremeSyncState';
+const SYNC_META_KEY = 'mx_meta';
+const SYNC_CHUNK_KEY_PREFIX = 'mx_chunk_';
+const SYNC_SCHEMA_VERSION = 1;
+// Characters per chunk. Escaping and multi-byte text can triple the stored
+// size, which keeps every item under QUOTA_BYTES_PER_ITEM (8KB).
+const SYNC_CHUNK_SIZE = 2000;
+const SYNC_PUSH_DELAY = 2000; // Coalesce edits to stay under write-rate quotas
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Large blobs stay on each device and are never written to sync storage
+const SYNC_LOCAL_ONLY_FIELDS = ['backgroundDataUri'];
+const SYNC_LOCAL_ONLY_LINK_FIELDS = ['iconDataUri'];
+const SYNC_LOCAL_ONLY_BOARD_OVERRIDES = ['backgroundDataUri'];
+
+/**
+ * Sync operations
+ *
+ * The synced document holds the board without blobs, a settings block and
+ * deletion tombstones. Columns, groups and links are merged by ID, keeping
+ * whichever side has the newer `updatedAt`; settings and column order merge
+ * as one entity via `settingsUpdatedAt`.
+ */
+class SyncManager {
+
+  /**
+   * Load device-local sync state
+   * @returns {Promise<Object>} Sync state
+   */
+  static async getState() {
+    try {
+      const result = await chrome.storage.local.get(SYNC_STATE_KEY);
+      return {
+        enabled: false,
+        tombstones: {},
+        lastSyncedAt: null,
+        lastError: null,
+        bytesInUse: 0,
+        ...result[SYNC_STATE_KEY]
+      };
+    } catch (error) {
+      console.error('Failed to load sync state:', error);
+      return { enabled: false, tombstones: {}, lastSyncedAt: null, lastError: null, bytesInUse: 0 };
+    }
+  }
+
+  /**
+   * Update device-local sync state
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated sync state
+   */
+  static async updateState(updates) {
+    const state = { ...(await this.getState()), ...updates };
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+    return state;
+  }
+
+  /**
+   * Turn sync on or off for this device
+   * Enabling runs a sync straight away so both sides are merged.
+   * @param {boolean} enabled - Whether sync is enabled
+   * @returns {Promise<Object>} Result of the first sync, or the new state
+   */
+  static async setEnabled(enabled) {
+    await this.updateState({ enabled, lastError: null });
+    return enabled ? this.syncNow() : this.getState();
+  }
+
+  /**
+   * Listen for changes pushed by other devices and sync on page load
+   * @param {Function} [onRemoteApplied] - Called with the new local data after a remote change is merged in
+   */
+  static async init(onRemoteApplied) {
+    this.onRemoteApplied = onRemoteApplied || null;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[SYNC_META_KEY]) {
+        this.syncIfEnabled();
+      }
+    });
+
+    await this.syncIfEnabled();
+  }
+
+  /**
+   * Run a sync if enabled on this device
+   * @returns {Promise<Object|null>} Sync result or null if disabled
+   */
+  static async syncIfEnabled() {
+    const state = await this.getState();
+    return state.enabled ? this.syncNow() : null;
+  }
+
+  /**
+   * Record deletions and schedule a push after a local write
+   * @param {Object|undefined} previous - Data before the write
+   * @param {Object} data - Data written
+   * @returns {Promise<void>}
+   */
+  static async onLocalWrite(previous, data) {
+    try {
+      const state = await this.getState();
+      const now = Date.now();
+      const currentIds = indexEntities(data);
+      const tombstones = { ...state.tombstones };
+      let changed = false;
+
+      indexEntities(previous).forEach((entry, id) => {
+        if (!currentIds.has(id)) {
+          tombstones[id] = now;
+          changed = true;
+        }
+      });
+
+      // An ID that is back (undo, restore) is no longer deleted
+      currentIds.forEach((entry, id) => {
+        if (tombstones[id] && tombstones[id] <= entry.entity.updatedAt) {
+          delete tombstones[id];
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        await this.updateState({ tombstones: this.pruneTombstones(tombstones) });
+      }
+
+      if (state.enabled) {
+        this.schedulePush();
+      }
+    } catch (error) {
+      // Sync bookkeeping must never block the save itself
+      console.error('Failed to record change for sync:', error);
+    }
+  }
+
+  /**
+   * Push local changes after a short delay (debounced)
+   */
+  static schedulePush = debounce(() => {
+    SyncManager.syncNow();
+  }, SYNC_PUSH_DELAY);
+
+  /**
+   * Drop tombstones older than the TTL
+   * @param {Object} tombstones - Map of ID to deletion timestamp
+   * @returns {Object} Pruned tombstones
+   */
+  static pruneTombstones(tombstones) {
+    const cutoff = Date.now() - SYNC_TOMBSTONE_TTL;
+    return Object.fromEntries(Object.entries(tombstones).filter(([, deletedAt]) => deletedAt > cutoff));
+  }
+
+  /**
+   * Pull, merge and push in one pass
+   * Concurrent calls are folded into a single follow-up run. The merge is
+   * written under the storage write lock and redone if local data changed
+   * while the remote copy was read, so edits saved meanwhile are kept. It
+   * is written below the undo history: a merge is not the user's edit.
+   * @returns {Promise<Object>} { localChanged, remoteChanged } or { error }
+   */
+  static async syncNow() {
+    if (this.isSyncing) {
+      this.syncQueued = true;
+      return { localChanged: false, remoteChanged: false, queued: true };
+    }
+
+    this.isSyncing = true;
+
+    try {
+      const state = await this.getState();
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const localData = result[STORAGE_KEY];
+      if (!localData) return { localChanged: false, remoteChanged: false };
+
+      const remoteDoc = await this.readRemote();
+      let { mergedDoc, mergedData } = this.mergeLocal(localData, state.tombstones, remoteDoc);
+
+      const localChanged = await StorageManager.withWriteLock(async () => {
+        const current = (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY];
+        if (this.serialize(current) !== this.serialize(localData)) {
+          // Saved while the remote copy was read; merge again so the edit survives
+          const currentState = await this.getState();
+          ({ mergedDoc, mergedData } = this.mergeLocal(current, currentState.tombstones, remoteDoc));
+        }
+
+        const changed = this.serialize(mergedData) !== this.serialize(current);
+        if (changed) {
+          mergedData.version = STORAGE_VERSION;
+          await StorageManager.writeData(current, mergedData, { preserveTimestamps: true });
+        }
+        await this.updateState({ tombstones: mergedDoc.tombstones });
+        return changed;
+      });
+
+      const remoteChanged = await this.writeRemote(mergedDoc);
+      const bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+
+      await this.updateState({
+        lastSyncedAt: Date.now(),
+        lastError: null,
+        bytesInUse
+      });
+
+      if (localChanged && this.onRemoteApplied) {
+        this.onRemoteApplied(mergedData);
+      }
+
+      return { localChanged, remoteChanged };
+    } catch (error) {
+      console.error('Sync failed:', error);
+      await this.updateState({ lastError: error.message });
+      return { error };
+    } finally {
+      this.isSyncing = false;
+
+      if (this.syncQueued) {
+        this.syncQueued = false;
+        this.syncNow();
+      }
+    }
+  }
+
+  /**
+   * Merge local data with the remote document
+   * @param {Object} localData - Local data
+   * @param {Object} tombstones - Local tombstones
+   * @param {Object|null} remoteDoc - Remote document, or null if there is none yet
+   * @returns {Object} { mergedDoc, mergedData }
+   */
+  static mergeLocal(localData, tombstones, remoteDoc) {
+    const localDoc = this.buildDocument(localData, tombstones);
+    const mergedDoc = remoteDoc ? this.merge(localDoc, remoteDoc) : localDoc;
+    return { mergedDoc, mergedData: this.applyDocument(mergedDoc, localData) };
+  }
+
+  /**
+   * Build the synced document from local data
+   * @param {Object} data - Local data
+   * @param {Object} tombstones - Map of deleted ID to deletion timestamp
+   * @returns {Object} Sync document
+   */
+  static buildDocument(data, tombstones) {
+    const { columns, version, settingsUpdatedAt, ...settings } = data;
+
+    SYNC_LOCAL_ONLY_FIELDS.forEach(field => delete settings[field]);
+
+    if (Array.isArray(settings.boards)) {
+      settings.boards = settings.boards.map(board => {
+        const overrides = { ...board.overrides };
+        SYNC_LOCAL_ONLY_BOARD_OVERRIDES.forEach(field => delete overrides[field]);
+        return { ...board, overrides };
+      });
+    }
+
+    return {
+      schema: SYNC_SCHEMA_VERSION,
+      settings,
+      settingsUpdatedAt: settingsUpdatedAt || 0,
+      columns: (columns || []).map(column => ({
+        ...column,
+        groups: (column.groups || []).map(group => ({
+          ...group,
+          links: (group.links || []).map(link => {
+            const syncedLink = { ...link };
+            SYNC_LOCAL_ONLY_LINK_FIELDS.forEach(field => delete syncedLink[field]);
+            return syncedLink;
+          })
+        }))
+      })),
+      tombstones: this.pruneTombstones(tombstones || {})
+    };
+  }
+
+  /**
+   * Merge two sync documents per entity
+   * @param {Object} localDoc - Document built from local data
+   * @param {Object} remoteDoc - Document read from sync storage
+   * @returns {Object} Merged document
+   */
+  static merge(localDoc, remoteDoc) {
+    const tombstones = { ...remoteDoc.tombstones };
+    Object.entries(localDoc.tombstones).forEach(([id, deletedAt]) => {
+      tombstones[id] = Math.max(tombstones[id] || 0, deletedAt);
+    });
+
+    const localEntities = indexEntities(localDoc);
+    const remoteEntities = indexEntities(remoteDoc);
+
+    // Pick the newer copy of each entity; ties go to the local copy
+    const winners = new Map();
+    [remoteEntities, localEntities].forEach(entities => {
+      entities.forEach((entry, id) => {
+        const current = winners.get(id);
+        if (!current || (entry.entity.updatedAt || 0) >= (current.entity.updatedAt || 0)) {
+          winners.set(id, entry);
+        }
+      });
+    });
+
+    winners.forEach((entry, id) => {
+      if (tombstones[id] && tombstones[id] >= (entry.entity.updatedAt || 0)) {
+        winners.delete(id);
+      }
+    });
+
+    // Children of each parent, ordered by the winning parent's list, then by any
+    // children that only the other side knows about
+    const orderChildren = (parentId, kind, preferredIds, otherIds) => {
+      const ids = [...preferredIds, ...otherIds].filter((id, index, all) => all.indexOf(id) === index);
+      return ids.filter(id => {
+        const entry = winners.get(id);
+        return entry && entry.kind === kind && entry.parentId === parentId;
+      });
+    };
+
+    const childIds = (entities, id, childKey) => {
+      const entry = entities.get(id);
+      return entry ? (entry.entity[childKey] || []).map(child => child.id) : [];
+    };
+
+    const localNewer = localDoc.settingsUpdatedAt >= remoteDoc.settingsUpdatedAt;
+    const [preferredDoc, otherDoc] = localNewer ? [localDoc, remoteDoc] : [remoteDoc, localDoc];
+
+    const columns = orderChildren(
+      null,
+      'column',
+      preferredDoc.columns.map(c => c.id),
+      otherDoc.columns.map(c => c.id)
+    ).map(columnId => {
+      const column = winners.get(columnId).entity;
+      const otherColumns = column === localEntities.get(columnId)?.entity ? remoteEntities : localEntities;
+
+      const groups = orderChildren(
+        columnId,
+        'group',
+        column.groups.map(g => g.id),
+        childIds(otherColumns, columnId, 'groups')
+      ).map(groupId => {
+        const group = winners.get(groupId).entity;
+        const otherGroups = group === localEntities.get(groupId)?.entity ? remoteEntities : localEntities;
+
+        const links = orderChildren(
+          groupId,
+          'link',
+          group.links.map(l => l.id),
+          childIds(otherGroups, groupId, 'links')
+        ).map(linkId => ({ ...winners.get(linkId).entity }));
+
+        return { ...group, links };
+      });
+
+      return { ...column, groups };
+    });
+
+    return {
+      schema: SYNC_SCHEMA_VERSION,
+      settings: preferredDoc.settings,
+      settingsUpdatedAt: preferredDoc.settingsUpdatedAt,
+      columns,
+      tombstones: this.pruneTombstones(tombstones)
+    };
+  }
+
+  /**
+   * Turn a merged document back into local data, restoring local-only blobs
+   * @param {Object} doc - Merged sync document
+   * @param {Object} localData - Current local data
+   * @returns {Object} Local data
+   */
+  static applyDocument(doc, localData) {
+    const localEntities = indexEntities(localData);
+    const data = {
+      ...localData,
+      ...doc.settings,
+      settingsUpdatedAt: doc.settingsUpdatedAt
+    };
+
+    SYNC_LOCAL_ONLY_FIELDS.forEach(field => {
+      data[field] = localData[field] === undefined ? null : localData[field];
+    });
+
+    if (Array.isArray(data.boards)) {
+      data.boards = data.boards.map(board => {
+        const localBoard = (localData.boards || []).find(b => b.id === board.id);
+        const overrides = { ...board.overrides };
+        SYNC_LOCAL_ONLY_BOARD_OVERRIDES.forEach(field => {
+          if (localBoard && localBoard.overrides && localBoard.overrides[field] !== undefined) {
+            overrides[field] = localBoard.overrides[field];
+          }
+        });
+        return { ...board, overrides };
+      });
+    }
+
+    data.columns = doc.columns.map(column => ({
+      ...column,
+      groups: column.groups.map(group => ({
+        ...group,
+        links: group.links.map(link => {
+          const localLink = localEntities.get(link.id);
+          const restoredLink = { ...link };
+          SYNC_LOCAL_ONLY_LINK_FIELDS.forEach(field => {
+            restoredLink[field] = localLink && localLink.entity[field] !== undefined ? localLink.entity[field] : null;
+          });
+          return restoredLink;
+        })
+      }))
+    }));
+
+    return data;
+  }
+
+  /**
+   * Read and reassemble the document from sync storage
+   * @returns {Promise<Object|null>} Sync document, or null if none or incomplete
+   */
+  static async readRemote() {
+    const metaResult = await chrome.storage.sync.get(SYNC_META_KEY);
+    const meta = metaResult[SYNC_META_KEY];
+    if (!meta || !meta.chunkCount) return null;
+
+    if (meta.schema > SYNC_SCHEMA_VERSION) {
+      throw new Error('Synced data was written by a newer version of Moontab Extreme. Please update the extension.');
+    }
+
+    const chunkKeys = Array.from({ length: meta.chunkCount }, (_, i) => SYNC_CHUNK_KEY_PREFIX + i);
+    const chunks = await chrome.storage.sync.get(chunkKeys);
+    const serialized = chunkKeys.map(key => chunks[key]).join('');
+
+    // Chunks from an interrupted write won't match the checksum; skip this round
+    if (chunkKeys.some(key => typeof chunks[key] !== 'string') || this.checksum(serialized) !== meta.checksum) {
+      console.warn('Sync data is incomplete, waiting for the next update');
+      return null;
+    }
+
+    return JSON.parse(serialized);
+  }
+
+  /**
+   * Write the document to sync storage, touching only chunks that changed
+   * @param {Object} doc - Sync document
+   * @returns {Promise<boolean>} Whether anything was written
+   */
+  static async writeRemote(doc) {
+    const serialized = this.serialize(doc);
+    const chunks = [];
+    for (let i = 0; i < serialized.length; i += SYNC_CHUNK_SIZE) {
+      chunks.push(serialized.slice(i, i + SYNC_CHUNK_SIZE));
+    }
+
+    const meta = {
+      schema: SYNC_SCHEMA_VERSION,
+      chunkCount: chunks.length,
+      checksum: this.checksum(serialized),
+      updatedAt: Date.now()
+    };
+
+    const existing = await chrome.storage.sync.get(null);
+    const existingMeta = existing[SYNC_META_KEY];
+    if (existingMeta && existingMeta.checksum === meta.checksum && existingMeta.chunkCount === meta.chunkCount) {
+      return false;
+    }
+
+    const estimatedBytes = new TextEncoder().encode(JSON.stringify(chunks)).length;
+    if (estimatedBytes > chrome.storage.sync.QUOTA_BYTES * 0.9) {
+      throw new Error(`Board is too large to sync (${formatBytes(estimatedBytes)} of ${formatBytes(chrome.storage.sync.QUOTA_BYTES)}). Try shortening custom CSS.`);
+    }
+
+    const items = { [SYNC_META_KEY]: meta };
+    chunks.forEach((chunk, i) => {
+      const key = SYNC_CHUNK_KEY_PREFIX + i;
+      if (existing[key] !== chunk) {
+        items[key] = chunk;
+      }
+    });
+
+    await chrome.storage.sync.set(items);
+
+    const staleKeys = Object.keys(existing).filter(key =>
+      key.startsWith(SYNC_CHUNK_KEY_PREFIX) &&
+      parseInt(key.slice(SYNC_CHUNK_KEY_PREFIX.length), 10) >= chunks.length
+    );
+    if (staleKeys.length > 0) {
+      await chrome.storage.sync.remove(staleKeys);
+    }
+
+    return true;
+  }
+
+  /**
+   * Serialize with sorted keys so equal data always produces equal strings
+   * Devices build objects in different key orders; comparing or checksumming
+   * plain JSON would make them rewrite each other's data indefinitely.
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON string
+   */
+  static serialize(value) {
+    return JSON.stringify(value, (key, val) => {
+      if (val && typeof val === 'object' && !Array.isArray(val)) {
+        return Object.keys(val).sort().reduce((sorted, k) => {
+          sorted[k] = val[k];
+          return sorted;
+        }, {});
+      }
+      return val;
+    });
+  }
+
+  /**
+   * Compute a short checksum of a string (FNV-1a)
+   * @param {string} str - Input string
+   * @returns {string} Hex checksum
+   */
+  static checksum(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SyncManager,
+    SYNC_CHUNK_SIZE
+  };
+}
@@ -1129,6 +1129,29 @@ class ThemeManager {
    * @returns {Promise<void>}
    */
   async init(settings = {}) {
+    await this.applySettings(settings);
+
+    // Listen for system theme changes
+    this.setupSystemThemeListener();
+  }
+
+  /**
+   * Re-apply a complete settings object to an initialized theme manager
+   * Used for live updates when data changes in another tab.
+   * @param {Object} settings - Complete settings object (same shape as init())
+   * @returns {Promise<void>}
+   */
+  async update(settings = {}) {
+    await this.applySettings(settings);
+    this.applyBackgroundSettings(settings);
+  }
+
+  /**
+   * Apply per-theme CSS, global scale and theme mode from a settings object
+   * @param {Object} settings - Complete settings object (same shape as init())
+   * @returns {Promise<void>}
+   */
+  async applySettings(settings) {
     this.themeData = {
       lightCss: settings.lightCss || '',
       lightCssEnabled: settings.lightCssEnabled || false,
@@ -1147,7 +1170,9 @@ class ThemeManager {
     };
 
     // Create theme style element
-    this.createThemeStyleElement();
+    if (!this.themeStyleElement) {
+      this.createThemeStyleElement();
+    }
 
     // 1. Apply global scale settings FIRST (before any theme)
     this.applyGlobalScaleSettings(
@@ -1168,9 +1193,6 @@ class ThemeManager {
       // Default fallback
       await this.applyPresetTheme('light');
     }
-
-    // Listen for system theme changes
-    this.setupSystemThemeListener();
   }
 
   /**
@@ -1588,6 +1610,22 @@ class ThemeManager {
     }
   }
 
+  /**
+   * Apply background image and page color from a settings object
+   * Clears any background the settings no longer specify.
+   * @param {Object} settings - Settings with background* and pageBackgroundColor fields
+   */
+  applyBackgroundSettings(settings) {
+    this.applyBackground(settings.backgroundDataUri || null, {
+      backgroundSize: settings.backgroundSize,
+      backgroundRepeat: settings.backgroundRepeat,
+      backgroundPosition: settings.backgroundPosition
+    });
+
+    // Apply page background color independently (after background image)
+    this.applyPageBackgroundColor(settings.pageBackgroundColor || null);
+  }
+
   /**
    * Apply page background color independently of theme
    * @param {string|null} color - Background color or null to remove
@@ -0,0 +1,298 @@
+/**
+ * URL policy for Moontab Extreme
+ * Decides which link URLs may be saved, for every way a link gets in
+ */
+
+// Always allowed: web pages and browser pages
+const BASE_URL_SCHEMES = ['https:', 'chrome:', 'chrome-extension:'];
+
+// Offered as switches in the options; anything else is entered by name
+const OPTIONAL_URL_SCHEMES = {
+  'http:': 'Unencrypted http:// sites',
+  'file:': 'Local files (file://)',
+  'ftp:': 'FTP servers (ftp://)'
+};
+
+// Can run code in the page or hide what is opened; never allowed
+const FORBIDDEN_URL_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'view-source:', 'blob:', 'filesystem:'];
+
+// Schemes whose host must be a full domain name or a private network address
+const NETWORK_URL_SCHEMES = ['https:', 'http:', 'ftp:'];
+
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:$/;
+const MAX_BLOCKED_HOSTS = 500;
+
+const DEFAULT_URL_POLICY = {
+  schemes: [],
+  allowPrivateNetwork: true,
+  blockedHosts: [],
+  allowBookmarklets: false
+};
+
+/**
+ * URL policy operations
+ *
+ * A policy (settings.urlPolicy) is { schemes, allowPrivateNetwork,
+ * blockedHosts, allowBookmarklets }: schemes lists what is allowed beyond
+ * BASE_URL_SCHEMES (such as 'http:', 'file:' or 'vscode:'),
+ * allowPrivateNetwork lets links point at localhost, LAN addresses and
+ * single-label intranet hosts, and blockedHosts lists sites whose links are
+ * refused, subdomains included. allowBookmarklets lets javascript: URLs be
+ * saved as bookmarklets (see Bookmarklets); as URLs they are always refused.
+ * A check result is { valid, url, reason, message }; url is the address
+ * as it would be saved (https:// added when there was no scheme) and
+ * reason is one of 'empty', 'invalid', 'forbidden', 'scheme', 'template',
+ * 'host', 'private' or 'blocked'.
+ */
+class UrlPolicy {
+
+  /**
+   * Use the policy from the application data for checks without an explicit policy
+   * @param {Object} settings - Application data
+   */
+  static configure(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Get a complete policy from application data
+   * Unknown or forbidden schemes and malformed hosts are dropped.
+   * @param {Object} [settings] - Application data; the configured data if left out
+   * @returns {Object} Policy
+   */
+  static getPolicy(settings = this.settings) {
+    const policy = settings && settings.urlPolicy && typeof settings.urlPolicy === 'object'
+      ? settings.urlPolicy
+      : DEFAULT_URL_POLICY;
+
+    return {
+      schemes: [...new Set((Array.isArray(policy.schemes) ? policy.schemes : [])
+        .map(scheme => this.normalizeScheme(scheme))
+        .filter(scheme => scheme && !BASE_URL_SCHEMES.includes(scheme)))],
+      allowPrivateNetwork: policy.allowPrivateNetwork !== false,
+      blockedHosts: [...new Set((Array.isArray(policy.blockedHosts) ? policy.blockedHosts : [])
+        .map(host => this.normalizeHost(host))
+        .filter(Boolean))].slice(0, MAX_BLOCKED_HOSTS),
+      allowBookmarklets: policy.allowBookmarklets === true
+    };
+  }
+
+  /**
+   * Check a URL against a policy
+   * @param {string} input - URL as entered, with or without a scheme
+   * @param {Object} [policy] - Policy; the configured one if left out
+   * @returns {Object} { valid, url, reason, message }
+   */
+  static check(input, policy = this.getPolicy()) {
+    const fail = (reason, message, url = '') => ({ valid: false, url, reason, message });
+
+    if (!input || typeof input !== 'string' || !input.trim()) {
+      return fail('empty', 'URL is missing');
+    }
+
+    const url = this.normalize(input);
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return fail('invalid', 'Not a valid URL', url);
+    }
+
+    const scheme = parsed.protocol;
+    if (FORBIDDEN_URL_SCHEMES.includes(scheme)) {
+      return fail('forbidden', `${scheme} links can run code and are never allowed`, url);
+    }
+    if (!this.getAllowedSchemes(policy).includes(scheme)) {
+      return fail('scheme', `${scheme} links are not allowed (see General › Link Rules)`, url);
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    if (/[{}]/.test(hostname)) {
+      // Quick search values must not pick the site (see QuickSearch)
+      return fail('template', 'Placeholders like {query} can only be used after the host', url);
+    }
+    if (NETWORK_URL_SCHEMES.includes(scheme)) {
+      const isPrivate = this.isPrivateHost(hostname);
+
+      if (isPrivate && !policy.allowPrivateNetwork) {
+        return fail('private', `${hostname} is a private network address, which is not allowed`, url);
+      }
+      if (!isPrivate && !this.isFullHost(hostname)) {
+        return fail('host', `${hostname || 'The address'} is not a full domain name`, url);
+      }
+    }
+
+    if (hostname && this.isBlocked(hostname, policy)) {
+      return fail('blocked', `${hostname} is on the blocklist`, url);
+    }
+
+    return { valid: true, url, reason: null, message: '' };
+  }
+
+  /**
+   * Check a URL against a policy
+   * @param {string} input - URL as entered
+   * @param {Object} [policy] - Policy; the configured one if left out
+   * @returns {boolean} Whether the URL may be saved
+   */
+  static isAllowed(input, policy) {
+    return this.check(input, policy).valid;
+  }
+
+  /**
+   * Add https:// to an address entered without a scheme
+   * "localhost:3000" counts as a host and port, "mailto:me@example.com"
+   * as a scheme.
+   * @param {string} input - URL as entered
+   * @returns {string} URL with a scheme
+   */
+  static normalize(input) {
+    if (!input || typeof input !== 'string') return input;
+
+    const url = input.trim();
+    if (url.startsWith('://')) return 'https' + url;
+    if (/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(url)) return url;
+    return 'https://' + url;
+  }
+
+  /**
+   * Get every scheme a policy allows
+   * @param {Object} policy - Policy
+   * @returns {Array<string>} Schemes, such as 'https:'
+   */
+  static getAllowedSchemes(policy) {
+    return [...BASE_URL_SCHEMES, ...policy.schemes];
+  }
+
+  /**
+   * Normalize a scheme name such as "vscode", "vscode:" or "VSCode://"
+   * @param {string} scheme - Scheme as entered
+   * @returns {string|null} Scheme with its colon, or null if it isn't a valid or allowable scheme
+   */
+  static normalizeScheme(scheme) {
+    if (!scheme || typeof scheme !== 'string') return null;
+
+    const normalized = scheme.trim().toLowerCase().replace(/(:\/\/|:)?$/, ':');
+    if (!URL_SCHEME_PATTERN.test(normalized) || FORBIDDEN_URL_SCHEMES.includes(normalized)) return null;
+    return normalized;
+  }
+
+  /**
+   * Normalize a blocklist entry such as "*.example.com" or "https://example.com/page"
+   * @param {string} host - Entry as entered
+   * @returns {string|null} Host name, or null if there isn't one
+   */
+  static normalizeHost(host) {
+    if (!host || typeof host !== 'string') return null;
+
+    const entry = host.trim().toLowerCase().replace(/^\*\./, '');
+    if (!entry) return null;
+
+    try {
+      const hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(entry) ? entry : `https://${entry}`).hostname;
+      return hostname || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a host is on a policy's blocklist
+   * @param {string} hostname - Lowercase host name
+   * @param {Object} policy - Policy
+   * @returns {boolean} Whether the host or a parent domain is blocked
+   */
+  static isBlocked(hostname, policy) {
+    return policy.blockedHosts.some(blocked => hostname === blocked || hostname.endsWith(`.${blocked}`));
+  }
+
+  /**
+   * Check whether a host is on this machine or the local network
+   * Covers localhost, loopback, private and link-local addresses, and
+   * intranet names: single labels and .local, .lan, .internal, .home.arpa.
+   * @param {string} hostname - Lowercase host name
+   * @returns {boolean} Whether the host is private
+   */
+  static isPrivateHost(hostname) {
+    if (!hostname) return false;
+
+    if (hostname.startsWith('[')) {
+      const ipv6 = hostname.slice(1, -1);
+      return ipv6 === '::1' || /^f[cd][0-9a-f]{2}:/.test(ipv6) || /^fe[89ab][0-9a-f]:/.test(ipv6);
+    }
+
+    const octets = this.parseIpv4(hostname);
+    if (octets) {
+      const [a, b] = octets;
+      return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) || (a === 169 && b === 254);
+    }
+
+    return !hostname.includes('.') ||
+      hostname === 'localhost' ||
+      /\.(localhost|local|lan|internal|home\.arpa)$/.test(hostname);
+  }
+
+  /**
+   * Check whether a public host is complete enough to open
+   * @param {string} hostname - Lowercase host name
+   * @returns {boolean} Whether it is an IP address or a name with a top-level domain
+   */
+  static isFullHost(hostname) {
+    if (this.parseIpv4(hostname) || hostname.startsWith('[')) return true;
+
+    const labels = hostname.split('.');
+    return labels.length >= 2 && labels.every(Boolean) && labels[labels.length - 1].length >= 2;
+  }
+
+  /**
+   * Parse a dotted IPv4 address
+   * @param {string} hostname - Host name
+   * @returns {Array<number>|null} Octets, or null if it isn't an IPv4 address
+   */
+  static parseIpv4(hostname) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(hostname);
+    if (!match) return null;
+
+    const octets = match.slice(1).map(Number);
+    return octets.every(octet => octet <= 255) ? octets : null;
+  }
+
+  /**
+   * Build the policy for data saved before there was one
+   * Schemes already used by links stay allowed, so no existing link breaks.
+   * @param {Object} data - Application data
+   * @returns {Object} Policy
+   */
+  static deriveFromLinks(data) {
+    const schemes = new Set();
+
+    (Array.isArray(data.columns) ? data.columns : []).forEach(column => {
+      (column.groups || []).forEach(group => {
+        (group.links || []).forEach(link => {
+          try {
+            const scheme = this.normalizeScheme(new URL(this.normalize(link.url)).protocol);
+            if (scheme && !BASE_URL_SCHEMES.includes(scheme)) schemes.add(scheme);
+          } catch (error) {
+            // Unparseable URLs don't need a scheme
+          }
+        });
+      });
+    });
+
+    return { ...DEFAULT_URL_POLICY, schemes: [...schemes].sort(), blockedHosts: [] };
+  }
+}
+
+UrlPolicy.settings = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UrlPolicy,
+    BASE_URL_SCHEMES,
+    OPTIONAL_URL_SCHEMES,
+    FORBIDDEN_URL_SCHEMES,
+    DEFAULT_URL_POLICY
+  };
+}
@@ -14,49 +14,6 @@ function generateUUID() {
   });
 }
 
-/**
- * Validate URL - only allow https: and chrome: protocols
- * @param {string} url - URL to validate
- * @returns {boolean} Whether URL is valid
- */
-function isValidUrl(url) {
-  if (!url || typeof url !== 'string') return false;
-
-  try {
-    const urlObj = new URL(url);
-    const protocol = urlObj.protocol;
-
-    // Only allow safe protocols - restricted for security
-    const allowedProtocols = [
-      'https:',
-      'chrome:',
-      'chrome-extension:'
-    ];
-
-    // Disallow javascript and other script protocols
-    const disallowedProtocols = [
-      'javascript:',
-      'data:text/html',
-      'vbscript:',
-      'view-source:',
-      'http:',
-      'ftp:',
-      'ftps:',
-      'file:'
-    ];
-
-    // Check for disallowed protocols first
-    if (disallowedProtocols.some(banned => url.toLowerCase().startsWith(banned))) {
-      return false;
-    }
-
-    // Check if protocol is in allowed list
-    return allowedProtocols.includes(protocol);
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Validate image data URI format
  * @param {string} dataUri - Data URI to validate
@@ -67,56 +24,16 @@ function isValidImageDataUri(dataUri) {
   return /^data:image\/(png|jpeg|jpg|gif|webp|svg\+xml);base64,/.test(dataUri);
 }
 
-/**
- * Validate URL for import (more permissive than runtime validation)
- * @param {string} url - URL to validate
- * @returns {boolean} Whether URL is valid for import
- */
-function isValidUrlForImport(url) {
-  if (!url || typeof url !== 'string') return false;
-
-  try {
-    const urlObj = new URL(url);
-    const protocol = urlObj.protocol;
-
-    // Allow safe protocols including http: for imports
-    const allowedProtocols = [
-      'https:',
-      'http:', // Allow for backward compatibility
-      'chrome:',
-      'chrome-extension:'
-    ];
-
-    // Disallow dangerous protocols
-    const disallowedProtocols = [
-      'javascript:',
-      'data:text/html',
-      'vbscript:',
-      'view-source:'
-    ];
-
-    // Check for disallowed protocols first
-    if (disallowedProtocols.some(banned => url.toLowerCase().startsWith(banned))) {
-      return false;
-    }
-
-    // Check if protocol is in allowed list
-    return allowedProtocols.includes(protocol);
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Validate image URL format
  * @param {string} url - URL to validate
  * @returns {boolean} Whether URL is valid image URL
  */
 function isValidImageUrl(url) {
-  if (!isValidUrl(url)) return false;
+  if (!url || typeof url !== 'string') return false;
   try {
     const urlObj = new URL(url);
-    return /\.(png|jpg|jpeg|gif|webp|svg)$/i.test(urlObj.pathname);
+    return urlObj.protocol === 'https:' && /\.(png|jpg|jpeg|gif|webp|svg)$/i.test(urlObj.pathname);
   } catch {
     return false;
   }
@@ -188,274 +105,410 @@ function sanitizeCSS(css) {
   return css;
 }
 
+const IMPORT_CLASS_PATTERN = /^[a-zA-Z_][\w\- ]*$/;
+
+// Top-level settings that only need a type check; a bad value falls back to the default
+const IMPORT_SETTING_TYPES = {
+  customCss: 'string',
+  showIcons: 'boolean',
+  showUrls: 'boolean',
+  showColumnHeaders: 'boolean',
+  showGroupHeaders: 'boolean',
+  showAdvancedOptions: 'boolean',
+  faviconTemplateUrl: 'string',
+  columnAnimationEnabled: 'boolean',
+  columnAnimationStylesheetOnly: 'boolean',
+  columnAnimationStyle: 'string',
+  columnAnimationMode: 'string',
+  backgroundSize: 'string',
+  backgroundRepeat: 'string',
+  backgroundPosition: 'string',
+  backgroundWidth: 'string',
+  backgroundHeight: 'string',
+  columnAnimationDuration: 'number',
+  columnAnimationDelay: 'number',
+  columnAnimationStagger: 'number'
+};
+
 /**
- * Validate imported JSON data structure
+ * Validate imported data and collect every problem found
+ *
+ * Each issue is { path, message, severity } with a JSON path such as
+ * `columns[3].groups[1].links[7].url`. Errors leave the data unusable;
+ * warnings are recoverable, and `repaired` is a copy of the data in which
+ * every warning's item has been skipped or its field cleared.
  * @param {any} data - Data to validate
- * @returns {boolean} Whether data is valid
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Allow columns to be missing (appearance sections, group packages)
+ * @returns {Object} { valid, recoverable, issues, repaired }
  */
-function validateImportData(data) {
-  if (!data || typeof data !== 'object') {
-    console.error('Import validation failed: Data is not an object');
-    return false;
-  }
+function validateImportData(data, options = {}) {
+  const issues = [];
+  const error = (path, message) => issues.push({ path, message, severity: 'error' });
+  const warn = (path, message) => issues.push({ path, message, severity: 'warning' });
 
-  // Check for version (future-proofing)
-  if (data.version && typeof data.version !== 'number') {
-    console.error('Import validation failed: Invalid version type');
-    return false;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    error('', 'data is not an object');
+    return { valid: false, recoverable: false, issues, repaired: null };
   }
 
-  // Validate columns array
-  if (!Array.isArray(data.columns)) {
-    console.error('Import validation failed: Columns is not an array');
-    return false;
-  }
+  const repaired = JSON.parse(JSON.stringify(data));
 
-  // Limit number of columns for security
-  if (data.columns.length > 50) {
-    console.error('Import validation failed: Too many columns');
-    return false;
+  // Check for version (future-proofing)
+  if (repaired.version !== undefined && typeof repaired.version !== 'number') {
+    error('version', 'must be a number');
   }
 
-  for (const [columnIndex, column] of data.columns.entries()) {
-    if (!column.id || typeof column.id !== 'string') {
-      console.error('Import validation failed: Column missing or invalid ID');
-      return false;
+  // Links are checked against the URL policy in the data, or the current one;
+  // a complete import adds its settings' policy to the content it checks
+  if (repaired.urlPolicy !== undefined && (!repaired.urlPolicy || typeof repaired.urlPolicy !== 'object' || Array.isArray(repaired.urlPolicy))) {
+    warn('urlPolicy', 'not an object; the default link rules will be used');
+    delete repaired.urlPolicy;
+  }
+  // Only the Link Rules switch turns bookmarklets on; an import keeps the current choice
+  if (repaired.urlPolicy) {
+    const allowBookmarklets = UrlPolicy.getPolicy().allowBookmarklets;
+    if (repaired.urlPolicy.allowBookmarklets === true && !allowBookmarklets) {
+      warn('urlPolicy.allowBookmarklets', 'bookmarklets can only be turned on in General › Link Rules; they stay off');
     }
-    if (!column.name || typeof column.name !== 'string') {
-      console.error('Import validation failed: Column missing or invalid name');
-      return false;
+    repaired.urlPolicy.allowBookmarklets = allowBookmarklets;
+  }
+  const urlPolicy = UrlPolicy.getPolicy(repaired.urlPolicy ? repaired : undefined);
+
+  // Validate boards (optional; data without boards is placed on one board)
+  if (repaired.boards !== undefined) {
+    if (!Array.isArray(repaired.boards)) {
+      error('boards', 'is not an array');
+    } else if (repaired.boards.length > 20) {
+      error('boards', `has ${repaired.boards.length} boards; the limit is 20`);
+    } else {
+      repaired.boards.forEach((board, boardIndex) => validateImportBoard(board, `boards[${boardIndex}]`, error, warn));
     }
+  }
 
-    // Validate custom classes
-    if (column.customClasses && typeof column.customClasses !== 'string') {
-      console.error('Import validation failed: Column custom classes invalid type');
-      return false;
-    }
-    if (column.customClasses && !/^[a-zA-Z_][\w\- ]*$/.test(column.customClasses)) {
-      console.error('Import validation failed: Column custom classes invalid format');
-      return false;
-    }
+  // Validate columns array
+  if (repaired.columns !== undefined || !options.partial) {
+    if (!Array.isArray(repaired.columns)) {
+      error('columns', 'is not an array');
+    } else {
+      // Limit number of columns for security (50 per board)
+      const boardCount = Array.isArray(repaired.boards) && repaired.boards.length > 0 ? repaired.boards.length : 1;
+      if (repaired.columns.length > 50 * boardCount) {
+        error('columns', `has ${repaired.columns.length} columns; the limit is ${50 * boardCount}`);
+      }
 
-    // Validate groups structure
-    if (!Array.isArray(column.groups)) {
-      console.error('Import validation failed: Column groups is not an array');
-      return false;
+      repaired.columns.forEach((column, columnIndex) => validateImportColumn(column, `columns[${columnIndex}]`, error, warn, urlPolicy));
     }
+  }
 
-    // Limit number of groups per column for security
-    if (column.groups.length > 100) {
-      console.error('Import validation failed: Too many groups in column');
-      return false;
+  // Single groups, as in group exports
+  if (repaired.groups !== undefined) {
+    if (!Array.isArray(repaired.groups)) {
+      error('groups', 'is not an array');
+    } else {
+      repaired.groups = repaired.groups.filter((group, groupIndex) => validateImportGroup(group, `groups[${groupIndex}]`, error, warn, urlPolicy));
     }
+  }
 
-    for (const [groupIndex, group] of column.groups.entries()) {
-      if (!group.id || typeof group.id !== 'string') {
-        console.error('Import validation failed: Group missing or invalid ID');
-        return false;
-      }
+  // Validate theme
+  if (repaired.theme && !['light', 'dark', 'custom', 'browser'].includes(repaired.theme)) {
+    warn('theme', `unknown theme "${repaired.theme}"; the default will be used`);
+    delete repaired.theme;
+  }
 
-      if (group.title !== undefined && typeof group.title !== 'string') {
-        console.error('Import validation failed: Group title invalid type');
-        return false;
-      }
+  if (repaired.backgroundDataUri && (typeof repaired.backgroundDataUri !== 'string' || !isValidImageDataUri(repaired.backgroundDataUri))) {
+    warn('backgroundDataUri', 'not a supported image; the background image will be skipped');
+    delete repaired.backgroundDataUri;
+  }
 
-      if (group.title && group.title.length > 200) {
-        console.error('Import validation failed: Group title too long');
-        return false;
-      }
+  if (repaired.pageBackgroundColor && (typeof repaired.pageBackgroundColor !== 'string' || !/^#?[0-9a-f]{3,8}$/i.test(repaired.pageBackgroundColor))) {
+    warn('pageBackgroundColor', 'not a hex color; the default will be used');
+    delete repaired.pageBackgroundColor;
+  }
 
-      // Validate custom classes
-      if (group.customClasses && typeof group.customClasses !== 'string') {
-        console.error('Import validation failed: Group custom classes invalid type');
-        return false;
-      }
-      if (group.customClasses && !/^[a-zA-Z_][\w\- ]*$/.test(group.customClasses)) {
-        console.error('Import validation failed: Group custom classes invalid format');
-        return false;
-      }
+  if (repaired.webSearch !== undefined) {
+    validateImportWebSearch(repaired, warn, urlPolicy);
+  }
 
-      // Validate links within group
-      if (!Array.isArray(group.links)) {
-        console.error('Import validation failed: Group links is not an array');
-        return false;
-      }
+  if (repaired.faviconProviderOrder !== undefined &&
+      (!Array.isArray(repaired.faviconProviderOrder) || !repaired.faviconProviderOrder.every(id => typeof id === 'string'))) {
+    warn('faviconProviderOrder', 'must be a list of favicon provider names; the default will be used');
+    delete repaired.faviconProviderOrder;
+  }
 
-      // Limit number of links per group for security
-      if (group.links.length > 300) {
-        console.error('Import validation failed: Too many links in group');
-        return false;
-      }
+  Object.entries(IMPORT_SETTING_TYPES).forEach(([field, type]) => {
+    const value = repaired[field];
+    if (value === undefined || (type === 'string' && !value)) return;
 
-      for (const [linkIndex, link] of group.links.entries()) {
-        if (!link.id || typeof link.id !== 'string') {
-          console.error('Import validation failed: Link missing or invalid ID');
-          return false;
-        }
-
-        if (!link.url || typeof link.url !== 'string') {
-          console.error('Import validation failed: Link missing or invalid URL');
-          return false;
-        }
-
-        // Use relaxed URL validation for imports (allow http:)
-        if (!isValidUrlForImport(link.url)) {
-          console.error('Import validation failed: Link has invalid URL');
-          return false;
-        }
-
-        if (link.title && typeof link.title !== 'string') {
-          console.error('Import validation failed: Link invalid title type');
-          return false;
-        }
-        if (link.iconDataUri && typeof link.iconDataUri !== 'string') {
-          console.error('Import validation failed: Link invalid iconDataUri type');
-          return false;
-        }
-        if (link.iconDataUri && !isValidImageDataUri(link.iconDataUri)) {
-          console.error('Import validation failed: Link invalid iconDataUri format');
-          return false;
-        }
-        if (link.iconUrlOverride && typeof link.iconUrlOverride !== 'string') {
-          console.error('Import validation failed: Link invalid iconUrlOverride type');
-          return false;
-        }
-        if (link.iconUrlOverride && (!isValidUrlForImport(link.iconUrlOverride) || !isValidImageUrl(link.iconUrlOverride))) {
-          console.error('Import validation failed: Link invalid iconUrlOverride format');
-          return false;
-        }
-
-        // Validate custom classes
-        if (link.customClasses && typeof link.customClasses !== 'string') {
-          console.error('Import validation failed: Link custom classes invalid type');
-          return false;
-        }
-        if (link.customClasses && !/^[a-zA-Z_][\w\- ]*$/.test(link.customClasses)) {
-          console.error('Import validation failed: Link custom classes invalid format');
-          return false;
-        }
-      }
+    if (typeof value !== type) {
+      warn(field, `must be a ${type}; the default will be used`);
+      delete repaired[field];
+    } else if (type === 'number' && value < 0) {
+      warn(field, 'must not be negative; the default will be used');
+      delete repaired[field];
     }
-  }
+  });
 
-  // Validate theme
-  if (data.theme && !['light', 'dark', 'custom', 'browser'].includes(data.theme)) {
-    console.error('Import validation failed: Invalid theme');
-    return false;
-  }
+  const recoverable = issues.every(issue => issue.severity === 'warning');
+  return { valid: issues.length === 0, recoverable, issues, repaired: recoverable ? repaired : null };
+}
 
-  // Validate other fields
-  if (data.customCss && typeof data.customCss !== 'string') {
-    console.error('Import validation failed: Invalid customCss type');
-    return false;
+/**
+ * Validate imported web search settings, dropping engines that can't be used
+ * @param {Object} repaired - Data (modified in place)
+ * @param {Function} warn - Records a recoverable issue
+ * @param {Object} urlPolicy - Policy engine URLs are checked against
+ */
+function validateImportWebSearch(repaired, warn, urlPolicy) {
+  const webSearch = repaired.webSearch;
+  if (!webSearch || typeof webSearch !== 'object' || Array.isArray(webSearch)) {
+    warn('webSearch', 'not an object; the default search bar settings will be used');
+    delete repaired.webSearch;
+    return;
+  }
+  if (webSearch.engines === undefined) return;
+  if (!Array.isArray(webSearch.engines)) {
+    warn('webSearch.engines', 'is not an array; the built-in search engines will be used');
+    delete webSearch.engines;
+    return;
+  }
+
+  const kept = [];
+  webSearch.engines.forEach((engine, index) => {
+    const path = `webSearch.engines[${index}]`;
+    if (!engine || typeof engine !== 'object' || typeof engine.id !== 'string') {
+      warn(path, 'is not a search engine; it will be skipped');
+      return;
+    }
+
+    const check = WebSearch.checkEngine(engine, kept, urlPolicy);
+    if (!check.valid) {
+      warn(path, `${check.message}; the engine will be skipped`);
+      return;
+    }
+    kept.push(check.engine);
+  });
+  webSearch.engines = kept;
+}
+
+/**
+ * Validate one imported board, clearing recoverable problems in place
+ * @param {Object} board - Board (modified in place)
+ * @param {string} path - JSON path of the board
+ * @param {Function} error - Records an unrecoverable issue
+ * @param {Function} warn - Records a recoverable issue
+ */
+function validateImportBoard(board, path, error, warn) {
+  if (!board || typeof board !== 'object') {
+    error(path, 'is not an object');
+    return;
   }
-  if (data.backgroundDataUri && typeof data.backgroundDataUri !== 'string') {
-    console.error('Import validation failed: Invalid backgroundDataUri type');
-    return false;
+  if (!board.id || typeof board.id !== 'string') {
+    error(`${path}.id`, 'missing or not a string');
   }
-  if (data.backgroundDataUri && !isValidImageDataUri(data.backgroundDataUri)) {
-    console.error('Import validation failed: Invalid backgroundDataUri format');
-    return false;
+  if (!board.name || typeof board.name !== 'string' || board.name.length > 100) {
+    error(`${path}.name`, 'missing, not a string or longer than 100 characters');
   }
-  if (data.showIcons !== undefined && typeof data.showIcons !== 'boolean') {
-    console.error('Import validation failed: Invalid showIcons type');
-    return false;
+  if (board.overrides !== undefined && (!board.overrides || typeof board.overrides !== 'object' || Array.isArray(board.overrides))) {
+    warn(`${path}.overrides`, 'not an object; board settings will be skipped');
+    board.overrides = {};
+  }
+  if (board.overrides && board.overrides.backgroundDataUri && !isValidImageDataUri(board.overrides.backgroundDataUri)) {
+    warn(`${path}.overrides.backgroundDataUri`, 'not a supported image; the board background will be skipped');
+    delete board.overrides.backgroundDataUri;
   }
+}
 
-  // Validate boolean fields
-  if (data.showUrls !== undefined && typeof data.showUrls !== 'boolean') {
-    console.error('Import validation failed: Invalid showUrls type');
-    return false;
+/**
+ * Validate one imported column and its groups, clearing recoverable problems in place
+ * @param {Object} column - Column (modified in place)
+ * @param {string} path - JSON path of the column
+ * @param {Function} error - Records an unrecoverable issue
+ * @param {Function} warn - Records a recoverable issue
+ * @param {Object} urlPolicy - Policy links are checked against
+ */
+function validateImportColumn(column, path, error, warn, urlPolicy) {
+  if (!column || typeof column !== 'object') {
+    error(path, 'is not an object');
+    return;
   }
-  if (data.showColumnHeaders !== undefined && typeof data.showColumnHeaders !== 'boolean') {
-    console.error('Import validation failed: Invalid showColumnHeaders type');
-    return false;
+  if (!column.id || typeof column.id !== 'string') {
+    error(`${path}.id`, 'missing or not a string');
   }
-  if (data.showGroupHeaders !== undefined && typeof data.showGroupHeaders !== 'boolean') {
-    console.error('Import validation failed: Invalid showGroupHeaders type');
-    return false;
+  if (column.boardId !== undefined && typeof column.boardId !== 'string') {
+    warn(`${path}.boardId`, 'not a string; the column will go on the first board');
+    delete column.boardId;
   }
-  if (data.showAdvancedOptions !== undefined && typeof data.showAdvancedOptions !== 'boolean') {
-    console.error('Import validation failed: Invalid showAdvancedOptions type');
-    return false;
+  if (!column.name || typeof column.name !== 'string') {
+    error(`${path}.name`, 'missing or not a string');
   }
-  if (data.columnAnimationEnabled !== undefined && typeof data.columnAnimationEnabled !== 'boolean') {
-    console.error('Import validation failed: Invalid columnAnimationEnabled type');
-    return false;
+  validateImportClasses(column, path, warn);
+
+  // Validate groups structure
+  if (!Array.isArray(column.groups)) {
+    error(`${path}.groups`, 'is not an array');
+    return;
   }
-  if (data.columnAnimationStylesheetOnly !== undefined && typeof data.columnAnimationStylesheetOnly !== 'boolean') {
-    console.error('Import validation failed: Invalid columnAnimationStylesheetOnly type');
-    return false;
+
+  // Limit number of groups per column for security
+  if (column.groups.length > 100) {
+    error(`${path}.groups`, `has ${column.groups.length} groups; the limit is 100`);
   }
 
-  // Validate string fields
-  if (data.pageBackgroundColor && typeof data.pageBackgroundColor !== 'string') {
-    console.error('Import validation failed: Invalid pageBackgroundColor type');
+  column.groups = column.groups.filter((group, groupIndex) => validateImportGroup(group, `${path}.groups[${groupIndex}]`, error, warn, urlPolicy));
+}
+
+/**
+ * Validate one imported group and its links or widget, skipping invalid links
+ * @param {Object} group - Group (modified in place)
+ * @param {string} path - JSON path of the group
+ * @param {Function} error - Records an unrecoverable issue
+ * @param {Function} warn - Records a recoverable issue
+ * @param {Object} urlPolicy - Policy links are checked against
+ * @returns {boolean} Whether the group can be kept
+ */
+function validateImportGroup(group, path, error, warn, urlPolicy) {
+  if (!group || typeof group !== 'object') {
+    error(path, 'is not an object');
     return false;
   }
-  // Validate color format
-  if (data.pageBackgroundColor && !/^#?[0-9a-f]{3,8}$/i.test(data.pageBackgroundColor)) {
-    console.error('Import validation failed: Invalid pageBackgroundColor format');
-    return false;
+  if (!group.id || typeof group.id !== 'string') {
+    error(`${path}.id`, 'missing or not a string');
   }
-  if (data.columnAnimationStyle && typeof data.columnAnimationStyle !== 'string') {
-    console.error('Import validation failed: Invalid columnAnimationStyle type');
-    return false;
+  if (group.title !== undefined && typeof group.title !== 'string') {
+    warn(`${path}.title`, 'not a string; the group will be untitled');
+    group.title = '';
   }
-  if (data.backgroundSize && typeof data.backgroundSize !== 'string') {
-    console.error('Import validation failed: Invalid backgroundSize type');
-    return false;
+  if (group.title && group.title.length > 200) {
+    warn(`${path}.title`, 'longer than 200 characters; it will be shortened');
+    group.title = group.title.slice(0, 200);
   }
-  if (data.backgroundRepeat && typeof data.backgroundRepeat !== 'string') {
-    console.error('Import validation failed: Invalid backgroundRepeat type');
-    return false;
+  validateImportClasses(group, path, warn);
+
+  if (group.widget !== undefined) {
+    return validateImportWidget(group, path, warn);
   }
-  if (data.backgroundPosition && typeof data.backgroundPosition !== 'string') {
-    console.error('Import validation failed: Invalid backgroundPosition type');
-    return false;
+
+  // Validate links within group
+  if (!Array.isArray(group.links)) {
+    error(`${path}.links`, 'is not an array');
+    return true;
   }
-  if (data.backgroundWidth && typeof data.backgroundWidth !== 'string') {
-    console.error('Import validation failed: Invalid backgroundWidth type');
-    return false;
+
+  // Limit number of links per group for security
+  if (group.links.length > 300) {
+    error(`${path}.links`, `has ${group.links.length} links; the limit is 300`);
   }
-  if (data.backgroundHeight && typeof data.backgroundHeight !== 'string') {
-    console.error('Import validation failed: Invalid backgroundHeight type');
+
+  group.links = group.links.filter((link, linkIndex) => validateImportLink(link, `${path}.links[${linkIndex}]`, error, warn, urlPolicy));
+  return true;
+}
+
+/**
+ * Validate an imported widget group, resetting settings that can't be used
+ * @param {Object} group - Widget group (modified in place)
+ * @param {string} path - JSON path of the group
+ * @param {Function} warn - Records a recoverable issue
+ * @returns {boolean} Whether the group can be kept
+ */
+function validateImportWidget(group, path, warn) {
+  const widget = Widgets.normalize(group.widget);
+  if (!widget) {
+    warn(`${path}.widget`, 'not a known widget; the group will be skipped');
     return false;
   }
-  if (data.columnAnimationMode && typeof data.columnAnimationMode !== 'string') {
-    console.error('Import validation failed: Invalid columnAnimationMode type');
-    return false;
+
+  const changed = Object.keys(widget).filter(key => JSON.stringify(widget[key]) !== JSON.stringify(group.widget[key]));
+  if (changed.length > 0) {
+    warn(`${path}.widget`, `${changed.join(', ')} not valid; defaults or shortened values will be used`);
+  }
+  if (Array.isArray(group.links) && group.links.length > 0) {
+    warn(`${path}.links`, 'widgets can\'t hold links; the links will be skipped');
   }
 
-  // Validate numeric fields
-  if (data.columnAnimationDuration !== undefined && typeof data.columnAnimationDuration !== 'number') {
-    console.error('Import validation failed: Invalid columnAnimationDuration type');
+  group.widget = widget;
+  group.links = [];
+  return true;
+}
+
+/**
+ * Validate one imported link, clearing recoverable problems in place
+ * @param {Object} link - Link (modified in place)
+ * @param {string} path - JSON path of the link
+ * @param {Function} error - Records an unrecoverable issue
+ * @param {Function} warn - Records a recoverable issue
+ * @param {Object} urlPolicy - Policy the URL or bookmarklet is checked against
+ * @returns {boolean} Whether the link can be kept
+ */
+function validateImportLink(link, path, error, warn, urlPolicy) {
+  if (!link || typeof link !== 'object') {
+    error(path, 'is not an object');
     return false;
   }
-  if (data.columnAnimationDuration !== undefined && data.columnAnimationDuration < 0) {
-    console.error('Import validation failed: Invalid columnAnimationDuration value');
-    return false;
+  if (!link.id || typeof link.id !== 'string') {
+    error(`${path}.id`, 'missing or not a string');
   }
-  if (data.columnAnimationDelay !== undefined && typeof data.columnAnimationDelay !== 'number') {
-    console.error('Import validation failed: Invalid columnAnimationDelay type');
-    return false;
+
+  // Imported bookmarklets can't be copied until the user has read and trusted them
+  if (Bookmarklets.isBookmarklet(link)) {
+    const check = Bookmarklets.check(link.script, urlPolicy, true);
+    if (!check.valid) {
+      warn(`${path}.script`, `${check.message}; the bookmarklet will be skipped`);
+      return false;
+    }
+    Bookmarklets.setTarget(link, check.target);
+  } else {
+    const urlCheck = UrlPolicy.check(link.url, urlPolicy);
+    if (!urlCheck.valid) {
+      warn(`${path}.url`, `${urlCheck.message}; the link will be skipped`);
+      return false;
+    }
+    link.url = urlCheck.url;
   }
-  if (data.columnAnimationDelay !== undefined && data.columnAnimationDelay < 0) {
-    console.error('Import validation failed: Invalid columnAnimationDelay value');
-    return false;
+
+  if (link.title && typeof link.title !== 'string') {
+    warn(`${path}.title`, 'not a string; the URL will be shown instead');
+    link.title = '';
   }
-  if (data.columnAnimationStagger !== undefined && typeof data.columnAnimationStagger !== 'number') {
-    console.error('Import validation failed: Invalid columnAnimationStagger type');
-    return false;
+  if (link.iconDataUri && (typeof link.iconDataUri !== 'string' || !isValidImageDataUri(link.iconDataUri))) {
+    warn(`${path}.iconDataUri`, 'not a supported image; the custom icon will be skipped');
+    link.iconDataUri = null;
   }
-  if (data.columnAnimationStagger !== undefined && data.columnAnimationStagger < 0) {
-    console.error('Import validation failed: Invalid columnAnimationStagger value');
-    return false;
+  if (link.iconUrlOverride && !isValidImageUrl(link.iconUrlOverride)) {
+    warn(`${path}.iconUrlOverride`, 'not a valid image URL; the icon URL will be skipped');
+    link.iconUrlOverride = null;
+  }
+  if (link.faviconProvider && typeof link.faviconProvider !== 'string') {
+    warn(`${path}.faviconProvider`, 'not a provider name; the global favicon order will be used');
+    link.faviconProvider = null;
   }
+  validateImportClasses(link, path, warn);
 
   return true;
 }
 
+/**
+ * Check an imported item's custom CSS classes, clearing them if invalid
+ * @param {Object} item - Column, group or link (modified in place)
+ * @param {string} path - JSON path of the item
+ * @param {Function} warn - Records a recoverable issue
+ */
+function validateImportClasses(item, path, warn) {
+  if (item.customClasses && (typeof item.customClasses !== 'string' || !IMPORT_CLASS_PATTERN.test(item.customClasses))) {
+    warn(`${path}.customClasses`, 'not a valid list of class names; custom classes will be cleared');
+    item.customClasses = '';
+  }
+}
+
+/**
+ * Format an import issue for display
+ * @param {Object} issue - Issue from validateImportData
+ * @returns {string} "path: message", or just the message for the data as a whole
+ */
+function formatImportIssue(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
 /**
  * Generate favicon URL for a given domain using Google's favicon service
  * @param {string} url - Full URL
@@ -534,40 +587,104 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Score how well a query fuzzy-matches a piece of text
+ * Every query character must appear in order; consecutive characters,
+ * word starts and plain substring matches score higher.
+ * @param {string} query - Search query
+ * @param {string} text - Text to match against
+ * @returns {number} Score (higher is better), or -1 if the text does not match
+ */
+function fuzzyScore(query, text) {
+  if (!query || !text) return -1;
+
+  const needle = query.toLowerCase();
+  const haystack = String(text).toLowerCase();
+
+  const substringIndex = haystack.indexOf(needle);
+  if (substringIndex !== -1) {
+    // Substring matches always beat scattered ones; earlier is better
+    return 1000 + needle.length * 10 - Math.min(substringIndex, 100);
+  }
+
+  let score = 0;
+  let position = -1;
+  let previousMatch = -2;
+
+  for (const char of needle) {
+    position = haystack.indexOf(char, position + 1);
+    if (position === -1) return -1;
+
+    score += 1;
+    if (position === previousMatch + 1) score += 5;
+    if (position === 0 || /[^a-z0-9]/.test(haystack[position - 1])) score += 3;
+
+    previousMatch = position;
+  }
+
+  return score;
+}
+
 /**
  * Debounce function to limit rapid successive calls
+ * The returned function has a flush() method that runs a pending call immediately
+ * and resolves once it finishes. With nothing pending it waits for the last call
+ * that already ran, which may still be in flight (an async save waiting on a lock).
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
  * @returns {Function} Debounced function
  */
 function debounce(func, wait) {
   let timeout;
-  return function executedFunction(...args) {
+  let pendingArgs = null;
+  let lastCall = Promise.resolve();
+
+  // flush() only waits on the last call; its failure is the caller's to report
+  const run = (args) => {
+    const result = Promise.resolve(func(...args));
+    lastCall = result.catch(() => {});
+    return result;
+  };
+
+  function executedFunction(...args) {
+    pendingArgs = args;
     const later = () => {
       clearTimeout(timeout);
-      func(...args);
+      pendingArgs = null;
+      run(args);
     };
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
+  }
+
+  executedFunction.flush = () => {
+    if (!pendingArgs) return lastCall;
+
+    const args = pendingArgs;
+    pendingArgs = null;
+    clearTimeout(timeout);
+    return run(args);
   };
+
+  return executedFunction;
 }
 
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     generateUUID,
-    isValidUrl,
-    isValidUrlForImport,
     isValidImageDataUri,
     isValidImageUrl,
     sanitizeText,
     isValidBackgroundSettings,
     sanitizeCSS,
     validateImportData,
+    formatImportIssue,
     getFaviconUrl,
     generateLetterAvatar,
     fileToDataUri,
     formatBytes,
+    fuzzyScore,
     debounce
   };
 }
\ No newline at end of file
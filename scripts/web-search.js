@@ -0,0 +1,180 @@
+/**
+ * Web search for Moontab Extreme
+ * Search engines for the new tab page's search bar
+ */
+
+const DEFAULT_SEARCH_ENGINES = [
+  { id: 'google', name: 'Google', url: 'https://www.google.com/search?q={query}', keyword: 'g' },
+  { id: 'duckduckgo', name: 'DuckDuckGo', url: 'https://duckduckgo.com/?q={query}', keyword: 'd' },
+  { id: 'bing', name: 'Bing', url: 'https://www.bing.com/search?q={query}', keyword: 'b' },
+  { id: 'github', name: 'GitHub', url: 'https://github.com/search?q={query}', keyword: 'gh' },
+  { id: 'wikipedia', name: 'Wikipedia', url: 'https://en.wikipedia.org/w/index.php?search={query}', keyword: 'w' }
+];
+
+// Where the bar sits above the board
+const WEB_SEARCH_PLACEMENTS = {
+  center: 'Centered',
+  left: 'Left',
+  right: 'Right',
+  wide: 'Full width'
+};
+
+const MAX_SEARCH_ENGINES = 20;
+const SEARCH_KEYWORD_PATTERN = /^\S{1,16}$/;
+
+/**
+ * Web search operations
+ *
+ * Settings (settings.webSearch) are { enabled, placement, defaultEngine,
+ * engines }. An engine is { id, name, url, keyword }: url holds {query}
+ * where the search terms go (and may hold {date}; see QuickSearch), and
+ * typing the keyword and a space in the bar searches that engine instead
+ * of the default.
+ */
+class WebSearch {
+
+  /**
+   * Get the settings for a new install
+   * @returns {Object} Settings with the built-in engines
+   */
+  static getDefaults() {
+    return {
+      enabled: false,
+      placement: 'center',
+      defaultEngine: DEFAULT_SEARCH_ENGINES[0].id,
+      engines: DEFAULT_SEARCH_ENGINES.map(engine => ({ ...engine }))
+    };
+  }
+
+  /**
+   * Get complete settings from application data
+   * Malformed engines and repeated keywords are dropped; the default
+   * engine falls back to the first one.
+   * @param {Object} [data] - Application data
+   * @returns {Object} Settings
+   */
+  static getSettings(data) {
+    const defaults = this.getDefaults();
+    const settings = data && data.webSearch && typeof data.webSearch === 'object' ? data.webSearch : defaults;
+    const keywords = new Set();
+
+    const engines = (Array.isArray(settings.engines) ? settings.engines : defaults.engines)
+      .filter(engine => engine && typeof engine.id === 'string' && typeof engine.name === 'string' &&
+        engine.name.trim() && typeof engine.url === 'string' && engine.url.includes('{query}'))
+      .slice(0, MAX_SEARCH_ENGINES)
+      .map(engine => {
+        let keyword = this.normalizeKeyword(engine.keyword);
+        if (keywords.has(keyword)) keyword = '';
+        if (keyword) keywords.add(keyword);
+        return { id: engine.id, name: engine.name.trim(), url: engine.url.trim(), keyword };
+      });
+
+    const defaultEngine = engines.some(engine => engine.id === settings.defaultEngine)
+      ? settings.defaultEngine
+      : (engines[0] ? engines[0].id : null);
+
+    return {
+      enabled: settings.enabled === true,
+      placement: WEB_SEARCH_PLACEMENTS[settings.placement] ? settings.placement : defaults.placement,
+      defaultEngine,
+      engines
+    };
+  }
+
+  /**
+   * Normalize a keyword such as "GH"
+   * @param {string} keyword - Keyword as entered
+   * @returns {string} Lowercase keyword, or '' if there isn't a usable one
+   */
+  static normalizeKeyword(keyword) {
+    if (!keyword || typeof keyword !== 'string') return '';
+
+    const normalized = keyword.trim().toLowerCase();
+    return SEARCH_KEYWORD_PATTERN.test(normalized) ? normalized : '';
+  }
+
+  /**
+   * Check an engine before it is saved
+   * @param {Object} engine - { name, url, keyword }
+   * @param {Array<Object>} engines - The other engines, for keyword clashes
+   * @param {Object} [policy] - URL policy; the configured one if left out
+   * @returns {Object} { valid, engine, message }; engine is trimmed, with https:// added and the keyword normalized
+   */
+  static checkEngine(engine, engines, policy = UrlPolicy.getPolicy()) {
+    const fail = message => ({ valid: false, engine: null, message });
+
+    if (!engine.name || !engine.name.trim()) {
+      return fail('Enter a name');
+    }
+    if (!engine.url || !engine.url.includes('{query}')) {
+      return fail('The URL needs {query} where the search terms go');
+    }
+
+    const check = QuickSearch.check(engine.url, policy);
+    if (!check.valid) {
+      return fail(check.message);
+    }
+    if (check.fields.some(field => field.name !== 'query')) {
+      return fail('Only {query} and {date} can be used in a search engine URL');
+    }
+
+    const keyword = this.normalizeKeyword(engine.keyword);
+    if (engine.keyword && engine.keyword.trim() && !keyword) {
+      return fail('The keyword must be one word of at most 16 characters');
+    }
+    const clash = keyword && engines.find(other => other.id !== engine.id && other.keyword === keyword);
+    if (clash) {
+      return fail(`${clash.name} already uses the keyword "${keyword}"`);
+    }
+
+    return {
+      valid: true,
+      engine: { id: engine.id, name: engine.name.trim(), url: check.url, keyword },
+      message: ''
+    };
+  }
+
+  /**
+   * Work out which engine a search is for
+   * "gh moontab" searches the engine with keyword "gh" for "moontab";
+   * anything else searches the default engine.
+   * @param {string} input - Text in the search bar
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} { engine, query, keyword }; engine is null without engines, keyword is whether one was used
+   */
+  static parse(input, settings) {
+    // "gh " already picks GitHub, before anything is typed after it
+    const text = (input || '').replace(/^\s+/, '');
+    const match = /^(\S+)\s+([^]*)$/.exec(text);
+
+    if (match) {
+      const keyword = match[1].toLowerCase();
+      const engine = settings.engines.find(candidate => candidate.keyword && candidate.keyword === keyword);
+      if (engine) {
+        return { engine, query: match[2].trim(), keyword: true };
+      }
+    }
+
+    const engine = settings.engines.find(candidate => candidate.id === settings.defaultEngine) || null;
+    return { engine, query: text.trim(), keyword: false };
+  }
+
+  /**
+   * Get the address of a search
+   * @param {Object} engine - Engine
+   * @param {string} query - Search terms
+   * @returns {string} URL
+   */
+  static buildUrl(engine, query) {
+    return QuickSearch.expand(engine.url, { query });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WebSearch,
+    DEFAULT_SEARCH_ENGINES,
+    WEB_SEARCH_PLACEMENTS
+  };
+}
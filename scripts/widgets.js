@@ -0,0 +1,475 @@
+/**
+ * Widgets for Moontab Extreme
+ * Groups that show a clock, a note, a checklist or a countdown instead of links
+ */
+
+const MAX_NOTE_LENGTH = 20000; // Characters of Markdown
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_CHECKLIST_ITEM_LENGTH = 200;
+const WIDGET_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+// Markup a note may keep; other elements keep only their text
+const NOTE_ALLOWED_TAGS = [
+  'a', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'input', 'li', 'ol', 'p', 'pre', 'strong', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+];
+const NOTE_ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  input: ['type', 'checked', 'disabled'],
+  ol: ['start'],
+  td: ['align'],
+  th: ['align']
+};
+// Elements dropped with their content rather than unwrapped
+const NOTE_DROPPED_TAGS = [
+  'audio', 'button', 'embed', 'form', 'iframe', 'img', 'link', 'math', 'meta', 'noscript',
+  'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title', 'video'
+];
+
+/**
+ * Widget types
+ *
+ * normalize(widget) returns complete settings from stored or imported data,
+ * render(el, widget, onChange) fills a widget's element on the new tab page,
+ * and tick(el, widget, now), where present, updates it every second.
+ * onChange(widget) saves settings changed on the board; it is left out
+ * where the widget can't be changed. Each type has a settings editor in
+ * ContentManager.
+ */
+const WIDGET_TYPES = {
+  clock: {
+    label: 'Clock',
+    normalize: widget => ({
+      type: 'clock',
+      showSeconds: widget.showSeconds === true,
+      hour12: widget.hour12 === true,
+      showDate: widget.showDate !== false,
+      timeZone: Widgets.isTimeZone(widget.timeZone) ? widget.timeZone : ''
+    }),
+    render: (el, widget) => {
+      el.append(Widgets.createElement('div', 'widget-clock-time'));
+      if (widget.showDate) {
+        el.append(Widgets.createElement('div', 'widget-clock-date'));
+      }
+    },
+    tick: (el, widget, now) => {
+      const zone = widget.timeZone ? { timeZone: widget.timeZone } : {};
+
+      el.querySelector('.widget-clock-time').textContent = now.toLocaleTimeString(undefined, {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: widget.showSeconds ? '2-digit' : undefined,
+        hour12: widget.hour12,
+        ...zone
+      });
+
+      const dateEl = el.querySelector('.widget-clock-date');
+      if (dateEl) {
+        dateEl.textContent = now.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', ...zone });
+      }
+    }
+  },
+
+  note: {
+    label: 'Note',
+    normalize: widget => ({
+      type: 'note',
+      markdown: typeof widget.markdown === 'string' ? widget.markdown.slice(0, MAX_NOTE_LENGTH) : ''
+    }),
+    render: (el, widget) => {
+      if (!widget.markdown.trim()) {
+        el.append(Widgets.createElement('p', 'widget-empty', 'Empty note'));
+        return;
+      }
+
+      const content = Widgets.createElement('div', 'widget-note-content');
+      content.append(Widgets.renderMarkdown(widget.markdown));
+      el.append(content);
+    }
+  },
+
+  checklist: {
+    label: 'Checklist',
+    normalize: widget => {
+      const ids = new Set();
+      const items = (Array.isArray(widget.items) ? widget.items : [])
+        .filter(item => item && typeof item.text === 'string' && item.text.trim())
+        .slice(0, MAX_CHECKLIST_ITEMS)
+        .map(item => {
+          const id = typeof item.id === 'string' && item.id && !ids.has(item.id) ? item.id : generateUUID();
+          ids.add(id);
+          return { id, text: item.text.trim().slice(0, MAX_CHECKLIST_ITEM_LENGTH), done: item.done === true };
+        });
+
+      return { type: 'checklist', items };
+    },
+    render: (el, widget, onChange) => Widgets.renderChecklist(el, widget, onChange)
+  },
+
+  countdown: {
+    label: 'Countdown',
+    normalize: widget => ({
+      type: 'countdown',
+      target: Widgets.parseDateTime(widget.target) ? widget.target : '',
+      showSeconds: widget.showSeconds === true
+    }),
+    render: (el, widget) => {
+      const target = Widgets.parseDateTime(widget.target);
+      if (!target) {
+        el.append(Widgets.createElement('p', 'widget-empty', 'No date set'));
+        return;
+      }
+
+      const units = Widgets.createElement('div', 'widget-countdown-units');
+      ['days', 'hours', 'minutes', 'seconds'].forEach(unit => {
+        if (unit === 'seconds' && !widget.showSeconds) return;
+
+        const unitEl = Widgets.createElement('span', 'widget-countdown-unit');
+        unitEl.dataset.unit = unit;
+        unitEl.append(Widgets.createElement('span', 'widget-countdown-value'), Widgets.createElement('span', 'widget-countdown-label'));
+        units.append(unitEl);
+      });
+
+      el.append(units, Widgets.createElement('div', 'widget-countdown-target'));
+    },
+    tick: (el, widget, now) => {
+      const target = Widgets.parseDateTime(widget.target);
+      if (!target) return;
+
+      const remaining = Widgets.getRemaining(target, now, widget.showSeconds);
+      el.classList.toggle('widget-countdown-passed', remaining.passed);
+
+      el.querySelectorAll('.widget-countdown-unit').forEach(unitEl => {
+        const value = remaining[unitEl.dataset.unit];
+        const label = unitEl.dataset.unit;
+        unitEl.querySelector('.widget-countdown-value').textContent = value;
+        unitEl.querySelector('.widget-countdown-label').textContent = value === 1 ? label.slice(0, -1) : label;
+      });
+
+      const when = target.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+      el.querySelector('.widget-countdown-target').textContent = remaining.passed ? `since ${when}` : `until ${when}`;
+    }
+  }
+};
+
+/**
+ * Widget operations
+ *
+ * A widget group is a group with a widget: { type, ...settings } and no
+ * links (links stays an empty array, so code that walks links skips it).
+ * Settings are everything the widget keeps, such as a note's Markdown or a
+ * checklist's items; see WIDGET_TYPES for each type's fields. Widgets are
+ * never mirrored to bookmarks and can't take links.
+ */
+class Widgets {
+
+  /**
+   * Check whether a group is a widget
+   * @param {Object} group - Group data
+   * @returns {boolean} Whether it shows a widget instead of links
+   */
+  static isWidget(group) {
+    return !!group && !!group.widget && typeof group.widget === 'object';
+  }
+
+  /**
+   * Get a widget type
+   * @param {Object} widget - Widget settings
+   * @returns {Object|null} Type from WIDGET_TYPES, or null if it isn't known
+   */
+  static getType(widget) {
+    return widget && Object.prototype.hasOwnProperty.call(WIDGET_TYPES, widget.type) ? WIDGET_TYPES[widget.type] : null;
+  }
+
+  /**
+   * Get the name of a widget's type
+   * @param {Object} widget - Widget settings
+   * @returns {string} Label such as "Clock"
+   */
+  static getLabel(widget) {
+    const type = this.getType(widget);
+    return type ? type.label : 'Unknown widget';
+  }
+
+  /**
+   * Get the settings a new widget starts with
+   * @param {string} type - Widget type
+   * @returns {Object} Widget settings
+   */
+  static create(type) {
+    return this.normalize({ type });
+  }
+
+  /**
+   * Get complete settings from stored or imported data
+   * Invalid fields fall back to their defaults.
+   * @param {Object} widget - Widget settings
+   * @returns {Object|null} Settings, or null if the type isn't known
+   */
+  static normalize(widget) {
+    const type = widget && typeof widget === 'object' ? this.getType(widget) : null;
+    return type ? type.normalize(widget) : null;
+  }
+
+  /**
+   * Fill a widget's element
+   * @param {Element} el - Widget element (emptied first)
+   * @param {Object} widget - Widget settings
+   * @param {Function} [onChange] - (widget) => void, saves settings changed on the board
+   * @param {Date} [now] - Time shown by clocks and countdowns
+   */
+  static render(el, widget, onChange, now = new Date()) {
+    const type = this.getType(widget);
+
+    el.innerHTML = '';
+    el.dataset.widgetType = type ? widget.type : 'unknown';
+    if (!type) {
+      el.append(this.createElement('p', 'widget-empty', 'This widget needs a newer version of Moontab Extreme'));
+      return;
+    }
+
+    const settings = type.normalize(widget);
+    type.render(el, settings, onChange);
+    if (type.tick) {
+      el.dataset.widgetLive = '';
+      type.tick(el, settings, now);
+    }
+  }
+
+  /**
+   * Update a clock or countdown
+   * @param {Element} el - Widget element
+   * @param {Object} widget - Widget settings
+   * @param {Date} [now] - Current time
+   */
+  static tick(el, widget, now = new Date()) {
+    const type = this.getType(widget);
+    if (type && type.tick) {
+      type.tick(el, type.normalize(widget), now);
+    }
+  }
+
+  /**
+   * Fill a checklist's element
+   * @param {Element} el - Widget element
+   * @param {Object} widget - Checklist settings
+   * @param {Function} [onChange] - Saves changed items; without it the list is read-only
+   */
+  static renderChecklist(el, widget, onChange) {
+    const save = items => onChange({ ...widget, items });
+    const list = this.createElement('ul', 'widget-checklist-items');
+
+    widget.items.forEach(item => {
+      const itemEl = this.createElement('li', 'widget-checklist-item');
+      itemEl.classList.toggle('done', item.done);
+
+      const label = this.createElement('label', 'widget-checklist-label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.done;
+      checkbox.disabled = !onChange;
+      checkbox.dataset.focusKey = `toggle:${item.id}`;
+      checkbox.addEventListener('change', () => {
+        save(widget.items.map(other => other.id === item.id ? { ...other, done: checkbox.checked } : other));
+      });
+      label.append(checkbox, this.createElement('span', 'widget-checklist-text', item.text));
+      itemEl.append(label);
+
+      if (onChange) {
+        const removeBtn = this.createElement('button', 'widget-checklist-remove', '×');
+        removeBtn.type = 'button';
+        removeBtn.title = 'Remove';
+        removeBtn.setAttribute('aria-label', `Remove ${item.text}`);
+        removeBtn.addEventListener('click', () => {
+          save(widget.items.filter(other => other.id !== item.id));
+        });
+        itemEl.append(removeBtn);
+      }
+
+      list.append(itemEl);
+    });
+
+    el.append(list);
+    if (!onChange) return;
+
+    const form = this.createElement('form', 'widget-checklist-add');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'widget-checklist-input';
+    input.placeholder = widget.items.length >= MAX_CHECKLIST_ITEMS ? `The list is full (${MAX_CHECKLIST_ITEMS} items)` : 'Add item';
+    input.maxLength = MAX_CHECKLIST_ITEM_LENGTH;
+    input.disabled = widget.items.length >= MAX_CHECKLIST_ITEMS;
+    input.dataset.focusKey = 'add';
+    input.setAttribute('aria-label', 'Add item');
+    form.append(input);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text || widget.items.length >= MAX_CHECKLIST_ITEMS) return;
+
+      save([...widget.items, { id: generateUUID(), text, done: false }]);
+    });
+
+    if (widget.items.some(item => item.done)) {
+      const clearBtn = this.createElement('button', 'widget-checklist-clear', 'Clear done');
+      clearBtn.type = 'button';
+      clearBtn.dataset.focusKey = 'clear';
+      clearBtn.addEventListener('click', () => {
+        save(widget.items.filter(item => !item.done));
+      });
+      form.append(clearBtn);
+    }
+
+    el.append(form);
+  }
+
+  /**
+   * Render a note's Markdown
+   * Raw HTML, images and links the URL policy refuses are left out, so an
+   * imported note can't run code, load anything or link anywhere a link
+   * couldn't.
+   * @param {string} markdown - Markdown
+   * @returns {DocumentFragment} Rendered note
+   */
+  static renderMarkdown(markdown) {
+    const template = document.createElement('template');
+
+    if (typeof marked === 'undefined') {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = markdown;
+      template.content.append(paragraph);
+    } else {
+      // Template content is inert: nothing in it loads or runs before it is cleaned
+      template.innerHTML = marked.parse(markdown, { gfm: true, breaks: true, async: false });
+      this.sanitizeNote(template.content);
+    }
+
+    return template.content;
+  }
+
+  /**
+   * Strip a rendered note down to NOTE_ALLOWED_TAGS and their attributes
+   * @param {Node} root - Parent node (modified in place)
+   */
+  static sanitizeNote(root) {
+    Array.from(root.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.localName;
+      if (NOTE_DROPPED_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      this.sanitizeNote(node);
+      if (!NOTE_ALLOWED_TAGS.includes(tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      const allowed = NOTE_ALLOWED_ATTRIBUTES[tag] || [];
+      Array.from(node.attributes).forEach(attribute => {
+        if (!allowed.includes(attribute.name)) node.removeAttribute(attribute.name);
+      });
+
+      if (tag === 'a') {
+        const check = UrlPolicy.check(node.getAttribute('href') || '');
+        if (!check.valid || QuickSearch.isTemplate(check.url)) {
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+        node.setAttribute('href', check.url);
+        node.setAttribute('rel', 'noopener noreferrer');
+      } else if (tag === 'input') {
+        // Only GFM task list boxes, which show state but can't be changed
+        if (node.getAttribute('type') !== 'checkbox') {
+          node.remove();
+          return;
+        }
+        node.setAttribute('disabled', '');
+      }
+    });
+  }
+
+  /**
+   * Work out the time between now and a countdown's date
+   * @param {Date} target - Countdown date
+   * @param {Date} now - Current time
+   * @param {boolean} [withSeconds=false] - Count seconds; otherwise minutes round up
+   * @returns {Object} { days, hours, minutes, seconds, passed }; after the date, the time since it
+   */
+  static getRemaining(target, now, withSeconds = false) {
+    const passed = now.getTime() >= target.getTime();
+    const totalSeconds = Math.floor(Math.abs(target.getTime() - now.getTime()) / 1000);
+    // Before the date, 59 seconds left still reads as 1 minute
+    const seconds = withSeconds || passed ? totalSeconds : Math.ceil(totalSeconds / 60) * 60;
+
+    return {
+      days: Math.floor(seconds / 86400),
+      hours: Math.floor(seconds % 86400 / 3600),
+      minutes: Math.floor(seconds % 3600 / 60),
+      seconds: seconds % 60,
+      passed
+    };
+  }
+
+  /**
+   * Parse a local date and time as entered in a datetime-local field
+   * @param {string} value - Date and time such as "2026-12-31T18:00"
+   * @returns {Date|null} Date, or null if it isn't a valid date and time
+   */
+  static parseDateTime(value) {
+    const match = typeof value === 'string' ? WIDGET_DATE_TIME_PATTERN.exec(value) : null;
+    if (!match) return null;
+
+    const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes);
+    // Rejects dates such as February 30th, which Date would roll over
+    return date.getMonth() === month - 1 && date.getDate() === day && hours < 24 && minutes < 60 ? date : null;
+  }
+
+  /**
+   * Check whether the browser knows a time zone
+   * @param {string} timeZone - IANA time zone such as "Europe/Paris"
+   * @returns {boolean} Whether clocks can show it
+   */
+  static isTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create an element with a class and optional text
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} [text] - Text content
+   * @returns {Element} Element
+   */
+  static createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Widgets,
+    WIDGET_TYPES,
+    MAX_NOTE_LENGTH,
+    MAX_CHECKLIST_ITEMS
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Link checker against a local stand-in server
+ * Run with: node --test tests/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { LinkChecker } = require('../scripts/link-checker.js');
+const { QuickSearch } = require('../scripts/quick-search.js');
+
+// Path => [status, location] or a handler
+const routes = {
+  '/ok': [200],
+  '/head-not-allowed': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+  '/moved': [301, '/ok'],
+  '/moved-308': [308, '/moved'],
+  '/temporary': [302, '/ok'],
+  '/moved-then-temporary': [301, '/temporary'],
+  '/missing': [404],
+  '/error': [503],
+  '/moved-to-missing': [301, '/missing'],
+  '/loop-a': [301, '/loop-b'],
+  '/loop-b': [301, '/loop-a'],
+  '/hang': () => {}
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (typeof route === 'function') return route(req, res);
+
+    const [status, location] = route || [404];
+    res.writeHead(status, location ? { Location: location } : {}).end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const check = (path, options) => new LinkChecker({ timeout: 500, ...options }).checkUrl(base + path);
+
+test('reachable links are ok', async () => {
+  assert.deepStrictEqual(await check('/ok'), { state: 'ok', code: 200, message: 'OK' });
+});
+
+test('a HEAD error is retried with GET', async () => {
+  assert.strictEqual((await check('/head-not-allowed')).state, 'ok');
+});
+
+test('301 and 308 chains are moved to where they end', async () => {
+  assert.deepStrictEqual(await check('/moved'), {
+    state: 'moved', code: 301, target: `${base}/ok`, message: `Moved permanently to ${base}/ok`
+  });
+
+  const chain = await check('/moved-308');
+  assert.strictEqual(chain.state, 'moved');
+  assert.strictEqual(chain.code, 308);
+  assert.strictEqual(chain.target, `${base}/ok`);
+});
+
+test('a temporary hop anywhere in the chain is not a move', async () => {
+  assert.strictEqual((await check('/temporary')).state, 'ok');
+  assert.strictEqual((await check('/moved-then-temporary')).state, 'ok');
+});
+
+test('4xx and 5xx are broken, also after a redirect', async () => {
+  assert.deepStrictEqual(await check('/missing'), { state: 'broken', code: 404, message: 'HTTP 404' });
+  assert.strictEqual((await check('/error')).code, 503);
+
+  const redirected = await check('/moved-to-missing');
+  assert.strictEqual(redirected.state, 'broken');
+  assert.strictEqual(redirected.message, `HTTP 404 after redirecting to ${base}/missing`);
+});
+
+test('redirect loops are unreachable', async () => {
+  const result = await check('/loop-a');
+  assert.strictEqual(result.state, 'unreachable');
+  assert.strictEqual(result.message, 'Redirect loop');
+});
+
+test('no answer in time is a timeout', async () => {
+  const result = await check('/hang', { timeout: 200 });
+  assert.strictEqual(result.state, 'timeout');
+});
+
+test('a refused connection is unreachable', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  assert.deepStrictEqual(await new LinkChecker().checkUrl(url), { state: 'unreachable', message: 'Connection refused' });
+});
+
+test('non-web addresses and quick search templates are skipped', async () => {
+  assert.strictEqual((await new LinkChecker().checkUrl('mailto:a@example.com')).state, 'skipped');
+
+  const checker = new LinkChecker({ isTemplate: url => QuickSearch.isTemplate(url) });
+  assert.strictEqual((await checker.checkUrl(`${base}/search?q={query}`)).state, 'skipped');
+});
+
+test('checkAll requests each URL once and reports every link', async () => {
+  const requested = [];
+  const checker = new LinkChecker({
+    request: (url, options) => {
+      requested.push(url);
+      return LinkChecker.fetchHop(url, options);
+    }
+  });
+
+  const results = await checker.checkAll([
+    { id: 'a', url: `${base}/ok` },
+    { id: 'b', url: `${base}/ok` },
+    { id: 'c', url: `${base}/missing` }
+  ]);
+
+  assert.strictEqual(results.get('a'), results.get('b'));
+  assert.strictEqual(results.get('c').state, 'broken');
+  assert.strictEqual(requested.filter(url => url === `${base}/ok`).length, 1);
+});